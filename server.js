@@ -2,6 +2,7 @@ import app from './src/app.js';
 import { PORT, NODE_ENV } from './src/config/index.js';
 import prisma from './src/config/database.js';
 import logger from './src/utils/logger.js';
+import { startCronJobs } from './src/services/cronJobs.js';
 
 // Test database connection on startup
 async function startServer() {
@@ -17,6 +18,9 @@ async function startServer() {
       logger.info(`📚 API: http://localhost:${PORT}/api`);
       logger.info(`❤️ Health: http://localhost:${PORT}/health`);
     });
+
+    // Background jobs (stock reservations, COD confirmation, wishlist alerts, cart recovery)
+    startCronJobs();
   } catch (error) {
     logger.error('❌ Failed to start server:', error);
     logger.error('💡 Please ensure:');
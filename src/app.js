@@ -31,7 +31,13 @@ app.use(compression());
 app.use(morgan('combined'));
 
 // Body Parser
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around - webhook signatures are computed over the exact bytes
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
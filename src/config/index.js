@@ -28,6 +28,54 @@ export const config = {
   // Client URL
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:5173',
 
+  // Checkout
+  CHECKOUT_QUOTE_TTL_MINUTES: parseInt(process.env.CHECKOUT_QUOTE_TTL_MINUTES) || 30,
+  STOCK_RESERVATION_TTL_MINUTES: parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15,
+
+  // Guest checkout: emailed order links stay valid this long
+  ORDER_ACCESS_TOKEN_TTL_DAYS: parseInt(process.env.ORDER_ACCESS_TOKEN_TTL_DAYS) || 30,
+
+  // Returns
+  RETURN_WINDOW_DAYS: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+
+  // GST and invoicing (the rate settings are the fallback when no TaxRule matches)
+  SELLER_NAME: process.env.SELLER_NAME || 'Kachidham Fashions',
+  SELLER_ADDRESS: process.env.SELLER_ADDRESS || '',
+  SELLER_GSTIN: process.env.SELLER_GSTIN || '',
+  SELLER_STATE: process.env.SELLER_STATE || 'Tamil Nadu',
+  INVOICE_PREFIX: process.env.INVOICE_PREFIX || 'KF',
+  DEFAULT_HSN_CODE: process.env.DEFAULT_HSN_CODE || '6211',
+  SHIPPING_SAC_CODE: process.env.SHIPPING_SAC_CODE || '996812',
+  GST_APPAREL_THRESHOLD: parseFloat(process.env.GST_APPAREL_THRESHOLD) || 2500,
+  GST_RATE_LOW: parseFloat(process.env.GST_RATE_LOW) || 5,
+  GST_RATE_HIGH: parseFloat(process.env.GST_RATE_HIGH) || 18,
+  DEFAULT_TAX_CATEGORY: process.env.DEFAULT_TAX_CATEGORY || 'APPAREL',
+  PRICES_INCLUDE_GST: process.env.PRICES_INCLUDE_GST !== 'false',
+
+  // Shipping (used until shipping zones are configured)
+  DEFAULT_SHIPPING_RATE: parseFloat(process.env.DEFAULT_SHIPPING_RATE) || 200,
+  DEFAULT_ITEM_WEIGHT_GRAMS: parseInt(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 500,
+
+  // Cash on delivery risk controls
+  COD_HANDLING_FEE: parseFloat(process.env.COD_HANDLING_FEE ?? 49) || 0,
+  COD_MAX_ORDER_VALUE: parseFloat(process.env.COD_MAX_ORDER_VALUE) || 10000,
+  COD_MAX_OPEN_ORDERS: parseInt(process.env.COD_MAX_OPEN_ORDERS) || 2,
+  COD_MAX_REFUSALS: parseInt(process.env.COD_MAX_REFUSALS) || 2,
+  COD_CONFIRMATION_WINDOW_MINUTES: parseInt(process.env.COD_CONFIRMATION_WINDOW_MINUTES) || 60,
+
+  // Shipments
+  SHIPMENT_PROVIDER: process.env.SHIPMENT_PROVIDER || 'manual',
+  // The mock courier is for local testing and is only registered when enabled
+  MOCK_SHIPMENT_PROVIDER_ENABLED: process.env.MOCK_SHIPMENT_PROVIDER_ENABLED === 'true',
+  MOCK_SHIPMENT_WEBHOOK_SECRET: process.env.MOCK_SHIPMENT_WEBHOOK_SECRET || '',
+
+  // Abandoned cart reminders: an order this many days after a reminder counts as recovered
+  CART_RECOVERY_ATTRIBUTION_DAYS: parseInt(process.env.CART_RECOVERY_ATTRIBUTION_DAYS) || 7,
+
+  // Delivery estimates: days to dispatch, plus transit when the pincode has none
+  DISPATCH_DAYS: parseInt(process.env.DISPATCH_DAYS) || 1,
+  DEFAULT_TRANSIT_DAYS: parseInt(process.env.DEFAULT_TRANSIT_DAYS) || 7,
+
   // Logger
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_TO_FILE: process.env.LOG_TO_FILE || 'true'
@@ -49,6 +97,35 @@ export const {
   SMTP_PASS,
   FROM_EMAIL,
   CLIENT_URL,
+  CHECKOUT_QUOTE_TTL_MINUTES,
+  STOCK_RESERVATION_TTL_MINUTES,
+  ORDER_ACCESS_TOKEN_TTL_DAYS,
+  RETURN_WINDOW_DAYS,
+  SELLER_NAME,
+  SELLER_ADDRESS,
+  SELLER_GSTIN,
+  SELLER_STATE,
+  INVOICE_PREFIX,
+  DEFAULT_HSN_CODE,
+  SHIPPING_SAC_CODE,
+  GST_APPAREL_THRESHOLD,
+  GST_RATE_LOW,
+  GST_RATE_HIGH,
+  DEFAULT_TAX_CATEGORY,
+  PRICES_INCLUDE_GST,
+  DEFAULT_SHIPPING_RATE,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  COD_HANDLING_FEE,
+  COD_MAX_ORDER_VALUE,
+  COD_MAX_OPEN_ORDERS,
+  COD_MAX_REFUSALS,
+  COD_CONFIRMATION_WINDOW_MINUTES,
+  SHIPMENT_PROVIDER,
+  MOCK_SHIPMENT_PROVIDER_ENABLED,
+  MOCK_SHIPMENT_WEBHOOK_SECRET,
+  CART_RECOVERY_ATTRIBUTION_DAYS,
+  DISPATCH_DAYS,
+  DEFAULT_TRANSIT_DAYS,
   LOG_LEVEL,
   LOG_TO_FILE
 } = config;
@@ -1,9 +1,25 @@
 // controllers/authController.js
 import { authService } from '../services/index.js';
+import orderAccessService from '../services/orderAccessService.js';
+import cartService from '../services/cartService.js';
 import { asyncHandler } from '../utils/helpers.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 
+// Carry the guest's cart (X-Cart-Session header) into the account; never fails the login
+const mergeGuestCart = async (req, userId) => {
+  const sessionId = req.headers['x-cart-session'];
+
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    await cartService.mergeGuestCart(sessionId, userId);
+  } catch (error) {
+    logger.error(`Failed to merge guest cart for user ${userId}:`, error);
+  }
+};
 
 export const register = asyncHandler(async (req, res) => {
   // Parse JSON fields from form-data
@@ -162,6 +178,8 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
   
+  await mergeGuestCart(req, result.user.id);
+
   // If login successful, return user data and tokens
   res.status(200).json({
     success: true,
@@ -205,6 +223,8 @@ export const verifyOTP = asyncHandler(async (req, res) => {
 
     const tokens = authService.generateTokens(user);
     const { password: _, otpSecret: __, ...userData } = user;
+
+    await mergeGuestCart(req, user.id);
     
     return res.status(200).json({
       success: true,
@@ -470,4 +490,26 @@ export const validateResetToken = asyncHandler(async (req, res) => {
     message: 'Valid reset token',
     user: result.user
   });
-});
\ No newline at end of file
+});
+
+// Move guest orders into the signed-in account using the link emailed at sign-up
+export const claimGuestOrders = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token is required'
+    });
+  }
+
+  const result = await orderAccessService.claimGuestOrders(req.user.id, token);
+
+  res.status(200).json({
+    success: true,
+    message: result.claimed > 0
+      ? `${result.claimed} ${result.claimed === 1 ? 'order was' : 'orders were'} added to your account`
+      : 'No guest orders left to add',
+    data: result
+  });
+});
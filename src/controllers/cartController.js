@@ -0,0 +1,116 @@
+// controllers/cartController.js
+import cartService from '../services/cartService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Signed-in user, or the guest's cart session id (X-Cart-Session header)
+const getCartOwner = (req) => ({
+  userId: req.user?.id || null,
+  sessionId: req.headers['x-cart-session'] || null
+});
+
+// Get the cart, re-priced. Query: state, pincode for a shipping estimate
+export const getCart = asyncHandler(async (req, res) => {
+  const { state, pincode } = req.query;
+
+  const cart = await cartService.getPricedCart(getCartOwner(req), {
+    shippingState: state || null,
+    pincode: pincode || null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: cart
+  });
+});
+
+// Body: { productId, productVariantId, quantity }
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { productId, productVariantId, quantity } = req.body || {};
+
+  const cart = await cartService.addItem(getCartOwner(req), {
+    productId,
+    productVariantId: productVariantId || null,
+    quantity: quantity ?? 1
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Added to cart',
+    data: cart
+  });
+});
+
+// Body: { quantity } (0 removes the item)
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await cartService.updateItem(getCartOwner(req), req.params.itemId, {
+    quantity: req.body?.quantity
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart updated',
+    data: cart
+  });
+});
+
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await cartService.removeItem(getCartOwner(req), req.params.itemId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from cart',
+    data: cart
+  });
+});
+
+export const clearCart = asyncHandler(async (req, res) => {
+  const cart = await cartService.clearCart(getCartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart cleared',
+    data: cart
+  });
+});
+
+// Body: { discountCode }
+export const applyCartDiscount = asyncHandler(async (req, res) => {
+  const cart = await cartService.applyDiscount(getCartOwner(req), req.body?.discountCode);
+
+  res.status(200).json({
+    success: true,
+    message: 'Discount applied',
+    data: cart
+  });
+});
+
+export const removeCartDiscount = asyncHandler(async (req, res) => {
+  const cart = await cartService.removeDiscount(getCartOwner(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Discount removed',
+    data: cart
+  });
+});
+
+// Fold a guest cart into the signed-in user's. Body: { sessionId }
+export const mergeCart = asyncHandler(async (req, res) => {
+  const sessionId = req.body?.sessionId || req.headers['x-cart-session'];
+
+  if (!sessionId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cart session ID is required'
+    });
+  }
+
+  await cartService.mergeGuestCart(sessionId, req.user.id);
+  const cart = await cartService.getPricedCart({ userId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart merged',
+    data: cart
+  });
+});
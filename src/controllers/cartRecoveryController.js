@@ -0,0 +1,85 @@
+// controllers/cartRecoveryController.js
+import cartRecoveryService from '../services/cartRecoveryService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Reminder steps in send order (Admin)
+export const getRecoverySteps = asyncHandler(async (req, res) => {
+  const steps = await cartRecoveryService.getSteps();
+
+  res.status(200).json({
+    success: true,
+    data: steps
+  });
+});
+
+// Body: { name, delayHours, subject, heading, message, buttonText, couponType,
+//   couponValue, couponMaxDiscount, couponMinOrderAmount, couponValidHours, isActive }
+export const createRecoveryStep = asyncHandler(async (req, res) => {
+  const step = await cartRecoveryService.createStep(req.body || {});
+
+  res.status(201).json({
+    success: true,
+    message: 'Recovery step created',
+    data: step
+  });
+});
+
+export const updateRecoveryStep = asyncHandler(async (req, res) => {
+  const step = await cartRecoveryService.updateStep(req.params.stepId, req.body || {});
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery step updated',
+    data: step
+  });
+});
+
+export const deleteRecoveryStep = asyncHandler(async (req, res) => {
+  await cartRecoveryService.deleteStep(req.params.stepId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery step deleted'
+  });
+});
+
+// Render a step (saved or unsaved) as the customer would receive it
+export const previewRecoveryStep = asyncHandler(async (req, res) => {
+  const saved = req.params.stepId ? await cartRecoveryService.getStep(req.params.stepId) : {};
+  const preview = await cartRecoveryService.previewStep({ ...saved, ...(req.body || {}) });
+
+  res.status(200).json({
+    success: true,
+    data: preview
+  });
+});
+
+// Sent reminders. Query: page, limit, source, stepId, recovered
+export const getRecoveryMessages = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, source, stepId, recovered } = req.query;
+
+  const result = await cartRecoveryService.getMessages({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    source,
+    stepId,
+    recovered
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// Reminders sent and revenue recovered. Query: from, to
+export const getRecoveryStats = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const stats = await cartRecoveryService.getStats({ from, to });
+
+  res.status(200).json({
+    success: true,
+    data: stats
+  });
+});
@@ -1,13 +1,40 @@
 import orderService from '../services/orderService.js';
+import stockReservationService from '../services/stockReservationService.js';
+import paymentWebhookService from '../services/paymentWebhookService.js';
+import refundService from '../services/refundService.js';
+import invoiceService from '../services/invoiceService.js';
+import codService from '../services/codService.js';
+import orderBulkUpdateService from '../services/orderBulkUpdateService.js';
+import orderEditService from '../services/orderEditService.js';
+import orderAccessService from '../services/orderAccessService.js';
+import reorderService from '../services/reorderService.js';
+import orderExportService from '../services/orderExportService.js';
 import phonepeService from '../services/phonepeService.js';
 import razorpayService from '../services/razorpayService.js';
 import { asyncHandler } from '../utils/helpers.js';
+import { createOrderAccessToken } from '../utils/orderAccessToken.js';
 import logger from '../utils/logger.js';
 
+// Guests have no login, so their new orders come back with the token that opens them
+const withAccessToken = (order) => (
+  order.userId ? order : { ...order, accessToken: createOrderAccessToken(order) }
+);
+
+// Signed-in owner, admin, or the order link's token (X-Order-Token header or ?token=)
+const resolveOrderAccess = (req, { orderId, orderNumber }) => orderAccessService.resolveOrderAccess({
+  user: req.user || null,
+  token: req.headers['x-order-token'] || req.query.token || null,
+  orderId,
+  orderNumber
+});
+
 
-// Calculate order totals with quantity pricing
+// Calculate order totals with quantity pricing and lock them in a checkout quote.
+// couponCode is the older name for discountCode; coupon is a single-use coupon
+// code (e.g. from a cart recovery email) that stacks on the discount.
+// useStoreCredit puts a signed-in customer's store credit towards the total.
 export const calculateOrderTotals = asyncHandler(async (req, res) => {
-  const { orderItems, couponCode } = req.body;
+  const { orderItems, couponCode, discountCode, coupon, useStoreCredit, shippingState, pincode, shippingMethod, paymentMethod } = req.body;
   
   if (!orderItems || !Array.isArray(orderItems) || orderItems.length === 0) {
     return res.status(400).json({
@@ -16,11 +43,24 @@ export const calculateOrderTotals = asyncHandler(async (req, res) => {
     });
   }
   
-  const totals = await orderService.calculateOrderTotals(orderItems, couponCode);
+  const quote = await orderService.createCheckoutQuote({
+    orderItems,
+    discountCode: discountCode || couponCode || null,
+    coupon: coupon ? { code: coupon } : null,
+    shippingState: shippingState || null,
+    userId: req.user?.id || null,
+    shippingOptions: {
+      pincode: pincode || null,
+      shippingMethod: shippingMethod || 'STANDARD',
+      paymentMethod: paymentMethod === 'COD' ? 'COD' : (paymentMethod ? 'ONLINE' : null)
+    },
+    cartSessionId: req.headers['x-cart-session'] || null,
+    useStoreCredit: useStoreCredit === true
+  });
   
   res.status(200).json({
     success: true,
-    data: totals
+    data: quote
   });
 });
 
@@ -28,7 +68,7 @@ export const calculateOrderTotals = asyncHandler(async (req, res) => {
 // Initiate Razorpay payment with quantity pricing
 export const initiatePayment = asyncHandler(async (req, res) => {
   const { orderData } = req.body;
-  orderData.userId = req.user.id;
+  orderData.userId = req.user?.id || null; // null for guest checkout
 
   const result = await orderService.initiateRazorpayPayment(orderData);
   
@@ -58,7 +98,7 @@ export const verifyPaymentAndCreateOrder = asyncHandler(async (req, res) => {
     razorpay_signature,
     orderData: {
       ...orderData,
-      userId: req.user.id
+      userId: req.user?.id || null
     }
   };
 
@@ -67,21 +107,90 @@ export const verifyPaymentAndCreateOrder = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
-    data: order // The order now includes quantitySavings and hasQuantityDiscounts directly
+    data: { ...order, data: withAccessToken(order.data) } // The order now includes quantitySavings and hasQuantityDiscounts directly
+  });
+});
+
+// Release held stock when the Razorpay checkout fails or is dismissed
+export const reportPaymentFailure = asyncHandler(async (req, res) => {
+  const { razorpay_order_id, reason } = req.body;
+
+  if (!razorpay_order_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'razorpay_order_id is required'
+    });
+  }
+
+  const result = await orderService.handlePaymentFailure(
+    razorpay_order_id,
+    req.user?.id || null,
+    reason || 'Payment failed'
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Reserved stock released',
+    data: result
+  });
+});
+
+// Razorpay server-to-server webhook - creates the order even if the browser never returns
+export const razorpayWebhook = asyncHandler(async (req, res) => {
+  const result = await paymentWebhookService.handleRazorpayWebhook({
+    rawBody: req.rawBody,
+    signature: req.headers['x-razorpay-signature'],
+    eventIdHeader: req.headers['x-razorpay-event-id'],
+    payload: req.body
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
   });
 });
 
 // Create COD order with quantity pricing
 export const createCODOrder = asyncHandler(async (req, res) => {
   const { orderData } = req.body;
-  orderData.userId = req.user.id;
+  orderData.userId = req.user?.id || null; // null for guest checkout
 
   const order = await orderService.createCODOrder(orderData);
   
   res.status(201).json({
     success: true,
-    message: 'COD order created successfully',
-    data: order // The order now includes quantitySavings and hasQuantityDiscounts directly
+    message: order.requiresOTP
+      ? 'COD order placed. Enter the OTP sent to your phone to confirm it'
+      : 'COD order created successfully',
+    data: withAccessToken(order) // The order now includes quantitySavings and hasQuantityDiscounts directly
+  });
+});
+
+// Confirm a COD order with the OTP sent to its phone number
+export const verifyCodOrderOtp = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { otp } = req.body;
+
+  const access = await resolveOrderAccess(req, { orderId });
+  const order = await codService.verifyOrderOtp(access.id, access.userId, otp);
+
+  res.status(200).json({
+    success: true,
+    message: 'Order confirmed successfully',
+    data: order
+  });
+});
+
+// Send a new COD confirmation OTP
+export const resendCodOrderOtp = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const access = await resolveOrderAccess(req, { orderId });
+  const result = await codService.sendOrderOtp(access.id, access.userId);
+
+  res.status(200).json({
+    success: true,
+    message: result.message
   });
 });
 
@@ -105,10 +214,11 @@ export const getOrderById = asyncHandler(async (req, res) => {
   });
 });
 
-// Get order by order number with quantity discount details
+// Get order by order number with quantity discount details (owner, admin or order link)
 export const getOrderByOrderNumber = asyncHandler(async (req, res) => {
   const { orderNumber } = req.params;
-  
+
+  await resolveOrderAccess(req, { orderNumber });
   const order = await orderService.getOrderByOrderNumber(orderNumber);
   
   // Parse quantity discount details from notes
@@ -125,6 +235,43 @@ export const getOrderByOrderNumber = asyncHandler(async (req, res) => {
   });
 });
 
+// What a past order would look like bought again today: substitutes for
+// unavailable variants and price changes. Body: { substitutions, excludeItemIds }
+export const previewReorder = asyncHandler(async (req, res) => {
+  const { substitutions, excludeItemIds } = req.body || {};
+
+  const plan = await reorderService.planReorder(req.params.orderId, req.user.id, {
+    substitutions: substitutions || {},
+    excludeItemIds: excludeItemIds || []
+  });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+// Buy a past order again, into the cart or a checkout quote.
+// Body: { target: 'cart' | 'quote', replaceCart, substitutions, excludeItemIds,
+//   shipping: { state, pincode, shippingMethod, paymentMethod, discountCode, coupon } }
+export const reorder = asyncHandler(async (req, res) => {
+  const { target, replaceCart, substitutions, excludeItemIds, shipping } = req.body || {};
+
+  const result = await reorderService.reorder(req.params.orderId, req.user.id, {
+    target: target || 'cart',
+    replaceCart: replaceCart === true,
+    substitutions: substitutions || {},
+    excludeItemIds: excludeItemIds || [],
+    shipping: shipping || {}
+  });
+
+  res.status(200).json({
+    success: true,
+    message: result.quote ? 'Checkout quote created from your order' : 'Items added to your cart',
+    data: result
+  });
+});
+
 // Get user orders with quantity discount details
 export const getUserOrders = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status } = req.query;
@@ -155,15 +302,96 @@ export const getUserOrders = asyncHandler(async (req, res) => {
   });
 });
 
+// Email a fresh order link to a guest whose email and phone match the order
+export const requestOrderAccessLink = asyncHandler(async (req, res) => {
+  const { orderNumber, email, phone } = req.body;
+
+  await orderAccessService.sendAccessLink({ orderNumber, email, phone });
+
+  res.status(200).json({
+    success: true,
+    message: 'If the details match an order, we have emailed a link to it'
+  });
+});
+
+// Customer cancels their own order before it ships
+export const cancelOrder = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  const access = await resolveOrderAccess(req, { orderId });
+  const order = await orderService.cancelOrderByCustomer(access.id, access.userId, reason);
+
+  res.status(200).json({
+    success: true,
+    message: order.refund
+      ? `Order cancelled. ₹${order.refund.amount.toFixed(2)} will be refunded to your original payment method`
+      : order.refundPending
+        ? 'Order cancelled. Your refund will be processed by our team shortly'
+        : 'Order cancelled successfully',
+    data: order
+  });
+});
+
+// Download GST invoice PDF (customer's own order)
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  // Access is checked here, so the lookup below is for the resolved order
+  const access = await resolveOrderAccess(req, { orderId });
+  const { buffer, fileName } = await invoiceService.getInvoicePdf(access.id);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+});
+
+// Download GST invoice PDF (Admin)
+export const downloadInvoiceAdmin = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const { buffer, fileName } = await invoiceService.getInvoicePdf(orderId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+});
+
+// Download a credit/debit note PDF (customer's own order)
+export const downloadInvoiceNote = asyncHandler(async (req, res) => {
+  const { orderId, noteId } = req.params;
+
+  const access = await resolveOrderAccess(req, { orderId });
+  const { buffer, fileName } = await invoiceService.getInvoiceNotePdf(access.id, noteId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+});
+
+// Download a credit/debit note PDF (Admin)
+export const downloadInvoiceNoteAdmin = asyncHandler(async (req, res) => {
+  const { orderId, noteId } = req.params;
+
+  const { buffer, fileName } = await invoiceService.getInvoiceNotePdf(orderId, noteId);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+});
+
 export const getAllOrders = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status, userId, paymentStatus } = req.query;
+  const { page = 1, limit = 10, status, userId, paymentStatus, from, to, state } = req.query;
   
   const result = await orderService.getAllOrders({
     page: parseInt(page),
     limit: parseInt(limit),
     status,
     userId,
-    paymentStatus
+    paymentStatus,
+    from,
+    to,
+    state
   });
   
   res.status(200).json({
@@ -173,22 +401,90 @@ export const getAllOrders = asyncHandler(async (req, res) => {
 });
 
 
+// Stream orders as CSV or XLSX (Admin).
+// Query: format (csv|xlsx), mode (order|line), status, paymentStatus, from, to, state
+export const exportOrders = asyncHandler(async (req, res) => {
+  const exportRequest = orderExportService.prepareExport(req.query);
+
+  res.setHeader('Content-Type', exportRequest.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportRequest.fileName}"`);
+
+  try {
+    await orderExportService.writeExport(res, exportRequest);
+  } catch (error) {
+    // Once rows have gone out the error can't be sent as JSON; cut the download short
+    if (!res.headersSent) {
+      throw error;
+    }
+
+    logger.error('Order export failed', { Error: error.message });
+    res.destroy(error);
+  }
+});
+
+export const getStockReservations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, productVariantId } = req.query;
+
+  const result = await stockReservationService.getReservations({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    productVariantId
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const releaseStockReservation = asyncHandler(async (req, res) => {
+  const { reservationId } = req.params;
+  const { reason } = req.body;
+
+  const reservation = await stockReservationService.releaseReservation(
+    reservationId,
+    reason || 'Released by admin'
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Reservation released successfully',
+    data: reservation
+  });
+});
+
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { status, adminNotes } = req.body;
+  const { status, adminNotes, reason } = req.body;
   
   const updatedOrder = await orderService.updateOrderStatus(orderId, {
     status,
-    adminNotes
+    adminNotes,
+    reason
   });
   
   res.status(200).json({
     success: true,
-    message: 'Order status updated successfully',
+    message: updatedOrder.refundError
+      ? `Order status updated, but the automatic refund failed: ${updatedOrder.refundError}`
+      : 'Order status updated successfully',
     data: updatedOrder
   });
 });
 
+// Next statuses the admin UI can offer, with the reason any are blocked
+export const getOrderStatusTransitions = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const result = await orderService.getAllowedStatusTransitions(orderId);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
 export const updateTrackingInfo = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { trackingNumber, carrier, trackingUrl, estimatedDelivery } = req.body;
@@ -207,14 +503,120 @@ export const updateTrackingInfo = asyncHandler(async (req, res) => {
   });
 });
 
+// Reprice a proposed edit without saving it (Admin)
+// Body: { address: { name, phone, address, city, state, pincode }, items: [{ orderItemId, productVariantId, quantity }] }
+export const previewOrderEdit = asyncHandler(async (req, res) => {
+  const { address, items } = req.body;
+
+  const preview = await orderEditService.previewEdit(req.params.orderId, { address, items });
+
+  res.status(200).json({
+    success: true,
+    data: preview
+  });
+});
+
+// Change the address, sizes, colors or quantities of an unshipped order (Admin)
+export const editOrder = asyncHandler(async (req, res) => {
+  const { address, items, reason, notifyCustomer } = req.body;
+
+  const order = await orderEditService.editOrder(req.params.orderId, {
+    address,
+    items,
+    reason,
+    notifyCustomer: notifyCustomer !== false
+  }, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: order.edit.settlement.error
+      ? `Order updated, but the price difference could not be settled: ${order.edit.settlement.error}`
+      : 'Order updated successfully',
+    data: order
+  });
+});
+
+export const getOrderAuditLog = asyncHandler(async (req, res) => {
+  const auditLog = await orderEditService.getAuditLog(req.params.orderId);
+
+  res.status(200).json({
+    success: true,
+    data: auditLog
+  });
+});
+
+// Upload a status/tracking CSV and preview what it would change (Admin)
+export const previewBulkOrderUpdate = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV file is required'
+    });
+  }
+
+  const bulkUpdate = await orderBulkUpdateService.previewFile(req.file.buffer, req.file.originalname, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: `${bulkUpdate.summary.ready || 0} rows ready to apply${bulkUpdate.summary.error ? `, ${bulkUpdate.summary.error} with errors` : ''}`,
+    data: bulkUpdate
+  });
+});
+
+// Apply a previewed CSV upload (Admin)
+export const applyBulkOrderUpdate = asyncHandler(async (req, res) => {
+  const bulkUpdate = await orderBulkUpdateService.applyBulkUpdate(req.params.updateId);
+
+  res.status(200).json({
+    success: true,
+    message: `${bulkUpdate.summary.updated || 0} orders updated${bulkUpdate.summary.failed ? `, ${bulkUpdate.summary.failed} failed` : ''}`,
+    data: bulkUpdate
+  });
+});
+
+export const getBulkOrderUpdates = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await orderBulkUpdateService.getBulkUpdates({
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const getBulkOrderUpdate = asyncHandler(async (req, res) => {
+  const bulkUpdate = await orderBulkUpdateService.getBulkUpdate(req.params.updateId);
+
+  res.status(200).json({
+    success: true,
+    data: bulkUpdate
+  });
+});
+
+// Per-row preview or apply results as CSV (Admin)
+export const downloadBulkOrderUpdateResults = asyncHandler(async (req, res) => {
+  const { csv, fileName } = await orderBulkUpdateService.getResultsCsv(req.params.updateId);
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(csv);
+});
+
+// Full, partial or per-item refund; items: [{ orderItemId, quantity }]
 export const processRefund = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { refundAmount, reason, adminNotes } = req.body;
+  const { refundAmount, items, reason, adminNotes, restock } = req.body;
   
   const result = await orderService.processRefund(orderId, {
     refundAmount,
+    items,
     reason,
-    adminNotes
+    adminNotes,
+    restock
   });
   
   res.status(200).json({
@@ -224,6 +626,17 @@ export const processRefund = asyncHandler(async (req, res) => {
   });
 });
 
+export const getOrderRefunds = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const refunds = await refundService.getOrderRefunds(orderId);
+
+  res.status(200).json({
+    success: true,
+    data: refunds
+  });
+});
+
 
 
 export const getOrderStats = asyncHandler(async (req, res) => {
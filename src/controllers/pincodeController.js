@@ -0,0 +1,81 @@
+// controllers/pincodeController.js
+import pincodeService from '../services/pincodeService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Check delivery, COD and delivery date for a pincode
+export const checkPincode = asyncHandler(async (req, res) => {
+  const result = await pincodeService.checkPincode(req.params.pincode);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// Import the pincode master from CSV
+export const importPincodes = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV file is required'
+    });
+  }
+
+  const summary = await pincodeService.importCsv(req.file.buffer);
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${summary.imported} pincodes${summary.failed ? `, ${summary.failed} rows skipped` : ''}`,
+    data: summary
+  });
+});
+
+// Get pincodes
+export const getPincodes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, search, state, isServiceable, codAllowed } = req.query;
+
+  const result = await pincodeService.getPincodes({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    search,
+    state,
+    isServiceable,
+    codAllowed
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a pincode
+export const getPincode = asyncHandler(async (req, res) => {
+  const pincode = await pincodeService.getPincode(req.params.pincode);
+
+  res.status(200).json({
+    success: true,
+    data: pincode
+  });
+});
+
+// Create or update a pincode
+export const upsertPincode = asyncHandler(async (req, res) => {
+  const pincode = await pincodeService.upsertPincode(req.params.pincode, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pincode saved successfully',
+    data: pincode
+  });
+});
+
+// Delete a pincode
+export const deletePincode = asyncHandler(async (req, res) => {
+  await pincodeService.deletePincode(req.params.pincode);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pincode deleted successfully'
+  });
+});
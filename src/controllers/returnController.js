@@ -0,0 +1,176 @@
+import returnService from '../services/returnService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Create return/exchange request for a delivered order (Customer)
+export const createReturnRequest = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const userId = req.user.id;
+  const files = req.files; // Optional photos of the items
+
+  const returnRequest = await returnService.createReturnRequest(orderId, userId, req.body, files || []);
+
+  res.status(201).json({
+    success: true,
+    message: `${returnRequest.type === 'EXCHANGE' ? 'Exchange' : 'Return'} request submitted successfully`,
+    data: returnRequest
+  });
+});
+
+// Get current user's return requests
+export const getUserReturnRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const result = await returnService.getUserReturnRequests(req.user.id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const getUserReturnRequestById = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+
+  const returnRequest = await returnService.getReturnRequestById(returnRequestId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest
+  });
+});
+
+export const cancelReturnRequest = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+
+  const returnRequest = await returnService.cancelReturnRequest(returnRequestId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request cancelled successfully',
+    data: returnRequest
+  });
+});
+
+export const getStoreCreditBalance = asyncHandler(async (req, res) => {
+  const result = await returnService.getStoreCreditBalance(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// Admin: list return requests
+export const getAllReturnRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, type, userId, orderId, search } = req.query;
+
+  const result = await returnService.getReturnRequests({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    type,
+    userId,
+    orderId,
+    search
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const getReturnRequestById = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+
+  const returnRequest = await returnService.getReturnRequestById(returnRequestId);
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest
+  });
+});
+
+export const approveReturnRequest = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+  const { adminNotes } = req.body;
+
+  const returnRequest = await returnService.approveReturnRequest(returnRequestId, { adminNotes });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request approved',
+    data: returnRequest
+  });
+});
+
+export const rejectReturnRequest = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+  const { rejectionReason, adminNotes } = req.body;
+
+  const returnRequest = await returnService.rejectReturnRequest(returnRequestId, {
+    rejectionReason,
+    adminNotes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request rejected',
+    data: returnRequest
+  });
+});
+
+export const scheduleReturnPickup = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+  const { pickupScheduledAt, pickupCarrier, pickupTrackingNumber, adminNotes } = req.body;
+
+  const returnRequest = await returnService.schedulePickup(returnRequestId, {
+    pickupScheduledAt,
+    pickupCarrier,
+    pickupTrackingNumber,
+    adminNotes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Pickup scheduled successfully',
+    data: returnRequest
+  });
+});
+
+export const markReturnReceived = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+  const { restock = true, adminNotes } = req.body;
+
+  const returnRequest = await returnService.markReceived(returnRequestId, {
+    restock: restock !== false && restock !== 'false',
+    adminNotes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Returned items marked as received',
+    data: returnRequest
+  });
+});
+
+export const resolveReturnRequest = asyncHandler(async (req, res) => {
+  const { returnRequestId } = req.params;
+  const { resolution, amount, adminNotes } = req.body;
+
+  const returnRequest = await returnService.resolveReturnRequest(returnRequestId, {
+    resolution,
+    amount,
+    adminNotes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request resolved successfully',
+    data: returnRequest
+  });
+});
@@ -0,0 +1,115 @@
+// controllers/shipmentController.js
+import shipmentService from '../services/shipmentService.js';
+import { getShipmentProviderNames } from '../services/shipmentProviders/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Get shipments (Admin)
+export const getShipments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, provider } = req.query;
+
+  const result = await shipmentService.getShipments({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    provider
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...result,
+      providers: getShipmentProviderNames()
+    }
+  });
+});
+
+// Get shipments of an order (Admin)
+export const getOrderShipments = asyncHandler(async (req, res) => {
+  const shipments = await shipmentService.getOrderShipments(req.params.orderId);
+
+  res.status(200).json({
+    success: true,
+    data: shipments
+  });
+});
+
+// Book a shipment for some or all of an order's items (Admin)
+// Body: { provider, items: [{ orderItemId, quantity }], carrier, trackingNumber, trackingUrl }
+export const createShipment = asyncHandler(async (req, res) => {
+  const { provider, items, carrier, trackingNumber, trackingUrl } = req.body || {};
+
+  const shipment = await shipmentService.createShipment(req.params.orderId, {
+    provider: provider || undefined,
+    items,
+    carrier,
+    trackingNumber,
+    trackingUrl
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Shipment created. AWB: ${shipment.awbNumber}`,
+    data: shipment
+  });
+});
+
+// Get a shipment (Admin)
+export const getShipmentById = asyncHandler(async (req, res) => {
+  const shipment = await shipmentService.getShipmentById(req.params.shipmentId);
+
+  res.status(200).json({
+    success: true,
+    data: shipment
+  });
+});
+
+// Download the shipping label (Admin)
+export const downloadShipmentLabel = asyncHandler(async (req, res) => {
+  const label = await shipmentService.getLabel(req.params.shipmentId);
+
+  if (label.url) {
+    return res.redirect(label.url);
+  }
+
+  res.setHeader('Content-Type', label.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${label.fileName}"`);
+  res.send(label.buffer);
+});
+
+// Request courier pickup for shipments (Admin)
+export const requestPickup = asyncHandler(async (req, res) => {
+  const { shipmentIds, pickupDate } = req.body;
+
+  const pickups = await shipmentService.requestPickup(shipmentIds, pickupDate);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pickup requested successfully',
+    data: pickups
+  });
+});
+
+// Cancel a shipment before pickup (Admin)
+export const cancelShipment = asyncHandler(async (req, res) => {
+  const shipment = await shipmentService.cancelShipment(req.params.shipmentId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipment cancelled successfully',
+    data: shipment
+  });
+});
+
+// Carrier status webhook - signature checked by the provider
+export const shipmentWebhook = asyncHandler(async (req, res) => {
+  const result = await shipmentService.handleWebhook(req.params.provider, {
+    rawBody: req.rawBody,
+    headers: req.headers,
+    payload: req.body
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
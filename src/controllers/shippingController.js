@@ -0,0 +1,95 @@
+// controllers/shippingController.js
+import shippingService from '../services/shippingService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Estimate shipping for a cart and address
+export const estimateShipping = asyncHandler(async (req, res) => {
+  const { state, pincode, items, orderValue, shippingMethod, paymentMethod } = req.body;
+
+  if (!state && !pincode) {
+    return res.status(400).json({
+      success: false,
+      message: 'State or pincode is required'
+    });
+  }
+
+  const cartItems = Array.isArray(items) ? items : [];
+
+  if (cartItems.some(item => !item.productId || !(parseInt(item.quantity) > 0))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each item needs a productId and quantity'
+    });
+  }
+
+  const shipping = await shippingService.calculateShipping({
+    state,
+    pincode,
+    items: cartItems.map(item => ({
+      productId: item.productId,
+      quantity: parseInt(item.quantity)
+    })),
+    orderValue: parseFloat(orderValue) || 0,
+    method: shippingMethod,
+    paymentMethod: paymentMethod === 'COD' ? 'COD' : null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: shipping
+  });
+});
+
+// Get shipping zones
+export const getShippingZones = asyncHandler(async (req, res) => {
+  const zones = await shippingService.getZones({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: zones
+  });
+});
+
+// Get shipping zone by ID
+export const getShippingZoneById = asyncHandler(async (req, res) => {
+  const zone = await shippingService.getZoneById(req.params.zoneId);
+
+  res.status(200).json({
+    success: true,
+    data: zone
+  });
+});
+
+// Create shipping zone
+export const createShippingZone = asyncHandler(async (req, res) => {
+  const zone = await shippingService.createZone(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    data: zone
+  });
+});
+
+// Update shipping zone
+export const updateShippingZone = asyncHandler(async (req, res) => {
+  const zone = await shippingService.updateZone(req.params.zoneId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: zone
+  });
+});
+
+// Delete shipping zone
+export const deleteShippingZone = asyncHandler(async (req, res) => {
+  await shippingService.deleteZone(req.params.zoneId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
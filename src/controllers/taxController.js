@@ -0,0 +1,67 @@
+// controllers/taxController.js
+import taxService from '../services/taxService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Get tax rules
+export const getTaxRules = asyncHandler(async (req, res) => {
+  const { taxCategory, activeOn, includeInactive } = req.query;
+
+  const rules = await taxService.getTaxRules({
+    taxCategory,
+    activeOn,
+    includeInactive: includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rules
+  });
+});
+
+// Get tax rule by ID
+export const getTaxRuleById = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await taxService.getTaxRuleById(ruleId);
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// Create tax rule
+export const createTaxRule = asyncHandler(async (req, res) => {
+  const rule = await taxService.createTaxRule(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rule created successfully',
+    data: rule
+  });
+});
+
+// Update tax rule
+export const updateTaxRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  const rule = await taxService.updateTaxRule(ruleId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule updated successfully',
+    data: rule
+  });
+});
+
+// Delete tax rule
+export const deleteTaxRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  await taxService.deleteTaxRule(ruleId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule deleted successfully'
+  });
+});
@@ -1,5 +1,6 @@
 // controllers/userController.js
 import { userService } from '../services/index.js';
+import codService from '../services/codService.js';
 import { asyncHandler } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
@@ -245,6 +246,27 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// Block or allow cash on delivery for a user (Admin only)
+export const updateCodBlock = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { codBlocked, reason } = req.body;
+
+  if (typeof codBlocked !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'codBlocked must be true or false'
+    });
+  }
+
+  const updatedUser = await codService.setCodBlocked(userId, codBlocked, reason);
+
+  res.status(200).json({
+    success: true,
+    message: `Cash on delivery ${codBlocked ? 'blocked' : 'allowed'} for user`,
+    data: updatedUser
+  });
+});
+
 // Change user role (Admin only)
 export const changeUserRole = asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -0,0 +1,43 @@
+// controllers/warehouseController.js
+import warehouseService from '../services/warehouseService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+const sendBatchDocument = async (req, res, document) => {
+  const { orderIds, format, markProcessing = false } = req.body;
+
+  const result = await warehouseService.generateBatch(orderIds, {
+    document,
+    format,
+    markProcessing: markProcessing === true || markProcessing === 'true'
+  });
+
+  if (result.data) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...result.data,
+        processing: result.processing
+      }
+    });
+  }
+
+  // Files can't carry a JSON summary, so the status change is reported in headers
+  if (result.processing) {
+    res.setHeader('X-Orders-Moved-To-Processing', result.processing.moved.length);
+    res.setHeader('X-Orders-Processing-Failed', result.processing.failed.length);
+  }
+
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Content-Disposition', `${result.contentType === 'application/pdf' ? 'attachment' : 'inline'}; filename="${result.fileName}"`);
+  res.send(result.body);
+};
+
+// Consolidated pick list for selected orders (JSON, PDF or HTML)
+export const generatePickList = asyncHandler(async (req, res) => {
+  await sendBatchDocument(req, res, 'pick-list');
+});
+
+// Printable packing slips, one per order (PDF or HTML)
+export const generatePackingSlips = asyncHandler(async (req, res) => {
+  await sendBatchDocument(req, res, 'packing-slips');
+});
@@ -0,0 +1,60 @@
+// controllers/wishlistController.js
+import wishlistService from '../services/wishlistService.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Saved items with today's price, offer and stock
+export const getWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await wishlistService.getWishlist(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: wishlist
+  });
+});
+
+// Body: { productId, productVariantId }
+export const addWishlistItem = asyncHandler(async (req, res) => {
+  const { productId, productVariantId } = req.body || {};
+
+  const item = await wishlistService.addItem(req.user.id, {
+    productId,
+    productVariantId: productVariantId || null
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Added to wishlist',
+    data: item
+  });
+});
+
+export const removeWishlistItem = asyncHandler(async (req, res) => {
+  await wishlistService.removeItem(req.user.id, req.params.itemId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from wishlist'
+  });
+});
+
+// Body: { priceDropAlert, backInStockAlert }
+export const updateWishlistItemAlerts = asyncHandler(async (req, res) => {
+  const item = await wishlistService.updateItemAlerts(req.user.id, req.params.itemId, req.body || {});
+
+  res.status(200).json({
+    success: true,
+    message: 'Alerts updated',
+    data: item
+  });
+});
+
+// Turn all wishlist emails on or off. Body: { enabled }
+export const setWishlistAlerts = asyncHandler(async (req, res) => {
+  const result = await wishlistService.setAlertsEnabled(req.user.id, req.body?.enabled);
+
+  res.status(200).json({
+    success: true,
+    message: result.alertsEnabled ? 'Wishlist alerts turned on' : 'Wishlist alerts turned off',
+    data: result
+  });
+});
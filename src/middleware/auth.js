@@ -19,6 +19,11 @@ export const auth = asyncHandler(async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Order access and claim links are signed with the same secret but are not logins
+    if (decoded.purpose) {
+      throw new Error('Not a login token');
+    }
     
     // Get user from database
     const user = await prisma.user.findUnique({
@@ -59,4 +64,39 @@ export const authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Attach req.user when a valid token is sent, but never reject the request
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (decoded.purpose) {
+      return next();
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isActive: true
+      }
+    });
+
+    if (user && user.isActive) {
+      req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired token - continue as an anonymous request
+  }
+
+  next();
+});
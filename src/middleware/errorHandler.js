@@ -36,6 +36,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(err.details && { code: err.code, details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
\ No newline at end of file
@@ -14,7 +14,8 @@ import {
   forgotPasswordWholesaler,
   adminForgotPassword,
   adminResetPassword,
-  validateAdminResetToken
+  validateAdminResetToken,
+  claimGuestOrders
 } from '../controllers/authController.js';
 import { auth, authorize } from '../middleware/auth.js';
 import multer from 'multer';
@@ -42,6 +43,7 @@ router.get('/admin/validate-reset-token', validateAdminResetToken);
 // Protected routes
 router.post('/logout', auth, logout);
 router.get('/profile', auth, getProfile);
+router.post('/claim-orders', auth, claimGuestOrders); // Token from the sign-up email
 
 // Admin routes
 router.get('/admin/pending-wholesalers', auth, authorize('ADMIN'), getPendingWholesalers);
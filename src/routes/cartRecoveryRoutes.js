@@ -0,0 +1,29 @@
+// routes/cartRecoveryRoutes.js
+import express from "express";
+import {
+  getRecoverySteps,
+  createRecoveryStep,
+  updateRecoveryStep,
+  deleteRecoveryStep,
+  previewRecoveryStep,
+  getRecoveryMessages,
+  getRecoveryStats
+} from "../controllers/cartRecoveryController.js";
+import { auth, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Admin routes
+router.use(auth, authorize("ADMIN"));
+
+router.get("/steps", getRecoverySteps);
+router.post("/steps", createRecoveryStep);
+router.post("/steps/preview", previewRecoveryStep);
+router.patch("/steps/:stepId", updateRecoveryStep);
+router.delete("/steps/:stepId", deleteRecoveryStep);
+router.post("/steps/:stepId/preview", previewRecoveryStep);
+
+router.get("/messages", getRecoveryMessages);
+router.get("/stats", getRecoveryStats);
+
+export default router;
@@ -0,0 +1,28 @@
+// routes/cartRoutes.js
+import express from "express";
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  applyCartDiscount,
+  removeCartDiscount,
+  mergeCart
+} from "../controllers/cartController.js";
+import { auth, optionalAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Signed-in users, or guests identified by the X-Cart-Session header
+router.get("/", optionalAuth, getCart);
+router.delete("/", optionalAuth, clearCart);
+router.post("/items", optionalAuth, addCartItem);
+router.patch("/items/:itemId", optionalAuth, updateCartItem);
+router.delete("/items/:itemId", optionalAuth, removeCartItem);
+router.post("/discount", optionalAuth, applyCartDiscount);
+router.delete("/discount", optionalAuth, removeCartDiscount);
+
+router.post("/merge", auth, mergeCart);
+
+export default router;
@@ -20,6 +20,15 @@ import uploadRoutes from './uploadRoutes.js';
 import faqRoutes from './faqRoutes.js'; // Add this import
 import designInquiryRoutes from './designInquiryRoutes.js'; // Add this import
 import discountRoutes from './discountRoutes.js';
+import returnRoutes from './returnRoutes.js';
+import taxRuleRoutes from './taxRuleRoutes.js';
+import shippingRoutes from './shippingRoutes.js';
+import pincodeRoutes from './pincodeRoutes.js';
+import shipmentRoutes from './shipmentRoutes.js';
+import warehouseRoutes from './warehouseRoutes.js';
+import cartRoutes from './cartRoutes.js';
+import wishlistRoutes from './wishlistRoutes.js';
+import cartRecoveryRoutes from './cartRecoveryRoutes.js';
 
 // ✅ ADD THIS NEW IMPORT
 import subcategoryQuantityPriceRoutes from './subcategoryQuantityPriceRoutes.js';
@@ -45,6 +54,15 @@ router.use('/faqs', faqRoutes); // Add this line
 router.use('/admin/subcategory-quantity-prices', subcategoryQuantityPriceRoutes);
 router.use('/design-inquiries', designInquiryRoutes); // Add this line
 router.use('/discounts', discountRoutes);
+router.use('/returns', returnRoutes);
+router.use('/admin/tax-rules', taxRuleRoutes);
+router.use('/shipping', shippingRoutes);
+router.use('/pincodes', pincodeRoutes);
+router.use('/shipments', shipmentRoutes);
+router.use('/admin/warehouse', warehouseRoutes);
+router.use('/cart', cartRoutes);
+router.use('/wishlist', wishlistRoutes);
+router.use('/admin/cart-recovery', cartRecoveryRoutes);
 
 
 export default router;
\ No newline at end of file
@@ -13,37 +13,111 @@ import {
   getOrderStats,
   calculateOrderTotals,
   createCODOrder,
+  verifyCodOrderOtp,
+  resendCodOrderOtp,
   testPhonePeIntegration,
   verifyPaymentAndCreateOrder,
-  deleteOrder
+  deleteOrder,
+  reportPaymentFailure,
+  getStockReservations,
+  releaseStockReservation,
+  razorpayWebhook,
+  getOrderRefunds,
+  cancelOrder,
+  getOrderStatusTransitions,
+  downloadInvoice,
+  downloadInvoiceAdmin,
+  downloadInvoiceNote,
+  downloadInvoiceNoteAdmin,
+  previewBulkOrderUpdate,
+  applyBulkOrderUpdate,
+  getBulkOrderUpdates,
+  getBulkOrderUpdate,
+  downloadBulkOrderUpdateResults,
+  previewOrderEdit,
+  editOrder,
+  getOrderAuditLog,
+  requestOrderAccessLink,
+  previewReorder,
+  reorder,
+  exportOrders
 } from '../controllers/orderController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import { auth, authorize, optionalAuth } from '../middleware/auth.js';
+import multer from 'multer';
 
 const router = express.Router();
 
-router.post('/calculate-totals', calculateOrderTotals);
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+router.post('/calculate-totals', optionalAuth, calculateOrderTotals); // Returns a checkout quote ID
 
 // PhonePe Payment Routes
-router.post('/initiate-payment', auth, initiatePayment); // Creates Razorpay order
-router.post('/verify-payment', auth, verifyPaymentAndCreateOrder); // Creates actual order after payment
-router.post('/create-cod-order', auth, createCODOrder); // Creates COD order immediately
+// All three require the quoteId returned by /calculate-totals. Without a login
+// they place a guest order, which comes back with an accessToken.
+router.post('/initiate-payment', optionalAuth, initiatePayment); // Creates Razorpay order
+router.post('/verify-payment', optionalAuth, verifyPaymentAndCreateOrder); // Creates actual order after payment
+router.post('/create-cod-order', optionalAuth, createCODOrder); // Confirmed at once, or after OTP for unverified phones
+router.post('/payment-failed', optionalAuth, reportPaymentFailure); // Releases reserved stock
+
+// Single-order routes take a login, or the order link's token (X-Order-Token header or ?token=)
+router.post('/:orderId/cod/verify-otp', optionalAuth, verifyCodOrderOtp);
+router.post('/:orderId/cod/resend-otp', optionalAuth, resendCodOrderOtp);
+
+// Gateway webhooks (signature verified in the service, no auth)
+router.post('/webhooks/razorpay', razorpayWebhook);
 
 router.post('/payment-callback', handlePaymentCallback);
 router.get('/payment-status/:merchantTransactionId', checkPaymentStatus);
 
 // User Routes
 router.get('/user/my-orders', auth, getUserOrders);
-router.get('/order-number/:orderNumber', getOrderByOrderNumber);
+router.get('/order-number/:orderNumber', optionalAuth, getOrderByOrderNumber);
+router.post('/access-link', requestOrderAccessLink); // Emails a fresh order link to guests
+router.post('/:orderId/cancel', optionalAuth, cancelOrder); // Allowed until the order ships
+router.get('/:orderId/invoice', optionalAuth, downloadInvoice); // GST invoice PDF
+router.get('/:orderId/invoice/notes/:noteId', optionalAuth, downloadInvoiceNote); // Credit/debit note after an edit
+// Buy again: preview shows substitutes and price changes, reorder fills the cart or a quote
+router.post('/:orderId/reorder/preview', auth, previewReorder);
+router.post('/:orderId/reorder', auth, reorder);
 
 // Admin Routes
 router.get('/admin', auth, authorize('ADMIN'), getAllOrders);
 router.get('/admin/stats', auth, authorize('ADMIN'), getOrderStats);
+router.get('/admin/export', auth, authorize('ADMIN'), exportOrders);
+router.get('/admin/reservations', auth, authorize('ADMIN'), getStockReservations);
+router.post('/admin/reservations/:reservationId/release', auth, authorize('ADMIN'), releaseStockReservation);
+// Bulk status/tracking CSV: upload previews, apply runs the rows
+router.get('/admin/bulk-updates', auth, authorize('ADMIN'), getBulkOrderUpdates);
+router.post('/admin/bulk-updates', auth, authorize('ADMIN'), csvUpload.single('file'), previewBulkOrderUpdate);
+router.get('/admin/bulk-updates/:updateId', auth, authorize('ADMIN'), getBulkOrderUpdate);
+router.post('/admin/bulk-updates/:updateId/apply', auth, authorize('ADMIN'), applyBulkOrderUpdate);
+router.get('/admin/bulk-updates/:updateId/results', auth, authorize('ADMIN'), downloadBulkOrderUpdateResults);
 router.get('/admin/:orderId', auth, authorize('ADMIN'), getOrderById);
+router.get('/admin/:orderId/transitions', auth, authorize('ADMIN'), getOrderStatusTransitions);
 router.patch('/admin/:orderId/status', auth, authorize('ADMIN'), updateOrderStatus);
 router.patch('/admin/:orderId/tracking', auth, authorize('ADMIN'), updateTrackingInfo);
+// Edits reprice the order; the difference goes out as a payment link or a refund
+router.post('/admin/:orderId/edit/preview', auth, authorize('ADMIN'), previewOrderEdit);
+router.patch('/admin/:orderId/edit', auth, authorize('ADMIN'), editOrder);
+router.get('/admin/:orderId/audit-log', auth, authorize('ADMIN'), getOrderAuditLog);
 router.delete('/admin/:orderId', auth, authorize('ADMIN'), deleteOrder);
 
 router.post('/admin/:orderId/refund', auth, authorize('ADMIN'), processRefund);
+router.get('/admin/:orderId/refunds', auth, authorize('ADMIN'), getOrderRefunds);
+router.get('/admin/:orderId/invoice', auth, authorize('ADMIN'), downloadInvoiceAdmin);
+router.get('/admin/:orderId/invoice/notes/:noteId', auth, authorize('ADMIN'), downloadInvoiceNoteAdmin);
 
 // Add to routes
 router.get('/test-phonepe-integration', testPhonePeIntegration);
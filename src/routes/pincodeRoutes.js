@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  checkPincode,
+  importPincodes,
+  getPincodes,
+  getPincode,
+  upsertPincode,
+  deletePincode
+} from '../controllers/pincodeController.js';
+import { auth, authorize } from '../middleware/auth.js';
+import multer from 'multer';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// Admin routes
+router.get('/admin', auth, authorize('ADMIN'), getPincodes);
+router.post('/admin/import', auth, authorize('ADMIN'), upload.single('file'), importPincodes);
+router.get('/admin/:pincode', auth, authorize('ADMIN'), getPincode);
+router.put('/admin/:pincode', auth, authorize('ADMIN'), upsertPincode);
+router.delete('/admin/:pincode', auth, authorize('ADMIN'), deletePincode);
+
+// Public routes
+router.get('/:pincode', checkPincode);
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  createReturnRequest,
+  getUserReturnRequests,
+  getUserReturnRequestById,
+  cancelReturnRequest,
+  getStoreCreditBalance,
+  getAllReturnRequests,
+  getReturnRequestById,
+  approveReturnRequest,
+  rejectReturnRequest,
+  scheduleReturnPickup,
+  markReturnReceived,
+  resolveReturnRequest
+} from '../controllers/returnController.js';
+import { auth, authorize } from '../middleware/auth.js';
+import multer from 'multer';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per file
+    files: 5 // Maximum 5 photos
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'image/jpeg',
+      'image/jpg',
+      'image/png',
+      'image/webp'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Only ${allowedTypes.join(', ')} are allowed`), false);
+    }
+  }
+});
+
+// Customer routes
+router.post('/orders/:orderId', auth, upload.array('returnPhotos', 5), createReturnRequest);
+router.get('/user/my-returns', auth, getUserReturnRequests);
+router.get('/user/store-credit', auth, getStoreCreditBalance);
+router.get('/user/:returnRequestId', auth, getUserReturnRequestById);
+router.post('/user/:returnRequestId/cancel', auth, cancelReturnRequest);
+
+// Admin routes
+router.get('/admin', auth, authorize('ADMIN'), getAllReturnRequests);
+router.get('/admin/:returnRequestId', auth, authorize('ADMIN'), getReturnRequestById);
+router.post('/admin/:returnRequestId/approve', auth, authorize('ADMIN'), approveReturnRequest);
+router.post('/admin/:returnRequestId/reject', auth, authorize('ADMIN'), rejectReturnRequest);
+router.post('/admin/:returnRequestId/pickup', auth, authorize('ADMIN'), scheduleReturnPickup);
+router.post('/admin/:returnRequestId/receive', auth, authorize('ADMIN'), markReturnReceived);
+router.post('/admin/:returnRequestId/resolve', auth, authorize('ADMIN'), resolveReturnRequest);
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/shipmentRoutes.js
+import express from "express";
+import {
+  getShipments,
+  getOrderShipments,
+  createShipment,
+  getShipmentById,
+  downloadShipmentLabel,
+  requestPickup,
+  cancelShipment,
+  shipmentWebhook
+} from "../controllers/shipmentController.js";
+import { auth, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Carrier webhooks (signature verified in the service, no auth)
+router.post("/webhooks/:provider", shipmentWebhook);
+
+// Admin routes
+router.get("/", auth, authorize("ADMIN"), getShipments);
+router.post("/pickup", auth, authorize("ADMIN"), requestPickup);
+router.get("/orders/:orderId", auth, authorize("ADMIN"), getOrderShipments);
+router.post("/orders/:orderId", auth, authorize("ADMIN"), createShipment);
+router.get("/:shipmentId", auth, authorize("ADMIN"), getShipmentById);
+router.get("/:shipmentId/label", auth, authorize("ADMIN"), downloadShipmentLabel);
+router.post("/:shipmentId/cancel", auth, authorize("ADMIN"), cancelShipment);
+
+export default router;
@@ -0,0 +1,25 @@
+// routes/shippingRoutes.js
+import express from "express";
+import {
+  estimateShipping,
+  getShippingZones,
+  getShippingZoneById,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} from "../controllers/shippingController.js";
+import { auth, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes
+router.post("/estimate", estimateShipping);
+
+// Admin routes
+router.get("/zones", auth, authorize("ADMIN"), getShippingZones);
+router.post("/zones", auth, authorize("ADMIN"), createShippingZone);
+router.get("/zones/:zoneId", auth, authorize("ADMIN"), getShippingZoneById);
+router.put("/zones/:zoneId", auth, authorize("ADMIN"), updateShippingZone);
+router.delete("/zones/:zoneId", auth, authorize("ADMIN"), deleteShippingZone);
+
+export default router;
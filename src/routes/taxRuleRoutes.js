@@ -0,0 +1,23 @@
+// routes/taxRuleRoutes.js
+import express from "express";
+import {
+  getTaxRules,
+  getTaxRuleById,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} from "../controllers/taxController.js";
+import { auth, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Admin routes
+router.use(auth, authorize("ADMIN"));
+
+router.get("/", getTaxRules);
+router.post("/", createTaxRule);
+router.get("/:ruleId", getTaxRuleById);
+router.put("/:ruleId", updateTaxRule);
+router.delete("/:ruleId", deleteTaxRule);
+
+export default router;
@@ -8,6 +8,7 @@ import {
   deleteUser,
   toggleUserStatus,
   changeUserRole,
+  updateCodBlock,
   updateAvatar,
   removeAvatar,
   deleteShopPhoto,
@@ -42,6 +43,7 @@ router.get('/admin/users/stats', auth, authorize('ADMIN'), getUserStats);
 router.delete('/admin/users/:userId', auth, authorize('ADMIN'), deleteUser);
 router.patch('/admin/users/:userId/status', auth, authorize('ADMIN'), toggleUserStatus);
 router.patch('/admin/users/:userId/role', auth, authorize('ADMIN'), changeUserRole);
+router.patch('/admin/users/:userId/cod-block', auth, authorize('ADMIN'), updateCodBlock);
 
 // User profile routes (users can update their own profiles)
 router.get('/users/:userId', auth, getUserById);
@@ -0,0 +1,18 @@
+// routes/warehouseRoutes.js
+import express from "express";
+import {
+  generatePickList,
+  generatePackingSlips
+} from "../controllers/warehouseController.js";
+import { auth, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Admin routes
+router.use(auth, authorize("ADMIN"));
+
+// Body: { orderIds, format, markProcessing }
+router.post("/pick-list", generatePickList);
+router.post("/packing-slips", generatePackingSlips);
+
+export default router;
@@ -0,0 +1,22 @@
+// routes/wishlistRoutes.js
+import express from "express";
+import {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  updateWishlistItemAlerts,
+  setWishlistAlerts
+} from "../controllers/wishlistController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get("/", getWishlist);
+router.post("/", addWishlistItem);
+router.patch("/alerts", setWishlistAlerts);
+router.patch("/:itemId", updateWishlistItemAlerts);
+router.delete("/:itemId", removeWishlistItem);
+
+export default router;
@@ -8,6 +8,7 @@ import { JWT_SECRET } from '../config/index.js';
 import emailNotificationService from './emailNotificationService.js';
 import logger from '../utils/logger.js';
 import s3UploadService from './s3UploadService.js';
+import orderAccessService from './orderAccessService.js';
 
 const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
@@ -130,6 +131,17 @@ async register(userData, files = []) {
     }
   }
 
+  // Orders placed as a guest with this email can be moved into the account
+  let guestOrders = 0;
+  try {
+    guestOrders = await orderAccessService.sendClaimLink(user);
+  } catch (claimError) {
+    logger.error('Guest order claim email failed after registration', {
+      userId: user.id,
+      error: claimError.message
+    });
+  }
+
   // Generate tokens
   let tokens = {};
   try {
@@ -145,7 +157,7 @@ async register(userData, files = []) {
     // Return user without tokens
   }
 
-  return { user, ...tokens };
+  return { user, guestOrders, ...tokens };
 }
 
   async login(credentials) {
@@ -234,6 +246,33 @@ async register(userData, files = []) {
     };
   }
 
+  // A fresh 6-digit code with the hash and expiry to store
+  async createOTP() {
+    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    const otpSecret = await bcrypt.hash(otp, 10);
+    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 min validity
+
+    return { otp, otpSecret, otpExpiry };
+  }
+
+  async sendOTPMessage(phoneNumber, otp) {
+    await twilioClient.messages.create({
+      body: `Kachidham Fashions: Your OTP is ${otp}. Do not share. Valid for 10 minutes.`,
+      to: phoneNumber,
+      from: process.env.TWILIO_PHONE_NUMBER
+    });
+  }
+
+  // Compare a code with the stored hash; attempts is the failed count so far
+  async checkOTP(otp, otpSecret, attempts) {
+    // ❌ Too many wrong attempts
+    if (attempts >= 5) {
+      throw new Error("Too many failed attempts. Please request new OTP.");
+    }
+
+    return await bcrypt.compare(String(otp), otpSecret);
+  }
+
   async sendOTP(phoneNumber) {
     const user = await prisma.user.findFirst({ where: { phone: phoneNumber } });
 
@@ -242,9 +281,7 @@ async register(userData, files = []) {
       throw new Error("OTP already sent. Please wait until it expires.");
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpSecret = await bcrypt.hash(otp, 10);
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 min validity
+    const { otp, otpSecret, otpExpiry } = await this.createOTP();
 
     await prisma.user.update({
       where: { id: user.id },
@@ -255,11 +292,7 @@ async register(userData, files = []) {
       }
     });
 
-    await twilioClient.messages.create({
-      body: `Kachidham Fashions: Your OTP is ${otp}. Do not share. Valid for 10 minutes.`,
-      to: phoneNumber,
-      from: process.env.TWILIO_PHONE_NUMBER
-    });
+    await this.sendOTPMessage(phoneNumber, otp);
 
     return { requiresOTP: true, message: "OTP sent successfully" };
   }
@@ -276,12 +309,7 @@ async register(userData, files = []) {
       throw new Error("Invalid or expired OTP");
     }
 
-    // ❌ Too many wrong attempts
-    if (user.otpAttempts >= 5) {
-      throw new Error("Too many failed attempts. Please request new OTP.");
-    }
-
-    const isValid = await bcrypt.compare(otp, user.otpSecret);
+    const isValid = await this.checkOTP(otp, user.otpSecret, user.otpAttempts);
 
     if (!isValid) {
       await prisma.user.update({
@@ -0,0 +1,743 @@
+// services/cartRecoveryService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import couponService from './couponService.js';
+import cartService from './cartService.js';
+import { COD_UNCONFIRMED_REASON } from './codService.js';
+import emailNotificationService from './emailNotificationService.js';
+import orderStateMachine from './orderStateMachine.js';
+import { CLIENT_URL, CART_RECOVERY_ATTRIBUTION_DAYS } from '../config/index.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Carts idle this long past the last reminder's delay are no longer chased
+const GIVE_UP_AFTER_HOURS = 48;
+
+// One reminder sequence per customer at a time: a second cart or checkout
+// waits until the first one's reminder is this old
+const SEQUENCE_GAP_HOURS = 24;
+
+const COUPON_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT'];
+
+// Checkout targets win over the cart they came from when both are due
+const SOURCE_PRIORITY = { ORDER: 0, CHECKOUT: 1, CART: 2 };
+
+const TARGET_KEYS = { CART: 'cartId', CHECKOUT: 'quoteId', ORDER: 'orderId' };
+
+const PRODUCT_IMAGE_SELECT = {
+  images: {
+    orderBy: { isPrimary: 'desc' },
+    take: 1,
+    select: { imageUrl: true }
+  }
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const recoveryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const fillPlaceholders = (text, values) => (text || '').replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, key) => (values[key] ?? '')
+);
+
+class CartRecoveryService {
+  constructor() {
+    // Orders placed unconfirmed (COD awaiting OTP) count once they are confirmed
+    orderStateMachine.registerHook('CONFIRMED', {
+      name: 'attributeCartRecovery',
+      afterCommit: async ({ updatedOrder }) => {
+        await this.attributeOrder(updatedOrder);
+      }
+    });
+  }
+
+  // ===== Admin step management =====
+
+  validateStep(data, existing = {}) {
+    const step = { ...existing, ...data };
+    const delayHours = Number(step.delayHours);
+
+    if (!step.name || !step.subject || !step.message) {
+      throw recoveryError('Name, subject and message are required');
+    }
+
+    if (!Number.isInteger(delayHours) || delayHours < 1) {
+      throw recoveryError('Delay must be a whole number of hours, at least 1');
+    }
+
+    const result = {
+      name: String(step.name).trim(),
+      delayHours,
+      subject: String(step.subject).trim(),
+      heading: step.heading ? String(step.heading).trim() : null,
+      message: String(step.message).trim(),
+      buttonText: step.buttonText ? String(step.buttonText).trim() : null,
+      couponType: step.couponType || null,
+      couponValue: null,
+      couponMaxDiscount: null,
+      couponMinOrderAmount: null,
+      couponValidHours: 72,
+      isActive: step.isActive !== undefined ? Boolean(step.isActive) : true
+    };
+
+    if (result.couponType) {
+      const couponValue = Number(step.couponValue);
+      const couponValidHours = Number(step.couponValidHours ?? 72);
+
+      if (!COUPON_TYPES.includes(result.couponType)) {
+        throw recoveryError(`Coupon type must be one of: ${COUPON_TYPES.join(', ')}`);
+      }
+
+      if (!(couponValue > 0) || (result.couponType === 'PERCENTAGE' && couponValue > 100)) {
+        throw recoveryError('Coupon value must be above 0, and at most 100 for a percentage');
+      }
+
+      if (!Number.isInteger(couponValidHours) || couponValidHours < 1) {
+        throw recoveryError('Coupon validity must be a whole number of hours, at least 1');
+      }
+
+      result.couponValue = couponValue;
+      result.couponMaxDiscount = step.couponMaxDiscount ? Number(step.couponMaxDiscount) : null;
+      result.couponMinOrderAmount = step.couponMinOrderAmount ? Number(step.couponMinOrderAmount) : null;
+      result.couponValidHours = couponValidHours;
+    }
+
+    return result;
+  }
+
+  async getSteps() {
+    return await prisma.cartRecoveryStep.findMany({
+      orderBy: { delayHours: 'asc' },
+      include: {
+        _count: { select: { messages: true } }
+      }
+    });
+  }
+
+  async getStep(stepId) {
+    const step = await prisma.cartRecoveryStep.findUnique({
+      where: { id: stepId }
+    });
+
+    if (!step) {
+      throw new Error('Recovery step not found');
+    }
+
+    return step;
+  }
+
+  async createStep(data) {
+    return await prisma.cartRecoveryStep.create({
+      data: this.validateStep(data)
+    });
+  }
+
+  async updateStep(stepId, data) {
+    const existing = await this.getStep(stepId);
+
+    return await prisma.cartRecoveryStep.update({
+      where: { id: stepId },
+      data: this.validateStep(data, existing)
+    });
+  }
+
+  // Sent reminders keep their history; they just lose the step link
+  async deleteStep(stepId) {
+    await this.getStep(stepId);
+
+    await prisma.cartRecoveryStep.delete({
+      where: { id: stepId }
+    });
+  }
+
+  // ===== Finding abandoned carts and checkouts =====
+
+  getUnitPrice(product, variant) {
+    if (variant?.price !== null && variant?.price !== undefined) {
+      return Number(variant.price);
+    }
+
+    return Number(product.offerPrice || product.normalPrice);
+  }
+
+  describeVariant(variant) {
+    return variant ? [variant.color, variant.size].filter(Boolean).join(' / ') : null;
+  }
+
+  async getCartTargets(window) {
+    const carts = await prisma.cart.findMany({
+      where: {
+        userId: { not: null },
+        updatedAt: window,
+        items: { some: {} },
+        user: { isActive: true },
+        // A cart rebuilt from a lapsed COD order is chased by that order's reminders
+        recoveryMessages: { none: { source: 'ORDER', sentAt: { gte: window.gte } } }
+      },
+      include: {
+        user: { select: { id: true, name: true, email: true } },
+        items: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            product: {
+              select: { name: true, normalPrice: true, offerPrice: true, ...PRODUCT_IMAGE_SELECT }
+            },
+            productVariant: {
+              select: { color: true, size: true, price: true }
+            }
+          }
+        }
+      }
+    });
+
+    return carts.map(cart => {
+      const items = cart.items.map(item => ({
+        name: item.product.name,
+        variant: this.describeVariant(item.productVariant),
+        quantity: item.quantity,
+        price: this.getUnitPrice(item.product, item.productVariant),
+        image: item.product.images[0]?.imageUrl || null
+      }));
+
+      return {
+        source: 'CART',
+        cartId: cart.id,
+        userId: cart.userId,
+        email: cart.user.email,
+        name: cart.user.name,
+        idleSince: cart.updatedAt,
+        items,
+        cartValue: round(items.reduce((sum, item) => sum + item.price * item.quantity, 0)),
+        recoveryUrl: `${CLIENT_URL}/cart`
+      };
+    });
+  }
+
+  // Quotes a Razorpay payment was started against but that never became an order
+  async getCheckoutTargets(window) {
+    const quotes = await prisma.checkoutQuote.findMany({
+      where: {
+        razorpayOrderId: { not: null },
+        orderId: null,
+        updatedAt: window
+      }
+    });
+
+    const productIds = [...new Set(quotes.flatMap(quote => (quote.items || []).map(item => item.productId)))];
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true, ...PRODUCT_IMAGE_SELECT }
+    });
+    const images = new Map(products.map(product => [product.id, product.images[0]?.imageUrl || null]));
+
+    return quotes
+      .filter(quote => quote.checkoutData?.email)
+      .map(quote => ({
+        source: 'CHECKOUT',
+        quoteId: quote.id,
+        userId: quote.userId,
+        email: quote.checkoutData.email,
+        name: quote.checkoutData.name || 'there',
+        idleSince: quote.updatedAt,
+        items: (quote.items || []).map(item => ({
+          name: item.product?.name || 'Item',
+          variant: this.describeVariant(item.variant),
+          quantity: item.quantity,
+          price: item.pricePerItem,
+          image: images.get(item.productId) || null
+        })),
+        cartValue: quote.totalAmount,
+        recoveryUrl: `${CLIENT_URL}/cart`
+      }));
+  }
+
+  // COD orders cancelled because the OTP never came. They can't be completed
+  // any more, so the reminder links to a cart rebuilt from the order.
+  async getOrderTargets(window) {
+    const orders = await prisma.order.findMany({
+      where: {
+        status: 'CANCELLED',
+        paymentMethod: 'COD',
+        codVerifiedAt: null,
+        cancellationReason: COD_UNCONFIRMED_REASON,
+        cancelledAt: window
+      },
+      include: {
+        orderItems: {
+          where: { customDesignId: null },
+          include: {
+            product: { select: { name: true, ...PRODUCT_IMAGE_SELECT } },
+            productVariant: { select: { color: true, size: true } }
+          }
+        }
+      }
+    });
+
+    return orders.map(order => ({
+      source: 'ORDER',
+      orderId: order.id,
+      userId: order.userId,
+      email: order.email,
+      name: order.name,
+      idleSince: order.cancelledAt,
+      items: order.orderItems.map(item => ({
+        name: item.product.name,
+        variant: this.describeVariant(item.productVariant),
+        quantity: item.quantity,
+        price: item.price,
+        image: item.product.images[0]?.imageUrl || null
+      })),
+      lines: order.orderItems.map(item => ({
+        productId: item.productId,
+        productVariantId: item.productVariantId,
+        quantity: item.quantity
+      })),
+      cartValue: order.totalAmount,
+      recoveryUrl: null
+    }));
+  }
+
+  // Put a lapsed order's items back in a cart, once per order: later reminders
+  // reuse the cart the first one built, and lines already in a customer's cart
+  // aren't added twice. Guests get a new guest cart whose session travels in
+  // the link. Returns null when nothing can be bought.
+  async rebuildOrderCart(target) {
+    const previous = await prisma.cartRecoveryMessage.findFirst({
+      where: { orderId: target.orderId, cartId: { not: null } },
+      orderBy: { sentAt: 'desc' },
+      include: { cart: { select: { id: true, sessionId: true } } }
+    });
+
+    let cart = previous?.cart || null;
+
+    if (!cart) {
+      const owner = target.userId ? { userId: target.userId } : {};
+      const existing = target.userId ? await cartService.findCart(owner) : null;
+      const missing = target.lines.filter(line => !existing?.items.some(item =>
+        item.productId === line.productId
+        && (item.productVariantId || null) === (line.productVariantId || null)
+      ));
+      const purchasable = [];
+
+      for (const line of missing) {
+        try {
+          await cartService.getPurchasable(line.productId, line.productVariantId);
+          purchasable.push(line);
+        } catch (error) {
+          // No longer sold - leave it out
+        }
+      }
+
+      if (purchasable.length > 0) {
+        cart = await cartService.addLines(owner, purchasable);
+      } else if (missing.length < target.lines.length) {
+        cart = existing;
+      } else {
+        return null;
+      }
+    }
+
+    return {
+      cartId: cart.id,
+      recoveryUrl: target.userId || !cart.sessionId
+        ? `${CLIENT_URL}/cart`
+        : `${CLIENT_URL}/cart?session=${encodeURIComponent(cart.sessionId)}`
+    };
+  }
+
+  // The customer has ordered since they went idle, so there is nothing to recover
+  async hasOrderedSince(target) {
+    const ordered = await prisma.order.count({
+      where: {
+        createdAt: { gt: target.idleSince },
+        status: { not: 'CANCELLED' },
+        ...(target.orderId && { id: { not: target.orderId } }),
+        OR: [
+          { email: { equals: target.email, mode: 'insensitive' } },
+          ...(target.userId ? [{ userId: target.userId }] : [])
+        ]
+      }
+    });
+
+    return ordered > 0;
+  }
+
+  // The latest due step after the ones already sent in this sequence. Steps
+  // missed while the job was down are skipped rather than sent in a burst.
+  async getNextStep(target, steps, now) {
+    const key = TARGET_KEYS[target.source];
+    const sent = await prisma.cartRecoveryMessage.findMany({
+      where: { [key]: target[key], idleSince: target.idleSince },
+      select: { stepId: true }
+    });
+    const sentIds = new Set(sent.map(message => message.stepId));
+    const lastSentDelay = Math.max(0, ...steps.filter(step => sentIds.has(step.id)).map(step => step.delayHours));
+    const idleHours = (now - target.idleSince) / HOUR;
+
+    const due = steps.filter(step =>
+      !sentIds.has(step.id)
+      && step.delayHours > lastSentDelay
+      && step.delayHours <= idleHours
+    );
+
+    return due[due.length - 1] || null;
+  }
+
+  // Another sequence reached this customer recently
+  async isInOtherSequence(target, now) {
+    const key = TARGET_KEYS[target.source];
+    const recent = await prisma.cartRecoveryMessage.findFirst({
+      where: {
+        email: { equals: target.email, mode: 'insensitive' },
+        sentAt: { gte: new Date(now - SEQUENCE_GAP_HOURS * HOUR) }
+      },
+      orderBy: { sentAt: 'desc' }
+    });
+
+    return Boolean(recent)
+      && !(recent[key] === target[key] && recent.idleSince.getTime() === target.idleSince.getTime());
+  }
+
+  // ===== Sending =====
+
+  formatCouponValue(coupon) {
+    return coupon.discountType === 'PERCENTAGE' ? `${coupon.discountValue}%` : `₹${coupon.discountValue}`;
+  }
+
+  buildEmail(step, target, coupon = null) {
+    const values = {
+      name: target.name,
+      couponCode: coupon?.code || '',
+      couponValue: coupon ? this.formatCouponValue(coupon) : '',
+      couponExpiry: coupon
+        ? new Date(coupon.validUntil).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+        : ''
+    };
+
+    return {
+      subject: fillPlaceholders(step.subject, values),
+      heading: fillPlaceholders(step.heading, values) || null,
+      message: fillPlaceholders(step.message, values),
+      buttonText: step.buttonText || 'Return to My Cart',
+      items: target.items,
+      cartValue: target.cartValue,
+      coupon: coupon
+        ? { code: coupon.code, value: values.couponValue, expiresAt: values.couponExpiry }
+        : null,
+      recoveryUrl: target.recoveryUrl
+    };
+  }
+
+  async sendStep(step, target) {
+    let coupon = null;
+
+    if (target.source === 'ORDER') {
+      const rebuilt = await this.rebuildOrderCart(target);
+
+      if (!rebuilt) {
+        return false;
+      }
+
+      Object.assign(target, rebuilt);
+    }
+
+    if (step.couponType) {
+      coupon = await couponService.createSingleUseCoupon({
+        prefix: 'COMEBACK',
+        discountType: step.couponType,
+        discountValue: step.couponValue,
+        maxDiscount: step.couponMaxDiscount,
+        minOrderAmount: step.couponMinOrderAmount,
+        validHours: step.couponValidHours,
+        description: `Cart recovery "${step.name}" for ${target.email}`
+      });
+    }
+
+    const sent = await emailNotificationService.sendCartRecovery(
+      { name: target.name, email: target.email },
+      this.buildEmail(step, target, coupon)
+    );
+
+    // Not recorded, so the next run tries again
+    if (!sent) {
+      if (coupon) {
+        await prisma.coupon.delete({ where: { id: coupon.id } });
+      }
+      return false;
+    }
+
+    await prisma.cartRecoveryMessage.create({
+      data: {
+        stepId: step.id,
+        source: target.source,
+        cartId: target.cartId || null,
+        quoteId: target.quoteId || null,
+        orderId: target.orderId || null,
+        userId: target.userId || null,
+        email: target.email,
+        idleSince: target.idleSince,
+        cartValue: target.cartValue,
+        couponId: coupon?.id || null
+      }
+    });
+
+    return true;
+  }
+
+  // Scheduled: send the next due reminder for every idle cart, unpaid checkout
+  // and unconfirmed order, at most one email per customer per run
+  async sendReminders(now = new Date()) {
+    const steps = await prisma.cartRecoveryStep.findMany({
+      where: { isActive: true },
+      orderBy: { delayHours: 'asc' }
+    });
+
+    if (steps.length === 0) {
+      return { sent: 0 };
+    }
+
+    const window = {
+      gte: new Date(now - (steps[steps.length - 1].delayHours + GIVE_UP_AFTER_HOURS) * HOUR),
+      lte: new Date(now - steps[0].delayHours * HOUR)
+    };
+
+    const targets = [
+      ...await this.getOrderTargets(window),
+      ...await this.getCheckoutTargets(window),
+      ...await this.getCartTargets(window)
+    ].sort((a, b) => SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source]);
+
+    const emailed = new Set();
+    let sent = 0;
+
+    for (const target of targets) {
+      const email = target.email.toLowerCase();
+
+      if (emailed.has(email) || target.items.length === 0) {
+        continue;
+      }
+
+      try {
+        const step = await this.getNextStep(target, steps, now);
+
+        if (!step || await this.hasOrderedSince(target) || await this.isInOtherSequence(target, now)) {
+          continue;
+        }
+
+        if (await this.sendStep(step, target)) {
+          emailed.add(email);
+          sent++;
+        }
+      } catch (error) {
+        logger.error(`Cart recovery reminder failed for ${target.source} ${target[TARGET_KEYS[target.source]]}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Cart recovery reminders sent: ${sent}`);
+    }
+
+    return { sent };
+  }
+
+  // ===== Attribution =====
+
+  // Credit a confirmed order to the reminder that brought it back: the one whose
+  // coupon it used, else the latest reminder sent to the customer before they
+  // ordered, within the attribution window
+  async attributeOrder(order) {
+    const since = new Date(Date.now() - CART_RECOVERY_ATTRIBUTION_DAYS * 24 * HOUR);
+    let message = null;
+
+    if (order.couponId) {
+      message = await prisma.cartRecoveryMessage.findUnique({
+        where: { couponId: order.couponId }
+      });
+    }
+
+    if (!message) {
+      message = await prisma.cartRecoveryMessage.findFirst({
+        where: {
+          recoveredOrderId: null,
+          sentAt: { gte: since, lte: order.createdAt },
+          OR: [
+            { email: { equals: order.email, mode: 'insensitive' } },
+            ...(order.userId ? [{ userId: order.userId }] : [])
+          ]
+        },
+        orderBy: { sentAt: 'desc' }
+      });
+    }
+
+    if (!message || message.recoveredOrderId) {
+      return null;
+    }
+
+    await prisma.cartRecoveryMessage.updateMany({
+      where: { id: message.id, recoveredOrderId: null },
+      data: {
+        recoveredOrderId: order.id,
+        recoveredAmount: order.totalAmount,
+        recoveredAt: new Date()
+      }
+    });
+
+    logger.info(`Order ${order.orderNumber} attributed to cart recovery reminder ${message.id}`);
+
+    return message.id;
+  }
+
+  async attributeOrderSafely(order) {
+    try {
+      return await this.attributeOrder(order);
+    } catch (error) {
+      logger.error(`Cart recovery attribution failed for order ${order.orderNumber}:`, error);
+      return null;
+    }
+  }
+
+  // ===== Reporting =====
+
+  async getMessages({ page = 1, limit = 20, source, stepId, recovered }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      ...(source && { source }),
+      ...(stepId && { stepId }),
+      ...(recovered === 'true' && { recoveredOrderId: { not: null } }),
+      ...(recovered === 'false' && { recoveredOrderId: null })
+    };
+
+    const [messages, total] = await Promise.all([
+      prisma.cartRecoveryMessage.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { sentAt: 'desc' },
+        include: {
+          step: { select: { id: true, name: true, delayHours: true } },
+          coupon: { select: { code: true, usedCount: true, validUntil: true } },
+          recoveredOrder: { select: { id: true, orderNumber: true, status: true } }
+        }
+      }),
+      prisma.cartRecoveryMessage.count({ where })
+    ]);
+
+    return {
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Reminders sent and revenue recovered, per step. Orders cancelled after
+  // being recovered don't count.
+  async getStats({ from, to } = {}) {
+    const where = {
+      ...((from || to) && {
+        sentAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      })
+    };
+    const recoveredWhere = {
+      ...where,
+      recoveredOrderId: { not: null },
+      recoveredOrder: { status: { not: 'CANCELLED' } }
+    };
+
+    const [steps, sentBySource, sentByStep, recoveredByStep, couponsIssued, couponsRedeemed] = await Promise.all([
+      prisma.cartRecoveryStep.findMany({ select: { id: true, name: true, delayHours: true } }),
+      prisma.cartRecoveryMessage.groupBy({ by: ['source'], where, _count: { _all: true } }),
+      prisma.cartRecoveryMessage.groupBy({ by: ['stepId'], where, _count: { _all: true } }),
+      prisma.cartRecoveryMessage.groupBy({
+        by: ['stepId'],
+        where: recoveredWhere,
+        _count: { _all: true },
+        _sum: { recoveredAmount: true }
+      }),
+      prisma.cartRecoveryMessage.count({ where: { ...where, couponId: { not: null } } }),
+      prisma.cartRecoveryMessage.count({ where: { ...where, coupon: { usedCount: { gt: 0 } } } })
+    ]);
+
+    const stepNames = new Map(steps.map(step => [step.id, step]));
+    const recovered = new Map(recoveredByStep.map(row => [row.stepId, row]));
+
+    const byStep = sentByStep.map(row => {
+      const recoveredRow = recovered.get(row.stepId);
+      const recoveredOrders = recoveredRow?._count._all || 0;
+
+      return {
+        stepId: row.stepId,
+        name: stepNames.get(row.stepId)?.name || 'Deleted step',
+        delayHours: stepNames.get(row.stepId)?.delayHours ?? null,
+        sent: row._count._all,
+        recoveredOrders,
+        recoveredRevenue: round(recoveredRow?._sum.recoveredAmount || 0),
+        conversionRate: row._count._all > 0 ? round(recoveredOrders / row._count._all * 100) : 0
+      };
+    }).sort((a, b) => (a.delayHours ?? Infinity) - (b.delayHours ?? Infinity));
+
+    const totalSent = byStep.reduce((sum, row) => sum + row.sent, 0);
+    const totalRecovered = byStep.reduce((sum, row) => sum + row.recoveredOrders, 0);
+
+    return {
+      sent: totalSent,
+      sentBySource: Object.fromEntries(sentBySource.map(row => [row.source, row._count._all])),
+      recoveredOrders: totalRecovered,
+      recoveredRevenue: round(byStep.reduce((sum, row) => sum + row.recoveredRevenue, 0)),
+      conversionRate: totalSent > 0 ? round(totalRecovered / totalSent * 100) : 0,
+      couponsIssued,
+      couponsRedeemed,
+      byStep
+    };
+  }
+
+  // Render a step against sample items so admins can check the email before it goes out
+  async previewStep(data) {
+    const step = this.validateStep(data);
+    const products = await prisma.product.findMany({
+      where: { status: 'ACTIVE' },
+      take: 2,
+      orderBy: { createdAt: 'desc' },
+      select: { name: true, normalPrice: true, offerPrice: true, ...PRODUCT_IMAGE_SELECT }
+    });
+    const items = products.map(product => ({
+      name: product.name,
+      variant: null,
+      quantity: 1,
+      price: this.getUnitPrice(product, null),
+      image: product.images[0]?.imageUrl || null
+    }));
+    const coupon = step.couponType
+      ? {
+          code: 'COMEBACK-PREVIEW',
+          discountType: step.couponType,
+          discountValue: step.couponValue,
+          validUntil: new Date(Date.now() + step.couponValidHours * HOUR)
+        }
+      : null;
+
+    const target = {
+      source: 'CART',
+      name: 'Customer',
+      items,
+      cartValue: round(items.reduce((sum, item) => sum + item.price, 0)),
+      recoveryUrl: `${CLIENT_URL}/cart`
+    };
+
+    return emailTemplates.cartRecovery({ name: target.name }, this.buildEmail(step, target, coupon));
+  }
+}
+
+export default new CartRecoveryService();
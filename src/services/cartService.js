@@ -0,0 +1,548 @@
+// services/cartService.js
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { productLineKey } from '../utils/helpers.js';
+import orderService from './orderService.js';
+
+const MAX_LINE_QUANTITY = 999;
+
+const CART_INCLUDE = {
+  items: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          productCode: true,
+          status: true,
+          normalPrice: true,
+          offerPrice: true,
+          images: {
+            where: { isPrimary: true },
+            take: 1,
+            select: { imageUrl: true }
+          }
+        }
+      },
+      productVariant: {
+        select: {
+          id: true,
+          productId: true,
+          color: true,
+          size: true,
+          sku: true,
+          stock: true,
+          price: true
+        }
+      }
+    }
+  }
+};
+
+const cartError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const sameLine = (a, b) => a.productId === b.productId
+  && (a.productVariantId || null) === (b.productVariantId || null);
+
+const parseQuantity = (quantity, { allowZero = false } = {}) => {
+  const value = Number(quantity);
+
+  if (!Number.isInteger(value) || value < (allowZero ? 0 : 1) || value > MAX_LINE_QUANTITY) {
+    throw cartError(`Quantity must be a whole number from ${allowZero ? 0 : 1} to ${MAX_LINE_QUANTITY}`, 400, 'INVALID_QUANTITY');
+  }
+
+  return value;
+};
+
+class CartService {
+
+  // Unit price before quantity pricing, the way checkout prices it
+  getUnitPrice(product, variant) {
+    if (variant?.price !== null && variant?.price !== undefined) {
+      return Number(variant.price);
+    }
+
+    return Number(product.offerPrice || product.normalPrice);
+  }
+
+  // Signed-in carts are keyed by user, guest carts by the X-Cart-Session id
+  ownerWhere({ userId = null, sessionId = null }) {
+    if (userId) {
+      return { userId };
+    }
+
+    return sessionId ? { sessionId } : null;
+  }
+
+  // The caller's cart, or null when they have none yet. A signed-in request
+  // that still carries a guest session folds that cart in first.
+  async findCart(owner) {
+    if (owner.userId && owner.sessionId) {
+      await this.mergeGuestCart(owner.sessionId, owner.userId);
+    }
+
+    const where = this.ownerWhere(owner);
+
+    return where ? await prisma.cart.findUnique({ where, include: CART_INCLUDE }) : null;
+  }
+
+  // Guests get a fresh server-issued session id rather than one they picked
+  async findOrCreateCart(owner) {
+    const cart = await this.findCart(owner);
+
+    if (cart) {
+      return cart;
+    }
+
+    try {
+      return await prisma.cart.create({
+        data: owner.userId ? { userId: owner.userId } : { sessionId: crypto.randomUUID() },
+        include: CART_INCLUDE
+      });
+    } catch (error) {
+      // Another request created the user's cart first
+      if (error.code === 'P2002' && owner.userId) {
+        return await prisma.cart.findUnique({ where: { userId: owner.userId }, include: CART_INCLUDE });
+      }
+      throw error;
+    }
+  }
+
+  // A new guest cart has a session id the caller doesn't know yet, so reload by id
+  async repriceCart(cartId) {
+    const cart = await prisma.cart.findUnique({ where: { id: cartId }, include: CART_INCLUDE });
+
+    return await this.priceCart(cart);
+  }
+
+  // Item changes don't touch the cart row, so bump it for "last active" queries
+  async touchCart(cartId, data = {}) {
+    await prisma.cart.update({
+      where: { id: cartId },
+      data: { ...data, updatedAt: new Date() }
+    });
+  }
+
+  async getPurchasable(productId, productVariantId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, name: true, status: true, normalPrice: true, offerPrice: true }
+    });
+
+    if (!product || product.status !== 'ACTIVE') {
+      throw cartError('This product is not available for purchase', 400, 'PRODUCT_UNAVAILABLE');
+    }
+
+    let variant = null;
+
+    if (productVariantId) {
+      variant = await prisma.productVariant.findUnique({
+        where: { id: productVariantId },
+        select: { id: true, productId: true, stock: true, price: true }
+      });
+
+      if (!variant || variant.productId !== product.id) {
+        throw cartError('Product variant not found', 400, 'VARIANT_UNAVAILABLE');
+      }
+    }
+
+    return { product, variant };
+  }
+
+  assertStock(product, variant, quantity) {
+    if (variant && variant.stock < quantity) {
+      throw cartError(
+        variant.stock > 0
+          ? `Only ${variant.stock} of ${product.name} left in stock`
+          : `${product.name} is out of stock`,
+        409,
+        'OUT_OF_STOCK'
+      );
+    }
+  }
+
+  // Adding a line that is already in the cart raises its quantity
+  async addItem(owner, { productId, productVariantId = null, quantity = 1 }) {
+    if (!productId) {
+      throw new Error('Product ID is required');
+    }
+
+    const addQuantity = parseQuantity(quantity);
+    const { product, variant } = await this.getPurchasable(productId, productVariantId);
+    const cart = await this.findOrCreateCart(owner);
+    const existing = cart.items.find(item => sameLine(item, { productId, productVariantId }));
+    const newQuantity = (existing?.quantity || 0) + addQuantity;
+
+    parseQuantity(newQuantity);
+    this.assertStock(product, variant, newQuantity);
+
+    // The shopper sees today's price when adding, so that becomes the reference
+    const unitPriceAtAdd = this.getUnitPrice(product, variant);
+
+    // Two adds racing each other land on the same line
+    await prisma.cartItem.upsert({
+      where: { cartId_lineKey: { cartId: cart.id, lineKey: productLineKey({ productId, productVariantId }) } },
+      create: {
+        cartId: cart.id,
+        productId,
+        productVariantId: productVariantId || null,
+        lineKey: productLineKey({ productId, productVariantId }),
+        quantity: addQuantity,
+        unitPriceAtAdd
+      },
+      update: { quantity: { increment: addQuantity }, unitPriceAtAdd }
+    });
+
+    await this.touchCart(cart.id);
+
+    return await this.repriceCart(cart.id);
+  }
+
+  // Add several lines at once (e.g. a reorder). Stock isn't enforced here;
+  // shortfalls come back as warnings on the priced cart.
+  async addLines(owner, lines, { replace = false } = {}) {
+    const cart = await this.findOrCreateCart(owner);
+    const items = replace ? [] : cart.items;
+
+    if (replace) {
+      await prisma.cartItem.deleteMany({ where: { cartId: cart.id } });
+    }
+
+    for (const line of lines) {
+      const { product, variant } = await this.getPurchasable(line.productId, line.productVariantId);
+      const existing = items.find(item => sameLine(item, line));
+      const unitPriceAtAdd = this.getUnitPrice(product, variant);
+      const quantity = Math.min((existing?.quantity || 0) + line.quantity, MAX_LINE_QUANTITY);
+      const lineKey = productLineKey(line);
+
+      const saved = await prisma.cartItem.upsert({
+        where: { cartId_lineKey: { cartId: cart.id, lineKey } },
+        create: {
+          cartId: cart.id,
+          productId: line.productId,
+          productVariantId: line.productVariantId || null,
+          lineKey,
+          quantity,
+          unitPriceAtAdd
+        },
+        update: { quantity, unitPriceAtAdd }
+      });
+
+      if (existing) {
+        existing.quantity = saved.quantity;
+      } else {
+        items.push(saved);
+      }
+    }
+
+    await this.touchCart(cart.id);
+
+    return await this.repriceCart(cart.id);
+  }
+
+  async getCartItem(owner, itemId) {
+    const cart = await this.findCart(owner);
+    const item = cart?.items.find(line => line.id === itemId);
+
+    if (!item) {
+      throw new Error('Cart item not found');
+    }
+
+    return { cart, item };
+  }
+
+  // Quantity 0 removes the line
+  async updateItem(owner, itemId, { quantity }) {
+    const newQuantity = parseQuantity(quantity, { allowZero: true });
+
+    if (newQuantity === 0) {
+      return await this.removeItem(owner, itemId);
+    }
+
+    const { cart, item } = await this.getCartItem(owner, itemId);
+    const { product, variant } = await this.getPurchasable(item.productId, item.productVariantId);
+
+    this.assertStock(product, variant, newQuantity);
+
+    await prisma.cartItem.update({
+      where: { id: item.id },
+      data: { quantity: newQuantity, unitPriceAtAdd: this.getUnitPrice(product, variant) }
+    });
+    await this.touchCart(cart.id);
+
+    return await this.repriceCart(cart.id);
+  }
+
+  async removeItem(owner, itemId) {
+    const { cart, item } = await this.getCartItem(owner, itemId);
+
+    await prisma.cartItem.delete({ where: { id: item.id } });
+    await this.touchCart(cart.id);
+
+    return await this.repriceCart(cart.id);
+  }
+
+  async clearCart(owner) {
+    const cart = await this.findCart(owner);
+
+    if (cart) {
+      await prisma.cartItem.deleteMany({ where: { cartId: cart.id } });
+      await this.touchCart(cart.id, { discountCode: null });
+    }
+
+    return await this.getPricedCart(owner);
+  }
+
+  // Only saved when it actually applies to the cart as it is now
+  async applyDiscount(owner, discountCode) {
+    if (!discountCode) {
+      throw new Error('Discount code is required');
+    }
+
+    const cart = await this.findCart(owner);
+
+    if (!cart || cart.items.length === 0) {
+      throw new Error('Your cart is empty');
+    }
+
+    const priced = await this.priceCart(cart, { discountCode });
+
+    if (priced.discountError || priced.totals.appliedDiscounts.length === 0) {
+      throw cartError(priced.discountError || 'This discount does not apply to your cart', 400, 'DISCOUNT_NOT_APPLICABLE');
+    }
+
+    await this.touchCart(cart.id, { discountCode });
+
+    return { ...priced, discountCode };
+  }
+
+  async removeDiscount(owner) {
+    const cart = await this.findCart(owner);
+
+    if (cart) {
+      await this.touchCart(cart.id, { discountCode: null });
+    }
+
+    return await this.getPricedCart(owner);
+  }
+
+  // Move a guest cart into the user's on login. Matching lines add up; stock
+  // shortfalls show up as warnings on the next pricing rather than failing the login.
+  async mergeGuestCart(sessionId, userId) {
+    const merged = await prisma.$transaction(async (tx) => {
+      const guest = await tx.cart.findUnique({
+        where: { sessionId },
+        include: { items: true }
+      });
+
+      if (!guest || guest.userId) {
+        return null;
+      }
+
+      const cart = await tx.cart.findUnique({
+        where: { userId },
+        include: { items: true }
+      });
+
+      // No cart yet: the guest cart simply becomes the user's
+      if (!cart) {
+        await tx.cart.update({
+          where: { id: guest.id },
+          data: { userId, sessionId: null }
+        });
+        return { cartId: guest.id, items: guest.items.length };
+      }
+
+      for (const item of guest.items) {
+        const existing = cart.items.find(line => sameLine(line, item));
+
+        if (existing) {
+          await tx.cartItem.update({
+            where: { id: existing.id },
+            data: { quantity: Math.min(existing.quantity + item.quantity, MAX_LINE_QUANTITY) }
+          });
+        } else {
+          await tx.cartItem.update({
+            where: { id: item.id },
+            data: { cartId: cart.id }
+          });
+        }
+      }
+
+      await tx.cart.update({
+        where: { id: cart.id },
+        data: {
+          discountCode: cart.discountCode || guest.discountCode,
+          updatedAt: new Date()
+        }
+      });
+      await tx.cart.delete({ where: { id: guest.id } });
+
+      return { cartId: cart.id, items: guest.items.length };
+    });
+
+    if (merged) {
+      logger.info(`Guest cart merged into cart ${merged.cartId} for user ${userId}`, { Items: merged.items });
+    }
+
+    return merged;
+  }
+
+  // Re-price every line with today's prices, quantity offers, discount and stock.
+  // Lines that can't be bought are left out of the totals and come back with a warning.
+  async priceCart(cart, { discountCode = cart.discountCode, shippingState = null, pincode = null } = {}) {
+    const warnings = [];
+    const purchasable = [];
+
+    const items = cart.items.map(item => {
+      const { product, productVariant: variant } = item;
+      const unitPrice = this.getUnitPrice(product, variant);
+      const line = {
+        id: item.id,
+        productId: item.productId,
+        productVariantId: item.productVariantId,
+        quantity: item.quantity,
+        product: {
+          id: product.id,
+          name: product.name,
+          productCode: product.productCode,
+          image: product.images[0]?.imageUrl || null
+        },
+        variant: variant
+          ? { id: variant.id, color: variant.color, size: variant.size, sku: variant.sku, stock: variant.stock }
+          : null,
+        unitPrice,
+        unitPriceAtAdd: item.unitPriceAtAdd,
+        available: true,
+        pricedQuantity: 0,
+        pricePerItem: null,
+        itemTotal: 0,
+        itemSavings: 0,
+        quantityPricing: null,
+        warnings: []
+      };
+
+      const warn = (code, message) => {
+        line.warnings.push({ code, message });
+        warnings.push({ itemId: item.id, code, message });
+      };
+
+      if (product.status !== 'ACTIVE') {
+        line.available = false;
+        warn('PRODUCT_UNAVAILABLE', `${product.name} is no longer available`);
+        return line;
+      }
+
+      if (variant && variant.stock <= 0) {
+        line.available = false;
+        warn('OUT_OF_STOCK', `${product.name} is out of stock`);
+        return line;
+      }
+
+      // Price what can actually be bought; the saved quantity is left for the shopper to change
+      line.pricedQuantity = variant ? Math.min(item.quantity, variant.stock) : item.quantity;
+
+      if (line.pricedQuantity < item.quantity) {
+        warn('INSUFFICIENT_STOCK', `Only ${variant.stock} of ${product.name} left in stock`);
+      }
+
+      if (Math.abs(unitPrice - item.unitPriceAtAdd) >= 0.01) {
+        warn(
+          'PRICE_CHANGED',
+          `The price of ${product.name} has ${unitPrice > item.unitPriceAtAdd ? 'gone up' : 'dropped'} from ₹${item.unitPriceAtAdd} to ₹${unitPrice}`
+        );
+      }
+
+      purchasable.push(line);
+      return line;
+    });
+
+    let totals = {
+      subtotal: 0,
+      quantitySavings: 0,
+      discountAmount: 0,
+      appliedDiscounts: [],
+      shippingCost: 0,
+      taxAmount: 0,
+      totalAmount: 0,
+      hasQuantityDiscounts: false
+    };
+    let discountError = null;
+
+    if (purchasable.length > 0) {
+      const calculated = await orderService.calculateOrderTotals(
+        purchasable.map(line => ({
+          productId: line.productId,
+          productVariantId: line.productVariantId,
+          quantity: line.pricedQuantity
+        })),
+        discountCode,
+        shippingState,
+        cart.userId,
+        { pincode }
+      );
+
+      calculated.items.forEach((pricedItem, index) => {
+        const line = purchasable[index];
+        line.pricePerItem = round(pricedItem.quantityPricing.pricePerItem);
+        line.itemTotal = round(pricedItem.itemTotal);
+        line.itemSavings = round(pricedItem.itemSavings);
+        line.quantityPricing = pricedItem.quantityPricing;
+      });
+
+      totals = {
+        subtotal: calculated.subtotal,
+        quantitySavings: calculated.quantitySavings,
+        discountAmount: calculated.discountAmount,
+        appliedDiscounts: calculated.appliedDiscounts,
+        shippingCost: calculated.shippingCost,
+        taxAmount: calculated.taxAmount,
+        totalAmount: calculated.totalAmount,
+        hasQuantityDiscounts: calculated.hasQuantityDiscounts
+      };
+      discountError = calculated.discountError;
+    }
+
+    return {
+      id: cart.id,
+      // Guests keep sending this back as X-Cart-Session
+      sessionId: cart.userId ? null : cart.sessionId,
+      discountCode: discountCode || null,
+      itemCount: items.reduce((sum, line) => sum + line.quantity, 0),
+      items,
+      warnings,
+      totals,
+      discountError,
+      updatedAt: cart.updatedAt
+    };
+  }
+
+  // An empty cart is returned without being created
+  async getPricedCart(owner, options = {}) {
+    const cart = await this.findCart(owner);
+
+    if (!cart) {
+      return await this.priceCart({
+        id: null,
+        userId: owner.userId || null,
+        sessionId: null,
+        discountCode: null,
+        items: [],
+        updatedAt: null
+      }, options);
+    }
+
+    return await this.priceCart(cart, options);
+  }
+}
+
+export default new CartService();
@@ -121,7 +121,7 @@ async getCategoryById(categoryId, includeSubcategories = false) {
   
 // Create category
 async createCategory(categoryData, file = null) {
-  const { name, description, isActive = true } = categoryData;
+  const { name, description, hsnCode, taxCategory, isActive = true } = categoryData;
   
   // Check if category name already exists
   const existingCategory = await prisma.category.findFirst({
@@ -151,6 +151,8 @@ async createCategory(categoryData, file = null) {
     data: {
       name,
       description,
+      hsnCode: hsnCode || null,
+      taxCategory: taxCategory ? taxCategory.trim().toUpperCase() : null,
       image: imageUrl,
       imagePublicId,
       isActive,
@@ -177,7 +179,7 @@ async createCategory(categoryData, file = null) {
       throw new Error('Category not found');
     }
     
-    const { name, description, isActive } = updateData;
+    const { name, description, hsnCode, taxCategory, isActive } = updateData;
     
     // Check if category name is being updated and if it's already taken
     if (name && name !== category.name) {
@@ -223,6 +225,8 @@ async createCategory(categoryData, file = null) {
       data: {
         name,
         description,
+        hsnCode,
+        taxCategory: taxCategory !== undefined ? (taxCategory ? taxCategory.trim().toUpperCase() : null) : undefined,
         image: imageUrl,
         imagePublicId,
         isActive,
@@ -0,0 +1,190 @@
+// services/checkoutQuoteService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { CHECKOUT_QUOTE_TTL_MINUTES } from '../config/index.js';
+
+// Open quotes can still become an order; a paid quote may have expired meanwhile
+const CONSUMABLE_STATUSES = ['ACTIVE', 'EXPIRED'];
+
+export const quoteRefundedError = () => {
+  const error = new Error('Payment for this checkout was refunded because the order could not be placed');
+  error.statusCode = 409;
+  error.code = 'QUOTE_REFUNDED';
+  return error;
+};
+
+class CheckoutQuoteService {
+
+  // Keep only the fields we trust from a priced line - never raw client input
+  serializeItems(items) {
+    return items.map(item => ({
+      productId: item.productId,
+      productVariantId: item.productVariantId || null,
+      quantity: item.quantity,
+      product: item.product,
+      variant: item.variant,
+      basePrice: item.basePrice,
+      pricePerItem: parseFloat(item.quantityPricing.pricePerItem.toFixed(2)),
+      itemTotal: parseFloat(item.itemTotal.toFixed(2)),
+      itemSavings: parseFloat(item.itemSavings.toFixed(2)),
+      quantityPricing: item.quantityPricing,
+      tax: item.tax || null
+    }));
+  }
+
+  // Persist the totals produced by OrderService.calculateOrderTotals
+  async createQuote(totals, { userId = null, discountCode = null, cartId = null } = {}) {
+    const expiresAt = new Date(Date.now() + CHECKOUT_QUOTE_TTL_MINUTES * 60 * 1000);
+
+    const quote = await prisma.checkoutQuote.create({
+      data: {
+        userId,
+        cartId,
+        items: this.serializeItems(totals.items),
+        appliedDiscounts: totals.appliedDiscounts || [],
+        discountCode: discountCode || null,
+        subtotal: totals.subtotal,
+        quantitySavings: totals.quantitySavings,
+        discountAmount: totals.discountAmount,
+        shippingCost: totals.shippingCost,
+        shippingState: totals.shippingState,
+        shippingPincode: totals.shippingPincode || null,
+        shippingMethod: totals.shippingMethod || 'STANDARD',
+        paymentMethod: totals.paymentMethod || null,
+        shippingDetails: totals.shippingDetails || null,
+        codFee: totals.codFee || 0,
+        taxAmount: totals.taxAmount || 0,
+        taxDetails: totals.taxDetails || null,
+        storeCreditAmount: totals.storeCreditAmount || 0,
+        totalAmount: totals.totalAmount,
+        expiresAt
+      }
+    });
+
+    logger.info(`Checkout quote created: ${quote.id} - ₹${quote.totalAmount}`);
+    return quote;
+  }
+
+  // Quote that can still start a new payment: owned by the user, unused and not expired
+  async getActiveQuote(quoteId, userId = null) {
+    if (!quoteId) {
+      throw new Error('Checkout quote ID is required. Please recalculate totals');
+    }
+
+    const quote = await prisma.checkoutQuote.findUnique({
+      where: { id: quoteId }
+    });
+
+    if (!quote || (quote.userId && quote.userId !== userId)) {
+      throw new Error('Checkout quote not found');
+    }
+
+    if (['CONSUMED', 'REFUNDED'].includes(quote.status)) {
+      throw new Error('Checkout quote has already been used');
+    }
+
+    if (quote.status === 'EXPIRED' || quote.expiresAt < new Date()) {
+      if (quote.status !== 'EXPIRED') {
+        await prisma.checkoutQuote.update({
+          where: { id: quote.id },
+          data: { status: 'EXPIRED' }
+        });
+      }
+      throw new Error('Checkout quote has expired. Please recalculate totals');
+    }
+
+    return quote;
+  }
+
+  // Quote a payment was initiated against. Expiry is ignored here because the
+  // customer may have paid after the TTL ran out - the charged amount still stands.
+  async getQuoteForRazorpayOrder(razorpayOrderId) {
+    const quote = await prisma.checkoutQuote.findUnique({
+      where: { razorpayOrderId }
+    });
+
+    if (!quote) {
+      throw new Error(`No checkout quote found for payment order ${razorpayOrderId}`);
+    }
+
+    return quote;
+  }
+
+  async attachPayment(quoteId, razorpayOrderId, checkoutData) {
+    return await prisma.checkoutQuote.update({
+      where: { id: quoteId },
+      data: {
+        razorpayOrderId,
+        checkoutData
+      }
+    });
+  }
+
+  // Conditional, so an order can't be created for a quote whose payment was
+  // refunded in the meantime - the caller's transaction rolls back instead
+  async markConsumed(quoteId, orderId, tx = prisma) {
+    const { count } = await tx.checkoutQuote.updateMany({
+      where: { id: quoteId, status: { in: CONSUMABLE_STATUSES } },
+      data: {
+        status: 'CONSUMED',
+        orderId
+      }
+    });
+
+    if (count === 0) {
+      const quote = await tx.checkoutQuote.findUnique({
+        where: { id: quoteId },
+        select: { status: true }
+      });
+
+      if (quote?.status === 'REFUNDED') {
+        throw quoteRefundedError();
+      }
+
+      const error = new Error('Checkout quote has already been used');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  // Void a paid quote that could not become an order. Returns false when another
+  // request already consumed or refunded it.
+  async markRefunded(quoteId, razorpayPaymentId, tx = prisma) {
+    const { count } = await tx.checkoutQuote.updateMany({
+      where: { id: quoteId, status: { in: CONSUMABLE_STATUSES } },
+      data: {
+        status: 'REFUNDED',
+        refundedPaymentId: razorpayPaymentId
+      }
+    });
+
+    return count > 0;
+  }
+
+  // Shape a stored quote like the calculate-totals response
+  toTotals(quote) {
+    return {
+      quoteId: quote.id,
+      expiresAt: quote.expiresAt,
+      subtotal: quote.subtotal,
+      quantitySavings: quote.quantitySavings,
+      discountAmount: quote.discountAmount,
+      appliedDiscounts: quote.appliedDiscounts || [],
+      shippingCost: quote.shippingCost,
+      shippingState: quote.shippingState,
+      shippingPincode: quote.shippingPincode,
+      shippingMethod: quote.shippingMethod,
+      paymentMethod: quote.paymentMethod,
+      shippingDetails: quote.shippingDetails || null,
+      codFee: quote.codFee,
+      taxAmount: quote.taxAmount,
+      taxDetails: quote.taxDetails || null,
+      storeCreditAmount: quote.storeCreditAmount,
+      totalAmount: quote.totalAmount,
+      items: quote.items,
+      hasQuantityDiscounts: quote.quantitySavings > 0
+    };
+  }
+}
+
+export default new CheckoutQuoteService();
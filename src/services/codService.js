@@ -0,0 +1,290 @@
+// services/codService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { normalizePhone } from '../utils/helpers.js';
+import authService from './authService.js';
+import orderStateMachine from './orderStateMachine.js';
+import emailNotificationService from './emailNotificationService.js';
+import {
+  COD_MAX_ORDER_VALUE,
+  COD_MAX_OPEN_ORDERS,
+  COD_MAX_REFUSALS,
+  COD_CONFIRMATION_WINDOW_MINUTES
+} from '../config/index.js';
+
+// Cancellation reason for orders whose OTP never came; cart recovery looks for it
+export const COD_UNCONFIRMED_REASON = 'COD order was not confirmed by OTP in time';
+
+// COD orders still waiting on delivery count against the open-order limit
+const OPEN_COD_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING', 'PARTIALLY_SHIPPED', 'SHIPPED', 'PARTIALLY_REFUNDED'];
+
+// A new OTP can be requested once the last one is a minute old
+const OTP_RESEND_AFTER_MS = 60 * 1000;
+const OTP_VALIDITY_MS = 10 * 60 * 1000; // authService.createOTP validity
+
+// Orders placed before normalizedPhone existed only have the raw number
+const phoneMatch = (phone) => ({
+  OR: [
+    { normalizedPhone: normalizePhone(phone) },
+    { normalizedPhone: null, phone }
+  ]
+});
+
+const codError = (message, code = 'COD_NOT_ALLOWED') => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  return error;
+};
+
+class CodService {
+  constructor() {
+    // Refused COD parcels count towards blocking the customer
+    orderStateMachine.registerHook('RETURNED_TO_ORIGIN', {
+      name: 'codRefusal',
+      afterCommit: async ({ order }) => {
+        if (order.paymentMethod === 'COD') {
+          await this.recordRefusal(order);
+        }
+      }
+    });
+  }
+
+  // Refused COD deliveries for the customer, by account or by phone number.
+  // Refusals before an admin lifted the block are forgiven.
+  async countRefusals({ userId, phone }) {
+    const user = userId
+      ? await prisma.user.findUnique({
+          where: { id: userId },
+          select: { codUnblockedAt: true }
+        })
+      : null;
+
+    return await prisma.order.count({
+      where: {
+        paymentMethod: 'COD',
+        status: 'RETURNED_TO_ORIGIN',
+        OR: [
+          ...(userId ? [{ userId }] : []),
+          phoneMatch(phone)
+        ],
+        ...(user?.codUnblockedAt && { returnedToOriginAt: { gt: user.codUnblockedAt } })
+      }
+    });
+  }
+
+  // Throws when the customer or cart is not allowed to pay cash on delivery
+  async assertCodEligible({ userId, phone, totalAmount }) {
+    if (totalAmount > COD_MAX_ORDER_VALUE) {
+      throw codError(`Cash on delivery is available for orders up to ₹${COD_MAX_ORDER_VALUE}. Please pay online`, 'COD_LIMIT_EXCEEDED');
+    }
+
+    const user = userId
+      ? await prisma.user.findUnique({
+          where: { id: userId },
+          select: { codBlocked: true }
+        })
+      : null;
+
+    if (user?.codBlocked) {
+      throw codError('Cash on delivery is not available for your account. Please pay online');
+    }
+
+    const refusals = await this.countRefusals({ userId, phone });
+
+    if (refusals >= COD_MAX_REFUSALS) {
+      throw codError('Cash on delivery is not available due to previously refused deliveries. Please pay online');
+    }
+
+    const openOrders = await prisma.order.count({
+      where: {
+        paymentMethod: 'COD',
+        status: { in: OPEN_COD_STATUSES },
+        ...(userId ? { userId } : phoneMatch(phone))
+      }
+    });
+
+    if (openOrders >= COD_MAX_OPEN_ORDERS) {
+      throw codError(`You already have ${openOrders} cash on delivery orders in progress. Please pay online or wait for them to be delivered`, 'COD_LIMIT_EXCEEDED');
+    }
+  }
+
+  // A phone number the customer already verified on their account needs no OTP
+  async isPhoneVerified(userId, phone) {
+    if (!userId) {
+      return false;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { phone: true, isPhoneVerified: true }
+    });
+
+    return !!user?.isPhoneVerified && normalizePhone(user.phone) === normalizePhone(phone);
+  }
+
+  async getPendingCodOrder(orderId, userId) {
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, userId }
+    });
+
+    if (!order || order.paymentMethod !== 'COD') {
+      throw new Error('Order not found');
+    }
+
+    if (order.codVerifiedAt || order.status !== 'PENDING') {
+      throw codError('This order does not need confirmation', 'COD_ALREADY_CONFIRMED');
+    }
+
+    return order;
+  }
+
+  async sendOrderOtp(orderId, userId) {
+    const order = await this.getPendingCodOrder(orderId, userId);
+
+    if (order.codOtpExpiry && order.codOtpExpiry.getTime() - OTP_VALIDITY_MS + OTP_RESEND_AFTER_MS > Date.now()) {
+      throw codError('OTP already sent. Please wait a minute before requesting another', 'OTP_RATE_LIMITED');
+    }
+
+    const { otp, otpSecret, otpExpiry } = await authService.createOTP();
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        codOtpSecret: otpSecret,
+        codOtpExpiry: otpExpiry,
+        codOtpAttempts: 0
+      }
+    });
+
+    await authService.sendOTPMessage(order.phone, otp);
+
+    logger.info(`COD confirmation OTP sent for order ${order.orderNumber}`);
+
+    return { requiresOTP: true, message: 'OTP sent successfully' };
+  }
+
+  // Correct OTP confirms the phone, then the order
+  async verifyOrderOtp(orderId, userId, otp) {
+    if (!otp) {
+      throw new Error('OTP is required');
+    }
+
+    const order = await this.getPendingCodOrder(orderId, userId);
+
+    if (!order.codOtpSecret || !order.codOtpExpiry || order.codOtpExpiry < new Date()) {
+      throw new Error('Invalid or expired OTP');
+    }
+
+    const isValid = await authService.checkOTP(otp, order.codOtpSecret, order.codOtpAttempts);
+
+    if (!isValid) {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { codOtpAttempts: { increment: 1 } }
+      });
+      throw new Error('Invalid OTP');
+    }
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        codVerifiedAt: new Date(),
+        codOtpSecret: null,
+        codOtpExpiry: null,
+        codOtpAttempts: 0
+      }
+    });
+
+    // The order confirmation emails replace the generic status email
+    const { order: confirmedOrder } = await orderStateMachine.transition(order.id, 'CONFIRMED', {
+      description: 'Phone number confirmed by OTP. COD order confirmed',
+      location: 'Customer',
+      notify: false
+    });
+
+    try {
+      await emailNotificationService.sendOrderNotifications(confirmedOrder);
+    } catch (emailError) {
+      logger.error('Failed to send COD order confirmation email:', emailError);
+    }
+
+    return confirmedOrder;
+  }
+
+  // Block the customer from COD once they reach the refusal limit
+  async recordRefusal(order) {
+    const refusals = await this.countRefusals({ userId: order.userId, phone: order.phone });
+
+    logger.warn(`COD order ${order.orderNumber} returned to origin`, {
+      Phone: order.phone,
+      Refusals: refusals
+    });
+
+    if (order.userId && refusals >= COD_MAX_REFUSALS) {
+      await prisma.user.update({
+        where: { id: order.userId },
+        data: {
+          codBlocked: true,
+          codBlockedReason: `${refusals} COD deliveries refused (last: ${order.orderNumber})`
+        }
+      });
+
+      logger.warn(`COD blocked for user ${order.userId} after ${refusals} refused deliveries`);
+    }
+  }
+
+  // Admins can lift (or set) the block by hand
+  async setCodBlocked(userId, blocked, reason = null) {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: {
+        codBlocked: blocked,
+        codBlockedReason: blocked ? (reason || 'Blocked by admin') : null,
+        ...(!blocked && { codUnblockedAt: new Date() })
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        codBlocked: true,
+        codBlockedReason: true
+      }
+    });
+  }
+
+  // COD orders never confirmed by OTP give their stock back
+  async cancelUnconfirmedOrders() {
+    const cutoff = new Date(Date.now() - COD_CONFIRMATION_WINDOW_MINUTES * 60 * 1000);
+
+    const orders = await prisma.order.findMany({
+      where: {
+        paymentMethod: 'COD',
+        status: 'PENDING',
+        codVerifiedAt: null,
+        createdAt: { lt: cutoff }
+      },
+      select: { id: true, orderNumber: true }
+    });
+
+    for (const order of orders) {
+      try {
+        await orderStateMachine.transition(order.id, 'CANCELLED', {
+          reason: COD_UNCONFIRMED_REASON,
+          location: 'System',
+          notify: false
+        });
+      } catch (error) {
+        logger.error(`Failed to cancel unconfirmed COD order ${order.orderNumber}:`, error);
+      }
+    }
+
+    if (orders.length > 0) {
+      logger.info(`Cancelled ${orders.length} unconfirmed COD orders`);
+    }
+
+    return orders.length;
+  }
+}
+
+export default new CodService();
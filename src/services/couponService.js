@@ -1,5 +1,7 @@
 // services/couponService.js
+import crypto from 'crypto';
 import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
 
 class CouponService {
   
@@ -51,6 +53,85 @@ class CouponService {
     });
   }
 
+  couponUsedUpError() {
+    const error = new Error('This coupon has already been used up');
+    error.statusCode = 409;
+    error.code = 'COUPON_USED_UP';
+    return error;
+  }
+
+  // Checked again before payment, since the quote may be older than the last redemption
+  async assertCouponAvailable(couponId) {
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: couponId },
+      select: { isActive: true, usageLimit: true, usedCount: true }
+    });
+
+    if (!coupon || !coupon.isActive || (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)) {
+      throw this.couponUsedUpError();
+    }
+  }
+
+  // Count a coupon against its limit when the order using it is placed. The
+  // increment only happens while uses are left, so several quotes made with
+  // the same code can't all redeem it; a used-up coupon fails the order
+  // transaction with COUPON_USED_UP.
+  async recordCouponUsage(tx, couponId, discountAmount) {
+    const result = await tx.coupon.updateMany({
+      where: {
+        id: couponId,
+        OR: [
+          { usageLimit: null },
+          { usedCount: { lt: prisma.coupon.fields.usageLimit } }
+        ]
+      },
+      data: {
+        usedCount: { increment: 1 },
+        totalDiscounts: { increment: discountAmount }
+      }
+    });
+
+    if (result.count === 0) {
+      logger.warn(`Coupon ${couponId} was used up before the order could be placed`);
+      throw this.couponUsedUpError();
+    }
+  }
+
+  // A one-off code for a single customer, kept out of the public coupon list
+  async createSingleUseCoupon({ prefix = 'SAVE', discountType, discountValue, maxDiscount = null, minOrderAmount = 0, validHours, description = null }) {
+    const now = new Date();
+
+    return await prisma.coupon.create({
+      data: {
+        code: `${prefix}-${crypto.randomBytes(4).toString('hex')}`.toUpperCase(),
+        description,
+        discountType,
+        discountValue,
+        maxDiscount,
+        minOrderAmount: minOrderAmount || 0,
+        usageLimit: 1,
+        validFrom: now,
+        validUntil: new Date(now.getTime() + validHours * 60 * 60 * 1000),
+        isPublic: false
+      }
+    });
+  }
+
+  // Coupon attached to a cancelled order no longer counts against its limit
+  async reverseCouponUsage(tx, couponId) {
+    if (!couponId) return;
+
+    await tx.coupon.updateMany({
+      where: {
+        id: couponId,
+        usedCount: { gt: 0 }
+      },
+      data: {
+        usedCount: { decrement: 1 }
+      }
+    });
+  }
+
   async createCoupon(data) {
     return await prisma.coupon.create({
       data: {
@@ -82,6 +163,7 @@ async getAvailableCoupons(subtotal = 0) {
   const coupons = await prisma.coupon.findMany({
     where: {
       isActive: true,
+      isPublic: true,
       validFrom: { lte: currentDate },
       validUntil: { gte: currentDate }
     }
@@ -1,13 +1,61 @@
-// In a separate file like cronJobs.js
+// services/cronJobs.js
 import cron from 'node-cron';
-import productService from './services/productService.js';
-
-// Run every day at 2 AM
-cron.schedule('0 2 * * *', async () => {
-  try {
-    await productService.autoMarkNewArrivals();
-    await productService.autoUpdateBestSellers();
-  } catch (error) {
-    console.error('Error in merchandising auto-update:', error);
-  }
-});
\ No newline at end of file
+import productService from './productService.js';
+import stockReservationService from './stockReservationService.js';
+import codService from './codService.js';
+import wishlistService from './wishlistService.js';
+import cartRecoveryService from './cartRecoveryService.js';
+import logger from '../utils/logger.js';
+
+// New-arrival and best-seller flags, daily at 2 AM. Not started with the
+// server's jobs below; it has never run and needs its own go-ahead.
+export const startMerchandisingJobs = () => {
+  cron.schedule('0 2 * * *', async () => {
+    try {
+      await productService.autoMarkNewArrivals();
+      await productService.autoUpdateBestSellers();
+    } catch (error) {
+      console.error('Error in merchandising auto-update:', error);
+    }
+  });
+};
+
+export const startCronJobs = () => {
+  // Return stock held by abandoned payments, every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await stockReservationService.expireStaleReservations();
+    } catch (error) {
+      logger.error('Error expiring stock reservations:', error);
+    }
+  });
+
+  // Cancel COD orders the customer never confirmed by OTP, every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await codService.cancelUnconfirmedOrders();
+    } catch (error) {
+      logger.error('Error cancelling unconfirmed COD orders:', error);
+    }
+  });
+
+  // Email wishlist price drops and restocks, every hour
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await wishlistService.sendWishlistAlerts();
+    } catch (error) {
+      logger.error('Error sending wishlist alerts:', error);
+    }
+  });
+
+  // Remind customers about idle carts and unfinished checkouts, every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await cartRecoveryService.sendReminders();
+    } catch (error) {
+      logger.error('Error sending cart recovery reminders:', error);
+    }
+  });
+
+  logger.info('⏰ Cron jobs scheduled');
+};
@@ -1,6 +1,7 @@
 // services/discountService.js
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
+import shippingService from './shippingService.js';
 
 class DiscountService {
   // Create discount
@@ -1002,6 +1003,7 @@ async calculateCartDiscounts(cartItems, userId, selectedDiscountId = null) {
 
     appliedDiscounts.push({
       type: "USER_SELECTED",
+      discountId: discount.id,
       name: discount.name,
       discountType: discount.discountType,
       amount: totalDiscount
@@ -1041,6 +1043,7 @@ async calculateCartDiscounts(cartItems, userId, selectedDiscountId = null) {
 
     appliedDiscounts.push({
       type: "AUTO",
+      discountId: best.id,
       productId: item.product.id,
       discountType: best.discountType,
       amount: best.calculatedAmount
@@ -1104,11 +1107,18 @@ async calculateFinalAmountWithDiscounts(cartData, userId, discountCode = null) {
     discountCode
   );
   
-  // Calculate shipping based on state
-  const shippingCost = this.calculateShippingCost(shippingState);
+  const shipping = await shippingService.calculateShipping({
+    state: shippingState,
+    pincode: cartData.pincode,
+    items: itemsWithDetails.map(item => ({ productId: item.product.id, quantity: item.quantity })),
+    orderValue: subtotal - discountResult.totalDiscount,
+    method: cartData.shippingMethod,
+    paymentMethod: cartData.paymentMethod
+  });
+  const shippingCost = shipping.total;
   
   // Calculate final total
-  const finalTotal = Math.max(0, (subtotal - discountResult.totalDiscount + shippingCost));
+  const finalTotal = Math.max(0, (subtotal - discountResult.totalDiscount + shippingCost + shipping.codCharge));
   
   return {
     success: true,
@@ -1116,6 +1126,8 @@ async calculateFinalAmountWithDiscounts(cartData, userId, discountCode = null) {
       subtotal: parseFloat(subtotal.toFixed(2)),
       totalDiscount: discountResult.totalDiscount,
       shipping: parseFloat(shippingCost.toFixed(2)),
+      shippingDetails: shipping,
+      codFee: shipping.codCharge,
       finalTotal: parseFloat(finalTotal.toFixed(2)),
       appliedDiscounts: discountResult.appliedDiscounts,
       errors: discountResult.errors,
@@ -1482,11 +1494,18 @@ async calculateFinalAmountWithDiscounts(cartData, userId, discountCode = null) {
   
   const totalDiscount = discountAmount + productDiscounts;
   
-  // Calculate shipping based on state
-  const shippingCost = this.calculateShippingCost(shippingState);
+  const shipping = await shippingService.calculateShipping({
+    state: shippingState,
+    pincode: cartData.pincode,
+    items: itemsWithDetails.map(item => ({ productId: item.product.id, quantity: item.quantity })),
+    orderValue: subtotal - totalDiscount,
+    method: cartData.shippingMethod,
+    paymentMethod: cartData.paymentMethod
+  });
+  const shippingCost = shipping.total;
   
   // Calculate final total (SUBTOTAL - DISCOUNTS + SHIPPING)
-  const finalTotal = Math.max(0, (subtotal - totalDiscount + shippingCost));
+  const finalTotal = Math.max(0, (subtotal - totalDiscount + shippingCost + shipping.codCharge));
   
   return {
     success: true,
@@ -1494,6 +1513,8 @@ async calculateFinalAmountWithDiscounts(cartData, userId, discountCode = null) {
       subtotal: parseFloat(subtotal.toFixed(2)),
       totalDiscount: parseFloat(totalDiscount.toFixed(2)),
       shipping: parseFloat(shippingCost.toFixed(2)),
+      shippingDetails: shipping,
+      codFee: shipping.codCharge,
       finalTotal: parseFloat(finalTotal.toFixed(2)),
       appliedDiscounts,
       errors: errors.length > 0 ? errors : null,
@@ -1502,19 +1523,59 @@ async calculateFinalAmountWithDiscounts(cartData, userId, discountCode = null) {
   };
 }
 
-// Calculate shipping cost
-calculateShippingCost(state) {
-  const shippingRates = {
-    'Tamil Nadu': 80,
-    'Kerala': 100,
-    'Karnataka': 100,
-    'Andhra Pradesh': 100,
-    'Telangana': 100,
-    'Other': 200
-  };
-  
-  return shippingRates[state] || shippingRates['Other'];
-}
+  // One usage row per discount, even if it was applied to several products
+  async recordDiscountUsage(tx, appliedDiscounts, userId, orderId) {
+    const amounts = new Map();
+
+    for (const applied of appliedDiscounts) {
+      const discountId = applied.discountId || applied.discount?.id;
+      if (!discountId) continue;
+
+      amounts.set(discountId, (amounts.get(discountId) || 0) + (applied.amount || 0));
+    }
+
+    for (const [discountId, discountAmount] of amounts) {
+      await tx.discountUsage.create({
+        data: {
+          discountId,
+          userId,
+          orderId,
+          discountAmount
+        }
+      });
+
+      await tx.discount.update({
+        where: { id: discountId },
+        data: {
+          usedCount: { increment: 1 },
+          totalDiscounts: { increment: discountAmount }
+        }
+      });
+    }
+  }
+
+  // Undo recordDiscountUsage for an order that no longer counts
+  async reverseDiscountUsage(tx, orderId) {
+    const usages = await tx.discountUsage.findMany({
+      where: { orderId }
+    });
+
+    for (const usage of usages) {
+      await tx.discount.update({
+        where: { id: usage.discountId },
+        data: {
+          usedCount: { decrement: 1 },
+          totalDiscounts: { decrement: usage.discountAmount }
+        }
+      });
+    }
+
+    await tx.discountUsage.deleteMany({
+      where: { orderId }
+    });
+
+    return usages;
+  }
 }
 
 export default new DiscountService();
\ No newline at end of file
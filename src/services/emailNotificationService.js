@@ -2,6 +2,7 @@ import emailService from './emailService.js';
 import { emailTemplates } from '../utils/emailTemplates.js';
 import { EmailValidator } from '../utils/emailValidator.js';
 import logger from '../utils/logger.js';
+import { getOrderAccessUrl } from '../utils/orderAccessToken.js';
 
 class EmailNotificationService {
   constructor() {
@@ -280,7 +281,11 @@ async sendAdminPasswordChangedConfirmation(adminData) {
 
   async sendOrderConfirmationCustomer(orderData) {
     try {
-      const template = emailTemplates.orderConfirmationCustomer(orderData);
+      // Guests have no account, so the email carries a signed link to the order
+      const template = emailTemplates.orderConfirmationCustomer({
+        ...orderData,
+        orderAccessUrl: getOrderAccessUrl(orderData)
+      });
       
       const result = await emailService.sendEmail({
         to: orderData.email,
@@ -376,6 +381,133 @@ async sendAdminPasswordChangedConfirmation(adminData) {
     }
   }
 
+  // One parcel of an order handed to the courier, with what's in it
+  async sendShipmentUpdate(orderData, shipment) {
+    try {
+      const template = emailTemplates.shipmentUpdate(orderData, shipment);
+
+      const result = await emailService.sendEmail({
+        to: orderData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Shipment update email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
+  async sendOrderUpdated(orderData, editData) {
+    try {
+      const template = emailTemplates.orderUpdated(orderData, editData);
+
+      const result = await emailService.sendEmail({
+        to: orderData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Order updated email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
+  async sendOrderAccessLink(orderData, accessUrl) {
+    try {
+      const template = emailTemplates.orderAccessLink(orderData, accessUrl);
+
+      const result = await emailService.sendEmail({
+        to: orderData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Order link email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
+  async sendGuestOrdersClaimLink(userData, claimData) {
+    try {
+      const template = emailTemplates.guestOrdersClaim(userData, claimData);
+
+      const result = await emailService.sendEmail({
+        to: userData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Guest order claim email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
+  async sendWishlistAlerts(userData, alertData) {
+    try {
+      const template = emailTemplates.wishlistAlerts(userData, alertData);
+
+      const result = await emailService.sendEmail({
+        to: userData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Wishlist alert email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
+  async sendCartRecovery(customer, recoveryData) {
+    try {
+      const template = emailTemplates.cartRecovery(customer, recoveryData);
+
+      const result = await emailService.sendEmail({
+        to: customer.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Cart recovery email failed:', error.message);
+      // Don't throw error - continue even if email fails
+      return null;
+    }
+  }
+
   async sendOrderRefundNotification(orderData, refundData) {
     try {
       const template = emailTemplates.orderRefundNotification(orderData, refundData);
@@ -396,6 +528,88 @@ async sendAdminPasswordChangedConfirmation(adminData) {
     }
   }
 
+  async sendOrderCancellationCustomer(orderData, cancellationData) {
+    try {
+      const template = emailTemplates.orderCancellationCustomer(orderData, cancellationData);
+
+      const result = await emailService.sendEmail({
+        to: orderData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Order cancellation email failed:', error.message);
+      // Don't throw error - continue even if email fails
+    }
+  }
+
+  async sendOrderCancellationAdmin(orderData, cancellationData) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL || process.env.SMTP_USER;
+      const template = emailTemplates.orderCancellationAdmin(orderData, cancellationData);
+
+      const result = await emailService.sendEmail({
+        to: adminEmail,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Order cancellation email to admin failed:', error.message);
+      // Don't throw error - continue even if email fails
+    }
+  }
+
+  async sendReturnStatusUpdate(returnData) {
+    try {
+      const template = emailTemplates.returnStatusUpdate(returnData);
+
+      const result = await emailService.sendEmail({
+        to: returnData.order.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Return status email failed:', error.message);
+      // Don't throw error - continue even if email fails
+    }
+  }
+
+  async sendReturnRequestAdmin(returnData) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL || process.env.SMTP_USER;
+      const template = emailTemplates.returnRequestAdmin(returnData);
+
+      const result = await emailService.sendEmail({
+        to: adminEmail,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"Kachidham Fashions Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Return request email to admin failed:', error.message);
+      // Don't throw error - continue even if email fails
+    }
+  }
+
   async sendOrderNotifications(orderData) {
       try {
 
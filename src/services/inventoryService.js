@@ -0,0 +1,97 @@
+// services/inventoryService.js
+class InventoryService {
+
+  // Sum quantities per variant so a variant listed twice is checked once
+  aggregateVariantLines(items) {
+    const lines = new Map();
+
+    for (const item of items) {
+      if (!item.productVariantId) continue;
+
+      const existing = lines.get(item.productVariantId);
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        lines.set(item.productVariantId, {
+          productVariantId: item.productVariantId,
+          quantity: item.quantity,
+          productName: item.product?.name,
+          variant: item.variant
+        });
+      }
+    }
+
+    return [...lines.values()];
+  }
+
+  describeLine(line) {
+    const variantLabel = line.variant ? ` (${line.variant.size}/${line.variant.color})` : '';
+    return `${line.productName || line.productVariantId}${variantLabel}`;
+  }
+
+  // 409 error listing every line that could not be fulfilled
+  createOutOfStockError(failedLines) {
+    const error = new Error(
+      `Out of stock: ${failedLines.map(line => `${this.describeLine(line)} - requested ${line.quantity}, available ${line.available}`).join('; ')}`
+    );
+    error.statusCode = 409;
+    error.code = 'OUT_OF_STOCK';
+    error.details = failedLines.map(line => ({
+      productVariantId: line.productVariantId,
+      productName: line.productName || null,
+      variant: line.variant || null,
+      requested: line.quantity,
+      available: line.available
+    }));
+    return error;
+  }
+
+  // Conditional decrement for every line; throws (rolling back tx) if any would go negative
+  async decrementStock(tx, items) {
+    const lines = this.aggregateVariantLines(items);
+    const failedLines = [];
+
+    for (const line of lines) {
+      const result = await tx.productVariant.updateMany({
+        where: {
+          id: line.productVariantId,
+          stock: { gte: line.quantity }
+        },
+        data: {
+          stock: { decrement: line.quantity }
+        }
+      });
+
+      if (result.count === 0) {
+        const variant = await tx.productVariant.findUnique({
+          where: { id: line.productVariantId },
+          select: { stock: true }
+        });
+        failedLines.push({ ...line, available: variant ? variant.stock : 0 });
+      }
+    }
+
+    if (failedLines.length > 0) {
+      throw this.createOutOfStockError(failedLines);
+    }
+
+    return lines;
+  }
+
+  async restoreStock(tx, items) {
+    const lines = this.aggregateVariantLines(items);
+
+    for (const line of lines) {
+      await tx.productVariant.update({
+        where: { id: line.productVariantId },
+        data: {
+          stock: { increment: line.quantity }
+        }
+      });
+    }
+
+    return lines;
+  }
+}
+
+export default new InventoryService();
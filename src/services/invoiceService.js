@@ -0,0 +1,549 @@
+// services/invoiceService.js
+import PDFDocument from 'pdfkit';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import {
+  SELLER_NAME,
+  SELLER_ADDRESS,
+  SELLER_GSTIN,
+  SELLER_STATE,
+  INVOICE_PREFIX,
+  SHIPPING_SAC_CODE,
+  GST_RATE_LOW,
+  PRICES_INCLUDE_GST
+} from '../config/index.js';
+import taxService from './taxService.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Line fields a credit or debit note carries as the change from the invoice
+const NOTE_AMOUNT_FIELDS = ['quantity', 'discount', 'taxableValue', 'cgst', 'sgst', 'igst', 'total'];
+
+class InvoiceService {
+
+  // Indian financial year (April - March) of a date, in IST
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const year = ist.getUTCFullYear();
+    const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  formatInvoiceNumber(financialYear, sequence) {
+    return `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  // Orders get an invoice once paid, or once delivered for COD
+  isInvoiceable(order) {
+    if (order.status === 'CANCELLED' || order.totalAmount <= 0) {
+      return false;
+    }
+    return ['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus) || !!order.deliveredAt;
+  }
+
+  buildLine({ description, hsnCode, quantity, unitPrice, discount, gstRate, taxableValue, taxAmount }, isInterState) {
+    return {
+      description,
+      hsnCode,
+      quantity,
+      unitPrice,
+      discount,
+      gstRate,
+      taxableValue,
+      ...taxService.splitByPlaceOfSupply(taxAmount, isInterState),
+      total: round2(taxableValue + taxAmount)
+    };
+  }
+
+  // Invoice lines from the tax snapshot taken at order time. Orders placed
+  // before tax was recorded are priced with the rules in force on the order date.
+  async buildInvoiceLines(order, isInterState) {
+    const legacyItems = order.orderItems.filter(item => item.taxableValue === null);
+    let legacyTax = null;
+
+    if (legacyItems.length > 0) {
+      legacyTax = await taxService.calculateTax({
+        items: order.orderItems.map(item => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          itemTotal: item.price * item.quantity,
+          ...taxService.resolveProductTaxInfo(item.product)
+        })),
+        discountAmount: order.discount || 0,
+        date: order.createdAt
+      });
+    }
+
+    const lines = order.orderItems.map((item, index) => {
+      const variant = item.productVariant ? ` (${item.productVariant.size}/${item.productVariant.color})` : '';
+      const snapshot = item.taxableValue !== null ? item : legacyTax.lines[index];
+
+      return this.buildLine({
+        description: `${item.product.name}${variant}`,
+        hsnCode: snapshot.hsnCode || taxService.resolveProductTaxInfo(item.product).hsnCode,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discount: snapshot.discountAmount,
+        gstRate: snapshot.gstRate,
+        taxableValue: snapshot.taxableValue,
+        taxAmount: snapshot.taxAmount
+      }, isInterState);
+    });
+
+    // Delivery (and the COD fee) is part of a composite supply, taxed at the principal (highest) rate
+    const deliveryRate = Math.max(GST_RATE_LOW, ...lines.map(line => line.gstRate));
+    const deliveryCharges = [
+      ['Shipping charges', order.shippingCost],
+      ['Cash on delivery charges', order.codFee]
+    ];
+
+    for (const [description, amount] of deliveryCharges) {
+      if (amount > 0) {
+        lines.push(this.buildLine({
+          description,
+          hsnCode: SHIPPING_SAC_CODE,
+          quantity: 1,
+          unitPrice: amount,
+          discount: 0,
+          gstRate: deliveryRate,
+          ...taxService.splitAmount(amount, deliveryRate)
+        }, isInterState));
+      }
+    }
+
+    return lines;
+  }
+
+  // Approved wholesalers get their GSTIN on the invoice (B2B)
+  getBuyerGstin(user) {
+    if (user?.role === 'WHOLESALER' && user.isApproved && user.wholesalerProfile?.gstNumber) {
+      return user.wholesalerProfile.gstNumber;
+    }
+    return null;
+  }
+
+  // Order with everything the invoice lines and buyer details need
+  async getInvoiceOrder(orderId) {
+    return await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: {
+                name: true,
+                hsnCode: true,
+                taxCategory: true,
+                category: {
+                  select: {
+                    hsnCode: true,
+                    taxCategory: true
+                  }
+                }
+              }
+            },
+            productVariant: {
+              select: {
+                size: true,
+                color: true
+              }
+            }
+          }
+        },
+        user: {
+          select: {
+            role: true,
+            isApproved: true,
+            wholesalerProfile: {
+              select: { gstNumber: true }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  // Invoice lines and totals for the order as it stands
+  async buildInvoiceTotals(order) {
+    const isInterState = !taxService.isSameState(order.state);
+    const lines = await this.buildInvoiceLines(order, isInterState);
+
+    const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+    const totals = {
+      taxableValue: sum('taxableValue'),
+      cgstAmount: sum('cgst'),
+      sgstAmount: sum('sgst'),
+      igstAmount: sum('igst'),
+      totalAmount: sum('total')
+    };
+    totals.totalTax = round2(totals.cgstAmount + totals.sgstAmount + totals.igstAmount);
+
+    // Store credit is a way of paying, so the invoice still covers it
+    const orderValue = order.totalAmount + (order.storeCreditAmount || 0);
+    if (Math.abs(totals.totalAmount - orderValue) > 0.01) {
+      logger.warn(`Invoice total differs from order total for ${order.orderNumber}`, {
+        Invoice: totals.totalAmount,
+        Order: orderValue
+      });
+    }
+
+    return { isInterState, lines, totals };
+  }
+
+  // Issue the order's invoice once; later calls return the same invoice
+  async generateInvoice(orderId) {
+    const existing = await prisma.invoice.findUnique({
+      where: { orderId }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const order = await this.getInvoiceOrder(orderId);
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!this.isInvoiceable(order)) {
+      throw new Error('Invoice is available once the order is paid or delivered');
+    }
+
+    const { isInterState, lines, totals } = await this.buildInvoiceTotals(order);
+
+    const invoiceDate = new Date();
+    const financialYear = this.getFinancialYear(invoiceDate);
+
+    try {
+      const invoice = await prisma.$transaction(async (tx) => {
+        // Row lock on the year's counter keeps numbers sequential and gap-free
+        const counter = await tx.invoiceSequence.upsert({
+          where: { financialYear },
+          create: { financialYear, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } }
+        });
+
+        return await tx.invoice.create({
+          data: {
+            invoiceNumber: this.formatInvoiceNumber(financialYear, counter.lastNumber),
+            orderId,
+            financialYear,
+            sequence: counter.lastNumber,
+            invoiceDate,
+            sellerGstin: SELLER_GSTIN || null,
+            sellerState: SELLER_STATE,
+            buyerName: order.name,
+            buyerGstin: this.getBuyerGstin(order.user),
+            billingAddress: `${order.address}, ${order.city}, ${order.state} - ${order.pincode}`,
+            placeOfSupply: order.state,
+            isInterState,
+            lines,
+            ...totals
+          }
+        });
+      });
+
+      logger.info(`Invoice ${invoice.invoiceNumber} issued for order ${order.orderNumber}`);
+      return invoice;
+    } catch (error) {
+      // Issued concurrently - the whole transaction rolled back, so no number was used
+      if (error.code === 'P2002') {
+        const invoice = await prisma.invoice.findUnique({ where: { orderId } });
+        if (invoice) return invoice;
+      }
+      throw error;
+    }
+  }
+
+  // Current line amounts against what the buyer has been billed so far (the
+  // invoice adjusted by earlier notes), per line. The key keeps the supply type,
+  // so a place-of-supply change reverses every old line and bills every new one.
+  addNoteLines(difference, lines, isInterState, sign) {
+    for (const line of lines) {
+      const key = [line.description, line.hsnCode, line.gstRate, isInterState ? 'IGST' : 'CGST+SGST'].join('|');
+      const entry = difference.get(key) || {
+        ...line,
+        isInterState,
+        ...Object.fromEntries(NOTE_AMOUNT_FIELDS.map(field => [field, 0]))
+      };
+
+      for (const field of NOTE_AMOUNT_FIELDS) {
+        entry[field] = round2(entry[field] + sign * (line[field] || 0));
+      }
+      difference.set(key, entry);
+    }
+  }
+
+  // An order edited after it was invoiced gets a debit note for what went up and
+  // a credit note for what went down. The issued invoice is never changed.
+  async issueAdjustmentNotes(orderId, reason = null) {
+    const invoice = await prisma.invoice.findUnique({
+      where: { orderId },
+      include: { notes: true }
+    });
+
+    if (!invoice) {
+      return [];
+    }
+
+    const order = await this.getInvoiceOrder(orderId);
+    const { isInterState, lines } = await this.buildInvoiceTotals(order);
+
+    const difference = new Map();
+    this.addNoteLines(difference, lines, isInterState, 1);
+    this.addNoteLines(difference, invoice.lines, invoice.isInterState, -1);
+    for (const note of invoice.notes) {
+      this.addNoteLines(difference, note.lines, note.isInterState, note.type === 'DEBIT' ? -1 : 1);
+    }
+
+    const changed = [...difference.values()].filter(line => Math.abs(line.total) >= 0.01);
+    const groups = [
+      ['DEBIT', changed.filter(line => line.total > 0)],
+      ['CREDIT', changed.filter(line => line.total < 0)]
+    ].filter(([, group]) => group.length > 0);
+
+    const noteDate = new Date();
+    const financialYear = this.getFinancialYear(noteDate);
+    const notes = [];
+
+    for (const [type, group] of groups) {
+      const sign = type === 'DEBIT' ? 1 : -1;
+      const noteLines = group.map(({ isInterState: _, ...line }) => ({
+        ...line,
+        ...Object.fromEntries(NOTE_AMOUNT_FIELDS.map(field => [field, round2(sign * line[field])]))
+      }));
+
+      const sum = (field) => round2(noteLines.reduce((total, line) => total + line[field], 0));
+      const totals = {
+        taxableValue: sum('taxableValue'),
+        cgstAmount: sum('cgst'),
+        sgstAmount: sum('sgst'),
+        igstAmount: sum('igst'),
+        totalAmount: sum('total')
+      };
+      totals.totalTax = round2(totals.cgstAmount + totals.sgstAmount + totals.igstAmount);
+
+      const note = await prisma.$transaction(async (tx) => {
+        // Row lock on the series counter keeps note numbers sequential and gap-free
+        const counter = await tx.invoiceNoteSequence.upsert({
+          where: { type_financialYear: { type, financialYear } },
+          create: { type, financialYear, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } }
+        });
+
+        return await tx.invoiceNote.create({
+          data: {
+            noteNumber: `${INVOICE_PREFIX}/${type === 'DEBIT' ? 'DN' : 'CN'}/${financialYear}/${String(counter.lastNumber).padStart(5, '0')}`,
+            invoiceId: invoice.id,
+            type,
+            financialYear,
+            sequence: counter.lastNumber,
+            noteDate,
+            reason,
+            buyerName: order.name,
+            billingAddress: `${order.address}, ${order.city}, ${order.state} - ${order.pincode}`,
+            placeOfSupply: order.state,
+            isInterState: group[0].isInterState,
+            lines: noteLines,
+            ...totals
+          }
+        });
+      });
+
+      logger.info(`${type === 'DEBIT' ? 'Debit' : 'Credit'} note ${note.noteNumber} issued against invoice ${invoice.invoiceNumber}`, {
+        Order: order.orderNumber,
+        Amount: `₹${note.totalAmount}`
+      });
+      notes.push(note);
+    }
+
+    return notes;
+  }
+
+  // Best-effort issue from order workflows; a failure must not break them
+  async issueInvoiceSafely(orderId) {
+    try {
+      return await this.generateInvoice(orderId);
+    } catch (error) {
+      logger.error(`Failed to issue invoice for order ${orderId}:`, error);
+      return null;
+    }
+  }
+
+  // Invoice PDF for an order; customers may only fetch their own
+  async getInvoicePdf(orderId, userId = null) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, userId: true, orderNumber: true, email: true, phone: true }
+    });
+
+    if (!order || (userId && order.userId !== userId)) {
+      throw new Error('Order not found');
+    }
+
+    const invoice = await this.generateInvoice(orderId);
+    const buffer = await this.renderInvoicePdf(invoice, order);
+
+    return {
+      buffer,
+      fileName: `Invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`
+    };
+  }
+
+  // Credit or debit note PDF, laid out like the invoice it amends
+  async getInvoiceNotePdf(orderId, noteId) {
+    const note = await prisma.invoiceNote.findFirst({
+      where: { id: noteId, invoice: { orderId } },
+      include: {
+        invoice: {
+          include: {
+            order: {
+              select: { orderNumber: true, phone: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!note) {
+      throw new Error('Credit or debit note not found');
+    }
+
+    const { invoice } = note;
+    const buffer = await this.renderInvoicePdf({
+      ...note,
+      invoiceNumber: note.noteNumber,
+      invoiceDate: note.noteDate,
+      sellerGstin: invoice.sellerGstin,
+      sellerState: invoice.sellerState,
+      buyerGstin: invoice.buyerGstin
+    }, invoice.order, {
+      title: note.type === 'DEBIT' ? 'DEBIT NOTE' : 'CREDIT NOTE',
+      numberLabel: 'Note',
+      againstInvoice: invoice
+    });
+
+    return {
+      buffer,
+      fileName: `${note.type === 'DEBIT' ? 'Debit' : 'Credit'}-Note-${note.noteNumber.replace(/\//g, '-')}.pdf`
+    };
+  }
+
+  renderInvoicePdf(invoice, order, { title = 'TAX INVOICE', numberLabel = 'Invoice', againstInvoice = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const money = (value) => `Rs. ${value.toFixed(2)}`;
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // Seller
+      doc.font('Helvetica-Bold').fontSize(16).text(SELLER_NAME, left, 40);
+      doc.font('Helvetica').fontSize(9);
+      if (SELLER_ADDRESS) doc.text(SELLER_ADDRESS);
+      doc.text(`State: ${invoice.sellerState}`);
+      if (invoice.sellerGstin) doc.text(`GSTIN: ${invoice.sellerGstin}`);
+
+      doc.font('Helvetica-Bold').fontSize(14).text(title, left, 40, { width, align: 'right' });
+      doc.font('Helvetica').fontSize(9)
+        .text(`${numberLabel} No: ${invoice.invoiceNumber}`, { width, align: 'right' })
+        .text(`${numberLabel} Date: ${new Date(invoice.invoiceDate).toLocaleDateString('en-IN')}`, { width, align: 'right' })
+        .text(`Order No: ${order.orderNumber}`, { width, align: 'right' });
+      if (againstInvoice) {
+        doc.text(`Against Invoice: ${againstInvoice.invoiceNumber} dated ${new Date(againstInvoice.invoiceDate).toLocaleDateString('en-IN')}`, { width, align: 'right' });
+        if (invoice.reason) doc.text(`Reason: ${invoice.reason}`, { width, align: 'right' });
+      }
+
+      // Buyer
+      doc.moveDown(2);
+      const buyerTop = Math.max(doc.y, 120);
+      doc.font('Helvetica-Bold').fontSize(10).text('Bill To / Ship To', left, buyerTop);
+      doc.font('Helvetica').fontSize(9)
+        .text(invoice.buyerName)
+        .text(invoice.billingAddress, { width: width / 2 })
+        .text(`Phone: ${order.phone}`);
+      if (invoice.buyerGstin) doc.text(`GSTIN: ${invoice.buyerGstin}`);
+
+      doc.text(`Place of Supply: ${invoice.placeOfSupply}`, left + width / 2, buyerTop + 14, { width: width / 2, align: 'right' });
+      doc.text(invoice.isInterState ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)', { width: width / 2, align: 'right' });
+
+      // Line items
+      const columns = invoice.isInterState
+        ? [['Description', 160], ['HSN/SAC', 50], ['Qty', 30], ['Rate', 55], ['Disc.', 45], ['Taxable', 60], ['IGST', 55], ['Total', 60]]
+        : [['Description', 130], ['HSN/SAC', 48], ['Qty', 28], ['Rate', 52], ['Disc.', 42], ['Taxable', 55], ['CGST', 50], ['SGST', 50], ['Total', 60]];
+
+      let y = Math.max(doc.y, buyerTop + 70) + 10;
+
+      const drawRow = (cells, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        let x = left;
+        const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i][1] - 4 }));
+        const rowHeight = Math.max(...heights) + 6;
+
+        if (y + rowHeight > doc.page.height - doc.page.margins.bottom - 80) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+
+        cells.forEach((cell, i) => {
+          doc.text(String(cell), x + 2, y + 3, { width: columns[i][1] - 4, align: i === 0 ? 'left' : 'right' });
+          x += columns[i][1];
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#cccccc').stroke();
+        y += rowHeight;
+      };
+
+      doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+      drawRow(columns.map(([title]) => title), true);
+
+      for (const line of invoice.lines) {
+        const tax = invoice.isInterState
+          ? [`${line.igst.toFixed(2)} (${line.gstRate}%)`]
+          : [`${line.cgst.toFixed(2)} (${line.gstRate / 2}%)`, `${line.sgst.toFixed(2)} (${line.gstRate / 2}%)`];
+
+        drawRow([
+          line.description,
+          line.hsnCode,
+          line.quantity,
+          line.unitPrice.toFixed(2),
+          line.discount.toFixed(2),
+          line.taxableValue.toFixed(2),
+          ...tax,
+          line.total.toFixed(2)
+        ]);
+      }
+
+      // Totals
+      y += 10;
+      const totalsRows = [
+        ['Taxable Value', invoice.taxableValue],
+        ...(invoice.isInterState
+          ? [['IGST', invoice.igstAmount]]
+          : [['CGST', invoice.cgstAmount], ['SGST', invoice.sgstAmount]]),
+        ['Total Tax', invoice.totalTax],
+        [`${numberLabel} Total`, invoice.totalAmount]
+      ];
+
+      for (const [label, value] of totalsRows) {
+        const bold = label === `${numberLabel} Total`;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+        doc.text(label, left + width - 220, y, { width: 110, align: 'left' });
+        doc.text(money(value), left + width - 110, y, { width: 110, align: 'right' });
+        y += bold ? 16 : 13;
+      }
+
+      doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text(`${PRICES_INCLUDE_GST ? 'Prices are inclusive of GST. ' : ''}This is a computer-generated invoice and does not require a signature.`, left, y + 20, { width, align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,151 @@
+// services/orderAccessService.js
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import emailNotificationService from './emailNotificationService.js';
+import { JWT_SECRET, CLIENT_URL } from '../config/index.js';
+import { verifyOrderAccessToken, getOrderAccessUrl } from '../utils/orderAccessToken.js';
+import { normalizePhone } from '../utils/helpers.js';
+
+const ORDER_CLAIM_PURPOSE = 'order-claim';
+const ORDER_CLAIM_TTL = '7d';
+
+const accessError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = 'ORDER_ACCESS_DENIED';
+  return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class OrderAccessService {
+
+  // The order if the caller owns it (signed in), is an admin, or holds its emailed link
+  async resolveOrderAccess({ user = null, token = null, orderId = null, orderNumber = null }) {
+    const order = await prisma.order.findUnique({
+      where: orderId ? { id: orderId } : { orderNumber },
+      select: { id: true, orderNumber: true, userId: true }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (user && (user.role === 'ADMIN' || (order.userId && order.userId === user.id))) {
+      return order;
+    }
+
+    // Links are for guest orders only; once claimed, the account owns the order
+    if (token && !order.userId && verifyOrderAccessToken(token, order)) {
+      return order;
+    }
+
+    if (token && order.userId && verifyOrderAccessToken(token, order)) {
+      throw accessError('This order now belongs to an account. Sign in to view it');
+    }
+
+    if (token) {
+      throw accessError('This order link is invalid or has expired. Request a new one');
+    }
+
+    // Signed in as someone else: don't confirm the order exists
+    if (user) {
+      throw new Error('Order not found');
+    }
+
+    throw accessError('Sign in or use the link from your order email to view this order');
+  }
+
+  // Email a fresh order link when the email and phone match a guest order.
+  // Always succeeds so order numbers can't be probed.
+  async sendAccessLink({ orderNumber, email, phone }) {
+    if (!orderNumber || !email || !phone) {
+      throw new Error('Order number, email and phone are required');
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { orderNumber: String(orderNumber).trim() },
+      select: { id: true, orderNumber: true, userId: true, name: true, email: true, phone: true }
+    });
+
+    if (!order
+      || order.userId
+      || normalizeEmail(order.email) !== normalizeEmail(email)
+      || normalizePhone(order.phone) !== normalizePhone(phone)) {
+      logger.warn(`Order link requested with non-matching details for ${orderNumber}`);
+      return;
+    }
+
+    await emailNotificationService.sendOrderAccessLink(order, getOrderAccessUrl(order));
+  }
+
+  // Guest orders placed with this email that no account owns yet
+  async countGuestOrders(email) {
+    return await prisma.order.count({
+      where: {
+        userId: null,
+        email: { equals: normalizeEmail(email), mode: 'insensitive' }
+      }
+    });
+  }
+
+  // After sign-up, email a link that moves the guest orders into the account.
+  // Clicking it proves the new account owns the mailbox the orders were sent to.
+  async sendClaimLink(user) {
+    const count = await this.countGuestOrders(user.email);
+
+    if (count === 0) {
+      return 0;
+    }
+
+    const token = jwt.sign(
+      { purpose: ORDER_CLAIM_PURPOSE, claimantId: user.id, email: normalizeEmail(user.email) },
+      JWT_SECRET,
+      { expiresIn: ORDER_CLAIM_TTL }
+    );
+
+    await emailNotificationService.sendGuestOrdersClaimLink(user, {
+      count,
+      claimUrl: `${CLIENT_URL}/account/claim-orders?token=${token}`
+    });
+
+    return count;
+  }
+
+  async claimGuestOrders(userId, token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== ORDER_CLAIM_PURPOSE || decoded.claimantId !== userId) {
+      throw accessError('This link is invalid or has expired', 400);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true }
+    });
+
+    if (!user || normalizeEmail(user.email) !== decoded.email) {
+      throw accessError('This link is invalid or has expired', 400);
+    }
+
+    const claimed = await prisma.order.updateMany({
+      where: {
+        userId: null,
+        email: { equals: decoded.email, mode: 'insensitive' }
+      },
+      data: { userId }
+    });
+
+    logger.info(`Guest orders claimed by user ${userId}`, { Orders: claimed.count });
+
+    return { claimed: claimed.count };
+  }
+}
+
+export default new OrderAccessService();
@@ -0,0 +1,349 @@
+// services/orderBulkUpdateService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import orderService from './orderService.js';
+import orderStateMachine from './orderStateMachine.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+const MAX_ROWS = 1000;
+
+// Accepted header spellings for each column
+const COLUMNS = {
+  orderNumber: ['ordernumber', 'order_number', 'order_no', 'order'],
+  status: ['status'],
+  carrier: ['carrier', 'courier'],
+  trackingNumber: ['trackingnumber', 'tracking_number', 'awb', 'awb_number'],
+  trackingUrl: ['trackingurl', 'tracking_url', 'url'],
+  adminNotes: ['notes', 'admin_notes', 'adminnotes']
+};
+
+// Tracking details ship an unshipped order, so they only go with these target statuses
+const SHIPPING_STATUSES = ['SHIPPED', 'DELIVERED', 'RETURNED_TO_ORIGIN'];
+
+const RESULT_HEADERS = [
+  'line', 'order_number', 'current_status', 'new_status', 'carrier',
+  'tracking_number', 'tracking_url', 'actions', 'outcome', 'message'
+];
+
+const pick = (record, keys) => {
+  const key = keys.find(name => record[name] !== undefined && record[name] !== '');
+  return key ? record[key] : null;
+};
+
+class OrderBulkUpdateService {
+
+  parseRow(record) {
+    const status = pick(record, COLUMNS.status);
+
+    return {
+      line: record._line,
+      orderNumber: pick(record, COLUMNS.orderNumber),
+      status: status ? status.toUpperCase().replace(/\s+/g, '_') : null,
+      carrier: pick(record, COLUMNS.carrier),
+      trackingNumber: pick(record, COLUMNS.trackingNumber),
+      trackingUrl: pick(record, COLUMNS.trackingUrl),
+      adminNotes: pick(record, COLUMNS.adminNotes)
+    };
+  }
+
+  // Work out what a row would do to its order, the same way the single-order
+  // tracking and status endpoints would; throws the reason a row can't apply
+  planRow(row, order) {
+    if (!row.orderNumber) {
+      throw new Error('Order number is required');
+    }
+
+    if (!order) {
+      throw new Error(`Order ${row.orderNumber} not found`);
+    }
+
+    let state = { ...order };
+    const actions = [];
+    const tracking = {
+      trackingNumber: row.trackingNumber || order.trackingNumber,
+      carrier: row.carrier || order.carrier,
+      trackingUrl: row.trackingUrl || order.trackingUrl
+    };
+    const trackingChanged = tracking.trackingNumber !== order.trackingNumber
+      || tracking.carrier !== order.carrier
+      || tracking.trackingUrl !== order.trackingUrl;
+
+    if (trackingChanged) {
+      // Ships whatever is left, like the single-order tracking update
+      if (!order.shippedAt || order.status === 'PARTIALLY_SHIPPED') {
+        if (row.status && !SHIPPING_STATUSES.includes(row.status)) {
+          throw new Error(`Tracking details ship the order, so the status cannot be ${row.status}`);
+        }
+
+        const reason = orderStateMachine.getTransitionError({ ...state, ...tracking }, 'SHIPPED');
+        if (reason) {
+          throw new Error(reason);
+        }
+
+        actions.push('SHIP');
+        state = { ...state, ...tracking, status: 'SHIPPED', shippedAt: new Date() };
+      } else {
+        actions.push('TRACKING');
+        state = { ...state, ...tracking };
+      }
+    }
+
+    if (row.status && row.status !== state.status) {
+      const reason = orderStateMachine.getTransitionError(state, row.status);
+      if (reason) {
+        throw new Error(reason);
+      }
+
+      actions.push('STATUS');
+      state = { ...state, status: row.status };
+    }
+
+    return { actions, newStatus: state.status, tracking };
+  }
+
+  // Plan every row against the orders as they are now
+  async planRows(rows) {
+    const orderNumbers = [...new Set(rows.map(row => row.orderNumber).filter(Boolean))];
+    const orders = await prisma.order.findMany({
+      where: { orderNumber: { in: orderNumbers } }
+    });
+    const ordersByNumber = new Map(orders.map(order => [order.orderNumber, order]));
+    const seen = new Set();
+
+    return rows.map(row => {
+      const order = ordersByNumber.get(row.orderNumber);
+      const result = {
+        ...row,
+        orderId: order?.id || null,
+        currentStatus: order?.status || null,
+        newStatus: null,
+        actions: [],
+        outcome: 'READY',
+        message: null
+      };
+
+      try {
+        if (row.orderNumber && seen.has(row.orderNumber)) {
+          throw new Error(`Order ${row.orderNumber} appears more than once in the file`);
+        }
+        seen.add(row.orderNumber);
+
+        const plan = this.planRow(row, order);
+        result.newStatus = plan.newStatus;
+        result.actions = plan.actions;
+        result.carrier = plan.tracking.carrier;
+        result.trackingNumber = plan.tracking.trackingNumber;
+        result.trackingUrl = plan.tracking.trackingUrl;
+
+        if (plan.actions.length === 0) {
+          result.outcome = 'SKIPPED';
+          result.message = 'No changes';
+        }
+      } catch (error) {
+        result.outcome = 'ERROR';
+        result.message = error.message;
+      }
+
+      return result;
+    });
+  }
+
+  summarize(results) {
+    const summary = { totalRows: results.length };
+
+    for (const result of results) {
+      const key = result.outcome.toLowerCase();
+      summary[key] = (summary[key] || 0) + 1;
+    }
+
+    return summary;
+  }
+
+  // Dry run: parse the CSV and report what each row would change
+  async previewFile(buffer, fileName, adminId) {
+    const records = parseCsv(buffer.toString('utf8'));
+
+    if (records.length === 0) {
+      throw new Error('The CSV file has no rows');
+    }
+
+    if (records.length > MAX_ROWS) {
+      throw new Error(`The CSV file has ${records.length} rows. Upload at most ${MAX_ROWS} at a time`);
+    }
+
+    if (!COLUMNS.orderNumber.some(key => key in records[0])) {
+      throw new Error('The CSV file needs an orderNumber column');
+    }
+
+    const rows = records.map(record => this.parseRow(record));
+    const results = await this.planRows(rows);
+    const summary = this.summarize(results);
+
+    const bulkUpdate = await prisma.orderBulkUpdate.create({
+      data: {
+        fileName: fileName || null,
+        rows,
+        results,
+        summary,
+        createdById: adminId || null
+      }
+    });
+
+    return bulkUpdate;
+  }
+
+  async getBulkUpdate(updateId) {
+    const bulkUpdate = await prisma.orderBulkUpdate.findUnique({
+      where: { id: updateId }
+    });
+
+    if (!bulkUpdate) {
+      throw new Error('Bulk update not found');
+    }
+
+    return bulkUpdate;
+  }
+
+  async getBulkUpdates({ page = 1, limit = 20 }) {
+    const skip = (page - 1) * limit;
+
+    const [bulkUpdates, total] = await Promise.all([
+      prisma.orderBulkUpdate.findMany({
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          fileName: true,
+          status: true,
+          summary: true,
+          createdById: true,
+          appliedAt: true,
+          createdAt: true
+        }
+      }),
+      prisma.orderBulkUpdate.count()
+    ]);
+
+    return {
+      bulkUpdates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Run one planned row through the single-order tracking and status updates
+  async applyRow(result) {
+    const done = [];
+
+    try {
+      if (result.actions.includes('SHIP') || result.actions.includes('TRACKING')) {
+        await orderService.updateTrackingInfo(result.orderId, {
+          trackingNumber: result.trackingNumber,
+          carrier: result.carrier,
+          trackingUrl: result.trackingUrl
+        });
+        done.push(result.actions.includes('SHIP') ? 'shipped' : 'tracking updated');
+      }
+
+      if (result.actions.includes('STATUS')) {
+        const order = await orderService.updateOrderStatus(result.orderId, {
+          status: result.status,
+          adminNotes: result.adminNotes || undefined
+        });
+        done.push(`status set to ${result.status}`);
+
+        if (order.refundError) {
+          return { ...result, outcome: 'UPDATED', message: `Automatic refund failed: ${order.refundError}` };
+        }
+      }
+
+      return { ...result, outcome: 'UPDATED', message: null };
+    } catch (error) {
+      return {
+        ...result,
+        outcome: 'FAILED',
+        message: done.length ? `${done.join(', ')}; then failed: ${error.message}` : error.message
+      };
+    }
+  }
+
+  // Apply a previewed upload. Rows are re-checked first, since orders may have
+  // moved on since the preview; rows already applied come back as "No changes".
+  async applyBulkUpdate(updateId) {
+    const claimed = await prisma.orderBulkUpdate.updateMany({
+      where: { id: updateId, status: 'PREVIEWED' },
+      data: { status: 'APPLYING' }
+    });
+
+    if (claimed.count === 0) {
+      const existing = await this.getBulkUpdate(updateId);
+      const error = new Error(existing.status === 'APPLIED'
+        ? 'This bulk update has already been applied'
+        : 'This bulk update is being applied');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    try {
+      const bulkUpdate = await this.getBulkUpdate(updateId);
+      const planned = await this.planRows(bulkUpdate.rows);
+      const results = [];
+
+      for (const result of planned) {
+        results.push(result.outcome === 'READY' ? await this.applyRow(result) : result);
+      }
+
+      const summary = this.summarize(results);
+
+      const applied = await prisma.orderBulkUpdate.update({
+        where: { id: updateId },
+        data: {
+          status: 'APPLIED',
+          results,
+          summary,
+          appliedAt: new Date()
+        }
+      });
+
+      logger.info(`Bulk order update ${updateId} applied`, summary);
+
+      return applied;
+    } catch (error) {
+      // Let it be retried; re-planning skips the rows that already went through
+      await prisma.orderBulkUpdate.update({
+        where: { id: updateId },
+        data: { status: 'PREVIEWED' }
+      });
+      throw error;
+    }
+  }
+
+  async getResultsCsv(updateId) {
+    const bulkUpdate = await this.getBulkUpdate(updateId);
+
+    const csv = toCsv(RESULT_HEADERS, bulkUpdate.results.map(result => [
+      result.line,
+      result.orderNumber,
+      result.currentStatus,
+      result.newStatus,
+      result.carrier,
+      result.trackingNumber,
+      result.trackingUrl,
+      result.actions.join(' '),
+      result.outcome,
+      result.message
+    ]));
+
+    return {
+      csv,
+      fileName: `order-bulk-update-${bulkUpdate.status === 'APPLIED' ? 'results' : 'preview'}-${bulkUpdate.id}.csv`
+    };
+  }
+}
+
+export default new OrderBulkUpdateService();
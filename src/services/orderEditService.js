@@ -0,0 +1,625 @@
+// services/orderEditService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { normalizePhone } from '../utils/helpers.js';
+import orderService from './orderService.js';
+import orderStateMachine from './orderStateMachine.js';
+import checkoutQuoteService from './checkoutQuoteService.js';
+import inventoryService from './inventoryService.js';
+import discountService from './discountService.js';
+import refundService from './refundService.js';
+import razorpayService from './razorpayService.js';
+import pincodeService from './pincodeService.js';
+import invoiceService from './invoiceService.js';
+import emailNotificationService from './emailNotificationService.js';
+
+// Orders can be changed until the first parcel is booked
+const EDITABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
+const ADDRESS_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'pincode'];
+
+// Order column -> calculateOrderTotals field
+const TOTAL_FIELDS = {
+  subtotal: 'subtotal',
+  discount: 'discountAmount',
+  shippingCost: 'shippingCost',
+  codFee: 'codFee',
+  taxAmount: 'taxAmount',
+  storeCreditAmount: 'storeCreditAmount',
+  totalAmount: 'totalAmount'
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const editError = (message, code = 'ORDER_NOT_EDITABLE', statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const describeLine = (line) => ({
+  orderItemId: line.orderItemId,
+  product: line.product?.name || line.productId,
+  productVariantId: line.productVariantId || null,
+  variant: line.variant ? [line.variant.color, line.variant.size].filter(Boolean).join(' / ') : null,
+  quantity: line.quantity,
+  price: line.price
+});
+
+class OrderEditService {
+  constructor() {
+    // A cancelled order no longer owes anything
+    orderStateMachine.registerHook('CANCELLED', {
+      name: 'cancelPaymentLinks',
+      afterCommit: async ({ order }) => {
+        await this.cancelOpenPaymentLinks(order.id);
+      }
+    });
+  }
+
+  async getEditableOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: { id: true, name: true }
+            },
+            productVariant: {
+              select: { id: true, color: true, size: true, sku: true }
+            }
+          }
+        },
+        shipments: {
+          where: { status: { not: 'CANCELLED' } },
+          select: { id: true }
+        },
+        refunds: true,
+        paymentLinks: {
+          where: { status: 'CREATED' }
+        },
+        checkoutQuote: {
+          select: { discountCode: true }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!EDITABLE_STATUSES.includes(order.status) || order.shipments.length > 0) {
+      throw editError(`Order cannot be edited once it is ${order.status.toLowerCase().replace(/_/g, ' ')}. Only orders that have not shipped can be changed`);
+    }
+
+    if (order.refunds.some(refund => refund.status !== 'FAILED' && !refund.adjustment)) {
+      throw editError('Order has been partly refunded and cannot be edited');
+    }
+
+    return order;
+  }
+
+  // Apply the requested item changes to the order's lines. Quantity 0 removes a line.
+  async buildEditedLines(order, itemChanges = []) {
+    if (!Array.isArray(itemChanges)) {
+      throw new Error('items must be an array of { orderItemId, productVariantId, quantity }');
+    }
+
+    const lines = order.orderItems.map(item => ({
+      orderItemId: item.id,
+      productId: item.productId,
+      productVariantId: item.productVariantId,
+      quantity: item.quantity,
+      price: item.price,
+      customDesignId: item.customDesignId,
+      product: item.product,
+      variant: item.productVariant
+    }));
+
+    const swappedVariantIds = itemChanges
+      .map(change => change.productVariantId)
+      .filter(Boolean);
+    const variants = swappedVariantIds.length > 0
+      ? await prisma.productVariant.findMany({
+          where: { id: { in: swappedVariantIds } },
+          select: { id: true, productId: true, color: true, size: true, sku: true }
+        })
+      : [];
+    const variantsById = new Map(variants.map(variant => [variant.id, variant]));
+    const seen = new Set();
+
+    for (const change of itemChanges) {
+      const line = lines.find(item => item.orderItemId === change.orderItemId);
+
+      if (!line) {
+        throw new Error(`Order item not found: ${change.orderItemId}`);
+      }
+
+      if (seen.has(line.orderItemId)) {
+        throw new Error(`Order item ${line.orderItemId} is listed more than once`);
+      }
+      seen.add(line.orderItemId);
+
+      if (change.productVariantId && change.productVariantId !== line.productVariantId) {
+        const variant = variantsById.get(change.productVariantId);
+
+        if (!variant || variant.productId !== line.productId) {
+          throw new Error(`Variant ${change.productVariantId} is not a size or color of ${line.product?.name || line.productId}`);
+        }
+
+        if (line.customDesignId) {
+          throw new Error(`${line.product?.name || line.productId} has a custom design and its variant cannot be changed`);
+        }
+
+        line.productVariantId = variant.id;
+        line.variant = variant;
+      }
+
+      if (change.quantity !== undefined && change.quantity !== null) {
+        const quantity = Number(change.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          throw new Error('Quantity must be a whole number, or 0 to remove the item');
+        }
+
+        line.quantity = quantity;
+      }
+    }
+
+    if (!lines.some(line => line.quantity > 0)) {
+      throw new Error('An order needs at least one item. Cancel the order instead');
+    }
+
+    return lines;
+  }
+
+  buildAddress(order, address = {}) {
+    const result = {};
+
+    for (const field of ADDRESS_FIELDS) {
+      const value = address[field] !== undefined ? String(address[field] ?? '').trim() : order[field];
+
+      if (!value) {
+        throw new Error(`Shipping ${field} cannot be empty`);
+      }
+
+      result[field] = value;
+    }
+
+    return result;
+  }
+
+  // How the new total is squared with the customer. Prepaid orders owe what the
+  // new total exceeds the amount paid (earlier unpaid links don't count as paid).
+  planSettlement(order, newTotal) {
+    const difference = round2(newTotal - order.totalAmount);
+
+    if (order.paymentStatus !== 'PAID') {
+      return {
+        type: order.paymentMethod === 'COD' ? 'COLLECT_ON_DELIVERY' : 'NONE',
+        amount: order.paymentMethod === 'COD' ? newTotal : 0,
+        difference
+      };
+    }
+
+    const unpaid = order.paymentLinks.reduce((sum, link) => sum + link.amount, 0);
+    const balance = round2(newTotal - (order.totalAmount - unpaid));
+
+    if (balance > 0) {
+      return { type: 'PAYMENT_LINK', amount: balance, difference };
+    }
+
+    if (balance < 0) {
+      return { type: 'REFUND', amount: -balance, difference };
+    }
+
+    return { type: 'NONE', amount: 0, difference };
+  }
+
+  // Reprice the edited order the way checkout would and work out what changes
+  async planEdit(order, { address, items } = {}) {
+    const shipping = this.buildAddress(order, address);
+    const lines = await this.buildEditedLines(order, items);
+    const keptLines = lines.filter(line => line.quantity > 0);
+
+    if (shipping.pincode !== order.pincode) {
+      await pincodeService.assertServiceable(shipping.pincode, { cod: order.paymentMethod === 'COD' });
+    }
+
+    const totals = await orderService.calculateOrderTotals(
+      keptLines.map(line => ({
+        productId: line.productId,
+        productVariantId: line.productVariantId,
+        quantity: line.quantity
+      })),
+      order.checkoutQuote?.discountCode || null,
+      shipping.state,
+      order.userId,
+      {
+        pincode: shipping.pincode,
+        shippingMethod: order.shippingMethod,
+        paymentMethod: order.paymentMethod
+      },
+      order.orderItems,
+      order.couponId ? { couponId: order.couponId } : null,
+      order.storeCreditAmount > 0 ? { available: order.storeCreditAmount } : null
+    );
+
+    // Same row shape as a new order's items, lined up with keptLines
+    const pricedRows = orderService.buildOrderItemsFromQuote({
+      items: checkoutQuoteService.serializeItems(totals.items)
+    });
+    keptLines.forEach((line, index) => {
+      line.row = pricedRows[index];
+      line.price = pricedRows[index].price;
+    });
+
+    const changes = [];
+
+    for (const field of ADDRESS_FIELDS) {
+      if (shipping[field] !== order[field]) {
+        changes.push({ field, before: order[field], after: shipping[field] });
+      }
+    }
+
+    for (const item of order.orderItems) {
+      const line = lines.find(edited => edited.orderItemId === item.id);
+      const before = describeLine({
+        orderItemId: item.id,
+        productId: item.productId,
+        productVariantId: item.productVariantId,
+        quantity: item.quantity,
+        price: item.price,
+        product: item.product,
+        variant: item.productVariant
+      });
+      const after = line.quantity > 0 ? describeLine(line) : null;
+
+      if (!after || after.productVariantId !== before.productVariantId
+        || after.quantity !== before.quantity || after.price !== before.price) {
+        changes.push({ field: 'item', orderItemId: item.id, before, after });
+      }
+    }
+
+    const newTotals = {};
+    for (const [column, field] of Object.entries(TOTAL_FIELDS)) {
+      newTotals[column] = totals[field] || 0;
+
+      if (round2(newTotals[column]) !== round2(order[column] || 0)) {
+        changes.push({ field: column, before: order[column], after: newTotals[column] });
+      }
+    }
+
+    return {
+      shipping,
+      lines,
+      totals,
+      newTotals,
+      changes,
+      settlement: this.planSettlement(order, totals.totalAmount),
+      discountError: totals.discountError || null
+    };
+  }
+
+  // Dry run: what the edit would change and how the difference would be settled
+  async previewEdit(orderId, edit) {
+    const order = await this.getEditableOrder(orderId);
+    const plan = await this.planEdit(order, edit);
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      changes: plan.changes,
+      totals: {
+        before: Object.fromEntries(Object.keys(TOTAL_FIELDS).map(column => [column, order[column]])),
+        after: plan.newTotals
+      },
+      settlement: plan.settlement,
+      discountError: plan.discountError
+    };
+  }
+
+  // Net stock each variant needs taken (positive) or given back (negative)
+  getStockChanges(order, lines) {
+    const deltas = new Map();
+    const add = (productVariantId, quantity) => {
+      if (!productVariantId) return;
+      deltas.set(productVariantId, (deltas.get(productVariantId) || 0) + quantity);
+    };
+
+    order.orderItems.forEach(item => add(item.productVariantId, -item.quantity));
+    lines.forEach(line => add(line.productVariantId, line.quantity));
+
+    const take = [];
+    const giveBack = [];
+
+    for (const [productVariantId, quantity] of deltas) {
+      const line = lines.find(item => item.productVariantId === productVariantId);
+      const entry = { productVariantId, product: line?.product, variant: line?.variant };
+
+      if (quantity > 0) take.push({ ...entry, quantity });
+      if (quantity < 0) giveBack.push({ ...entry, quantity: -quantity });
+    }
+
+    return { take, giveBack };
+  }
+
+  async editOrder(orderId, { address, items, reason, notifyCustomer = true } = {}, adminId = null) {
+    const order = await this.getEditableOrder(orderId);
+    const plan = await this.planEdit(order, { address, items });
+
+    if (plan.changes.length === 0) {
+      throw new Error('The edit does not change anything');
+    }
+
+    const pincodeChanged = plan.shipping.pincode !== order.pincode;
+    const estimatedDelivery = pincodeChanged
+      ? await pincodeService.estimateDeliveryDate(plan.shipping.pincode, order.shippingMethod)
+      : order.estimatedDelivery;
+    const { take, giveBack } = this.getStockChanges(order, plan.lines.filter(line => line.quantity > 0));
+
+    const auditLog = await prisma.$transaction(async (tx) => {
+      // Only if nothing touched the order since we read it (shipped, cancelled, edited)
+      const claimed = await tx.order.updateMany({
+        where: { id: order.id, updatedAt: order.updatedAt, status: { in: EDITABLE_STATUSES } },
+        data: {
+          ...plan.shipping,
+          normalizedPhone: normalizePhone(plan.shipping.phone),
+          ...plan.newTotals,
+          shippingDetails: plan.totals.shippingDetails || null,
+          estimatedDelivery
+        }
+      });
+
+      if (claimed.count === 0) {
+        throw editError('The order changed while it was being edited. Please review it and try again', 'ORDER_CHANGED');
+      }
+
+      for (const line of plan.lines) {
+        if (line.quantity === 0) {
+          await tx.orderItem.delete({ where: { id: line.orderItemId } });
+        } else {
+          await tx.orderItem.update({
+            where: { id: line.orderItemId },
+            data: line.row
+          });
+        }
+      }
+
+      // Throws OUT_OF_STOCK (rolling everything back) if a new size or color ran out
+      await inventoryService.restoreStock(tx, giveBack);
+      await inventoryService.decrementStock(tx, take);
+
+      if (order.userId) {
+        await discountService.reverseDiscountUsage(tx, order.id);
+        await discountService.recordDiscountUsage(tx, plan.totals.appliedDiscounts || [], order.userId, order.id);
+      }
+
+      // A smaller order needs less of the store credit it was paid with
+      const unusedCredit = round2((order.storeCreditAmount || 0) - plan.newTotals.storeCreditAmount);
+      if (order.userId && unusedCredit > 0) {
+        await tx.storeCredit.create({
+          data: {
+            userId: order.userId,
+            amount: unusedCredit,
+            reason: `Order ${order.orderNumber} edited`,
+            orderId: order.id
+          }
+        });
+      }
+
+      const log = await tx.orderAuditLog.create({
+        data: {
+          orderId: order.id,
+          action: 'ORDER_EDITED',
+          changes: plan.changes,
+          reason: reason || null,
+          amountDifference: plan.settlement.difference,
+          settlement: plan.settlement,
+          adminId
+        }
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: order.id,
+          status: order.status,
+          description: `Order updated: ${[...new Set(plan.changes.map(change => change.field === 'item' ? 'items' : change.field))].join(', ')}`,
+          location: 'Admin',
+          ...(reason && { adminNotes: reason })
+        }
+      });
+
+      return log;
+    }, { timeout: 15000 });
+
+    logger.info(`Order ${order.orderNumber} edited`, {
+      Changes: plan.changes.length,
+      Difference: `₹${plan.settlement.difference}`,
+      Settlement: plan.settlement.type
+    });
+
+    const settlement = await this.settleDifference(order, plan.settlement, auditLog.id);
+
+    await prisma.orderAuditLog.update({
+      where: { id: auditLog.id },
+      data: { settlement }
+    });
+
+    try {
+      await invoiceService.issueAdjustmentNotes(order.id, reason || 'Order edited');
+    } catch (error) {
+      logger.error(`Failed to issue credit/debit note for order ${order.orderNumber}:`, error);
+    }
+
+    const updatedOrder = await orderService.getOrderById(order.id);
+
+    if (notifyCustomer) {
+      await emailNotificationService.sendOrderUpdated(updatedOrder, {
+        changes: plan.changes,
+        settlement
+      });
+    }
+
+    return {
+      ...updatedOrder,
+      edit: {
+        auditLogId: auditLog.id,
+        changes: plan.changes,
+        settlement,
+        discountError: plan.discountError
+      }
+    };
+  }
+
+  // Collect or refund the difference. Failures are recorded, not thrown: the
+  // edit itself has already gone through.
+  async settleDifference(order, settlement, auditLogId) {
+    const result = { ...settlement };
+
+    try {
+      // The new balance already accounts for earlier unpaid links
+      if (order.paymentLinks.length > 0) {
+        await this.cancelOpenPaymentLinks(order.id);
+      }
+
+      if (settlement.type === 'PAYMENT_LINK') {
+        const link = await this.createPaymentLink(order, settlement.amount, auditLogId);
+        result.paymentLinkId = link.id;
+        result.paymentLinkUrl = link.shortUrl;
+      }
+
+      if (settlement.type === 'REFUND') {
+        const refund = await refundService.createRefund(order.id, {
+          amount: settlement.amount,
+          reason: 'Price difference after order was edited',
+          restock: false,
+          notifyCustomer: false,
+          adjustment: true
+        });
+        result.refundId = refund.refund.id;
+        result.refundStatus = refund.refund.status;
+      }
+    } catch (error) {
+      logger.error(`Failed to settle edit difference for order ${order.orderNumber}:`, error);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  async createPaymentLink(order, amount, auditLogId) {
+    const link = await razorpayService.createPaymentLink(Math.round(amount * 100), {
+      description: `Balance for order ${order.orderNumber}`,
+      referenceId: auditLogId,
+      customer: {
+        name: order.name,
+        email: order.email,
+        phone: order.phone
+      },
+      notes: {
+        orderNumber: order.orderNumber,
+        orderId: order.id
+      }
+    });
+
+    return await prisma.paymentLink.create({
+      data: {
+        orderId: order.id,
+        auditLogId,
+        gatewayLinkId: link.id,
+        shortUrl: link.short_url,
+        amount
+      }
+    });
+  }
+
+  async cancelOpenPaymentLinks(orderId) {
+    const links = await prisma.paymentLink.findMany({
+      where: { orderId, status: 'CREATED' }
+    });
+
+    for (const link of links) {
+      try {
+        await razorpayService.cancelPaymentLink(link.gatewayLinkId);
+      } catch (error) {
+        // Paid in the meantime - the payment_link.paid webhook settles it
+        logger.warn(`Payment link ${link.gatewayLinkId} could not be cancelled: ${error.message}`);
+        continue;
+      }
+
+      await prisma.paymentLink.updateMany({
+        where: { id: link.id, status: 'CREATED' },
+        data: { status: 'CANCELLED', closedAt: new Date() }
+      });
+    }
+
+    return links.length;
+  }
+
+  // payment_link.paid webhook
+  async handlePaymentLinkPaid(linkEntity, payment) {
+    const link = await prisma.paymentLink.findUnique({
+      where: { gatewayLinkId: linkEntity.id },
+      include: {
+        order: {
+          select: { id: true, status: true }
+        }
+      }
+    });
+
+    if (!link) {
+      return { ignored: true, reason: `No payment link ${linkEntity.id}` };
+    }
+
+    if (link.status === 'PAID') {
+      return { orderId: link.orderId };
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.paymentLink.update({
+        where: { id: link.id },
+        data: {
+          status: 'PAID',
+          razorpayPaymentId: payment?.id || null,
+          paidAt: new Date()
+        }
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: link.orderId,
+          status: link.order.status,
+          description: `Balance of ₹${link.amount.toFixed(2)} paid by payment link${payment?.id ? `. Payment ID: ${payment.id}` : ''}`,
+          location: 'System'
+        }
+      });
+    });
+
+    logger.info(`Payment link ${link.gatewayLinkId} paid for order ${link.orderId}`);
+
+    return { orderId: link.orderId };
+  }
+
+  // payment_link.cancelled / payment_link.expired webhooks
+  async handlePaymentLinkClosed(linkEntity, status) {
+    const updated = await prisma.paymentLink.updateMany({
+      where: { gatewayLinkId: linkEntity.id, status: 'CREATED' },
+      data: { status, closedAt: new Date() }
+    });
+
+    return updated.count > 0 ? {} : { ignored: true, reason: `No open payment link ${linkEntity.id}` };
+  }
+
+  async getAuditLog(orderId) {
+    return await prisma.orderAuditLog.findMany({
+      where: { orderId },
+      include: { paymentLinks: true },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
+
+export default new OrderEditService();
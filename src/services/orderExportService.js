@@ -0,0 +1,353 @@
+// services/orderExportService.js
+import ExcelJS from 'exceljs';
+import prisma from '../config/database.js';
+import { escapeCsvValue } from '../utils/csv.js';
+import orderService from './orderService.js';
+import invoiceService from './invoiceService.js';
+import taxService from './taxService.js';
+
+const EXPORT_BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const EXPORT_INCLUDE = {
+  orderItems: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      product: {
+        select: {
+          name: true,
+          productCode: true,
+          hsnCode: true,
+          taxCategory: true,
+          category: {
+            select: { hsnCode: true, taxCategory: true }
+          }
+        }
+      },
+      productVariant: {
+        select: { size: true, color: true, sku: true }
+      }
+    }
+  },
+  coupon: { select: { code: true } },
+  checkoutQuote: { select: { appliedDiscounts: true } },
+  discountUsage: {
+    select: {
+      discountId: true,
+      discountAmount: true,
+      discount: { select: { name: true } }
+    }
+  },
+  invoice: { select: { invoiceNumber: true } },
+  refunds: {
+    where: { status: 'PROCESSED' },
+    select: { amount: true, gatewayRefundId: true }
+  },
+  paymentLinks: {
+    where: { status: 'PAID' },
+    select: { razorpayPaymentId: true }
+  },
+  shipments: {
+    where: { cancelledAt: null },
+    orderBy: { createdAt: 'asc' },
+    select: { awbNumber: true, carrier: true, trackingUrl: true }
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const joinValues = (values) => [...new Set(values.filter(Boolean))].join('; ');
+
+// Column helpers: `type` drives the XLSX number format
+const field = (header, value, width = 16) => ({ header, value, width });
+const money = (header, value) => ({ header, value, width: 12, type: 'money' });
+const date = (header, value) => ({ header, value, width: 18, type: 'date' });
+
+// Order columns shared by both layouts; `ctx` is the prepared order
+const ORDER_DETAILS = [
+  field('Order Number', ctx => ctx.order.orderNumber, 20),
+  date('Order Date', ctx => ctx.order.createdAt),
+  field('Invoice Number', ctx => ctx.order.invoice?.invoiceNumber, 20),
+  field('Status', ctx => ctx.order.status, 14),
+  field('Payment Status', ctx => ctx.order.paymentStatus, 16),
+  field('Payment Method', ctx => ctx.order.paymentMethod, 14),
+  field('Customer Name', ctx => ctx.order.name, 20),
+  field('Email', ctx => ctx.order.email, 26),
+  field('Phone', ctx => ctx.order.phone, 14),
+  field('Address', ctx => ctx.order.address, 36),
+  field('City', ctx => ctx.order.city),
+  field('State', ctx => ctx.order.state),
+  field('Pincode', ctx => ctx.order.pincode, 10)
+];
+
+const ORDER_CHARGES = [
+  field('Discounts', ctx => ctx.discounts.breakdown, 30),
+  field('Coupon Code', ctx => ctx.order.coupon?.code, 16),
+  money('Coupon Discount', ctx => ctx.discounts.coupon),
+  field('Shipping Method', ctx => ctx.order.shippingMethod, 14),
+  money('Shipping', ctx => ctx.order.shippingCost),
+  money('COD Fee', ctx => ctx.order.codFee)
+];
+
+const PAYMENT_AND_TRACKING = [
+  money('Refunded', ctx => ctx.refunded),
+  field('Refund IDs', ctx => joinValues(ctx.order.refunds.map(refund => refund.gatewayRefundId)), 24),
+  field('Razorpay Order ID', ctx => ctx.order.razorpayOrderId, 24),
+  field('Razorpay Payment IDs', ctx => joinValues([
+    ctx.order.razorpayPaymentId,
+    ...ctx.order.paymentLinks.map(link => link.razorpayPaymentId)
+  ]), 24),
+  field('Carrier', ctx => joinValues([ctx.order.carrier, ...ctx.order.shipments.map(shipment => shipment.carrier)])),
+  field('Tracking Number', ctx => joinValues([ctx.order.trackingNumber, ...ctx.order.shipments.map(shipment => shipment.awbNumber)]), 20),
+  field('Tracking URL', ctx => joinValues([ctx.order.trackingUrl, ...ctx.order.shipments.map(shipment => shipment.trackingUrl)]), 30),
+  date('Shipped At', ctx => ctx.order.shippedAt),
+  date('Delivered At', ctx => ctx.order.deliveredAt)
+];
+
+// One row per order; tax totals include shipping and the COD fee, as on the invoice
+const ORDER_COLUMNS = [
+  ...ORDER_DETAILS,
+  field('Items', ctx => ctx.order.orderItems.reduce((sum, item) => sum + item.quantity, 0), 8),
+  money('Subtotal', ctx => ctx.order.subtotal),
+  money('Discount', ctx => ctx.order.discount),
+  ...ORDER_CHARGES,
+  money('Taxable Value', ctx => ctx.tax.taxableValue),
+  money('CGST', ctx => ctx.tax.cgst),
+  money('SGST', ctx => ctx.tax.sgst),
+  money('IGST', ctx => ctx.tax.igst),
+  money('Total Tax', ctx => ctx.tax.totalTax),
+  money('Order Total', ctx => ctx.order.totalAmount),
+  ...PAYMENT_AND_TRACKING
+];
+
+// One row per line item; `ctx.line` is the invoice line and `ctx.item` the order item.
+// Order-level charges repeat on every line of the order.
+const LINE_COLUMNS = [
+  ...ORDER_DETAILS,
+  field('Product', ctx => ctx.item.product.name, 30),
+  field('Product Code', ctx => ctx.item.product.productCode),
+  field('SKU', ctx => ctx.item.productVariant?.sku),
+  field('Variant', ctx => [ctx.item.productVariant?.color, ctx.item.productVariant?.size].filter(Boolean).join(' / ')),
+  field('HSN Code', ctx => ctx.line.hsnCode, 10),
+  field('Quantity', ctx => ctx.item.quantity, 8),
+  field('Refunded Quantity', ctx => ctx.item.refundedQuantity, 8),
+  money('Unit Price', ctx => ctx.item.price),
+  money('Line Discount', ctx => ctx.line.discount),
+  money('Taxable Value', ctx => ctx.line.taxableValue),
+  field('GST Rate %', ctx => ctx.line.gstRate, 8),
+  money('CGST', ctx => ctx.line.cgst),
+  money('SGST', ctx => ctx.line.sgst),
+  money('IGST', ctx => ctx.line.igst),
+  money('Line Total', ctx => ctx.line.total),
+  money('Order Discount', ctx => ctx.order.discount),
+  ...ORDER_CHARGES,
+  money('Order Total', ctx => ctx.order.totalAmount),
+  ...PAYMENT_AND_TRACKING
+];
+
+// Resolve once 'drain' or 'close' fires, so a client that hangs up doesn't stall the export
+const waitForDrain = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+class OrderExportService {
+
+  // Validate the request; query: format (csv|xlsx), mode (order|line) and the order list filters
+  prepareExport({ format = 'csv', mode = 'order', status, paymentStatus, from, to, state } = {}) {
+    if (!CONTENT_TYPES[format]) {
+      throw new Error('Export format must be csv or xlsx');
+    }
+
+    if (!['order', 'line'].includes(mode)) {
+      throw new Error('Export mode must be order or line');
+    }
+
+    const where = orderService.buildOrderWhere({ status, paymentStatus, from, to, state });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    return {
+      format,
+      mode,
+      where,
+      contentType: CONTENT_TYPES[format],
+      fileName: `orders${mode === 'line' ? '-items' : ''}-${stamp}.${format}`
+    };
+  }
+
+  // Orders in batches, oldest first, so memory stays flat however many match
+  async *iterateOrders(where) {
+    let cursor = null;
+
+    while (true) {
+      const orders = await prisma.order.findMany({
+        where,
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        include: EXPORT_INCLUDE
+      });
+
+      if (orders.length === 0) {
+        return;
+      }
+
+      yield* orders;
+
+      if (orders.length < EXPORT_BATCH_SIZE) {
+        return;
+      }
+
+      cursor = orders[orders.length - 1].id;
+    }
+  }
+
+  // Named discounts and the coupon share, from the checkout quote when there is one
+  describeDiscounts(order) {
+    const names = new Map(order.discountUsage.map(usage => [usage.discountId, usage.discount.name]));
+    const applied = Array.isArray(order.checkoutQuote?.appliedDiscounts) ? order.checkoutQuote.appliedDiscounts : [];
+    const parts = new Map();
+    let coupon = 0;
+
+    const add = (label, amount) => parts.set(label, round2((parts.get(label) || 0) + amount));
+
+    if (applied.length > 0) {
+      for (const discount of applied) {
+        if (discount.type === 'COUPON') {
+          coupon += discount.amount;
+          add(`Coupon ${discount.code}`, discount.amount);
+        } else {
+          add(discount.name || names.get(discount.discountId) || 'Discount', discount.amount);
+        }
+      }
+    } else {
+      for (const usage of order.discountUsage) {
+        add(usage.discount.name, usage.discountAmount);
+      }
+
+      // Orders without a quote only record the coupon as the remainder
+      if (order.coupon) {
+        const used = order.discountUsage.reduce((sum, usage) => sum + usage.discountAmount, 0);
+        coupon = Math.max(order.discount - used, 0);
+        add(`Coupon ${order.coupon.code}`, coupon);
+      }
+    }
+
+    return {
+      coupon: round2(coupon),
+      breakdown: [...parts].map(([label, amount]) => `${label}: ${amount.toFixed(2)}`).join('; ')
+    };
+  }
+
+  // Everything the columns read for one order, with GST worked out the same way as its invoice
+  async prepareOrder(order) {
+    const isInterState = !taxService.isSameState(order.state);
+    const lines = await invoiceService.buildInvoiceLines(order, isInterState);
+    const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+    const cgst = sum('cgst');
+    const sgst = sum('sgst');
+    const igst = sum('igst');
+
+    return {
+      order,
+      lines,
+      discounts: this.describeDiscounts(order),
+      refunded: round2(order.refunds.reduce((total, refund) => total + refund.amount, 0)),
+      tax: {
+        taxableValue: sum('taxableValue'),
+        cgst,
+        sgst,
+        igst,
+        totalTax: round2(cgst + sgst + igst)
+      }
+    };
+  }
+
+  // Export rows in the chosen layout: one per order, or one per line item
+  async *iterateRows(where, mode) {
+    const columns = mode === 'line' ? LINE_COLUMNS : ORDER_COLUMNS;
+
+    for await (const order of this.iterateOrders(where)) {
+      const ctx = await this.prepareOrder(order);
+
+      if (mode === 'line') {
+        // Invoice lines start with the order items, in the same order
+        for (const [index, item] of order.orderItems.entries()) {
+          const lineCtx = { ...ctx, item, line: ctx.lines[index] };
+          yield columns.map(column => column.value(lineCtx) ?? null);
+        }
+      } else {
+        yield columns.map(column => column.value(ctx) ?? null);
+      }
+    }
+  }
+
+  async writeCsv(stream, { where, mode }) {
+    const columns = mode === 'line' ? LINE_COLUMNS : ORDER_COLUMNS;
+
+    // Byte order mark so Excel reads the file as UTF-8
+    stream.write(`\uFEFF${columns.map(column => escapeCsvValue(column.header)).join(',')}\r\n`);
+
+    for await (const row of this.iterateRows(where, mode)) {
+      if (stream.destroyed) {
+        return;
+      }
+
+      if (!stream.write(`${row.map(escapeCsvValue).join(',')}\r\n`)) {
+        await waitForDrain(stream);
+      }
+    }
+
+    stream.end();
+  }
+
+  async writeXlsx(stream, { where, mode }) {
+    const columns = mode === 'line' ? LINE_COLUMNS : ORDER_COLUMNS;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet(mode === 'line' ? 'Order Items' : 'Orders', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      width: column.width,
+      ...(column.type === 'money' && { style: { numFmt: '#,##0.00' } }),
+      ...(column.type === 'date' && { style: { numFmt: 'dd-mm-yyyy hh:mm' } })
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const row of this.iterateRows(where, mode)) {
+      if (stream.destroyed) {
+        return;
+      }
+
+      // Text goes in as plain string cells, never formulas
+      sheet.addRow(row.map(value => (
+        value === null || typeof value === 'number' || value instanceof Date ? value : String(value)
+      ))).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  // Stream the export prepared by prepareExport to a writable (the response)
+  async writeExport(stream, exportRequest) {
+    if (exportRequest.format === 'xlsx') {
+      return await this.writeXlsx(stream, exportRequest);
+    }
+
+    return await this.writeCsv(stream, exportRequest);
+  }
+}
+
+export default new OrderExportService();
@@ -2,31 +2,46 @@ import prisma from '../config/database.js';
 import emailNotificationService from './emailNotificationService.js';
 import phonepeService from './phonepeService.js';
 import logger from '../utils/logger.js';
+import { normalizePhone, productLineKey } from '../utils/helpers.js';
 import razorpayService from './razorpayService.js';
 import discountService from './discountService.js';
-
-class OrderService {
-
-    calculateShippingCost(state) {
-    if (!state) return 200; // Default to "Other" category
-    
-    // Normalize state name
-    const normalizedState = state.trim().toLowerCase();
-    
-    switch (normalizedState) {
-      case "tamil nadu":
-        return 80;
-      
-      case "kerala":
-      case "karnataka":
-      case "andhra pradesh":
-      case "telangana":
-        return 100;
-      
-      default:
-        return 200;
+import checkoutQuoteService, { quoteRefundedError } from './checkoutQuoteService.js';
+import stockReservationService from './stockReservationService.js';
+import inventoryService from './inventoryService.js';
+import refundService from './refundService.js';
+import orderStateMachine from './orderStateMachine.js';
+import invoiceService from './invoiceService.js';
+import storeCreditService from './storeCreditService.js';
+import taxService from './taxService.js';
+import shippingService from './shippingService.js';
+import pincodeService from './pincodeService.js';
+import codService from './codService.js';
+import shipmentService from './shipmentService.js';
+import couponService from './couponService.js';
+import cartRecoveryService from './cartRecoveryService.js';
+
+// Statuses in which the customer may still cancel on their own
+const CUSTOMER_CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
+const GIFT_NOTE_MAX_LENGTH = 500;
+
+// Order creation failures after payment that are refunded automatically
+const UNFULFILLABLE_ERROR_CODES = ['OUT_OF_STOCK', 'COUPON_USED_UP', 'STORE_CREDIT_USED_UP'];
+
+// Parcels with their items and own tracking history, for order detail views
+const ORDER_SHIPMENTS_INCLUDE = {
+  orderBy: { createdAt: 'asc' },
+  include: {
+    items: {
+      select: { orderItemId: true, quantity: true }
+    },
+    trackingHistory: {
+      orderBy: { createdAt: 'desc' }
     }
   }
+};
+
+class OrderService {
 
   generateOrderNumber() {
     const timestamp = Date.now().toString();
@@ -100,7 +115,12 @@ class OrderService {
   }
 
   // Enhanced order totals calculation with quantity pricing
-async calculateOrderTotals(orderItems, discountCode = null, shippingState = null, userId = null) {
+// shippingOptions: { pincode, shippingMethod, paymentMethod } for the shipping rate table
+// existingLines: an edited order's current items. Their stock is already taken, and
+// a line left unchanged keeps the price it was ordered at.
+// coupon: { code } typed at checkout, or { couponId } an edited order was placed with
+// storeCredit: { available } - the most store credit that may go towards the total
+async calculateOrderTotals(orderItems, discountCode = null, shippingState = null, userId = null, shippingOptions = {}, existingLines = [], coupon = null, storeCredit = null) {
   let subtotal = 0;
   let quantitySavings = 0;
   
@@ -109,6 +129,7 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
   }
 
   const itemsWithPricing = [];
+  const unmatchedLines = [...existingLines];
 
   // Calculate subtotal with quantity pricing
   for (const item of orderItems) {
@@ -127,7 +148,16 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
         wholesalePrice: true,
         status: true,
         subcategoryId: true,
-        productCode: true
+        productCode: true,
+        weightGrams: true,
+        hsnCode: true,
+        taxCategory: true,
+        category: {
+          select: {
+            hsnCode: true,
+            taxCategory: true
+          }
+        }
       }
     });
 
@@ -135,7 +165,14 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
       throw new Error(`Product not found: ${item.productId}`);
     }
 
-    if (product.status !== 'ACTIVE') {
+    const unchangedIndex = unmatchedLines.findIndex(line =>
+      line.productId === item.productId
+      && (line.productVariantId || null) === (item.productVariantId || null)
+      && line.quantity === item.quantity
+    );
+    const unchangedLine = unchangedIndex >= 0 ? unmatchedLines.splice(unchangedIndex, 1)[0] : null;
+
+    if (product.status !== 'ACTIVE' && !unchangedLine) {
       throw new Error(`Product ${product.id} is not available for purchase`);
     }
 
@@ -161,8 +198,12 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
         throw new Error(`Product variant not found: ${item.productVariantId}`);
       }
 
-      if (variant.stock < item.quantity) {
-        throw new Error(`Insufficient stock for variant ${item.productVariantId}. Available: ${variant.stock}, Requested: ${item.quantity}`);
+      const heldStock = existingLines
+        .filter(line => line.productVariantId === item.productVariantId)
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+      if (variant.stock + heldStock < item.quantity) {
+        throw new Error(`Insufficient stock for variant ${item.productVariantId}. Available: ${variant.stock + heldStock}, Requested: ${item.quantity}`);
       }
 
       variantPrice = variant.price;
@@ -185,12 +226,14 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
     }
 
     // Calculate price with quantity discounts
-    const quantityPriceCalculation = await this.calculateItemQuantityPrice(
-      product.id,
-      product.subcategoryId,
-      basePrice,
-      item.quantity
-    );
+    const quantityPriceCalculation = unchangedLine
+      ? await this.calculateItemQuantityPrice(product.id, null, unchangedLine.price, item.quantity)
+      : await this.calculateItemQuantityPrice(
+          product.id,
+          product.subcategoryId,
+          basePrice,
+          item.quantity
+        );
 
     const itemTotal = quantityPriceCalculation.finalPrice;
     const itemSavings = quantityPriceCalculation.totalSavings;
@@ -212,7 +255,9 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
       basePrice,
       quantityPricing: quantityPriceCalculation,
       itemTotal,
-      itemSavings
+      itemSavings,
+      weightGrams: product.weightGrams,
+      ...taxService.resolveProductTaxInfo(product)
     });
   }
 
@@ -245,10 +290,71 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
     }
   }
 
-  // Calculate shipping cost
-  const shippingCost = this.calculateShippingCost(shippingState);
-  
-  const totalAmount = subtotal - discountAmount + shippingCost;
+  // A coupon code stacks on the discount. An edited order keeps the coupon it
+  // was placed with (couponId), even if the code has since been used up or expired.
+  let couponError = null;
+
+  if (coupon?.code || coupon?.couponId) {
+    try {
+      const couponBase = Math.max(0, subtotal - discountAmount);
+      const couponRecord = coupon.couponId
+        ? await prisma.coupon.findUnique({ where: { id: coupon.couponId } })
+        : await couponService.validateCoupon(coupon.code, couponBase);
+      const couponAmount = couponRecord ? await couponService.calculateDiscount(couponRecord, couponBase) : 0;
+
+      if (couponAmount > 0) {
+        discountAmount += couponAmount;
+        appliedDiscounts = [...appliedDiscounts, {
+          type: 'COUPON',
+          couponId: couponRecord.id,
+          code: couponRecord.code,
+          discountType: couponRecord.discountType,
+          amount: parseFloat(couponAmount.toFixed(2))
+        }];
+      }
+    } catch (error) {
+      couponError = error.message;
+    }
+  }
+
+  const shipping = await shippingService.calculateShipping({
+    state: shippingState,
+    pincode: shippingOptions.pincode,
+    items: itemsWithPricing.map(item => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      weightGrams: item.weightGrams
+    })),
+    orderValue: subtotal - discountAmount,
+    method: shippingOptions.shippingMethod,
+    paymentMethod: shippingOptions.paymentMethod
+  });
+  const shippingCost = shipping.total;
+  const codFee = shipping.codCharge;
+
+  // GST per line, on the price left after quantity pricing and discounts.
+  // The COD fee is a delivery charge, so it is taxed with shipping.
+  const tax = await taxService.calculateTax({
+    items: itemsWithPricing,
+    appliedDiscounts,
+    discountAmount,
+    shippingCost: shippingCost + codFee,
+    shippingState
+  });
+
+  itemsWithPricing.forEach((item, index) => {
+    item.tax = tax.lines[index];
+  });
+
+  // Tax only adds to the total when catalogue prices exclude GST
+  const orderValue = subtotal - discountAmount + shippingCost + codFee + (tax.pricesIncludeTax ? 0 : tax.taxAmount);
+
+  // Store credit pays part of the order like a payment would; it doesn't lower
+  // the taxable value. ₹1 is left to collect since Razorpay and COD both need one.
+  const storeCreditAmount = storeCredit?.available > 0
+    ? Math.max(0, Math.min(storeCredit.available, orderValue - 1))
+    : 0;
+  const totalAmount = orderValue - storeCreditAmount;
 
   return {
     subtotal: parseFloat(subtotal.toFixed(2)),
@@ -257,18 +363,105 @@ async calculateOrderTotals(orderItems, discountCode = null, shippingState = null
     appliedDiscounts,
     shippingCost: parseFloat(shippingCost.toFixed(2)),
     shippingState: shippingState || null,
+    shippingPincode: shippingService.normalizePincode(shippingOptions.pincode),
+    shippingMethod: shipping.method,
+    paymentMethod: shippingOptions.paymentMethod || null,
+    shippingDetails: shipping,
+    codFee,
+    taxAmount: tax.taxAmount,
+    taxDetails: {
+      taxableValue: tax.taxableValue,
+      shippingTax: tax.shipping.taxAmount,
+      shippingGstRate: tax.shipping.gstRate,
+      pricesIncludeTax: tax.pricesIncludeTax,
+      isInterState: tax.isInterState,
+      cgst: tax.cgst ?? null,
+      sgst: tax.sgst ?? null,
+      igst: tax.igst ?? null
+    },
+    storeCreditAmount: parseFloat(storeCreditAmount.toFixed(2)),
     totalAmount: parseFloat(totalAmount.toFixed(2)),
     items: itemsWithPricing,
     hasQuantityDiscounts: quantitySavings > 0,
-    discountError
+    discountError,
+    couponError
   };
 }
 
 
+  // Price the cart and lock the result in a checkout quote. cartSessionId is the
+  // guest cart being checked out; a signed-in user's cart is found by userId.
+  async createCheckoutQuote({ orderItems, discountCode = null, coupon = null, shippingState = null, userId = null, shippingOptions = {}, cartSessionId = null, useStoreCredit = false }) {
+    const storeCredit = useStoreCredit && userId
+      ? { available: await storeCreditService.getBalance(userId) }
+      : null;
+    const totals = await this.calculateOrderTotals(orderItems, discountCode, shippingState, userId, shippingOptions, [], coupon, storeCredit);
+
+    const cartWhere = userId ? { userId } : (cartSessionId ? { sessionId: cartSessionId } : null);
+    const cart = cartWhere
+      ? await prisma.cart.findUnique({ where: cartWhere, select: { id: true } })
+      : null;
+
+    const quote = await checkoutQuoteService.createQuote(totals, { userId, discountCode, cartId: cart?.id || null });
+
+    return {
+      ...checkoutQuoteService.toTotals(quote),
+      discountError: totals.discountError,
+      couponError: totals.couponError
+    };
+  }
+
+  // Shipping is priced by address and payment method, so both must match the quote
+  assertQuoteMatchesCheckout(quote, { state, pincode, paymentMethod }) {
+    const normalize = (value) => (value || '').trim().toLowerCase();
+
+    if (normalize(quote.shippingState) !== normalize(state)) {
+      throw new Error('Shipping state differs from the checkout quote. Please recalculate totals');
+    }
+
+    if (quote.shippingPincode && quote.shippingPincode !== shippingService.normalizePincode(pincode)) {
+      throw new Error('Shipping pincode differs from the checkout quote. Please recalculate totals');
+    }
+
+    const shipping = quote.shippingDetails || {};
+
+    if (paymentMethod === 'COD' && shipping.codSurcharge > 0 && quote.paymentMethod !== 'COD') {
+      throw new Error('Cash on delivery has an extra charge. Please recalculate totals with cash on delivery selected');
+    }
+
+    if (paymentMethod !== 'COD' && shipping.codCharge > 0) {
+      throw new Error('These totals include the cash on delivery charge. Please recalculate totals for online payment');
+    }
+  }
+
+  // Order item rows for a quote; price is the effective unit price after quantity pricing
+  buildOrderItemsFromQuote(quote) {
+    return quote.items.map(item => ({
+      productId: item.productId,
+      productVariantId: item.productVariantId || null,
+      quantity: item.quantity,
+      price: item.pricePerItem,
+      hsnCode: item.tax?.hsnCode ?? null,
+      gstRate: item.tax?.gstRate ?? null,
+      discountAmount: item.tax?.discountAmount ?? 0,
+      taxableValue: item.tax?.taxableValue ?? null,
+      taxAmount: item.tax?.taxAmount ?? null
+    }));
+  }
+
+  buildCustomImagesData(customImages = []) {
+    return customImages.map(img => ({
+      imageUrl: img.url,
+      imageKey: img.key,
+      filename: img.filename || `custom-image-${Date.now()}.jpg`
+    }));
+  }
+
 // services/orderService.js
 async initiateRazorpayPayment(orderData) {
     const {
         userId,
+        quoteId,
         name,
         email,
         phone,
@@ -276,10 +469,9 @@ async initiateRazorpayPayment(orderData) {
         city,
         state,
         pincode,
-        orderItems,
-        discountCode,
         customImages = [],
-        // ✅ Get both values from frontend
+        giftNote,
+        // Client-side figures are only used to flag a mismatch, never to charge
         totalAmountRupees,
         totalAmountPaise
     } = orderData;
@@ -289,32 +481,57 @@ async initiateRazorpayPayment(orderData) {
         throw new Error('All shipping information fields are required');
     }
 
-    // ✅ Use the calculated amount from frontend OR recalculate
-    let finalAmountRupees = 0;
-    let finalAmountPaise = 0;
-    
-    if (totalAmountRupees && totalAmountPaise) {
-        // Use frontend calculated amount
-        finalAmountRupees = parseFloat(totalAmountRupees);
-        finalAmountPaise = parseInt(totalAmountPaise);
-    } else {
-        // Recalculate if not provided
-        // ... your calculation logic ...
-        finalAmountRupees = parseFloat(finalTotal.toFixed(2));
-        finalAmountPaise = Math.round(finalAmountRupees * 100);
+    await pincodeService.assertServiceable(pincode);
+
+    // ✅ The quote from /calculate-totals is the only amount we charge
+    const quote = await checkoutQuoteService.getActiveQuote(quoteId, userId);
+    this.assertQuoteMatchesCheckout(quote, { state, pincode, paymentMethod: 'ONLINE' });
+
+    const finalAmountRupees = quote.totalAmount;
+    const finalAmountPaise = Math.round(finalAmountRupees * 100);
+
+    if (finalAmountPaise <= 0) {
+        throw new Error('Order total must be greater than zero');
+    }
+
+    const clientAmountPaise = this.parseClientAmountPaise(totalAmountRupees, totalAmountPaise);
+    const amountMismatch = clientAmountPaise !== null && clientAmountPaise !== finalAmountPaise;
+
+    if (amountMismatch) {
+        logger.warn(`⚠️ Client total does not match server quote`, {
+            'User': userId,
+            'Quote': quote.id,
+            'Client (paise)': clientAmountPaise,
+            'Server (paise)': finalAmountPaise
+        });
     }
 
+    // A single-use coupon redeemed since the quote was made is rejected before anything is charged
+    const quoteCoupon = (quote.appliedDiscounts || []).find(applied => applied.type === 'COUPON');
+    if (quoteCoupon) {
+        await couponService.assertCouponAvailable(quoteCoupon.couponId);
+    }
 
+    // Same for store credit spent on another order in the meantime
+    await storeCreditService.assertAvailable(quote.userId, quote.storeCreditAmount);
 
-    // ✅ Create Razorpay order with PAISE amount
-    const razorpayOrder = await razorpayService.createOrder(
-        totalAmountPaise, // Send 26000 (already in paise)
-        'INR'
-    );
+    // Hold variant stock while the customer is on the Razorpay checkout
+    await stockReservationService.reserveForQuote(quote, { userId });
 
-    // Store temporary order data
-    const tempOrderData = {
-        userId,
+    // Re-use the Razorpay order if the customer retries payment on the same quote
+    let razorpayOrder;
+    try {
+        razorpayOrder = quote.razorpayOrderId
+            ? { id: quote.razorpayOrderId, amount: finalAmountPaise, currency: 'INR' }
+            : await razorpayService.createOrder(finalAmountPaise, 'INR');
+    } catch (error) {
+        await stockReservationService.releaseForQuote(quote.id, 'Payment order creation failed');
+        throw error;
+    }
+
+    await stockReservationService.attachRazorpayOrder(quote.id, razorpayOrder.id);
+
+    const checkoutData = {
         name,
         email,
         phone,
@@ -322,24 +539,40 @@ async initiateRazorpayPayment(orderData) {
         city,
         state,
         pincode,
-        orderItems,
-        discountCode,
-        appliedDiscounts: orderData.appliedDiscounts || [],
         customImages,
+        giftNote
+    };
+
+    await checkoutQuoteService.attachPayment(quote.id, razorpayOrder.id, checkoutData);
+
+    const totals = checkoutQuoteService.toTotals(quote);
+
+    // Store temporary order data
+    const tempOrderData = {
+        userId,
+        quoteId: quote.id,
+        ...checkoutData,
+        orderItems: quote.items,
+        discountCode: quote.discountCode,
+        appliedDiscounts: totals.appliedDiscounts,
         totals: {
-            subtotal: orderData.subtotal || 0,
-            discountAmount: orderData.discountAmount || 0,
-            shippingCost: orderData.shipping || 0,
+            subtotal: totals.subtotal,
+            quantitySavings: totals.quantitySavings,
+            hasQuantityDiscounts: totals.hasQuantityDiscounts,
+            discountAmount: totals.discountAmount,
+            shippingCost: totals.shippingCost,
             totalAmount: finalAmountRupees, // Store rupee amount
-            totalAmountPaise: finalAmountPaise // Store paise amount
+            totalAmountPaise: finalAmountPaise, // Store paise amount
+            amountMismatch
         },
         razorpayOrderId: razorpayOrder.id
     };
 
     logger.info(`💳 Razorpay order initiated:`, {
-        'Subtotal': `₹${orderData.subtotal || 0}`,
-        'Discount': `₹${orderData.discountAmount || 0}`,
-        'Shipping': `₹${orderData.shipping || 0}`,
+        'Quote': quote.id,
+        'Subtotal': `₹${totals.subtotal}`,
+        'Discount': `₹${totals.discountAmount}`,
+        'Shipping': `₹${totals.shippingCost}`,
         'Total (₹)': `₹${finalAmountRupees.toFixed(2)}`,
         'Amount (paise)': finalAmountPaise,
         'Order ID': razorpayOrder.id
@@ -354,16 +587,29 @@ async initiateRazorpayPayment(orderData) {
     };
 }
 
+  // Convert the totals a client sent into paise; null when nothing usable was sent
+  parseClientAmountPaise(totalAmountRupees, totalAmountPaise) {
+    if (totalAmountPaise !== undefined && totalAmountPaise !== null && totalAmountPaise !== '') {
+      const paise = parseInt(totalAmountPaise, 10);
+      return Number.isNaN(paise) ? null : paise;
+    }
+
+    if (totalAmountRupees !== undefined && totalAmountRupees !== null && totalAmountRupees !== '') {
+      const rupees = parseFloat(totalAmountRupees);
+      return Number.isNaN(rupees) ? null : Math.round(rupees * 100);
+    }
+
+    return null;
+  }
+
 async verifyAndCreateOrder(paymentData) {
   const {
     razorpay_order_id,
     razorpay_payment_id,
     razorpay_signature,
-    orderData
+    orderData = {}
   } = paymentData;
 
-
-
   // Verify payment signature
   const isValid = razorpayService.verifyPayment(
     razorpay_order_id,
@@ -376,265 +622,421 @@ async verifyAndCreateOrder(paymentData) {
     throw new Error('Payment verification failed');
   }
 
+  return await this.completeRazorpayPayment({
+    razorpayOrderId: razorpay_order_id,
+    razorpayPaymentId: razorpay_payment_id,
+    razorpaySignature: razorpay_signature,
+    quoteId: orderData.quoteId,
+    userId: orderData.userId
+  });
+}
 
-  try {
-    // Calculate totals
-    const cartData = {
-      cartItems: orderData.orderItems.map(item => ({
-        productId: item.productId,
-        quantity: item.quantity,
-        price: 0
-      })),
-      shippingState: orderData.state
-    };
+  // Turn a verified Razorpay payment into an order. Shared by the browser
+  // verify-payment call and the payment webhooks, and safe to call twice.
+  async completeRazorpayPayment({
+    razorpayOrderId,
+    razorpayPaymentId,
+    razorpaySignature = null,
+    quoteId = null,
+    userId = null,
+    source = 'verify-payment'
+  }) {
+    // The quote the payment was initiated against holds the charged totals
+    const quote = await checkoutQuoteService.getQuoteForRazorpayOrder(razorpayOrderId);
+
+    if (quoteId && quoteId !== quote.id) {
+      throw new Error('Checkout quote does not match this payment');
+    }
 
-    
-    let discountResult;
-    try {
-      discountResult = await discountService.calculateFinalAmountWithDiscounts(
-        cartData,
-        orderData.userId,
-        orderData.discountCode
-      );
-    } catch (discountError) {
-      console.error('❌ Discount calculation error:', discountError);
-      // Continue without discount if calculation fails
-      discountResult = {
-        success: true,
-        data: {
-          subtotal: orderData.subtotal || 0,
-          totalDiscount: orderData.discountAmount || 0,
-          shipping: orderData.shipping || 0,
-          finalTotal: orderData.totalAmount || 0,
-          appliedDiscounts: orderData.appliedDiscounts || []
-        }
-      };
+    if (quote.userId && userId && quote.userId !== userId) {
+      throw new Error('Checkout quote not found');
+    }
+
+    // Payment already turned into an order (double submit or webhook) - return it as is
+    if (quote.status === 'CONSUMED' && quote.orderId) {
+      return await this.getExistingPaidOrder(quote.orderId, quote);
     }
 
-    if (!discountResult.success) {
-      console.warn('⚠️ Discount validation failed, proceeding without discounts');
+    // Payment was given back because the order couldn't be placed - never create it now
+    if (quote.status === 'REFUNDED') {
+      throw quoteRefundedError();
     }
 
-    const { subtotal, totalDiscount, shipping, finalTotal, appliedDiscounts } = discountResult.data;
+    try {
+      const order = await this.createOrderFromQuote({
+        quote,
+        checkout: quote.checkoutData || {},
+        userId: quote.userId || userId,
+        paymentStatus: 'PAID',
+        paymentMethod: 'ONLINE',
+        payment: {
+          razorpayOrderId,
+          razorpayPaymentId,
+          ...(razorpaySignature && { razorpaySignature })
+        },
+        trackingDescription: `Order confirmed. Discount applied: ₹${quote.discountAmount}`
+      });
 
+      await invoiceService.issueInvoiceSafely(order.id);
 
+      // Send email notification
+      try {
+        await emailNotificationService.sendOrderNotifications(order);
+      } catch (emailError) {
+        console.error('❌ Failed to send order confirmation email:', emailError);
+      }
 
+      logger.info(`✅ Order ${order.orderNumber} created successfully`, {
+        OrderNumber: order.orderNumber,
+        Quote: quote.id,
+        Source: source,
+        Total: `₹${quote.totalAmount}`,
+        Discount: `₹${quote.discountAmount}`,
+        Subtotal: `₹${quote.subtotal}`,
+        Shipping: `₹${quote.shippingCost}`,
+        User: order.email
+      });
 
-    // Prepare order items data
-    const orderItemsData = await Promise.all(
-      orderData.orderItems.map(async (item) => {
-        try {
-          const product = await prisma.product.findUnique({
-            where: { id: item.productId },
-            select: { normalPrice: true, offerPrice: true }
-          });
-          
-          if (!product) {
-            throw new Error(`Product ${item.productId} not found`);
-          }
-          
-          const price = product.offerPrice || product.normalPrice;
-
-          
-          return {
-            productId: item.productId,
-            productVariantId: item.productVariantId || null,
-            quantity: item.quantity,
-            price: price
-            // ❌ NO unitPrice field here
-          };
-        } catch (error) {
-          console.error(`❌ Error processing order item ${item.productId}:`, error);
-          throw error;
+      return {
+        success: true,
+        data: {
+          ...order,
+          discountAmount: quote.discountAmount,
+          appliedDiscounts: quote.appliedDiscounts || []
         }
-      })
-    );
+      };
 
+    } catch (error) {
+      // A concurrent request already created the order for this payment
+      if (error.code === 'P2002') {
+        const existingOrder = await prisma.order.findUnique({
+          where: { razorpayOrderId },
+          select: { id: true }
+        });
 
-    // Prepare custom images data
-    const customImages = orderData.customImages || [];
+        if (existingOrder) {
+          return await this.getExistingPaidOrder(existingOrder.id, quote);
+        }
+      }
 
-    // Create order data
-    const orderCreateData = {
-      orderNumber: this.generateOrderNumber(),
-      user: {
-        connect: {
-          id: orderData.userId
+      // Paid but the stock or the coupon is gone - nothing was created, so give the money back
+      if (UNFULFILLABLE_ERROR_CODES.includes(error.code)) {
+        const refund = await refundService.refundUnfulfilledQuote(
+          quote,
+          razorpayPaymentId,
+          {
+            COUPON_USED_UP: 'Coupon used up at order creation',
+            STORE_CREDIT_USED_UP: 'Store credit used up at order creation'
+          }[error.code] || 'Out of stock at order creation'
+        );
+
+        // A concurrent request placed the order after all
+        if (!refund) {
+          const current = await prisma.checkoutQuote.findUnique({ where: { id: quote.id } });
+          if (current?.status === 'CONSUMED' && current.orderId) {
+            return await this.getExistingPaidOrder(current.orderId, current);
+          }
         }
-      },
-      name: orderData.name,
-      email: orderData.email,
-      phone: orderData.phone,
-      address: orderData.address,
-      city: orderData.city,
-      state: orderData.state,
-      pincode: orderData.pincode,
-      status: 'CONFIRMED',
-      totalAmount: finalTotal,
-      subtotal: subtotal,
-      discount: totalDiscount,
-      shippingCost: shipping,
-      paymentStatus: 'PAID',
-      paymentMethod: 'ONLINE',
-      razorpayOrderId: razorpay_order_id,
-      razorpayPaymentId: razorpay_payment_id,
-      razorpaySignature: razorpay_signature,
-      orderItems: {
-        create: orderItemsData
+
+        error.message = `${error.message}. Your payment will be refunded.`;
+        throw error;
       }
-    };
 
-    // Add custom images if any
-    if (customImages.length > 0) {
-      orderCreateData.customImages = {
-        create: customImages.map(img => ({
-          imageUrl: img.url,
-          imageKey: img.key,
-          filename: img.filename || `custom-image-${Date.now()}.jpg`
-        }))
-      };
+      if (error.code === 'QUOTE_REFUNDED') {
+        throw error;
+      }
+
+      console.error('❌ Error in completeRazorpayPayment:', error);
+      logger.error('Order creation failed:', {
+        error: error.message,
+        stack: error.stack,
+        source,
+        orderId: razorpayOrderId,
+        paymentId: razorpayPaymentId
+      });
+
+      throw new Error(`Order creation failed: ${error.message}`);
     }
+  }
 
+  async getExistingPaidOrder(orderId, quote) {
+    const existingOrder = await this.getOrderById(orderId);
+    return {
+      success: true,
+      data: {
+        ...existingOrder,
+        discountAmount: existingOrder.discount,
+        appliedDiscounts: quote.appliedDiscounts || []
+      }
+    };
+  }
 
-    // Create the actual order in database
-    const order = await prisma.order.create({
-      data: orderCreateData,
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
-                  }
+  // Relations needed by order emails and order responses
+  getOrderDetailInclude() {
+    return {
+      orderItems: {
+        include: {
+          product: {
+            include: {
+              images: {
+                take: 1,
+                select: {
+                  imageUrl: true
                 }
               }
-            },
-            productVariant: {
-              include: {
-                variantImages: {
-                  select: {
-                    imageUrl: true,
-                    color: true
-                  }
+            }
+          },
+          productVariant: {
+            include: {
+              variantImages: {
+                take: 1,
+                select: {
+                  imageUrl: true,
+                  color: true
                 }
               }
             }
           }
-        },
-        customImages: true,
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
         }
-      }
-    });
+      },
+      customImages: true,
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      },
+      coupon: true
+    };
+  }
 
+  // Ordered units leave the cart the quote was priced from, in the order's
+  // transaction. Anything added on top since then stays.
+  async consumeCartLines(tx, quote) {
+    if (!quote.cartId) {
+      return;
+    }
 
+    for (const item of quote.items) {
+      const lineKey = productLineKey(item);
 
-    // Update stock for variants
-   
-    for (const item of orderData.orderItems) {
-      if (item.productVariantId) {
-        try {
-          await prisma.productVariant.update({
-            where: { id: item.productVariantId },
-            data: {
-              stock: { decrement: item.quantity }
-            }
-          });
-        } catch (stockError) {
-          console.error(`❌ Failed to update stock for variant ${item.productVariantId}:`, stockError);
-        }
-      }
+      await tx.cartItem.deleteMany({
+        where: { cartId: quote.cartId, lineKey, quantity: { lte: item.quantity } }
+      });
+      await tx.cartItem.updateMany({
+        where: { cartId: quote.cartId, lineKey, quantity: { gt: item.quantity } },
+        data: { quantity: { decrement: item.quantity } }
+      });
     }
+  }
 
-    // Record discount usage
-    if (appliedDiscounts && appliedDiscounts.length > 0) {
-      for (const discount of appliedDiscounts) {
-        if (discount.discount?.id) {
-          try {
-            await prisma.discountUsage.create({
-              data: {
-                discountId: discount.discount.id,
-                userId: orderData.userId,
-                orderId: order.id,
-                discountAmount: discount.amount || 0
+  normalizeGiftNote(giftNote) {
+    const note = String(giftNote ?? '').trim();
+    return note ? note.slice(0, GIFT_NOTE_MAX_LENGTH) : null;
+  }
+
+  // Create the order, its items, the stock decrement and discount usage in one
+  // transaction - a conflicting purchase rolls everything back with OUT_OF_STOCK
+  async createOrderFromQuote({
+    quote,
+    checkout,
+    userId,
+    status = 'CONFIRMED',
+    paymentStatus,
+    paymentMethod,
+    payment = {},
+    extraData = {},
+    trackingDescription
+  }) {
+    const customImages = checkout.customImages || [];
+    const coupon = (quote.appliedDiscounts || []).find(applied => applied.type === 'COUPON');
+    const estimatedDelivery = await pincodeService.estimateDeliveryDate(checkout.pincode, quote.shippingMethod);
+
+    const orderId = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.create({
+        data: {
+          orderNumber: this.generateOrderNumber(),
+          ...(userId && {
+            user: {
+              connect: {
+                id: userId
               }
-            });
-            
-            await prisma.discount.update({
-              where: { id: discount.discount.id },
-              data: {
-                usedCount: { increment: 1 },
-                totalDiscounts: { increment: discount.amount || 0 }
+            }
+          }),
+          name: checkout.name,
+          email: checkout.email,
+          phone: checkout.phone,
+          normalizedPhone: normalizePhone(checkout.phone),
+          address: checkout.address,
+          city: checkout.city,
+          state: checkout.state,
+          pincode: checkout.pincode,
+          status,
+          totalAmount: quote.totalAmount,
+          storeCreditAmount: quote.storeCreditAmount,
+          subtotal: quote.subtotal,
+          discount: quote.discountAmount,
+          shippingCost: quote.shippingCost,
+          shippingMethod: quote.shippingMethod,
+          shippingDetails: quote.shippingDetails || null,
+          codFee: quote.codFee || 0,
+          giftNote: this.normalizeGiftNote(checkout.giftNote),
+          estimatedDelivery,
+          taxAmount: quote.taxAmount || 0,
+          paymentStatus,
+          paymentMethod,
+          ...payment,
+          ...extraData,
+          ...(coupon && {
+            coupon: {
+              connect: {
+                id: coupon.couponId
               }
-            });
-            
-          } catch (discountError) {
-            console.error(`❌ Failed to record discount: ${discountError.message}`);
+            }
+          }),
+          ...(customImages.length > 0 && {
+            customImages: {
+              create: this.buildCustomImagesData(customImages)
+            }
+          }),
+          orderItems: {
+            create: this.buildOrderItemsFromQuote(quote)
           }
-        }
+        },
+        select: { id: true, city: true, state: true }
+      });
+
+      // Held stock becomes sold; anything not held is taken now or the order fails
+      const { unheldLines } = await stockReservationService.commitForQuote(tx, quote, order.id);
+      await inventoryService.decrementStock(tx, unheldLines);
+
+      if (userId) {
+        await discountService.recordDiscountUsage(tx, quote.appliedDiscounts || [], userId, order.id);
       }
-    }
 
-    // Create tracking history
-    await prisma.trackingHistory.create({
-      data: {
+      if (coupon) {
+        await couponService.recordCouponUsage(tx, coupon.couponId, coupon.amount);
+      }
+
+      // Throws STORE_CREDIT_USED_UP (rolling everything back) if the balance ran out
+      await storeCreditService.redeemForOrder(tx, {
+        userId,
         orderId: order.id,
-        status: 'CONFIRMED',
-        description: `Order confirmed. Discount applied: ₹${totalDiscount}`,
-        location: `${order.city}, ${order.state}`
+        orderNumber: order.orderNumber,
+        amount: quote.storeCreditAmount
+      });
+
+      await checkoutQuoteService.markConsumed(quote.id, order.id, tx);
+
+      await this.consumeCartLines(tx, quote);
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: order.id,
+          status,
+          description: trackingDescription,
+          location: `${order.city}, ${order.state}`
+        }
+      });
+
+      return order.id;
+    }, { timeout: 15000 });
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: this.getOrderDetailInclude()
+    });
+
+    // Orders awaiting confirmation are attributed when they are confirmed
+    if (status === 'CONFIRMED') {
+      await cartRecoveryService.attributeOrderSafely(order);
+    }
+
+    return order;
+  }
+
+  // Customer cancels their own order before it ships. Prepaid orders are
+  // refunded to the original payment method.
+  async cancelOrderByCustomer(orderId, userId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Cancellation reason is required');
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, userId }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new Error(`Order cannot be cancelled once it is ${order.status.toLowerCase()}. Please request a return instead`);
+    }
+
+    const cancellationReason = reason.trim();
+
+    logger.info(`Order ${order.orderNumber} cancellation requested by customer`, {
+      Reason: cancellationReason,
+      PaymentStatus: order.paymentStatus
+    });
+
+    // Stock, discounts and the refund are handled by the CANCELLED hooks;
+    // the cancellation emails below replace the generic status email
+    const { results } = await orderStateMachine.transition(orderId, 'CANCELLED', {
+      reason: cancellationReason,
+      description: `Order cancelled by customer. Reason: ${cancellationReason}`,
+      location: 'Customer',
+      notify: false
+    });
+
+    const refund = results.refund || null;
+    const refundError = results.refundError || null;
+
+    const cancelledOrder = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        ...this.getOrderDetailInclude(),
+        refunds: {
+          orderBy: { createdAt: 'desc' }
+        }
       }
     });
 
-    // Send email notification
     try {
-      await emailNotificationService.sendOrderNotifications(order);
+      await emailNotificationService.sendOrderCancellationCustomer(cancelledOrder, { reason: cancellationReason, refund });
+      await emailNotificationService.sendOrderCancellationAdmin(cancelledOrder, { reason: cancellationReason, refund, refundError });
     } catch (emailError) {
-      console.error('❌ Failed to send order confirmation email:', emailError);
+      logger.error('Failed to send cancellation emails:', emailError);
     }
 
-    logger.info(`✅ Order ${order.orderNumber} created successfully`, {
-      OrderNumber: order.orderNumber,
-      Total: `₹${finalTotal}`,
-      Discount: `₹${totalDiscount}`,
-      Subtotal: `₹${subtotal}`,
-      Shipping: `₹${shipping}`,
-      User: orderData.email
-    });
-
-    
     return {
-      success: true,
-      data: {
-        ...order,
-        discountAmount: totalDiscount,
-        appliedDiscounts: appliedDiscounts
-      }
+      ...cancelledOrder,
+      refund,
+      refundPending: !!refundError
     };
-    
-  } catch (error) {
-    console.error('❌ Error in verifyAndCreateOrder:', error);
-    logger.error('Order creation failed:', {
-      error: error.message,
-      stack: error.stack,
-      orderId: razorpay_order_id,
-      paymentId: razorpay_payment_id
-    });
-    
-    throw new Error(`Order creation failed: ${error.message}`);
   }
-}
+
+  // Customer dismissed or failed the Razorpay checkout - give the held stock back
+  async handlePaymentFailure(razorpayOrderId, userId, reason = 'Payment failed') {
+    const quote = await checkoutQuoteService.getQuoteForRazorpayOrder(razorpayOrderId);
+
+    if (quote.userId && quote.userId !== userId) {
+      throw new Error('Checkout quote not found');
+    }
+
+    if (quote.status === 'CONSUMED') {
+      throw new Error('Payment has already been completed for this order');
+    }
+
+    return await stockReservationService.releaseForRazorpayOrder(razorpayOrderId, reason);
+  }
 
   async createCODOrder(orderData) {
     const {
       userId,
+      quoteId,
       name,
       email,
       phone,
@@ -642,167 +1044,74 @@ async verifyAndCreateOrder(paymentData) {
       city,
       state,
       pincode,
-      orderItems,
-      couponCode,
-      customImages = []
+      customImages = [],
+      giftNote
     } = orderData;
 
     // Validate required fields
     if (!name || !email || !phone || !address || !city || !state || !pincode) {
-      throw new Error('All shipping information fields are required');
-    }
-
-    // Calculate totals with quantity pricing
-    const totals = await this.calculateOrderTotals(orderItems, couponCode);
-
-    // Prepare order data - FIXED: Use coupon relation instead of couponId
-    const orderCreateData = {
-      orderNumber: this.generateOrderNumber(),
-      user: {
-        connect: {
-          id: userId
-        }
-      },
-      name,
-      email,
-      phone,
-      address,
-      city,
-      state,
-      pincode,
-      status: 'CONFIRMED',
-      totalAmount: totals.totalAmount,
-      subtotal: totals.subtotal,
-      discount: totals.couponDiscount,
-      shippingCost: totals.shippingCost,
-      paymentStatus: 'PENDING',
-      paymentMethod: 'COD',
-      // FIXED: Use coupon relation instead of couponId
-      ...(totals.coupon && {
-        coupon: {
-          connect: {
-            id: totals.coupon.id
-          }
-        }
-      }),
-      // Create custom image records if any
-      ...(customImages.length > 0 && {
-        customImages: {
-          create: customImages.map(img => ({
-            imageUrl: img.url,
-            imageKey: img.key,
-            filename: img.filename || `custom-image-${Date.now()}.jpg`
-          }))
-        }
-      }),
-      orderItems: {
-        create: await Promise.all(
-          totals.items.map(async (item) => {
-            return {
-              productId: item.productId,
-              productVariantId: item.productVariantId || null,
-              quantity: item.quantity,
-              price: item.basePrice,
-            };
-          })
-        )
-      }
-    };
-
-    // Create order with COD status
-    const order = await prisma.order.create({
-      data: orderCreateData,
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
-                  }
-                }
-              }
-            },
-            productVariant: {
-              include: {
-                variantImages: {
-                  take: 1,
-                  select: {
-                    imageUrl: true,
-                    color: true
-                  }
-                }
-              }
-            }
-          }
-        },
-        customImages: true,
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        },
-        coupon: true
-      }
-    });
-
-    // Update stock for variants
-    for (const item of orderItems) {
-      if (item.productVariantId) {
-        await prisma.productVariant.update({
-          where: { id: item.productVariantId },
-          data: {
-            stock: { decrement: item.quantity }
-          }
-        });
-      }
-    }
-
-    // Increment coupon usage
-    if (totals.coupon) {
-      await prisma.coupon.update({
-        where: { id: totals.coupon.id },
-        data: {
-          usedCount: { increment: 1 }
-        }
-      });
+      throw new Error('All shipping information fields are required');
     }
 
-    // Create tracking history
-    await prisma.trackingHistory.create({
-      data: {
-        orderId: order.id,
-        status: 'CONFIRMED',
-        description: `COD order confirmed. Quantity savings: ₹${totals.quantitySavings}`,
-        location: `${order.city}, ${order.state}`
-      }
+    await pincodeService.assertServiceable(pincode, { cod: true });
+
+    // Totals come from the locked checkout quote
+    const quote = await checkoutQuoteService.getActiveQuote(quoteId, userId);
+    this.assertQuoteMatchesCheckout(quote, { state, pincode, paymentMethod: 'COD' });
+
+    await codService.assertCodEligible({ userId, phone, totalAmount: quote.totalAmount });
+
+    // Orders to a phone the customer hasn't verified wait in PENDING for an OTP
+    const phoneVerified = await codService.isPhoneVerified(userId, phone);
+
+    const order = await this.createOrderFromQuote({
+      quote,
+      checkout: { name, email, phone, address, city, state, pincode, customImages, giftNote },
+      userId,
+      status: phoneVerified ? 'CONFIRMED' : 'PENDING',
+      paymentStatus: 'PENDING',
+      paymentMethod: 'COD',
+      extraData: phoneVerified ? { codVerifiedAt: new Date() } : {},
+      trackingDescription: phoneVerified
+        ? `COD order confirmed. Quantity savings: ₹${quote.quantitySavings}`
+        : 'COD order placed. Waiting for the customer to confirm by OTP'
     });
 
-    // Send email notification
-    try {
-      await emailNotificationService.sendOrderNotifications(order);
-    } catch (emailError) {
-      logger.error('Failed to send COD order confirmation email:', emailError);
+    let otpError = null;
+
+    if (phoneVerified) {
+      // Send email notification
+      try {
+        await emailNotificationService.sendOrderNotifications(order);
+      } catch (emailError) {
+        logger.error('Failed to send COD order confirmation email:', emailError);
+      }
+    } else {
+      // The customer can ask for the OTP again if this one doesn't arrive
+      try {
+        await codService.sendOrderOtp(order.id, userId);
+      } catch (error) {
+        otpError = error.message;
+        logger.error(`Failed to send COD OTP for order ${order.orderNumber}:`, error);
+      }
     }
 
-    logger.info(`COD order created successfully with quantity discounts. Savings: ₹${totals.quantitySavings}`);
+    logger.info(`COD order created from quote ${quote.id}. Savings: ₹${quote.quantitySavings}`);
     
     // Return order with quantity discount info
     return {
       ...order,
-      quantitySavings: totals.quantitySavings,
-      hasQuantityDiscounts: totals.hasQuantityDiscounts
+      quantitySavings: quote.quantitySavings,
+      hasQuantityDiscounts: quote.quantitySavings > 0,
+      requiresOTP: !phoneVerified,
+      ...(otpError && { otpError })
     };
   }
 
 
-  async getAllOrders({ page, limit, status, userId, paymentStatus }) {
-    const skip = (page - 1) * limit;
-    
+  // Admin order filters, shared by the order list and the export.
+  // A date-only `to` covers that whole day.
+  buildOrderWhere({ status, userId, paymentStatus, from, to, state }) {
     const where = {};
     
     if (status) {
@@ -816,6 +1125,35 @@ async verifyAndCreateOrder(paymentData) {
     if (paymentStatus) {
       where.paymentStatus = paymentStatus;
     }
+
+    if (state) {
+      where.state = { equals: state.trim(), mode: 'insensitive' };
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        throw new Error('Invalid date range');
+      }
+
+      if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCDate(toDate.getUTCDate() + 1);
+      }
+
+      where.createdAt = {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lt: toDate })
+      };
+    }
+
+    return where;
+  }
+
+  async getAllOrders({ page, limit, ...filters }) {
+    const skip = (page - 1) * limit;
+    const where = this.buildOrderWhere(filters);
     
     const [orders, total] = await Promise.all([
       prisma.order.findMany({
@@ -930,6 +1268,33 @@ async verifyAndCreateOrder(paymentData) {
           orderBy: {
             createdAt: 'desc'
           }
+        },
+        refunds: {
+          orderBy: {
+            createdAt: 'desc'
+          }
+        },
+        shipments: ORDER_SHIPMENTS_INCLUDE,
+        paymentLinks: {
+          orderBy: {
+            createdAt: 'desc'
+          }
+        },
+        auditLogs: {
+          orderBy: {
+            createdAt: 'desc'
+          }
+        },
+        // Credit/debit notes issued when the order was edited after invoicing
+        invoice: {
+          select: {
+            invoiceNumber: true,
+            invoiceDate: true,
+            notes: {
+              select: { id: true, noteNumber: true, type: true, noteDate: true, totalAmount: true },
+              orderBy: { noteDate: 'asc' }
+            }
+          }
         }
       }
     });
@@ -979,6 +1344,10 @@ async verifyAndCreateOrder(paymentData) {
           orderBy: {
             createdAt: 'desc'
           }
+        },
+        shipments: {
+          ...ORDER_SHIPMENTS_INCLUDE,
+          where: { status: { not: 'CANCELLED' } }
         }
       }
     });
@@ -990,116 +1359,37 @@ async verifyAndCreateOrder(paymentData) {
     return order;
   }
 
+// Status changes go through the state machine's transition graph, guards and hooks
 async updateOrderStatus(orderId, statusData) {
-  const { status, adminNotes } = statusData;
-  
+  const { status, adminNotes, reason } = statusData;
 
-  
-  const order = await prisma.order.findUnique({
-    where: { id: orderId }
+  const { order, results } = await orderStateMachine.transition(orderId, status, {
+    adminNotes,
+    reason
   });
-  
-  if (!order) {
-    throw new Error('Order not found');
-  }
-  
-  const validStatuses = ['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
-  if (!validStatuses.includes(status)) {
-    throw new Error('Invalid status');
-  }
-  
-  const oldStatus = order.status;
-  
-  const updateData = {
-    status,
-    ...(adminNotes && { adminNotes })
+
+  return {
+    ...order,
+    ...(results.refund && { refund: results.refund }),
+    ...(results.refundError && { refundError: results.refundError })
   };
+}
 
-  
-  // Set timestamps for specific status changes
-  if (status === 'SHIPPED' && order.status !== 'SHIPPED') {
-    updateData.shippedAt = new Date();
-  }
-  
-  if (status === 'DELIVERED' && order.status !== 'DELIVERED') {
-    updateData.deliveredAt = new Date();
-  }
-  
-  const updatedOrder = await prisma.order.update({
-    where: { id: orderId },
-    data: updateData,
-    include: {
-      orderItems: {
-        include: {
-          product: {
-            include: {
-              images: {
-                take: 1,
-                select: {
-                  imageUrl: true
-                }
-              }
-            }
-          },
-          productVariant: {
-            select: {
-              id: true,
-              color: true,
-              size: true
-            }
-          }
-        }
-      },
-      customImages: true,
-      user: {
-        select: {
-          id: true,
-          name: true,
-          email: true
-        }
-      }
+  async getAllowedStatusTransitions(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
     }
-  });
 
-  
-  if (status !== order.status) {
-    // ✅ Fix: Only include adminNotes if it exists
-    const trackingData = {
+    return {
       orderId,
-      status,
-      description: this.getStatusDescription(status),
-      location: `${order.city}, ${order.state}`,
-      ...(adminNotes && { adminNotes }) // ✅ Only add adminNotes if provided
+      currentStatus: order.status,
+      transitions: orderStateMachine.getAllowedTransitions(order)
     };
-
-    await prisma.trackingHistory.create({
-      data: trackingData
-    });
-
-    try {
-      
-      // ✅ Check if email service exists and is working
-      if (!emailNotificationService || !emailNotificationService.sendOrderStatusUpdate) {
-        console.error('❌ Email notification service not available');
-        throw new Error('Email service not available');
-      }
-      
-      const emailResult = await emailNotificationService.sendOrderStatusUpdate(
-        updatedOrder, 
-        oldStatus, 
-        status,
-        adminNotes || null
-      );
-      
-      
-    } catch (emailError) {
-      logger.error('Failed to send status update email:', emailError);
-    }
   }
-  
-  logger.info(`Order status updated: ${orderId} -> ${status}`);
-  return updatedOrder;
-}
 
   async updateTrackingInfo(orderId, trackingData) {
     const { trackingNumber, carrier, trackingUrl, estimatedDelivery } = trackingData;
@@ -1111,135 +1401,44 @@ async updateOrderStatus(orderId, statusData) {
     if (!order) {
       throw new Error('Order not found');
     }
-    
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        trackingNumber,
-        carrier,
-        trackingUrl,
-        estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
-        status: 'SHIPPED',
-        shippedAt: new Date()
-      },
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
-                  }
-                }
-              }
-            },
-            productVariant: {
-              select: {
-                id: true,
-                color: true,
-                size: true
-              }
-            }
-          }
-        },
-        customImages: true, // Include custom images
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      }
-    });
-    
-    await prisma.trackingHistory.create({
-      data: {
-        orderId,
-        status: 'SHIPPED',
-        description: `Order shipped via ${carrier}. Tracking number: ${trackingNumber}`,
-        location: `${order.city}, ${order.state}`
-      }
-    });
 
-    try {
-      await emailNotificationService.sendOrderStatusUpdate(updatedOrder, order.status, 'SHIPPED');
-    } catch (emailError) {
-      logger.error('Failed to send shipping notification email:', emailError);
-    }
-    
-    logger.info(`Tracking info updated for order: ${orderId}`);
-    return updatedOrder;
-  }
+    const trackingFields = {
+      trackingNumber,
+      carrier,
+      trackingUrl,
+      // Keep the estimate set at checkout unless the courier gave a new one
+      estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : order.estimatedDelivery
+    };
 
-  async processRefund(orderId, refundData) {
-    const { refundAmount, reason, adminNotes } = refundData;
-    
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
-                  }
-                }
-              }
-            },
-            productVariant: true
-          }
-        },
-        customImages: true // Include custom images
+    // First tracking details ship everything left as one parcel; later ones just correct them
+    if (!order.shippedAt || order.status === 'PARTIALLY_SHIPPED') {
+      orderStateMachine.assertTransition({ ...order, ...trackingFields }, 'SHIPPED');
+
+      await shipmentService.createShipment(orderId, {
+        provider: 'manual',
+        carrier,
+        trackingNumber,
+        trackingUrl
+      });
+
+      if (estimatedDelivery) {
+        await prisma.order.update({
+          where: { id: orderId },
+          data: { estimatedDelivery: trackingFields.estimatedDelivery }
+        });
       }
-    });
-    
-    if (!order) {
-      throw new Error('Order not found');
-    }
-    
-    if (order.paymentStatus !== 'PAID') {
-      throw new Error('Cannot refund order that is not paid');
-    }
-    
-    if (order.status === 'REFUNDED') {
-      throw new Error('Order is already refunded');
-    }
 
-    if (!order.phonepeTransactionId) {
-      throw new Error('Original transaction ID not found for refund');
+      logger.info(`Tracking info updated for order: ${orderId}`);
+      return await this.getOrderById(orderId);
     }
-    
-    let phonepeRefundId = null;
-    try {
-      const refundResponse = await phonepeService.processRefund(
-        order.phonepeTransactionId,
-        refundAmount || order.totalAmount,
-        `REFUND_${order.id}`
-      );
-      
-      if (refundResponse.success) {
-        phonepeRefundId = refundResponse.data.merchantRefundId;
-      } else {
-        throw new Error(refundResponse.message || 'Refund failed');
-      }
-    } catch (phonepeError) {
-      logger.error('PhonePe refund failed:', phonepeError);
-      throw new Error('Refund processing failed: ' + phonepeError.message);
+
+    if (!trackingNumber || !carrier) {
+      throw new Error('Tracking number and carrier are required');
     }
     
     const updatedOrder = await prisma.order.update({
       where: { id: orderId },
-      data: {
-        status: 'REFUNDED',
-        paymentStatus: 'REFUNDED',
-        ...(adminNotes && { adminNotes })
-      },
+      data: trackingFields,
       include: {
         orderItems: {
           include: {
@@ -1276,40 +1475,27 @@ async updateOrderStatus(orderId, statusData) {
     await prisma.trackingHistory.create({
       data: {
         orderId,
-        status: 'REFUNDED',
-        description: `Order refunded. Amount: ₹${refundAmount || order.totalAmount}. Reason: ${reason}. Refund ID: ${phonepeRefundId}`,
-        location: 'System'
+        status: order.status,
+        description: `Tracking updated: ${carrier}, tracking number ${trackingNumber}`,
+        location: `${order.city}, ${order.state}`
       }
     });
     
-    // Restore stock for refunded items
-    for (const item of order.orderItems) {
-      if (item.productVariantId) {
-        await prisma.productVariant.update({
-          where: { id: item.productVariantId },
-          data: {
-            stock: { increment: item.quantity }
-          }
-        });
-      }
-    }
+    logger.info(`Tracking info updated for order: ${orderId}`);
+    return updatedOrder;
+  }
 
-    try {
-      await emailNotificationService.sendOrderRefundNotification(updatedOrder, {
-        refundAmount: refundAmount || order.totalAmount,
-        reason,
-        phonepeRefundId
-      });
-    } catch (emailError) {
-      logger.error('Failed to send refund notification email:', emailError);
-    }
-    
-    logger.info(`Order refunded: ${orderId}, PhonePe Refund ID: ${phonepeRefundId}`);
-    return {
-      ...updatedOrder,
-      phonepeRefundId,
-      refundAmount: refundAmount || order.totalAmount
-    };
+  // Refunds go to the gateway the order was paid with (see RefundService)
+  async processRefund(orderId, refundData) {
+    const { refundAmount, items, reason, adminNotes, restock } = refundData;
+
+    return await refundService.createRefund(orderId, {
+      amount: refundAmount,
+      items: items || [],
+      reason,
+      adminNotes,
+      restock: restock !== false
+    });
   }
 
   async getUserOrders(userId, { page, limit, status }) {
@@ -1358,6 +1544,10 @@ async updateOrderStatus(orderId, statusData) {
             orderBy: {
               createdAt: 'desc'
             }
+          },
+          shipments: {
+            ...ORDER_SHIPMENTS_INCLUDE,
+            where: { status: { not: 'CANCELLED' } }
           }
         },
         orderBy: {
@@ -1384,9 +1574,11 @@ async updateOrderStatus(orderId, statusData) {
       pendingOrders,
       confirmedOrders,
       processingOrders,
+      partiallyShippedOrders,
       shippedOrders,
       deliveredOrders,
       cancelledOrders,
+      partiallyRefundedOrders,
       refundedOrders,
       totalRevenue,
       todayOrders,
@@ -1396,10 +1588,12 @@ async updateOrderStatus(orderId, statusData) {
       prisma.order.count({ where: { status: 'PENDING' } }),
       prisma.order.count({ where: { status: 'CONFIRMED' } }),
       prisma.order.count({ where: { status: 'PROCESSING' } }),
+      prisma.order.count({ where: { status: 'PARTIALLY_SHIPPED' } }),
       prisma.order.count({ where: { status: 'SHIPPED' } }),
       prisma.order.count({ where: { status: 'DELIVERED' } }),
       prisma.order.count({ where: { status: 'CANCELLED' } }),
-      prisma.order.count({ where: { status: 'REFUNDED' } }),
+      prisma.order.count({ where: { paymentStatus: 'PARTIALLY_REFUNDED' } }),
+      prisma.order.count({ where: { paymentStatus: 'REFUNDED' } }),
       prisma.order.aggregate({
         _sum: {
           totalAmount: true
@@ -1436,9 +1630,11 @@ async updateOrderStatus(orderId, statusData) {
         PENDING: pendingOrders,
         CONFIRMED: confirmedOrders,
         PROCESSING: processingOrders,
+        PARTIALLY_SHIPPED: partiallyShippedOrders,
         SHIPPED: shippedOrders,
         DELIVERED: deliveredOrders,
         CANCELLED: cancelledOrders,
+        PARTIALLY_REFUNDED: partiallyRefundedOrders,
         REFUNDED: refundedOrders
       },
       revenue: {
@@ -1511,16 +1707,7 @@ async updateOrderStatus(orderId, statusData) {
   }
 
   getStatusDescription(status) {
-    const descriptions = {
-      PENDING: 'Order has been placed and is awaiting confirmation',
-      CONFIRMED: 'Order has been confirmed and is being processed',
-      PROCESSING: 'Order is being prepared for shipment',
-      SHIPPED: 'Order has been shipped',
-      DELIVERED: 'Order has been delivered successfully',
-      CANCELLED: 'Order has been cancelled',
-      REFUNDED: 'Order has been refunded'
-    };
-    return descriptions[status] || 'Order status updated';
+    return orderStateMachine.getStatusDescription(status);
   }
 
   // Utility method to cancel expired pending orders
@@ -1593,34 +1780,40 @@ async deleteOrder(orderId) {
   }
 
   // Prevent deletion if order is already shipped/delivered
-  if (['SHIPPED', 'DELIVERED'].includes(order.status)) {
+  if (['PARTIALLY_SHIPPED', 'SHIPPED', 'DELIVERED'].includes(order.status)) {
     throw new Error(`Cannot delete order with status: ${order.status}`);
   }
 
-  // Restore stock before deleting
-  const orderItems = await prisma.orderItem.findMany({
+  // Issued invoice numbers must stay in the books
+  const invoice = await prisma.invoice.findUnique({
     where: { orderId }
   });
 
-  for (const item of orderItems) {
-    if (item.productVariantId) {
-      await prisma.productVariant.update({
-        where: { id: item.productVariantId },
-        data: {
-          stock: { increment: item.quantity }
-        }
-      });
-    }
+  if (invoice) {
+    throw new Error(`Cannot delete order with invoice ${invoice.invoiceNumber}. Cancel it instead`);
   }
 
-  // Delete order items first
-  await prisma.orderItem.deleteMany({
-    where: { orderId }
-  });
+  // Restore stock, undo discount usage and delete in one go
+  await prisma.$transaction(async (tx) => {
+    const orderItems = await tx.orderItem.findMany({
+      where: { orderId }
+    });
 
-  // Delete the order
-  await prisma.order.delete({
-    where: { id: orderId }
+    // Cancelled orders already gave their stock and discounts back
+    if (order.status !== 'CANCELLED') {
+      await inventoryService.restoreStock(tx, orderItems);
+      await discountService.reverseDiscountUsage(tx, orderId);
+    }
+
+    // Delete order items first
+    await tx.orderItem.deleteMany({
+      where: { orderId }
+    });
+
+    // Delete the order
+    await tx.order.delete({
+      where: { id: orderId }
+    });
   });
 
   return {
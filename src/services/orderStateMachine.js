@@ -0,0 +1,389 @@
+// services/orderStateMachine.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import inventoryService from './inventoryService.js';
+import discountService from './discountService.js';
+import couponService from './couponService.js';
+import refundService from './refundService.js';
+import emailNotificationService from './emailNotificationService.js';
+import invoiceService from './invoiceService.js';
+import storeCreditService from './storeCreditService.js';
+
+// Statuses an order may move to from each status
+const ORDER_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'PARTIALLY_SHIPPED', 'SHIPPED', 'CANCELLED'],
+  PROCESSING: ['PARTIALLY_SHIPPED', 'SHIPPED', 'CANCELLED'],
+  PARTIALLY_SHIPPED: ['SHIPPED'],
+  SHIPPED: ['DELIVERED', 'RETURNED_TO_ORIGIN'],
+  DELIVERED: [],
+  // A partial refund can happen at any point, so fulfilment carries on from here
+  PARTIALLY_REFUNDED: ['PROCESSING', 'PARTIALLY_SHIPPED', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'RETURNED_TO_ORIGIN'],
+  REFUNDED: [],
+  CANCELLED: [],
+  RETURNED_TO_ORIGIN: []
+};
+
+// Refunds only move paymentStatus now; these remain for orders refunded
+// before that and can't be entered
+const SYSTEM_STATUSES = ['PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const PAID_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+// Each guard returns a reason when the order can't enter the status
+const TRANSITION_GUARDS = {
+  CONFIRMED: (order) => {
+    if (order.paymentMethod === 'COD') {
+      return order.codVerifiedAt ? null : 'COD order cannot be confirmed until the customer confirms it by OTP';
+    }
+    return PAID_STATUSES.includes(order.paymentStatus) ? null : 'Prepaid order cannot be confirmed until payment is received';
+  },
+  PROCESSING: (order) => order.shippedAt
+    ? 'Order has already been shipped'
+    : null,
+  PARTIALLY_SHIPPED: (order) => !order.trackingNumber || !order.carrier
+    ? 'Create a shipment for the items being sent'
+    : null,
+  SHIPPED: (order) => !order.trackingNumber || !order.carrier
+    ? 'Add a tracking number and carrier before shipping'
+    : null,
+  DELIVERED: (order) => !order.shippedAt
+    ? 'Order must be shipped before it can be delivered'
+    : null,
+  CANCELLED: (order) => order.shippedAt
+    ? 'Shipped orders cannot be cancelled. Raise a return instead'
+    : null,
+  RETURNED_TO_ORIGIN: (order) => !order.shippedAt || order.deliveredAt
+    ? 'Only shipped, undelivered orders can be returned to origin'
+    : null
+};
+
+const STATUS_DESCRIPTIONS = {
+  PENDING: 'Order has been placed and is awaiting confirmation',
+  CONFIRMED: 'Order has been confirmed and is being processed',
+  PROCESSING: 'Order is being prepared for shipment',
+  PARTIALLY_SHIPPED: 'Part of the order has been shipped. The remaining items will follow',
+  SHIPPED: 'Order has been shipped',
+  DELIVERED: 'Order has been delivered successfully',
+  CANCELLED: 'Order has been cancelled',
+  PARTIALLY_REFUNDED: 'Order has been partially refunded',
+  REFUNDED: 'Order has been refunded',
+  RETURNED_TO_ORIGIN: 'Order could not be delivered and is being returned to us'
+};
+
+const ORDER_STATUS_INCLUDE = {
+  orderItems: {
+    include: {
+      product: {
+        include: {
+          images: {
+            take: 1,
+            select: {
+              imageUrl: true
+            }
+          }
+        }
+      },
+      productVariant: {
+        select: {
+          id: true,
+          color: true,
+          size: true
+        }
+      }
+    }
+  },
+  customImages: true,
+  shipments: {
+    where: { status: { not: 'CANCELLED' } },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      items: true
+    }
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+class OrderStateMachine {
+  constructor() {
+    // status -> [{ name, data, onEnter, afterCommit }]; '*' runs on every transition
+    this.hooks = new Map();
+    this.registerDefaultHooks();
+  }
+
+  /**
+   * Register side effects for entering a status.
+   *  - data(context): extra order fields written with the status change
+   *  - onEnter(tx, context): work inside the status-change transaction
+   *  - afterCommit(context): work after commit (emails, gateways); errors are logged, not thrown
+   */
+  registerHook(status, hook) {
+    if (!this.hooks.has(status)) {
+      this.hooks.set(status, []);
+    }
+    this.hooks.get(status).push(hook);
+  }
+
+  getHooks(status) {
+    return [...(this.hooks.get(status) || []), ...(this.hooks.get('*') || [])];
+  }
+
+  getStatusDescription(status) {
+    return STATUS_DESCRIPTIONS[status] || 'Order status updated';
+  }
+
+  // Reason the order can't move to `to`, or null if it can
+  getTransitionError(order, to) {
+    if (!STATUS_DESCRIPTIONS[to]) {
+      return 'Invalid status';
+    }
+
+    if (SYSTEM_STATUSES.includes(to)) {
+      return 'Refunds are tracked on the payment status, not the order status';
+    }
+
+    if (!(ORDER_TRANSITIONS[order.status] || []).includes(to)) {
+      return `Cannot change order status from ${order.status} to ${to}`;
+    }
+
+    const guard = TRANSITION_GUARDS[to];
+    return guard ? guard(order) : null;
+  }
+
+  assertTransition(order, to) {
+    const reason = this.getTransitionError(order, to);
+
+    if (reason) {
+      const error = new Error(reason);
+      error.statusCode = 409;
+      error.code = 'INVALID_STATUS_TRANSITION';
+      error.details = {
+        from: order.status,
+        to,
+        allowed: this.getAllowedTransitions(order)
+          .filter(transition => transition.allowed)
+          .map(transition => transition.status)
+      };
+      throw error;
+    }
+  }
+
+  // Every status in the graph from the current one, with the guard verdict for the admin UI
+  getAllowedTransitions(order) {
+    return (ORDER_TRANSITIONS[order.status] || []).map(status => {
+      const reason = this.getTransitionError(order, status);
+      return {
+        status,
+        allowed: !reason,
+        reason
+      };
+    });
+  }
+
+  /**
+   * Move an order to a new status, running its guards and hooks.
+   * Options: adminNotes, reason, data (extra order fields, e.g. tracking),
+   * description, location, notify (send the status email, default true).
+   */
+  async transition(orderId, to, options = {}) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const from = order.status;
+    const data = options.data || {};
+
+    // Guards see the order as it will be, e.g. with the tracking number being added
+    this.assertTransition({ ...order, ...data }, to);
+
+    const context = { order, from, to, options, results: {} };
+    const hooks = this.getHooks(to);
+
+    const hookData = hooks
+      .filter(hook => hook.data)
+      .reduce((merged, hook) => ({ ...merged, ...hook.data(context) }), {});
+
+    await prisma.$transaction(async (tx) => {
+      // Status guard so a concurrent change can't be overwritten
+      const result = await tx.order.updateMany({
+        where: { id: orderId, status: from },
+        data: {
+          ...data,
+          ...hookData,
+          status: to,
+          ...(options.adminNotes && { adminNotes: options.adminNotes })
+        }
+      });
+
+      if (result.count === 0) {
+        const error = new Error('Order status changed while updating. Please refresh and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      for (const hook of hooks.filter(hook => hook.onEnter)) {
+        await hook.onEnter(tx, context);
+      }
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId,
+          status: to,
+          description: options.description || this.getStatusDescription(to),
+          location: options.location || `${order.city}, ${order.state}`,
+          ...(options.adminNotes && { adminNotes: options.adminNotes })
+        }
+      });
+    });
+
+    context.updatedOrder = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: ORDER_STATUS_INCLUDE
+    });
+
+    for (const hook of hooks.filter(hook => hook.afterCommit)) {
+      try {
+        await hook.afterCommit(context);
+      } catch (error) {
+        logger.error(`Order ${order.orderNumber} ${from} -> ${to}: ${hook.name} hook failed:`, error);
+      }
+    }
+
+    logger.info(`Order status updated: ${order.orderNumber} ${from} -> ${to}`);
+
+    return {
+      order: context.updatedOrder,
+      from,
+      to,
+      results: context.results
+    };
+  }
+
+  async releaseOrderResources(tx, order) {
+    // Refunded quantities were already restocked (or written off) by the refund
+    const lines = order.orderItems.map(item => ({
+      productVariantId: item.productVariantId,
+      quantity: item.quantity - item.refundedQuantity
+    })).filter(line => line.quantity > 0);
+
+    await inventoryService.restoreStock(tx, lines);
+    await discountService.reverseDiscountUsage(tx, order.id);
+    await couponService.reverseCouponUsage(tx, order.couponId);
+    await storeCreditService.restoreForOrder(tx, order);
+  }
+
+  registerDefaultHooks() {
+    // First parcel out the door sets shippedAt; later ones keep it
+    this.registerHook('PARTIALLY_SHIPPED', {
+      name: 'shippedAt',
+      data: ({ order }) => ({ shippedAt: order.shippedAt || new Date() })
+    });
+
+    this.registerHook('SHIPPED', {
+      name: 'shippedAt',
+      data: ({ order }) => ({ shippedAt: order.shippedAt || new Date() })
+    });
+
+    this.registerHook('DELIVERED', {
+      name: 'deliveredAt',
+      data: () => ({ deliveredAt: new Date() })
+    });
+
+    // COD orders are invoiced on delivery (prepaid ones already were on payment)
+    this.registerHook('DELIVERED', {
+      name: 'issueInvoice',
+      afterCommit: async ({ order }) => {
+        await invoiceService.issueInvoiceSafely(order.id);
+      }
+    });
+
+    this.registerHook('CANCELLED', {
+      name: 'cancelledAt',
+      data: ({ options }) => ({
+        cancelledAt: new Date(),
+        ...(options.reason && { cancellationReason: options.reason })
+      })
+    });
+
+    // Give back stock and promotions the order was holding
+    this.registerHook('CANCELLED', {
+      name: 'releaseOrderResources',
+      onEnter: (tx, { order }) => this.releaseOrderResources(tx, order)
+    });
+
+    this.registerHook('RETURNED_TO_ORIGIN', {
+      name: 'returnedToOriginAt',
+      data: () => ({ returnedToOriginAt: new Date() })
+    });
+
+    // The parcel comes back to the warehouse, so its stock is sellable again
+    this.registerHook('RETURNED_TO_ORIGIN', {
+      name: 'releaseOrderResources',
+      onEnter: (tx, { order }) => this.releaseOrderResources(tx, order)
+    });
+
+    // Money goes back to the customer for prepaid orders
+    this.registerHook('CANCELLED', {
+      name: 'refundPayment',
+      afterCommit: async ({ order, options, results }) => {
+        if (!PAID_STATUSES.includes(order.paymentStatus)) {
+          return;
+        }
+
+        try {
+          const refund = await refundService.createRefund(order.id, {
+            reason: `Order cancelled${options.reason ? `: ${options.reason}` : ''}`,
+            restock: false,
+            notifyCustomer: options.notify !== false
+          });
+          results.refund = { ...refund.refund, amount: refund.refundAmount };
+        } catch (error) {
+          results.refundError = error.message;
+
+          await prisma.trackingHistory.create({
+            data: {
+              orderId: order.id,
+              status: 'CANCELLED',
+              description: 'Automatic refund could not be processed. Our team will refund you manually',
+              location: 'System',
+              adminNotes: `Refund error: ${error.message}`
+            }
+          });
+
+          throw error;
+        }
+      }
+    });
+
+    this.registerHook('*', {
+      name: 'statusEmail',
+      afterCommit: async ({ updatedOrder, from, to, options }) => {
+        if (options.notify === false) {
+          return;
+        }
+
+        await emailNotificationService.sendOrderStatusUpdate(
+          updatedOrder,
+          from,
+          to,
+          options.adminNotes || null
+        );
+      }
+    });
+  }
+}
+
+export default new OrderStateMachine();
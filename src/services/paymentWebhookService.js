@@ -0,0 +1,152 @@
+// services/paymentWebhookService.js
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import razorpayService from './razorpayService.js';
+import orderService from './orderService.js';
+import stockReservationService from './stockReservationService.js';
+import refundService from './refundService.js';
+import orderEditService from './orderEditService.js';
+import webhookEventService from './webhookEventService.js';
+
+class PaymentWebhookService {
+
+  async handleRazorpayWebhook({ rawBody, signature, eventIdHeader, payload }) {
+    if (!razorpayService.verifyWebhookSignature(rawBody, signature)) {
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Razorpay sends a unique id per event; fall back to the body hash
+    const eventId = eventIdHeader || crypto.createHash('sha256').update(rawBody).digest('hex');
+    const eventType = payload.event;
+
+    const { event, duplicate } = await webhookEventService.recordEvent('razorpay', eventId, eventType, payload);
+
+    if (duplicate) {
+      logger.info(`Razorpay webhook ${eventType} (${eventId}) already handled`);
+      return { eventId, eventType, status: event.status, duplicate: true };
+    }
+
+    try {
+      const result = await this.dispatchRazorpayEvent(eventType, payload);
+
+      await webhookEventService.markHandled(event.id, result);
+
+      logger.info(`Razorpay webhook ${eventType} processed`, {
+        EventId: eventId,
+        Order: result.orderId || null,
+        Ignored: !!result.ignored
+      });
+
+      return { eventId, eventType, status: result.ignored ? 'IGNORED' : 'PROCESSED', duplicate: false };
+    } catch (error) {
+      await webhookEventService.markFailed(event.id, error);
+
+      logger.error(`Razorpay webhook ${eventType} failed:`, {
+        eventId,
+        error: error.message
+      });
+
+      // Non-2xx makes Razorpay retry the delivery
+      throw error;
+    }
+  }
+
+  async dispatchRazorpayEvent(eventType, payload) {
+    switch (eventType) {
+      case 'payment.captured':
+      case 'order.paid':
+        return await this.handlePaymentCaptured(payload.payload.payment.entity);
+
+      case 'payment.failed':
+        return await this.handlePaymentFailed(payload.payload.payment.entity);
+
+      case 'refund.processed':
+        return await this.handleRefundProcessed(payload.payload.refund.entity);
+
+      // Balance links sent after an admin edited the order
+      case 'payment_link.paid':
+        return await orderEditService.handlePaymentLinkPaid(
+          payload.payload.payment_link.entity,
+          payload.payload.payment?.entity
+        );
+
+      case 'payment_link.cancelled':
+        return await orderEditService.handlePaymentLinkClosed(payload.payload.payment_link.entity, 'CANCELLED');
+
+      case 'payment_link.expired':
+        return await orderEditService.handlePaymentLinkClosed(payload.payload.payment_link.entity, 'EXPIRED');
+
+      default:
+        return { ignored: true, reason: `Unhandled event type: ${eventType}` };
+    }
+  }
+
+  // Create the order if the browser never called verify-payment, or reconcile it
+  async handlePaymentCaptured(payment) {
+    const existingOrder = await prisma.order.findUnique({
+      where: { razorpayOrderId: payment.order_id },
+      select: { id: true, paymentStatus: true, razorpayPaymentId: true }
+    });
+
+    if (existingOrder) {
+      if (existingOrder.paymentStatus === 'PENDING' || !existingOrder.razorpayPaymentId) {
+        await prisma.order.update({
+          where: { id: existingOrder.id },
+          data: {
+            paymentStatus: 'PAID',
+            razorpayPaymentId: payment.id
+          }
+        });
+      }
+      return { orderId: existingOrder.id };
+    }
+
+    const quote = await prisma.checkoutQuote.findUnique({
+      where: { razorpayOrderId: payment.order_id },
+      select: { id: true, totalAmount: true }
+    });
+
+    if (!quote) {
+      return { ignored: true, reason: `No checkout quote for payment order ${payment.order_id}` };
+    }
+
+    if (Math.round(quote.totalAmount * 100) !== payment.amount) {
+      logger.warn(`⚠️ Captured amount differs from quote`, {
+        Quote: quote.id,
+        'Quote (paise)': Math.round(quote.totalAmount * 100),
+        'Captured (paise)': payment.amount
+      });
+    }
+
+    try {
+      const result = await orderService.completeRazorpayPayment({
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id,
+        source: 'webhook'
+      });
+
+      return { orderId: result.data.id };
+    } catch (error) {
+      // Already refunded by completeRazorpayPayment - retrying would only refund again
+      if (['OUT_OF_STOCK', 'COUPON_USED_UP', 'STORE_CREDIT_USED_UP', 'QUOTE_REFUNDED'].includes(error.code)) {
+        return { ignored: true, reason: error.message };
+      }
+      throw error;
+    }
+  }
+
+  async handlePaymentFailed(payment) {
+    const reason = payment.error_description || 'Payment failed';
+    await stockReservationService.releaseForRazorpayOrder(payment.order_id, reason);
+    return {};
+  }
+
+  async handleRefundProcessed(refund) {
+    return await refundService.handleGatewayRefundProcessed(refund);
+  }
+}
+
+export default new PaymentWebhookService();
@@ -0,0 +1,312 @@
+// services/pincodeService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import shippingService from './shippingService.js';
+import { parseCsv, parseCsvBoolean } from '../utils/csv.js';
+import { DISPATCH_DAYS, DEFAULT_TRANSIT_DAYS } from '../config/index.js';
+
+const IMPORT_BATCH_SIZE = 500;
+
+class PincodeService {
+
+  // Couriers don't deliver on Sundays
+  addDeliveryDays(date, days) {
+    const result = new Date(date);
+    let remaining = days;
+
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      if (result.getDay() !== 0) {
+        remaining--;
+      }
+    }
+
+    return result;
+  }
+
+  getEstimatedDelivery(transitDays, from = new Date()) {
+    return this.addDeliveryDays(from, DISPATCH_DAYS + transitDays);
+  }
+
+  // Until a pincode master is imported every address is served with the default
+  // transit time; after that, pincodes missing from it are not serviceable.
+  async checkPincode(pincode, from = new Date()) {
+    const normalized = shippingService.normalizePincode(pincode);
+
+    if (!normalized) {
+      const error = new Error('Enter a valid 6-digit pincode');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const record = await prisma.pincode.findUnique({
+      where: { pincode: normalized }
+    });
+
+    if (!record) {
+      const hasMaster = !!(await prisma.pincode.findFirst({ select: { id: true } }));
+
+      return {
+        pincode: normalized,
+        city: null,
+        district: null,
+        state: null,
+        serviceable: !hasMaster,
+        codAvailable: !hasMaster,
+        expressAvailable: false,
+        transitDays: hasMaster ? null : DEFAULT_TRANSIT_DAYS,
+        estimatedDelivery: hasMaster ? null : this.getEstimatedDelivery(DEFAULT_TRANSIT_DAYS, from),
+        expressEstimatedDelivery: null
+      };
+    }
+
+    const expressAvailable = record.isServiceable && record.expressTransitDays !== null;
+
+    return {
+      pincode: record.pincode,
+      city: record.city,
+      district: record.district,
+      state: record.state,
+      serviceable: record.isServiceable,
+      codAvailable: record.isServiceable && record.codAllowed,
+      expressAvailable,
+      transitDays: record.isServiceable ? record.transitDays : null,
+      estimatedDelivery: record.isServiceable ? this.getEstimatedDelivery(record.transitDays, from) : null,
+      expressEstimatedDelivery: expressAvailable ? this.getEstimatedDelivery(record.expressTransitDays, from) : null
+    };
+  }
+
+  // Throws when we can't deliver (or collect cash) at the pincode; returns the lookup otherwise
+  async assertServiceable(pincode, { cod = false } = {}) {
+    const result = await this.checkPincode(pincode);
+
+    if (!result.serviceable) {
+      const error = new Error(`Sorry, we do not deliver to pincode ${result.pincode} yet`);
+      error.statusCode = 400;
+      error.code = 'PINCODE_NOT_SERVICEABLE';
+      throw error;
+    }
+
+    if (cod && !result.codAvailable) {
+      const error = new Error(`Cash on delivery is not available for pincode ${result.pincode}. Please pay online`);
+      error.statusCode = 400;
+      error.code = 'COD_NOT_AVAILABLE';
+      throw error;
+    }
+
+    return result;
+  }
+
+  // Delivery date for a new order; express uses the express transit time where the pincode has one
+  async estimateDeliveryDate(pincode, shippingMethod = 'STANDARD', from = new Date()) {
+    try {
+      const result = await this.checkPincode(pincode, from);
+
+      if (shippingMethod === 'EXPRESS' && result.expressEstimatedDelivery) {
+        return result.expressEstimatedDelivery;
+      }
+      return result.estimatedDelivery;
+    } catch (error) {
+      logger.warn(`Could not estimate delivery for pincode ${pincode}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ===== Admin pincode master =====
+
+  parseTransitDays(value, label, { required = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+      if (required) {
+        throw new Error(`${label} is required`);
+      }
+      return null;
+    }
+
+    const days = parseInt(value);
+    if (isNaN(days) || days < 0 || String(days) !== String(value).trim()) {
+      throw new Error(`${label} must be a whole number of days`);
+    }
+    return days;
+  }
+
+  parseFlag(value, label, fallback) {
+    const flag = parseCsvBoolean(value, fallback);
+    if (flag === null) {
+      throw new Error(`${label} must be yes or no`);
+    }
+    return flag;
+  }
+
+  // One CSV record -> pincode row. Columns: pincode, city, district, state,
+  // serviceable, cod, transit_days, express_transit_days
+  parseImportRecord(record) {
+    const pincode = shippingService.normalizePincode(record.pincode);
+
+    if (!pincode) {
+      throw new Error(`Invalid pincode "${record.pincode || ''}"`);
+    }
+
+    return {
+      pincode,
+      city: record.city || null,
+      district: record.district || null,
+      state: record.state || null,
+      isServiceable: this.parseFlag(record.serviceable, 'serviceable', true),
+      codAllowed: this.parseFlag(record.cod ?? record.cod_allowed, 'cod', true),
+      transitDays: this.parseTransitDays(record.transit_days, 'transit_days', { required: true }),
+      expressTransitDays: this.parseTransitDays(record.express_transit_days, 'express_transit_days')
+    };
+  }
+
+  // Upsert the pincode master from a CSV file. Bad rows are reported and skipped.
+  async importCsv(buffer) {
+    const records = parseCsv(buffer.toString('utf8'));
+
+    if (records.length === 0) {
+      throw new Error('The CSV file has no rows');
+    }
+
+    if (!('pincode' in records[0]) || !('transit_days' in records[0])) {
+      throw new Error('The CSV file needs pincode and transit_days columns');
+    }
+
+    const rows = new Map();
+    const errors = [];
+
+    for (const record of records) {
+      try {
+        const row = this.parseImportRecord(record);
+        rows.set(row.pincode, row); // Last row wins for repeated pincodes
+      } catch (error) {
+        errors.push({ line: record._line, pincode: record.pincode || null, error: error.message });
+      }
+    }
+
+    const parsed = [...rows.values()];
+    const existing = await prisma.pincode.findMany({
+      where: { pincode: { in: parsed.map(row => row.pincode) } },
+      select: { pincode: true }
+    });
+    const existingPincodes = new Set(existing.map(row => row.pincode));
+
+    for (let i = 0; i < parsed.length; i += IMPORT_BATCH_SIZE) {
+      const batch = parsed.slice(i, i + IMPORT_BATCH_SIZE);
+
+      await prisma.$transaction(batch.map(row => prisma.pincode.upsert({
+        where: { pincode: row.pincode },
+        create: row,
+        update: row
+      })));
+    }
+
+    const summary = {
+      totalRows: records.length,
+      imported: parsed.length,
+      created: parsed.filter(row => !existingPincodes.has(row.pincode)).length,
+      updated: parsed.filter(row => existingPincodes.has(row.pincode)).length,
+      failed: errors.length,
+      errors
+    };
+
+    logger.info('Pincode master imported', {
+      Rows: summary.totalRows,
+      Created: summary.created,
+      Updated: summary.updated,
+      Failed: summary.failed
+    });
+
+    return summary;
+  }
+
+  async getPincodes({ page = 1, limit = 50, search, state, isServiceable, codAllowed }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { pincode: { startsWith: search } },
+        { city: { contains: search, mode: 'insensitive' } },
+        { district: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (state) {
+      where.state = { equals: state, mode: 'insensitive' };
+    }
+
+    if (isServiceable !== undefined) {
+      where.isServiceable = isServiceable === 'true';
+    }
+
+    if (codAllowed !== undefined) {
+      where.codAllowed = codAllowed === 'true';
+    }
+
+    const [pincodes, total] = await Promise.all([
+      prisma.pincode.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { pincode: 'asc' }
+      }),
+      prisma.pincode.count({ where })
+    ]);
+
+    return {
+      pincodes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getPincode(pincode) {
+    const record = await prisma.pincode.findUnique({
+      where: { pincode: shippingService.normalizePincode(pincode) || '' }
+    });
+
+    if (!record) {
+      throw new Error('Pincode not found');
+    }
+
+    return record;
+  }
+
+  async upsertPincode(pincode, data) {
+    const existing = await prisma.pincode.findUnique({
+      where: { pincode: shippingService.normalizePincode(pincode) || '' }
+    });
+
+    const row = this.parseImportRecord({
+      pincode,
+      city: data.city ?? existing?.city,
+      district: data.district ?? existing?.district,
+      state: data.state ?? existing?.state,
+      serviceable: data.isServiceable ?? existing?.isServiceable,
+      cod: data.codAllowed ?? existing?.codAllowed,
+      transit_days: data.transitDays ?? existing?.transitDays,
+      express_transit_days: data.expressTransitDays !== undefined ? data.expressTransitDays : existing?.expressTransitDays
+    });
+
+    return await prisma.pincode.upsert({
+      where: { pincode: row.pincode },
+      create: row,
+      update: row
+    });
+  }
+
+  async deletePincode(pincode) {
+    const record = await this.getPincode(pincode);
+
+    await prisma.pincode.delete({
+      where: { id: record.id }
+    });
+
+    return record;
+  }
+}
+
+export default new PincodeService();
@@ -645,6 +645,9 @@ class ProductService {
             normalPrice,
             offerPrice,
             wholesalePrice,
+            hsnCode,
+            taxCategory,
+            weightGrams,
             categoryId,
             subcategoryId,
             productDetails = [],
@@ -815,6 +818,9 @@ class ProductService {
             normalPrice: parseFloat(normalPrice),
             offerPrice: offerPrice ? parseFloat(offerPrice) : null,
             wholesalePrice: wholesalePrice ? parseFloat(wholesalePrice) : null,
+            hsnCode: hsnCode && hsnCode.trim() !== '' ? hsnCode.trim() : null,
+            taxCategory: taxCategory && taxCategory.trim() !== '' ? taxCategory.trim().toUpperCase() : null,
+            weightGrams: weightGrams ? parseInt(weightGrams) : null,
             categoryId: categoryId && categoryId.trim() !== '' ? categoryId : null,
             subcategoryId: subcategoryId && subcategoryId.trim() !== '' ? subcategoryId : null,
             productDetails: {
@@ -950,6 +956,9 @@ class ProductService {
             normalPrice,
             offerPrice,
             wholesalePrice,
+            hsnCode,
+            taxCategory,
+            weightGrams,
             categoryId,
             subcategoryId,
             productDetails,
@@ -997,6 +1006,9 @@ class ProductService {
             normalPrice: normalPrice ? parseFloat(normalPrice) : product.normalPrice,
             offerPrice: offerPrice !== undefined ? parseFloat(offerPrice) : product.offerPrice,
             wholesalePrice: wholesalePrice !== undefined ? parseFloat(wholesalePrice) : product.wholesalePrice,
+            hsnCode: hsnCode !== undefined ? (hsnCode || null) : product.hsnCode,
+            taxCategory: taxCategory !== undefined ? (taxCategory ? taxCategory.trim().toUpperCase() : null) : product.taxCategory,
+            weightGrams: weightGrams !== undefined ? (weightGrams ? parseInt(weightGrams) : null) : product.weightGrams,
             // ✅ FIX: Handle categoryId - set to null if empty/undefined
             categoryId: categoryId !== undefined ? (categoryId || null) : product.categoryId,
             // ✅ FIX: Handle subcategoryId - set to null if empty/undefined
@@ -11,35 +11,15 @@ class RazorpayService {
     });
   }
 
-  async createOrder(amount, currency = 'INR') {
+  // Amount must already be in paise (integer) - callers compute it from the server-side quote
+  async createOrder(amountInPaise, currency = 'INR') {
     try {
-
-
-      let amountInPaise;
-      
-      // Determine if amount is in rupees or already in paise
-      if (typeof amount === 'number') {
-        if (amount < 1000) {
-          // Amount is in rupees (like 260), convert to paise
-          amountInPaise = Math.round(amount * 100);
-        } else {
-          // Amount is already in paise (like 26000)
-          amountInPaise = Math.round(amount);
-        }
-      } else {
-        // Handle string or other types
-        const numericAmount = parseFloat(amount);
-        if (numericAmount < 1000) {
-          amountInPaise = Math.round(numericAmount * 100);
-        } else {
-          amountInPaise = Math.round(numericAmount);
-        }
+      if (!Number.isInteger(amountInPaise) || amountInPaise <= 0) {
+        throw new Error(`Invalid amount in paise: ${amountInPaise}`);
       }
 
-
-
       const options = {
-        amount: amountInPaise, // ✅ CORRECT: Now it's in paise
+        amount: amountInPaise,
         currency,
         receipt: `receipt_${Date.now()}`,
         notes: {
@@ -63,27 +43,22 @@ class RazorpayService {
       logger.error('❌ Error creating Razorpay order:', error);
       console.error('❌ Razorpay createOrder error:', {
         message: error.message,
-        amount: amount,
+        amount: amountInPaise,
         error: error
       });
       throw new Error(`Failed to create payment order: ${error.message}`);
     }
   }
 
-  // Also update refundPayment method
-  async refundPayment(paymentId, amount, notes = {}) {
+  // Amount is in rupees; omit it to refund the full captured amount
+  async refundPayment(paymentId, amountInRupees = null, notes = {}) {
     try {
-      // Determine if amount is in rupees or paise
-      let amountInPaise;
-      if (amount < 1000) {
-        amountInPaise = Math.round(amount * 100);
-      } else {
-        amountInPaise = Math.round(amount);
-      }
-
+      const amountInPaise = amountInRupees !== null && amountInRupees !== undefined
+        ? Math.round(amountInRupees * 100)
+        : undefined;
 
       const refund = await this.razorpay.payments.refund(paymentId, {
-        amount: amountInPaise, // ✅ Use paise amount
+        ...(amountInPaise && { amount: amountInPaise }),
         notes
       });
       
@@ -101,6 +76,53 @@ class RazorpayService {
     }
   }
 
+  // Hosted payment page for an amount owed on an existing order (e.g. after an edit)
+  async createPaymentLink(amountInPaise, { description, referenceId, customer = {}, notes = {} }) {
+    try {
+      if (!Number.isInteger(amountInPaise) || amountInPaise <= 0) {
+        throw new Error(`Invalid amount in paise: ${amountInPaise}`);
+      }
+
+      const link = await this.razorpay.paymentLink.create({
+        amount: amountInPaise,
+        currency: 'INR',
+        description,
+        reference_id: referenceId,
+        customer: {
+          name: customer.name,
+          email: customer.email,
+          contact: customer.phone
+        },
+        notify: {
+          sms: true,
+          email: true
+        },
+        reminder_enable: true,
+        notes
+      });
+
+      logger.info(`✅ Razorpay payment link created: ${link.id}`, {
+        'Link ID': link.id,
+        'Amount (₹)': `₹${(amountInPaise / 100).toFixed(2)}`,
+        'Reference': referenceId
+      });
+
+      return link;
+    } catch (error) {
+      logger.error('❌ Error creating Razorpay payment link:', error);
+      throw new Error(`Failed to create payment link: ${error.message || error.error?.description}`);
+    }
+  }
+
+  async cancelPaymentLink(linkId) {
+    try {
+      return await this.razorpay.paymentLink.cancel(linkId);
+    } catch (error) {
+      logger.error(`❌ Error cancelling Razorpay payment link ${linkId}:`, error);
+      throw new Error(`Failed to cancel payment link: ${error.message || error.error?.description}`);
+    }
+  }
+
   verifyPayment(razorpay_order_id, razorpay_payment_id, razorpay_signature) {
     try {
       const body = razorpay_order_id + "|" + razorpay_payment_id;
@@ -124,6 +146,28 @@ class RazorpayService {
       return false;
     }
   }
+
+  // Webhooks are signed with the webhook secret over the raw request body
+  verifyWebhookSignature(rawBody, signature) {
+    try {
+      if (!rawBody || !signature || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+        return false;
+      }
+
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+
+      const expected = Buffer.from(expectedSignature);
+      const received = Buffer.from(signature);
+
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    } catch (error) {
+      logger.error('❌ Error verifying webhook signature:', error);
+      return false;
+    }
+  }
 }
 
-export default new RazorpayService();
\ No newline at end of file
+export default new RazorpayService();
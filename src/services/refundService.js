@@ -0,0 +1,601 @@
+// services/refundService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import razorpayService from './razorpayService.js';
+import inventoryService from './inventoryService.js';
+import emailNotificationService from './emailNotificationService.js';
+import checkoutQuoteService from './checkoutQuoteService.js';
+
+class RefundService {
+
+  // Razorpay payments on the order and what each can still give back: the
+  // checkout payment first, then balances paid through payment links
+  getRefundablePayments(order) {
+    const payments = [];
+
+    if (order.razorpayPaymentId) {
+      payments.push({
+        paymentId: order.razorpayPaymentId,
+        captured: order.checkoutQuote?.totalAmount ?? order.totalAmount
+      });
+    }
+
+    for (const link of order.paymentLinks) {
+      if (link.status === 'PAID' && link.razorpayPaymentId) {
+        payments.push({ paymentId: link.razorpayPaymentId, captured: link.amount });
+      }
+    }
+
+    return payments
+      .map(payment => {
+        const refunded = order.refunds
+          .filter(refund => refund.gateway === 'RAZORPAY' && refund.status !== 'FAILED')
+          .filter(refund => (refund.razorpayPaymentId || order.razorpayPaymentId) === payment.paymentId)
+          .reduce((sum, refund) => sum + refund.amount, 0);
+
+        return { ...payment, available: parseFloat((payment.captured - refunded).toFixed(2)) };
+      })
+      .filter(payment => payment.available > 0);
+  }
+
+  // Split a refund over the payments, each within what it captured. Whatever no
+  // online payment covers was paid in cash (COD) and is refunded manually.
+  planRefundLegs(order, amount) {
+    const legs = [];
+    let remaining = amount;
+
+    for (const payment of this.getRefundablePayments(order)) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const legAmount = parseFloat(Math.min(remaining, payment.available).toFixed(2));
+      legs.push({ gateway: 'RAZORPAY', razorpayPaymentId: payment.paymentId, amount: legAmount });
+      remaining = parseFloat((remaining - legAmount).toFixed(2));
+    }
+
+    if (remaining > 0) {
+      if (order.razorpayPaymentId) {
+        throw new Error(`Refund exceeds what the order's payments can return by ₹${remaining.toFixed(2)}`);
+      }
+      legs.push({ gateway: 'MANUAL', razorpayPaymentId: null, amount: remaining });
+    }
+
+    return legs;
+  }
+
+  // Money already committed to refunds (pending refunds still count). Edit
+  // adjustments are left out: the order total already went down by them.
+  getRefundedTotal(refunds) {
+    return refunds
+      .filter(refund => refund.status !== 'FAILED' && !refund.adjustment)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+  }
+
+  // Validate requested items against what is still refundable on each line
+  resolveRefundItems(order, items) {
+    return items.map(({ orderItemId, quantity }) => {
+      const orderItem = order.orderItems.find(item => item.id === orderItemId);
+
+      if (!orderItem) {
+        throw new Error(`Order item not found: ${orderItemId}`);
+      }
+
+      const refundableQuantity = orderItem.quantity - orderItem.refundedQuantity;
+      const requestedQuantity = parseInt(quantity) || refundableQuantity;
+
+      if (requestedQuantity <= 0 || requestedQuantity > refundableQuantity) {
+        throw new Error(`Invalid refund quantity for ${orderItem.product?.name || orderItemId}. Refundable: ${refundableQuantity}`);
+      }
+
+      return {
+        orderItemId,
+        productVariantId: orderItem.productVariantId,
+        quantity: requestedQuantity,
+        amount: parseFloat((orderItem.price * requestedQuantity).toFixed(2))
+      };
+    });
+  }
+
+  // Payment status that matches the money refunded so far. The order's own
+  // status is left to the fulfilment lifecycle.
+  getRefundStatus(order, refundedTotal) {
+    const fullyRefunded = refundedTotal >= order.totalAmount - 0.01;
+    return fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+
+  // Check the balance and item quantities and claim them with PENDING refund
+  // rows, all under a lock on the order, so two refunds racing each other can't
+  // both pass. Razorpay is only called once the claim is committed.
+  async claimRefund(orderId, { amount, items, reason, adminNotes, adjustment, cashCollected }) {
+    return await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: {
+          orderItems: {
+            include: {
+              product: {
+                select: { name: true }
+              }
+            }
+          },
+          refunds: true,
+          paymentLinks: true,
+          checkoutQuote: {
+            select: { totalAmount: true }
+          }
+        }
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      // Cash was collected at the doorstep, so a delivered COD order counts as paid
+      if (cashCollected && order.paymentMethod === 'COD' && order.paymentStatus === 'PENDING' && order.deliveredAt) {
+        await tx.order.update({
+          where: { id: orderId },
+          data: { paymentStatus: 'PAID' }
+        });
+        order.paymentStatus = 'PAID';
+      }
+
+      if (!['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus)) {
+        throw new Error('Cannot refund order that is not paid');
+      }
+
+      // Amounts still waiting on a payment link were never paid
+      const alreadyRefunded = this.getRefundedTotal(order.refunds);
+      const unpaidAmount = order.paymentLinks
+        .filter(link => link.status === 'CREATED')
+        .reduce((sum, link) => sum + link.amount, 0);
+      const refundableAmount = adjustment
+        ? parseFloat(amount)
+        : parseFloat((order.totalAmount - alreadyRefunded - unpaidAmount).toFixed(2));
+
+      if (refundableAmount <= 0) {
+        throw new Error('Order is already refunded');
+      }
+
+      const refundItems = this.resolveRefundItems(order, items);
+      const itemsAmount = refundItems.reduce((sum, item) => sum + item.amount, 0);
+
+      // Explicit amount wins; otherwise the items' value, otherwise everything left
+      const explicitAmount = amount !== undefined && amount !== null && amount !== '';
+
+      let refundAmount;
+      if (explicitAmount) {
+        refundAmount = parseFloat(amount);
+      } else if (refundItems.length > 0) {
+        refundAmount = itemsAmount;
+      } else {
+        refundAmount = refundableAmount;
+      }
+
+      if (!refundAmount || refundAmount <= 0) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+
+      if (refundAmount > refundableAmount) {
+        if (explicitAmount) {
+          throw new Error(`Refund amount exceeds refundable balance of ₹${refundableAmount}`);
+        }
+        // Items priced above what's left (e.g. after an earlier partial refund)
+        refundAmount = refundableAmount;
+      }
+
+      refundAmount = parseFloat(refundAmount.toFixed(2));
+
+      // Conditional, so a line is never refunded past what was ordered
+      for (const item of refundItems) {
+        const orderItem = order.orderItems.find(line => line.id === item.orderItemId);
+        const { count } = await tx.orderItem.updateMany({
+          where: {
+            id: item.orderItemId,
+            refundedQuantity: { lte: orderItem.quantity - item.quantity }
+          },
+          data: {
+            refundedQuantity: { increment: item.quantity }
+          }
+        });
+
+        if (count === 0) {
+          throw new Error(`Invalid refund quantity for ${orderItem.product?.name || item.orderItemId}. It was refunded meanwhile`);
+        }
+      }
+
+      // One Refund row per payment. The item lines go on the first so they are
+      // counted once. The rows exist before Razorpay is called, so a
+      // refund.processed webhook that arrives first finds them by the refundId
+      // note instead of adopting the refund as one made from the dashboard.
+      const claimedRefunds = [];
+      const legs = this.planRefundLegs(order, refundAmount);
+      for (const [index, leg] of legs.entries()) {
+        claimedRefunds.push(await tx.refund.create({
+          data: {
+            orderId,
+            gateway: leg.gateway,
+            razorpayPaymentId: leg.razorpayPaymentId,
+            amount: leg.amount,
+            status: 'PENDING',
+            reason,
+            adminNotes,
+            items: index === 0 ? refundItems : [],
+            adjustment
+          }
+        }));
+      }
+
+      return { order, refundItems, claimedRefunds };
+    });
+  }
+
+  // Undo a claim whose payments all failed to refund. The rows stay as an audit
+  // of the failed attempt.
+  async releaseRefund(claimedRefunds, refundItems, failures) {
+    await prisma.$transaction(async (tx) => {
+      for (const claimed of claimedRefunds) {
+        await tx.refund.update({
+          where: { id: claimed.id },
+          data: {
+            status: 'FAILED',
+            failureReason: failures.get(claimed.id) || 'Not attempted after an earlier payment failed to refund'
+          }
+        });
+      }
+
+      for (const item of refundItems) {
+        await tx.orderItem.update({
+          where: { id: item.orderItemId },
+          data: {
+            refundedQuantity: { decrement: item.quantity }
+          }
+        });
+      }
+    });
+  }
+
+  // adjustment: give back the difference after an order edit lowered the total.
+  // It leaves the order and payment status alone.
+  // cashCollected: a delivered COD order is marked paid as part of the claim.
+  async createRefund(orderId, { amount, items = [], reason, adminNotes, restock = true, notifyCustomer = true, adjustment = false, cashCollected = false }) {
+    const { order, refundItems, claimedRefunds } = await this.claimRefund(orderId, { amount, items, reason, adminNotes, adjustment, cashCollected });
+
+    // Stop at the first failed payment. If an earlier one already went through,
+    // that part is real money out and is recorded; the rest is left to retry.
+    const gatewayRefunds = new Map();
+    const failures = new Map();
+    let gatewayFailure = null;
+    for (const claimed of claimedRefunds) {
+      if (gatewayFailure) {
+        failures.set(claimed.id, 'Not attempted after an earlier payment failed to refund');
+        continue;
+      }
+
+      if (claimed.gateway !== 'RAZORPAY') {
+        continue;
+      }
+
+      try {
+        gatewayRefunds.set(claimed.id, await razorpayService.refundPayment(claimed.razorpayPaymentId, claimed.amount, {
+          orderNumber: order.orderNumber,
+          refundId: claimed.id,
+          reason: reason || ''
+        }));
+      } catch (gatewayError) {
+        failures.set(claimed.id, gatewayError.message);
+        gatewayFailure = gatewayError;
+      }
+    }
+
+    if (gatewayRefunds.size === 0 && gatewayFailure) {
+      await this.releaseRefund(claimedRefunds, refundItems, failures);
+      throw gatewayFailure;
+    }
+
+    const refunds = claimedRefunds.filter(claimed => !failures.has(claimed.id));
+    const refundAmount = parseFloat(refunds.reduce((sum, claimed) => sum + claimed.amount, 0).toFixed(2));
+
+    if (gatewayFailure) {
+      logger.error(`Refund for order ${order.orderNumber} only partly went through`, {
+        Requested: `₹${claimedRefunds.reduce((sum, claimed) => sum + claimed.amount, 0).toFixed(2)}`,
+        Refunded: `₹${refundAmount}`,
+        error: gatewayFailure.message
+      });
+    }
+
+    const gateways = [...new Set(refunds.map(claimed => claimed.gateway))];
+    const gatewayRefundIds = [...gatewayRefunds.values()].map(gatewayRefund => gatewayRefund.id);
+
+    const refundStatus = [...gatewayRefunds.values()].every(gatewayRefund => gatewayRefund.status === 'processed')
+      ? 'PROCESSED'
+      : 'PENDING';
+
+    const { settled, newStatus } = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+      const restocked = restock && refundItems.length > 0;
+      const settled = [];
+
+      for (const [id, failureReason] of failures) {
+        await tx.refund.update({
+          where: { id },
+          data: { status: 'FAILED', failureReason }
+        });
+      }
+
+      // Never moves a refund the webhook already settled back to PENDING
+      for (const claimed of refunds) {
+        const gatewayRefund = gatewayRefunds.get(claimed.id);
+        const processed = !gatewayRefund || gatewayRefund.status === 'processed';
+
+        settled.push(await tx.refund.update({
+          where: { id: claimed.id },
+          data: {
+            ...(gatewayRefund && { gatewayRefundId: gatewayRefund.id }),
+            restocked: restocked && claimed.items.length > 0,
+            ...(processed && { status: 'PROCESSED', processedAt: new Date() })
+          }
+        }));
+      }
+
+      // Only the refunded items go back on the shelf
+      if (restocked) {
+        await inventoryService.restoreStock(tx, refundItems);
+      }
+
+      // Status from the refunds on record now, not from what was read before Razorpay
+      const orderRefunds = await tx.refund.findMany({ where: { orderId } });
+      const newStatus = adjustment
+        ? order.paymentStatus
+        : this.getRefundStatus(order, this.getRefundedTotal(orderRefunds));
+
+      if (!adjustment) {
+        await tx.order.update({
+          where: { id: orderId },
+          data: {
+            paymentStatus: newStatus,
+            ...(adminNotes && { adminNotes })
+          }
+        });
+      }
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId,
+          status: order.status,
+          description: `Refund of ₹${refundAmount.toFixed(2)} ${refundStatus === 'PROCESSED' ? 'processed' : 'initiated'} via ${gateways.join(' and ')}.${reason ? ` Reason: ${reason}.` : ''}${gatewayRefundIds.length > 0 ? ` Refund ID: ${gatewayRefundIds.join(', ')}` : ''}`,
+          location: 'System'
+        }
+      });
+
+      return { settled, newStatus };
+    });
+    const refund = settled[0];
+
+    const updatedOrder = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              include: {
+                images: {
+                  take: 1,
+                  select: {
+                    imageUrl: true
+                  }
+                }
+              }
+            },
+            productVariant: {
+              select: {
+                id: true,
+                color: true,
+                size: true
+              }
+            }
+          }
+        },
+        customImages: true,
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        refunds: {
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (notifyCustomer) {
+      try {
+        await emailNotificationService.sendOrderRefundNotification(updatedOrder, {
+          refundAmount,
+          reason: reason || 'Refund processed',
+          razorpayRefundId: gatewayRefundIds.join(', ') || null
+        });
+      } catch (emailError) {
+        logger.error('Failed to send refund notification email:', emailError);
+      }
+    }
+
+    logger.info(`Refund created for order ${order.orderNumber}`, {
+      Refund: refund.id,
+      Gateway: gateways.join(', '),
+      Amount: `₹${refundAmount}`,
+      Status: refundStatus,
+      PaymentStatus: newStatus
+    });
+
+    return {
+      ...updatedOrder,
+      refund,
+      refunds: settled,
+      refundAmount
+    };
+  }
+
+  // Give back a payment whose quote could not become an order. The quote is
+  // voided and the Refund row created together, so a retried verify call or
+  // webhook neither creates the order afterwards nor refunds a second time.
+  // Returns null when another request already consumed or refunded the quote.
+  async refundUnfulfilledQuote(quote, razorpayPaymentId, reason) {
+    const pendingRefund = await prisma.$transaction(async (tx) => {
+      const voided = await checkoutQuoteService.markRefunded(quote.id, razorpayPaymentId, tx);
+      if (!voided) {
+        return null;
+      }
+
+      return await tx.refund.create({
+        data: {
+          quoteId: quote.id,
+          gateway: 'RAZORPAY',
+          razorpayPaymentId,
+          amount: quote.totalAmount,
+          status: 'PENDING',
+          reason
+        }
+      });
+    });
+
+    if (!pendingRefund) {
+      return null;
+    }
+
+    try {
+      const gatewayRefund = await razorpayService.refundPayment(razorpayPaymentId, null, {
+        quoteId: quote.id,
+        refundId: pendingRefund.id,
+        reason
+      });
+
+      // Never moves a refund the webhook already settled back to PENDING
+      return await prisma.refund.update({
+        where: { id: pendingRefund.id },
+        data: {
+          gatewayRefundId: gatewayRefund.id,
+          ...(gatewayRefund.status === 'processed' && { status: 'PROCESSED', processedAt: new Date() })
+        }
+      });
+    } catch (gatewayError) {
+      // The quote stays void; the FAILED row is what an admin retries from
+      logger.error('❌ Automatic refund for unfulfillable payment failed:', {
+        refundId: pendingRefund.id,
+        paymentId: razorpayPaymentId,
+        quoteId: quote.id,
+        error: gatewayError.message
+      });
+
+      return await prisma.refund.update({
+        where: { id: pendingRefund.id },
+        data: {
+          status: 'FAILED',
+          failureReason: gatewayError.message
+        }
+      });
+    }
+  }
+
+  // refund.processed webhook: settle our record, or adopt a refund made from the dashboard
+  async handleGatewayRefundProcessed(refundEntity) {
+    const existing = await prisma.refund.findUnique({
+      where: { gatewayRefundId: refundEntity.id }
+    });
+
+    if (existing) {
+      if (existing.status !== 'PROCESSED') {
+        await prisma.refund.update({
+          where: { id: existing.id },
+          data: {
+            status: 'PROCESSED',
+            processedAt: new Date()
+          }
+        });
+      }
+      return { orderId: existing.orderId };
+    }
+
+    // Our own refund, before createRefund has stored the gateway id
+    if (refundEntity.notes?.refundId) {
+      const ours = await prisma.refund.findUnique({
+        where: { id: refundEntity.notes.refundId }
+      });
+
+      if (ours) {
+        await prisma.refund.update({
+          where: { id: ours.id },
+          data: {
+            gatewayRefundId: refundEntity.id,
+            status: 'PROCESSED',
+            processedAt: ours.processedAt || new Date()
+          }
+        });
+        return { orderId: ours.orderId };
+      }
+    }
+
+    // The checkout payment, or a balance paid through a payment link
+    const order = await prisma.order.findFirst({
+      where: {
+        OR: [
+          { razorpayPaymentId: refundEntity.payment_id },
+          { paymentLinks: { some: { razorpayPaymentId: refundEntity.payment_id } } }
+        ]
+      },
+      include: { refunds: true }
+    });
+
+    if (!order) {
+      return { ignored: true, reason: `No order for payment ${refundEntity.payment_id}` };
+    }
+
+    const amount = refundEntity.amount / 100;
+    const newStatus = this.getRefundStatus(order, this.getRefundedTotal(order.refunds) + amount);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.refund.create({
+        data: {
+          orderId: order.id,
+          gateway: 'RAZORPAY',
+          gatewayRefundId: refundEntity.id,
+          razorpayPaymentId: refundEntity.payment_id,
+          amount,
+          status: 'PROCESSED',
+          reason: refundEntity.notes?.reason || 'Refund issued from Razorpay dashboard',
+          processedAt: new Date()
+        }
+      });
+
+      await tx.order.update({
+        where: { id: order.id },
+        data: { paymentStatus: newStatus }
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: order.id,
+          status: order.status,
+          description: `Refund of ₹${amount.toFixed(2)} processed by Razorpay. Refund ID: ${refundEntity.id}`,
+          location: 'System'
+        }
+      });
+    });
+
+    return { orderId: order.id };
+  }
+
+  async getOrderRefunds(orderId) {
+    return await prisma.refund.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
+
+export default new RefundService();
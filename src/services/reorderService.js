@@ -0,0 +1,370 @@
+// services/reorderService.js
+import prisma from '../config/database.js';
+import orderService from './orderService.js';
+import cartService from './cartService.js';
+
+const MAX_SUBSTITUTES = 3;
+
+// Letter sizes in order; aliases map onto these
+const LETTER_SIZES = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'XXXXL'];
+const SIZE_ALIASES = { '2XL': 'XXL', '3XL': 'XXXL', '4XL': 'XXXXL', SMALL: 'S', MEDIUM: 'M', LARGE: 'L' };
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// How far apart two sizes are: steps on the letter scale, or on numeric sizes
+// (28, 30, 32...) in steps of 2. Sizes on different scales are far apart.
+const sizeDistance = (a, b) => {
+  const sizeA = SIZE_ALIASES[normalize(a)] || normalize(a);
+  const sizeB = SIZE_ALIASES[normalize(b)] || normalize(b);
+
+  if (sizeA === sizeB) {
+    return 0;
+  }
+
+  const letterA = LETTER_SIZES.indexOf(sizeA);
+  const letterB = LETTER_SIZES.indexOf(sizeB);
+
+  if (letterA >= 0 && letterB >= 0) {
+    return Math.abs(letterA - letterB);
+  }
+
+  const numberA = parseFloat(sizeA);
+  const numberB = parseFloat(sizeB);
+
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return Math.abs(numberA - numberB) / 2;
+  }
+
+  return 50;
+};
+
+const describeVariant = (variant) => (
+  variant ? [variant.color, variant.size].filter(Boolean).join(' / ') : null
+);
+
+class ReorderService {
+
+  async getOrderForReorder(orderId, userId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            product: {
+              select: {
+                id: true,
+                name: true,
+                status: true,
+                images: {
+                  orderBy: { isPrimary: 'desc' },
+                  take: 1,
+                  select: { imageUrl: true }
+                },
+                variants: {
+                  select: { id: true, color: true, size: true, sku: true, stock: true }
+                }
+              }
+            },
+            productVariant: {
+              select: { id: true, color: true, size: true, sku: true, stock: true }
+            }
+          }
+        },
+        checkoutQuote: {
+          select: { items: true }
+        }
+      }
+    });
+
+    // Someone else's order is reported as missing
+    if (!order || order.userId !== userId) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  // A variant deleted since the order leaves the line without one; the quote
+  // the order was placed from still says which colour and size it was
+  getOriginalVariant(item, order) {
+    if (item.productVariant) {
+      return item.productVariant;
+    }
+
+    const currentVariantIds = new Set(order.orderItems.map(line => line.productVariantId).filter(Boolean));
+    const quoted = (order.checkoutQuote?.items || []).find(line =>
+      line.productId === item.productId
+      && line.productVariantId
+      && !currentVariantIds.has(line.productVariantId)
+    );
+
+    return quoted?.variant ? { id: null, ...quoted.variant, stock: 0 } : null;
+  }
+
+  // In-stock variants of the same product, closest first: same colour in the
+  // nearest size, then the same size in another colour, then the nearest size.
+  // Variants with enough stock for the whole quantity come first.
+  findSubstitutes(product, original, quantity) {
+    return product.variants
+      .filter(variant => variant.id !== original?.id && variant.stock > 0)
+      .map(variant => {
+        const sameColor = original && normalize(variant.color) === normalize(original.color);
+        const distance = original ? sizeDistance(variant.size, original.size) : 0;
+        let score = 1000 + distance;
+
+        if (sameColor) {
+          score = distance;
+        } else if (original && distance === 0) {
+          score = 500;
+        }
+
+        return { variant, score: score + (variant.stock >= quantity ? 0 : 10000) };
+      })
+      .sort((a, b) => a.score - b.score)
+      .slice(0, MAX_SUBSTITUTES)
+      .map(({ variant }) => ({
+        productVariantId: variant.id,
+        color: variant.color,
+        size: variant.size,
+        sku: variant.sku,
+        stock: variant.stock
+      }));
+  }
+
+  // Decide what each past line turns into today. substitutions maps an order
+  // item ID to the variant the customer picked; excludeItemIds drops lines.
+  resolveLine(item, order, { substitutions = {}, excludeItemIds = [] }) {
+    const original = this.getOriginalVariant(item, order);
+    const line = {
+      orderItemId: item.id,
+      productId: item.productId,
+      product: {
+        id: item.product.id,
+        name: item.product.name,
+        image: item.product.images[0]?.imageUrl || null
+      },
+      original: {
+        productVariantId: item.productVariantId,
+        variant: describeVariant(original),
+        quantity: item.quantity,
+        unitPrice: item.price
+      },
+      status: 'AVAILABLE',
+      message: null,
+      productVariantId: item.productVariantId,
+      variant: describeVariant(original),
+      quantity: item.quantity,
+      substitutes: []
+    };
+
+    const skip = (status, message) => ({ ...line, status, message, productVariantId: null, variant: null, quantity: 0 });
+
+    if (excludeItemIds.includes(item.id)) {
+      return skip('EXCLUDED', 'Left out of this reorder');
+    }
+
+    if (item.customDesignId) {
+      return skip('UNAVAILABLE', 'Custom designs are made to order and can\'t be reordered here');
+    }
+
+    if (item.product.status !== 'ACTIVE') {
+      return skip('UNAVAILABLE', `${item.product.name} is no longer available`);
+    }
+
+    // Bought without a variant
+    if (!original) {
+      return line;
+    }
+
+    const current = item.product.variants.find(variant => variant.id === item.productVariantId);
+    const substitutes = this.findSubstitutes(item.product, original, item.quantity);
+    const picked = substitutions[item.id];
+
+    if (picked && picked !== item.productVariantId) {
+      const variant = item.product.variants.find(option => option.id === picked);
+
+      if (!variant || variant.stock <= 0) {
+        return { ...skip('UNAVAILABLE', 'The variant picked as a substitute is not available'), substitutes };
+      }
+
+      return {
+        ...line,
+        status: 'SUBSTITUTED',
+        message: `${describeVariant(variant)} instead of ${line.original.variant || 'the original'}`,
+        productVariantId: variant.id,
+        variant: describeVariant(variant),
+        quantity: Math.min(item.quantity, variant.stock),
+        substitutes
+      };
+    }
+
+    if (current && current.stock >= item.quantity) {
+      return line;
+    }
+
+    if (current && current.stock > 0) {
+      return {
+        ...line,
+        status: 'LOW_STOCK',
+        message: `Only ${current.stock} left, so the quantity is reduced from ${item.quantity}`,
+        quantity: current.stock,
+        substitutes
+      };
+    }
+
+    // Original variant gone or sold out: take the closest in-stock one
+    if (substitutes.length > 0) {
+      const [best] = substitutes;
+
+      return {
+        ...line,
+        status: 'SUBSTITUTED',
+        message: `${line.original.variant || 'The original variant'} is ${current ? 'out of stock' : 'no longer sold'}, so ${describeVariant(best)} was picked instead`,
+        productVariantId: best.productVariantId,
+        variant: describeVariant(best),
+        quantity: Math.min(item.quantity, best.stock),
+        substitutes
+      };
+    }
+
+    return skip('UNAVAILABLE', `${item.product.name}${line.original.variant ? ` (${line.original.variant})` : ''} is out of stock in every size and colour`);
+  }
+
+  // Explain how today's price for a line compares with what was paid
+  explainPrice(line, priced) {
+    const unitPrice = round(priced.quantityPricing.pricePerItem);
+    const difference = round(unitPrice - line.original.unitPrice);
+    const reasons = [];
+
+    if (line.status === 'SUBSTITUTED') {
+      reasons.push('the substitute variant has its own price');
+    }
+
+    if (line.quantity < line.original.quantity) {
+      reasons.push('quantity offers depend on how many you buy');
+    }
+
+    if (priced.quantityPricing.hasDiscount) {
+      reasons.push(`includes a quantity offer saving ₹${round(priced.itemSavings)}`);
+    }
+
+    let note = 'Same price as your last order';
+
+    if (difference !== 0) {
+      note = `${difference > 0 ? 'Up' : 'Down'} ₹${Math.abs(difference)} per item since your order (₹${line.original.unitPrice} → ₹${unitPrice})`;
+    }
+
+    return {
+      unitPrice,
+      priceDifference: difference,
+      lineTotal: round(priced.itemTotal),
+      lineDifference: round(priced.itemTotal - line.original.unitPrice * line.quantity),
+      priceNote: reasons.length > 0 ? `${note}; ${reasons.join('; ')}` : note
+    };
+  }
+
+  // The reorder as it would go in today: lines, substitutes and price changes
+  async planReorder(orderId, userId, options = {}) {
+    const order = await this.getOrderForReorder(orderId, userId);
+    const lines = order.orderItems.map(item => this.resolveLine(item, order, options));
+    const orderable = lines.filter(line => line.quantity > 0);
+
+    if (orderable.length > 0) {
+      const totals = await orderService.calculateOrderTotals(
+        orderable.map(line => ({
+          productId: line.productId,
+          productVariantId: line.productVariantId,
+          quantity: line.quantity
+        })),
+        null,
+        null,
+        userId
+      );
+
+      totals.items.forEach((priced, index) => {
+        Object.assign(orderable[index], this.explainPrice(orderable[index], priced));
+      });
+    }
+
+    const originalSubtotal = round(orderable.reduce((sum, line) => sum + line.original.unitPrice * line.quantity, 0));
+    const currentSubtotal = round(orderable.reduce((sum, line) => sum + line.lineTotal, 0));
+    const notes = [];
+
+    if (order.discount > 0) {
+      notes.push(`Your last order had a ₹${order.discount} discount. Discounts and coupons are applied again at checkout.`);
+    }
+
+    if (lines.some(line => line.status === 'UNAVAILABLE')) {
+      notes.push('Some items can\'t be reordered and are left out.');
+    }
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      orderedAt: order.createdAt,
+      lines,
+      summary: {
+        orderableItems: orderable.length,
+        substituted: lines.filter(line => line.status === 'SUBSTITUTED').length,
+        unavailable: lines.filter(line => line.status === 'UNAVAILABLE').length,
+        originalSubtotal,
+        currentSubtotal,
+        difference: round(currentSubtotal - originalSubtotal)
+      },
+      notes
+    };
+  }
+
+  // Put the reorder into the user's cart, or lock it straight into a checkout
+  // quote when the shipping address is known
+  async reorder(orderId, userId, { target = 'cart', replaceCart = false, shipping = {}, ...options } = {}) {
+    if (!['cart', 'quote'].includes(target)) {
+      throw new Error('Reorder target must be cart or quote');
+    }
+
+    const plan = await this.planReorder(orderId, userId, options);
+    const lines = plan.lines
+      .filter(line => line.quantity > 0)
+      .map(line => ({
+        productId: line.productId,
+        productVariantId: line.productVariantId,
+        quantity: line.quantity
+      }));
+
+    if (lines.length === 0) {
+      const error = new Error('None of the items in this order can be reordered right now');
+      error.statusCode = 409;
+      error.code = 'NOTHING_TO_REORDER';
+      throw error;
+    }
+
+    if (target === 'cart') {
+      const cart = await cartService.addLines({ userId }, lines, { replace: replaceCart });
+      return { plan, cart };
+    }
+
+    if (!shipping.state || !shipping.pincode) {
+      throw new Error('Shipping state and pincode are required for a checkout quote');
+    }
+
+    const quote = await orderService.createCheckoutQuote({
+      orderItems: lines,
+      discountCode: shipping.discountCode || shipping.couponCode || null,
+      coupon: shipping.coupon ? { code: shipping.coupon } : null,
+      shippingState: shipping.state,
+      userId,
+      shippingOptions: {
+        pincode: shipping.pincode,
+        shippingMethod: shipping.shippingMethod || 'STANDARD',
+        paymentMethod: shipping.paymentMethod === 'COD' ? 'COD' : (shipping.paymentMethod ? 'ONLINE' : null)
+      }
+    });
+
+    return { plan, quote };
+  }
+}
+
+export default new ReorderService();
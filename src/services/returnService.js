@@ -0,0 +1,784 @@
+// services/returnService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import s3UploadService from './s3UploadService.js';
+import inventoryService from './inventoryService.js';
+import refundService from './refundService.js';
+import emailNotificationService from './emailNotificationService.js';
+import { generateOrderNumber, normalizePhone } from '../utils/helpers.js';
+import { RETURN_WINDOW_DAYS } from '../config/index.js';
+
+// Statuses an admin may move a request out of, per action
+const ACTION_FROM_STATUSES = {
+  approve: ['REQUESTED'],
+  reject: ['REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED'],
+  schedulePickup: ['APPROVED', 'PICKUP_SCHEDULED'],
+  receive: ['APPROVED', 'PICKUP_SCHEDULED'],
+  resolve: ['RECEIVED'],
+  cancel: ['REQUESTED']
+};
+
+// Requests in these statuses still hold their order items. Completed ones are
+// already counted in OrderItem.refundedQuantity.
+const OPEN_STATUSES = ['REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED', 'RECEIVED'];
+
+const RETURN_REQUEST_INCLUDE = {
+  items: {
+    include: {
+      orderItem: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              images: {
+                take: 1,
+                select: {
+                  imageUrl: true
+                }
+              }
+            }
+          },
+          productVariant: {
+            select: {
+              id: true,
+              color: true,
+              size: true
+            }
+          }
+        }
+      },
+      exchangeVariant: {
+        select: {
+          id: true,
+          color: true,
+          size: true,
+          stock: true
+        }
+      }
+    }
+  },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      name: true,
+      email: true,
+      phone: true,
+      address: true,
+      city: true,
+      state: true,
+      pincode: true,
+      status: true,
+      paymentMethod: true,
+      paymentStatus: true,
+      totalAmount: true,
+      deliveredAt: true,
+      createdAt: true
+    }
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  },
+  storeCredits: true
+};
+
+class ReturnService {
+
+  generateReturnNumber() {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `RMA-${timestamp}-${random}`;
+  }
+
+  getReturnDeadline(order) {
+    return new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Multipart forms send items as a JSON string
+  parseItems(items) {
+    if (typeof items === 'string') {
+      try {
+        return JSON.parse(items);
+      } catch (error) {
+        throw new Error('Invalid items format');
+      }
+    }
+    return items;
+  }
+
+  assertStatus(returnRequest, action) {
+    if (!ACTION_FROM_STATUSES[action].includes(returnRequest.status)) {
+      throw new Error(`Cannot ${action.replace(/([A-Z])/g, ' $1').toLowerCase()} a return request with status: ${returnRequest.status}`);
+    }
+  }
+
+  // Quantity of each order item already claimed by other open requests
+  async getClaimedQuantities(orderId) {
+    const claimedItems = await prisma.returnItem.findMany({
+      where: {
+        returnRequest: {
+          orderId,
+          status: { in: OPEN_STATUSES }
+        }
+      },
+      select: {
+        orderItemId: true,
+        quantity: true
+      }
+    });
+
+    const claimed = new Map();
+    for (const item of claimedItems) {
+      claimed.set(item.orderItemId, (claimed.get(item.orderItemId) || 0) + item.quantity);
+    }
+    return claimed;
+  }
+
+  // Check the requested lines against the order and resolve exchange variants
+  async resolveReturnItems(order, type, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Select at least one item to return');
+    }
+
+    const claimed = await this.getClaimedQuantities(order.id);
+
+    const resolved = [];
+    for (const { orderItemId, quantity, exchangeVariantId } of items) {
+      const orderItem = order.orderItems.find(item => item.id === orderItemId);
+
+      if (!orderItem) {
+        throw new Error(`Order item not found: ${orderItemId}`);
+      }
+
+      if (orderItem.customDesignId) {
+        throw new Error(`Customised items cannot be returned: ${orderItem.product.name}`);
+      }
+
+      const returnableQuantity = orderItem.quantity - orderItem.refundedQuantity - (claimed.get(orderItemId) || 0);
+      const requestedQuantity = parseInt(quantity) || returnableQuantity;
+
+      if (requestedQuantity <= 0 || requestedQuantity > returnableQuantity) {
+        throw new Error(`Invalid return quantity for ${orderItem.product.name}. Returnable: ${returnableQuantity}`);
+      }
+
+      let exchangeVariant = null;
+      if (type === 'EXCHANGE') {
+        if (!exchangeVariantId) {
+          throw new Error(`Choose a replacement size or colour for ${orderItem.product.name}`);
+        }
+
+        exchangeVariant = await prisma.productVariant.findUnique({
+          where: { id: exchangeVariantId }
+        });
+
+        // Exchanges are like-for-like: same product, different variant
+        if (!exchangeVariant || exchangeVariant.productId !== orderItem.productId) {
+          throw new Error(`Invalid replacement variant for ${orderItem.product.name}`);
+        }
+
+        if (exchangeVariant.id === orderItem.productVariantId) {
+          throw new Error(`Replacement must be a different size or colour for ${orderItem.product.name}`);
+        }
+
+        if (exchangeVariant.stock < requestedQuantity) {
+          throw new Error(`Replacement ${exchangeVariant.size}/${exchangeVariant.color} for ${orderItem.product.name} is out of stock`);
+        }
+      }
+
+      resolved.push({
+        orderItemId,
+        quantity: requestedQuantity,
+        exchangeVariantId: exchangeVariant ? exchangeVariant.id : null
+      });
+    }
+
+    return resolved;
+  }
+
+  async createReturnRequest(orderId, userId, { type = 'RETURN', reason, customerNotes, items }, files = []) {
+    if (!['RETURN', 'EXCHANGE'].includes(type)) {
+      throw new Error('Invalid return type');
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new Error('Return reason is required');
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, userId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: { name: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!order.deliveredAt || !['DELIVERED', 'PARTIALLY_REFUNDED'].includes(order.status)) {
+      throw new Error('Returns can only be requested for delivered orders');
+    }
+
+    if (new Date() > this.getReturnDeadline(order)) {
+      throw new Error(`Return window of ${RETURN_WINDOW_DAYS} days has passed for this order`);
+    }
+
+    const returnItems = await this.resolveReturnItems(order, type, this.parseItems(items));
+
+    let photos = [];
+    if (files.length > 0) {
+      const uploaded = await s3UploadService.uploadMultipleImages(files, `Returns/${order.orderNumber}`);
+      photos = uploaded.map(photo => ({ url: photo.url, key: photo.key }));
+    }
+
+    let returnRequest;
+    try {
+      returnRequest = await prisma.$transaction(async (tx) => {
+        const created = await tx.returnRequest.create({
+          data: {
+            returnNumber: this.generateReturnNumber(),
+            orderId,
+            userId,
+            type,
+            reason: reason.trim(),
+            customerNotes,
+            photos,
+            items: {
+              create: returnItems
+            }
+          },
+          include: RETURN_REQUEST_INCLUDE
+        });
+
+        await tx.trackingHistory.create({
+          data: {
+            orderId,
+            status: 'RETURN_REQUESTED',
+            description: `${type === 'EXCHANGE' ? 'Exchange' : 'Return'} request ${created.returnNumber} raised by customer. Reason: ${created.reason}`,
+            location: 'Customer'
+          }
+        });
+
+        return created;
+      });
+    } catch (error) {
+      // Don't leave orphaned photos behind
+      for (const photo of photos) {
+        await s3UploadService.deleteImage(photo.key).catch(() => {});
+      }
+      throw error;
+    }
+
+    logger.info(`Return request ${returnRequest.returnNumber} created for order ${order.orderNumber}`, {
+      Type: type,
+      Items: returnItems.length
+    });
+
+    await this.notify(returnRequest, { notifyAdmin: true });
+
+    return returnRequest;
+  }
+
+  async getReturnRequestById(returnRequestId, userId = null) {
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id: returnRequestId },
+      include: RETURN_REQUEST_INCLUDE
+    });
+
+    if (!returnRequest || (userId && returnRequest.userId !== userId)) {
+      throw new Error('Return request not found');
+    }
+
+    return returnRequest;
+  }
+
+  async getUserReturnRequests(userId, { page, limit, status }) {
+    return await this.getReturnRequests({ page, limit, status, userId });
+  }
+
+  async getReturnRequests({ page, limit, status, type, userId, orderId, search }) {
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (userId) {
+      where.userId = userId;
+    }
+
+    if (orderId) {
+      where.orderId = orderId;
+    }
+
+    if (search) {
+      where.OR = [
+        { returnNumber: { contains: search, mode: 'insensitive' } },
+        { order: { orderNumber: { contains: search, mode: 'insensitive' } } },
+        { order: { name: { contains: search, mode: 'insensitive' } } },
+        { order: { email: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    const [returnRequests, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        skip,
+        take: limit,
+        include: RETURN_REQUEST_INCLUDE,
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.returnRequest.count({ where })
+    ]);
+
+    return {
+      returnRequests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Apply a status change and log it on the order's tracking history
+  async transition(returnRequest, data, trackingStatus, description, location = 'Admin') {
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.returnRequest.update({
+        where: { id: returnRequest.id },
+        data,
+        include: RETURN_REQUEST_INCLUDE
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: returnRequest.orderId,
+          status: trackingStatus,
+          description,
+          location,
+          ...(data.adminNotes && { adminNotes: data.adminNotes })
+        }
+      });
+
+      return result;
+    });
+
+    logger.info(`Return request ${returnRequest.returnNumber}: ${returnRequest.status} -> ${updated.status}`);
+
+    await this.notify(updated);
+
+    return updated;
+  }
+
+  async approveReturnRequest(returnRequestId, { adminNotes } = {}) {
+    const returnRequest = await this.getReturnRequestById(returnRequestId);
+    this.assertStatus(returnRequest, 'approve');
+
+    return await this.transition(
+      returnRequest,
+      {
+        status: 'APPROVED',
+        ...(adminNotes && { adminNotes })
+      },
+      'RETURN_APPROVED',
+      `Return request ${returnRequest.returnNumber} approved`
+    );
+  }
+
+  async rejectReturnRequest(returnRequestId, { rejectionReason, adminNotes } = {}) {
+    if (!rejectionReason) {
+      throw new Error('Rejection reason is required');
+    }
+
+    const returnRequest = await this.getReturnRequestById(returnRequestId);
+    this.assertStatus(returnRequest, 'reject');
+
+    return await this.transition(
+      returnRequest,
+      {
+        status: 'REJECTED',
+        rejectionReason,
+        ...(adminNotes && { adminNotes })
+      },
+      'RETURN_REJECTED',
+      `Return request ${returnRequest.returnNumber} rejected. Reason: ${rejectionReason}`
+    );
+  }
+
+  async schedulePickup(returnRequestId, { pickupScheduledAt, pickupCarrier, pickupTrackingNumber, adminNotes } = {}) {
+    const pickupDate = new Date(pickupScheduledAt);
+    if (!pickupScheduledAt || isNaN(pickupDate.getTime())) {
+      throw new Error('Valid pickup date is required');
+    }
+
+    const returnRequest = await this.getReturnRequestById(returnRequestId);
+    this.assertStatus(returnRequest, 'schedulePickup');
+
+    return await this.transition(
+      returnRequest,
+      {
+        status: 'PICKUP_SCHEDULED',
+        pickupScheduledAt: pickupDate,
+        pickupCarrier: pickupCarrier || null,
+        pickupTrackingNumber: pickupTrackingNumber || null,
+        ...(adminNotes && { adminNotes })
+      },
+      'RETURN_PICKUP_SCHEDULED',
+      `Pickup for return ${returnRequest.returnNumber} scheduled on ${pickupDate.toLocaleDateString('en-IN')}${pickupCarrier ? ` via ${pickupCarrier}` : ''}${pickupTrackingNumber ? ` (AWB ${pickupTrackingNumber})` : ''}`
+    );
+  }
+
+  // Goods are back at the warehouse; restock unless they can't be resold
+  async markReceived(returnRequestId, { restock = true, adminNotes } = {}) {
+    const returnRequest = await this.getReturnRequestById(returnRequestId);
+    this.assertStatus(returnRequest, 'receive');
+
+    const restockLines = returnRequest.items
+      .filter(item => item.orderItem.productVariantId)
+      .map(item => ({
+        productVariantId: item.orderItem.productVariantId,
+        quantity: item.quantity
+      }));
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Status guard so a double submit can't restock twice
+      const result = await tx.returnRequest.updateMany({
+        where: {
+          id: returnRequest.id,
+          status: { in: ACTION_FROM_STATUSES.receive }
+        },
+        data: {
+          status: 'RECEIVED',
+          receivedAt: new Date(),
+          restocked: restock && restockLines.length > 0,
+          ...(adminNotes && { adminNotes })
+        }
+      });
+
+      if (result.count === 0) {
+        throw new Error('Return request was updated by someone else. Please refresh');
+      }
+
+      if (restock && restockLines.length > 0) {
+        await inventoryService.restoreStock(tx, restockLines);
+      }
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: returnRequest.orderId,
+          status: 'RETURN_RECEIVED',
+          description: `Returned items for ${returnRequest.returnNumber} received at warehouse${restock ? ' and restocked' : ''}`,
+          location: 'Warehouse',
+          ...(adminNotes && { adminNotes })
+        }
+      });
+
+      return await tx.returnRequest.findUnique({
+        where: { id: returnRequest.id },
+        include: RETURN_REQUEST_INCLUDE
+      });
+    });
+
+    logger.info(`Return request ${returnRequest.returnNumber} received`, {
+      Restocked: updated.restocked
+    });
+
+    await this.notify(updated);
+
+    return updated;
+  }
+
+  // Value of the returned items as the customer paid for them: the line's
+  // taxable value plus GST, so quantity pricing and discounts are already taken
+  // off. Lines from before the tax snapshot fall back to price less discount.
+  getReturnValue(returnRequest) {
+    const value = returnRequest.items.reduce((sum, item) => {
+      const line = item.orderItem;
+      const lineTotal = line.taxableValue !== null
+        ? line.taxableValue + line.taxAmount
+        : line.price * line.quantity - (line.discountAmount || 0);
+      return sum + lineTotal * item.quantity / line.quantity;
+    }, 0);
+    return parseFloat(value.toFixed(2));
+  }
+
+  async resolveReturnRequest(returnRequestId, { resolution, amount, adminNotes } = {}) {
+    if (!['REFUND', 'STORE_CREDIT', 'REPLACEMENT'].includes(resolution)) {
+      throw new Error('Resolution must be REFUND, STORE_CREDIT or REPLACEMENT');
+    }
+
+    const returnRequest = await this.getReturnRequestById(returnRequestId);
+    this.assertStatus(returnRequest, 'resolve');
+
+    switch (resolution) {
+      case 'REFUND':
+        return await this.resolveWithRefund(returnRequest, { amount, adminNotes });
+      case 'STORE_CREDIT':
+        return await this.resolveWithStoreCredit(returnRequest, { amount, adminNotes });
+      case 'REPLACEMENT':
+        return await this.resolveWithReplacement(returnRequest, { adminNotes });
+    }
+  }
+
+  async resolveWithRefund(returnRequest, { amount, adminNotes }) {
+    // Stock was already handled when the goods were received
+    const result = await refundService.createRefund(returnRequest.orderId, {
+      amount,
+      items: returnRequest.items.map(item => ({
+        orderItemId: item.orderItemId,
+        quantity: item.quantity
+      })),
+      reason: `Return ${returnRequest.returnNumber}: ${returnRequest.reason}`,
+      adminNotes,
+      restock: false,
+      cashCollected: true
+    });
+
+    return await this.transition(
+      returnRequest,
+      {
+        status: 'COMPLETED',
+        resolution: 'REFUND',
+        resolvedAt: new Date(),
+        refundId: result.refund.id,
+        ...(adminNotes && { adminNotes })
+      },
+      'RETURN_COMPLETED',
+      `Return ${returnRequest.returnNumber} completed with a refund of ₹${result.refundAmount.toFixed(2)}`
+    );
+  }
+
+  async resolveWithStoreCredit(returnRequest, { amount, adminNotes }) {
+    const returnValue = this.getReturnValue(returnRequest);
+    const creditAmount = amount !== undefined && amount !== null && amount !== ''
+      ? parseFloat(amount)
+      : returnValue;
+
+    if (!creditAmount || creditAmount <= 0) {
+      throw new Error('Store credit amount must be greater than zero');
+    }
+
+    if (creditAmount > returnValue) {
+      throw new Error(`Store credit cannot exceed the returned items' value of ₹${returnValue}`);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.storeCredit.create({
+        data: {
+          userId: returnRequest.userId,
+          amount: parseFloat(creditAmount.toFixed(2)),
+          reason: `Return ${returnRequest.returnNumber}`,
+          returnRequestId: returnRequest.id,
+          orderId: returnRequest.orderId
+        }
+      });
+
+      // Returned quantities are settled and can't be refunded again
+      for (const item of returnRequest.items) {
+        await tx.orderItem.update({
+          where: { id: item.orderItemId },
+          data: {
+            refundedQuantity: { increment: item.quantity }
+          }
+        });
+      }
+
+      const result = await tx.returnRequest.update({
+        where: { id: returnRequest.id },
+        data: {
+          status: 'COMPLETED',
+          resolution: 'STORE_CREDIT',
+          resolvedAt: new Date(),
+          ...(adminNotes && { adminNotes })
+        },
+        include: RETURN_REQUEST_INCLUDE
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: returnRequest.orderId,
+          status: 'RETURN_COMPLETED',
+          description: `Return ${returnRequest.returnNumber} completed with ₹${creditAmount.toFixed(2)} store credit`,
+          location: 'Admin',
+          ...(adminNotes && { adminNotes })
+        }
+      });
+
+      return result;
+    });
+
+    logger.info(`Store credit of ₹${creditAmount} issued for return ${returnRequest.returnNumber}`);
+
+    await this.notify(updated);
+
+    return updated;
+  }
+
+  // Ship the requested variants as a new zero-value order
+  async resolveWithReplacement(returnRequest, { adminNotes }) {
+    const replacementItems = returnRequest.items.map(item => ({
+      orderItemId: item.orderItemId,
+      productId: item.orderItem.productId,
+      productVariantId: item.exchangeVariantId || item.orderItem.productVariantId,
+      quantity: item.quantity,
+      price: item.orderItem.price,
+      product: item.orderItem.product,
+      variant: item.exchangeVariant || item.orderItem.productVariant
+    }));
+
+    if (replacementItems.some(item => !item.productVariantId)) {
+      throw new Error('Replacement needs a product variant for every item');
+    }
+
+    const { order } = returnRequest;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Throws OUT_OF_STOCK and rolls back if a replacement can't be fulfilled
+      await inventoryService.decrementStock(tx, replacementItems);
+
+      const replacementOrder = await tx.order.create({
+        data: {
+          orderNumber: generateOrderNumber(),
+          userId: returnRequest.userId,
+          name: order.name,
+          email: order.email,
+          phone: order.phone,
+          normalizedPhone: normalizePhone(order.phone),
+          address: order.address,
+          city: order.city,
+          state: order.state,
+          pincode: order.pincode,
+          status: 'CONFIRMED',
+          subtotal: 0,
+          discount: 0,
+          shippingCost: 0,
+          totalAmount: 0,
+          paymentMethod: 'EXCHANGE',
+          paymentStatus: 'PAID',
+          adminNotes: `Replacement for return ${returnRequest.returnNumber} on order ${order.orderNumber}`,
+          orderItems: {
+            create: replacementItems.map(item => ({
+              productId: item.productId,
+              productVariantId: item.productVariantId,
+              quantity: item.quantity,
+              price: item.price
+            }))
+          }
+        }
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: replacementOrder.id,
+          status: 'CONFIRMED',
+          description: `Replacement order for return ${returnRequest.returnNumber} on order ${order.orderNumber}`,
+          location: 'Admin'
+        }
+      });
+
+      for (const item of returnRequest.items) {
+        await tx.orderItem.update({
+          where: { id: item.orderItemId },
+          data: {
+            refundedQuantity: { increment: item.quantity }
+          }
+        });
+      }
+
+      const result = await tx.returnRequest.update({
+        where: { id: returnRequest.id },
+        data: {
+          status: 'COMPLETED',
+          resolution: 'REPLACEMENT',
+          resolvedAt: new Date(),
+          replacementOrderId: replacementOrder.id,
+          ...(adminNotes && { adminNotes })
+        },
+        include: RETURN_REQUEST_INCLUDE
+      });
+
+      await tx.trackingHistory.create({
+        data: {
+          orderId: returnRequest.orderId,
+          status: 'RETURN_COMPLETED',
+          description: `Return ${returnRequest.returnNumber} completed with replacement order ${replacementOrder.orderNumber}`,
+          location: 'Admin',
+          ...(adminNotes && { adminNotes })
+        }
+      });
+
+      return { ...result, replacementOrder };
+    });
+
+    logger.info(`Replacement order ${updated.replacementOrder.orderNumber} created for return ${returnRequest.returnNumber}`);
+
+    await this.notify(updated);
+
+    return updated;
+  }
+
+  async cancelReturnRequest(returnRequestId, userId) {
+    const returnRequest = await this.getReturnRequestById(returnRequestId, userId);
+    this.assertStatus(returnRequest, 'cancel');
+
+    return await this.transition(
+      returnRequest,
+      { status: 'CANCELLED' },
+      'RETURN_CANCELLED',
+      `Return request ${returnRequest.returnNumber} cancelled by customer`,
+      'Customer'
+    );
+  }
+
+  async getStoreCreditBalance(userId) {
+    const [aggregate, entries] = await Promise.all([
+      prisma.storeCredit.aggregate({
+        where: { userId },
+        _sum: { amount: true }
+      }),
+      prisma.storeCredit.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: 50
+      })
+    ]);
+
+    return {
+      balance: parseFloat((aggregate._sum.amount || 0).toFixed(2)),
+      entries
+    };
+  }
+
+  async notify(returnRequest, { notifyAdmin = false } = {}) {
+    try {
+      await emailNotificationService.sendReturnStatusUpdate(returnRequest);
+      if (notifyAdmin) {
+        await emailNotificationService.sendReturnRequestAdmin(returnRequest);
+      }
+    } catch (emailError) {
+      logger.error('Failed to send return notification email:', emailError);
+    }
+  }
+}
+
+export default new ReturnService();
@@ -0,0 +1,44 @@
+// services/shipmentProviders/index.js
+import mockProvider from './mockProvider.js';
+import manualProvider from './manualProvider.js';
+import { MOCK_SHIPMENT_PROVIDER_ENABLED } from '../../config/index.js';
+
+/**
+ * Shipment provider interface. Each provider is an object with:
+ *  - name: key stored on Shipment.provider and used in the webhook URL
+ *  - handedOver: true if shipments are with the courier as soon as they are created
+ *  - createShipment({ order, shipment }) -> { providerShipmentId, awbNumber, carrier, trackingUrl, labelUrl? }
+ *    where shipment has weightGrams, items and any carrier/tracking details the admin entered
+ *  - getLabel(shipment, order) -> { url } or { buffer, contentType, fileName }
+ *  - requestPickup(shipments, { pickupDate }) -> { pickupReference, pickupScheduledAt }
+ *  - cancelShipment(shipment) -> void
+ *  - verifyWebhook({ rawBody, headers }) -> boolean
+ *  - parseWebhook(payload) -> [{ eventId, awbNumber, status, description, location, occurredAt }]
+ *    where status is a ShipmentStatus value
+ */
+const providers = new Map();
+
+export const registerShipmentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export const getShipmentProvider = (name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    const error = new Error(`Unknown shipment provider: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return provider;
+};
+
+export const getShipmentProviderNames = () => [...providers.keys()];
+
+registerShipmentProvider(manualProvider);
+
+// The mock courier accepts status webhooks for any AWB, so it is opt-in
+if (MOCK_SHIPMENT_PROVIDER_ENABLED) {
+  registerShipmentProvider(mockProvider);
+}
@@ -0,0 +1,51 @@
+// services/shipmentProviders/manualProvider.js
+
+const unsupported = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Parcels booked outside the system: the admin enters the courier and tracking
+// number, the parcel is already with the courier and there are no webhooks.
+class ManualShipmentProvider {
+  constructor() {
+    this.name = 'manual';
+    this.handedOver = true;
+  }
+
+  async createShipment({ shipment }) {
+    if (!shipment.trackingNumber || !shipment.carrier) {
+      throw unsupported('Tracking number and carrier are required');
+    }
+
+    return {
+      providerShipmentId: null,
+      awbNumber: shipment.trackingNumber,
+      carrier: shipment.carrier,
+      trackingUrl: shipment.trackingUrl || null
+    };
+  }
+
+  async getLabel() {
+    throw unsupported('Manual shipments have no label. Print it from the courier\'s portal');
+  }
+
+  async requestPickup() {
+    throw unsupported('Manual shipments are already with the courier');
+  }
+
+  async cancelShipment() {
+    // Nothing booked through us
+  }
+
+  verifyWebhook() {
+    return false;
+  }
+
+  parseWebhook() {
+    return [];
+  }
+}
+
+export default new ManualShipmentProvider();
@@ -0,0 +1,113 @@
+// services/shipmentProviders/mockProvider.js
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { CLIENT_URL, MOCK_SHIPMENT_WEBHOOK_SECRET, SELLER_NAME, SELLER_ADDRESS } from '../../config/index.js';
+
+// Local stand-in for a courier aggregator: books instantly, renders its own
+// labels and accepts signed status webhooks, so the flow can be run end to end.
+class MockShipmentProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async createShipment({ order }) {
+    const awbNumber = `MOCK${Date.now().toString().slice(-8)}${crypto.randomInt(100, 1000)}`;
+
+    return {
+      providerShipmentId: `mock_${crypto.randomUUID()}`,
+      awbNumber,
+      carrier: 'Mock Courier',
+      trackingUrl: `${CLIENT_URL}/track-order/${order.orderNumber}`
+    };
+  }
+
+  async getLabel(shipment, order) {
+    const buffer = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [288, 432], margin: 18 }); // 4x6 inch label
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(14).text(shipment.carrier || 'Mock Courier');
+      doc.font('Helvetica').fontSize(9).text(`AWB: ${shipment.awbNumber}`);
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(10).text('Deliver to');
+      doc.font('Helvetica').fontSize(10)
+        .text(order.name)
+        .text(order.address)
+        .text(`${order.city}, ${order.state} - ${order.pincode}`)
+        .text(`Phone: ${order.phone}`);
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(10).text(order.paymentMethod === 'COD'
+        ? `COD - Collect Rs. ${order.totalAmount.toFixed(2)}`
+        : 'PREPAID');
+      doc.font('Helvetica').fontSize(9).text(`Order: ${order.orderNumber}`);
+      if (shipment.weightGrams) {
+        doc.text(`Weight: ${(shipment.weightGrams / 1000).toFixed(2)} kg`);
+      }
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(9).text('Return to');
+      doc.font('Helvetica').fontSize(8).text(SELLER_NAME).text(SELLER_ADDRESS || '');
+
+      doc.end();
+    });
+
+    return {
+      buffer,
+      contentType: 'application/pdf',
+      fileName: `label-${shipment.awbNumber}.pdf`
+    };
+  }
+
+  async requestPickup(shipments, { pickupDate }) {
+    return {
+      pickupReference: `MOCKPU${Date.now().toString().slice(-8)}`,
+      pickupScheduledAt: pickupDate
+    };
+  }
+
+  async cancelShipment() {
+    // Nothing booked anywhere, nothing to cancel
+  }
+
+  // HMAC-SHA256 of the raw body in x-mock-signature; without a secret every event is rejected
+  verifyWebhook({ rawBody, headers }) {
+    if (!MOCK_SHIPMENT_WEBHOOK_SECRET) {
+      return false;
+    }
+
+    const signature = headers['x-mock-signature'];
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto
+      .createHmac('sha256', MOCK_SHIPMENT_WEBHOOK_SECRET)
+      .update(rawBody)
+      .digest('hex'));
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Payload: { events: [{ id, awb, status, description, location, timestamp }] } or one such event
+  parseWebhook(payload) {
+    const events = Array.isArray(payload?.events) ? payload.events : [payload];
+
+    return events.map(event => ({
+      eventId: event.id || `${event.awb}:${event.status}:${event.timestamp}`,
+      awbNumber: event.awb,
+      status: event.status,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: event.timestamp ? new Date(event.timestamp) : new Date()
+    }));
+  }
+}
+
+export default new MockShipmentProvider();
@@ -0,0 +1,668 @@
+// services/shipmentService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import orderStateMachine from './orderStateMachine.js';
+import webhookEventService from './webhookEventService.js';
+import emailNotificationService from './emailNotificationService.js';
+import { getShipmentProvider } from './shipmentProviders/index.js';
+import { SHIPMENT_PROVIDER, DEFAULT_ITEM_WEIGHT_GRAMS } from '../config/index.js';
+
+// Orders with items that may still go out in a shipment
+const SHIPPABLE_ORDER_STATUSES = ['CONFIRMED', 'PROCESSING', 'PARTIALLY_SHIPPED', 'PARTIALLY_REFUNDED'];
+
+// The courier has the parcel
+const HANDED_OVER_STATUSES = ['PICKED_UP', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERY_FAILED', 'DELIVERED', 'RETURNED_TO_ORIGIN'];
+
+// Order statuses shipments no longer change
+const CLOSED_ORDER_STATUSES = ['DELIVERED', 'RETURNED_TO_ORIGIN', 'CANCELLED', 'REFUNDED'];
+
+// Shipment statuses only move forward; carrier events for an earlier stage are
+// kept in the tracking history but don't roll the shipment back
+const STATUS_RANK = {
+  CREATED: 0,
+  PICKUP_SCHEDULED: 1,
+  PICKED_UP: 2,
+  IN_TRANSIT: 3,
+  OUT_FOR_DELIVERY: 4,
+  DELIVERY_FAILED: 4,
+  DELIVERED: 5,
+  RETURNED_TO_ORIGIN: 5,
+  CANCELLED: 5
+};
+
+const FINAL_STATUSES = ['DELIVERED', 'RETURNED_TO_ORIGIN', 'CANCELLED'];
+const CANCELLABLE_STATUSES = ['CREATED', 'PICKUP_SCHEDULED'];
+
+const SHIPMENT_INCLUDE = {
+  items: {
+    include: {
+      orderItem: {
+        select: {
+          id: true,
+          quantity: true,
+          product: {
+            select: { id: true, name: true }
+          },
+          productVariant: {
+            select: { id: true, color: true, size: true, sku: true }
+          }
+        }
+      }
+    }
+  },
+  trackingHistory: {
+    orderBy: { createdAt: 'desc' }
+  }
+};
+
+const shipmentError = (message, statusCode = 400, code = undefined) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// Units of an order item that still have to be shipped
+const packableQuantity = (item) => item.quantity - (item.refundedQuantity || 0);
+
+class ShipmentService {
+
+  async getShipmentById(shipmentId) {
+    const shipment = await prisma.shipment.findUnique({
+      where: { id: shipmentId },
+      include: {
+        ...SHIPMENT_INCLUDE,
+        order: true
+      }
+    });
+
+    if (!shipment) {
+      throw new Error('Shipment not found');
+    }
+
+    return shipment;
+  }
+
+  async getOrderShipments(orderId) {
+    return await prisma.shipment.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'asc' },
+      include: SHIPMENT_INCLUDE
+    });
+  }
+
+  async getShipments({ page = 1, limit = 20, status, provider }) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (provider) {
+      where.provider = provider;
+    }
+
+    const [shipments, total] = await Promise.all([
+      prisma.shipment.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          order: {
+            select: {
+              id: true,
+              orderNumber: true,
+              name: true,
+              city: true,
+              pincode: true,
+              status: true,
+              paymentMethod: true
+            }
+          }
+        }
+      }),
+      prisma.shipment.count({ where })
+    ]);
+
+    return {
+      shipments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Units of each order item not yet in a (non-cancelled) shipment
+  getRemainingQuantities(order) {
+    return new Map(order.orderItems.map(item => [
+      item.id,
+      packableQuantity(item) - item.shipmentItems.reduce((sum, shipmentItem) => sum + shipmentItem.quantity, 0)
+    ]));
+  }
+
+  // Items to pack: the ones asked for, or everything still to ship
+  resolveShipmentItems(order, items) {
+    const remaining = this.getRemainingQuantities(order);
+
+    if (!items || items.length === 0) {
+      return [...remaining.entries()]
+        .filter(([, quantity]) => quantity > 0)
+        .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error('Items must be a list of { orderItemId, quantity }');
+    }
+
+    const seen = new Set();
+
+    return items.map(({ orderItemId, quantity }) => {
+      const available = remaining.get(orderItemId);
+      const units = parseInt(quantity);
+
+      if (available === undefined) {
+        throw new Error(`Order item ${orderItemId} is not part of this order`);
+      }
+
+      if (seen.has(orderItemId)) {
+        throw new Error(`Order item ${orderItemId} is listed more than once`);
+      }
+      seen.add(orderItemId);
+
+      if (isNaN(units) || units <= 0 || String(units) !== String(quantity).trim()) {
+        throw new Error('Quantity must be a positive whole number');
+      }
+
+      if (units > available) {
+        throw shipmentError(`Only ${Math.max(available, 0)} units of order item ${orderItemId} are left to ship`, 409);
+      }
+
+      return { orderItemId, quantity: units };
+    });
+  }
+
+  /**
+   * Book a parcel for some or all of the order's unshipped items.
+   * Options: provider, items [{ orderItemId, quantity }] (default: everything left),
+   * carrier / trackingNumber / trackingUrl for the manual provider.
+   */
+  async createShipment(orderId, { provider: providerName = SHIPMENT_PROVIDER, items, carrier, trackingNumber, trackingUrl } = {}) {
+    const provider = getShipmentProvider(providerName);
+
+    // Claim the units first, with the order row locked so a concurrent call
+    // (or a double click) sees them as taken. The updatedAt bump makes an
+    // order edit that read the order before this fail its own check.
+    const { order, claimed, shipmentItems, weightGrams } = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: {
+          orderItems: {
+            include: {
+              product: {
+                select: { id: true, name: true, weightGrams: true }
+              },
+              shipmentItems: {
+                where: { shipment: { status: { not: 'CANCELLED' } } },
+                select: { quantity: true }
+              }
+            }
+          }
+        }
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+        throw shipmentError(`Cannot create a shipment for an order in ${order.status} status`, 409);
+      }
+
+      if (order.paymentStatus === 'REFUNDED') {
+        throw shipmentError('Cannot create a shipment for a refunded order', 409);
+      }
+
+      const shipmentItems = this.resolveShipmentItems(order, items);
+
+      if (shipmentItems.length === 0) {
+        throw shipmentError('All items of this order are already in shipments', 409, 'NOTHING_TO_SHIP');
+      }
+
+      const orderItems = new Map(order.orderItems.map(item => [item.id, item]));
+      const weightGrams = shipmentItems.reduce((sum, { orderItemId, quantity }) =>
+        sum + quantity * (orderItems.get(orderItemId).product.weightGrams || DEFAULT_ITEM_WEIGHT_GRAMS), 0);
+
+      const claimed = await tx.shipment.create({
+        data: {
+          orderId,
+          provider: provider.name,
+          weightGrams,
+          items: {
+            create: shipmentItems
+          }
+        }
+      });
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: { updatedAt: new Date() }
+      });
+
+      return { order, claimed, shipmentItems, weightGrams };
+    });
+
+    let handedOverAt = null;
+    let shipment;
+    let booking;
+
+    try {
+      booking = await provider.createShipment({
+        order,
+        shipment: { weightGrams, items: shipmentItems, carrier, trackingNumber, trackingUrl }
+      });
+
+      // Manually entered parcels are already with the courier
+      handedOverAt = provider.handedOver ? new Date() : null;
+
+      shipment = await prisma.shipment.update({
+        where: { id: claimed.id },
+        data: {
+          providerShipmentId: booking.providerShipmentId || null,
+          awbNumber: booking.awbNumber,
+          carrier: booking.carrier,
+          trackingUrl: booking.trackingUrl || null,
+          labelUrl: booking.labelUrl || null,
+          status: handedOverAt ? 'IN_TRANSIT' : 'CREATED',
+          shippedAt: handedOverAt,
+          lastEventAt: handedOverAt
+        },
+        include: SHIPMENT_INCLUDE
+      });
+    } catch (error) {
+      // Give the units back so the shipment can be booked again
+      await prisma.shipment.delete({ where: { id: claimed.id } });
+
+      if (error.code === 'P2002') {
+        throw shipmentError(`A ${provider.name} shipment with tracking number ${booking.awbNumber} already exists`, 409);
+      }
+      throw error;
+    }
+
+    await prisma.trackingHistory.create({
+      data: {
+        orderId,
+        shipmentId: shipment.id,
+        status: 'SHIPMENT_CREATED',
+        description: `Shipment booked with ${shipment.carrier}. AWB: ${shipment.awbNumber}`,
+        location: 'Warehouse'
+      }
+    });
+
+    logger.info(`Shipment ${shipment.awbNumber} created for order ${order.orderNumber}`, {
+      Provider: provider.name,
+      Items: shipmentItems.length,
+      Weight: weightGrams
+    });
+
+    if (handedOverAt) {
+      await this.onHandedOver(shipment);
+    }
+
+    return shipment;
+  }
+
+  // Label PDF from the provider, or a link to the provider's copy
+  async getLabel(shipmentId) {
+    const shipment = await this.getShipmentById(shipmentId);
+
+    if (shipment.status === 'CANCELLED') {
+      throw shipmentError('Shipment is cancelled');
+    }
+
+    if (shipment.labelUrl) {
+      return { url: shipment.labelUrl };
+    }
+
+    const provider = getShipmentProvider(shipment.provider);
+    return await provider.getLabel(shipment, shipment.order);
+  }
+
+  // One pickup request per provider for the given shipments
+  async requestPickup(shipmentIds, pickupDate) {
+    if (!Array.isArray(shipmentIds) || shipmentIds.length === 0) {
+      throw new Error('Select at least one shipment for pickup');
+    }
+
+    const date = pickupDate ? new Date(pickupDate) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid pickup date');
+    }
+
+    const shipments = await prisma.shipment.findMany({
+      where: { id: { in: shipmentIds } }
+    });
+
+    if (shipments.length !== new Set(shipmentIds).size) {
+      throw new Error('Shipment not found');
+    }
+
+    const notReady = shipments.filter(shipment => shipment.status !== 'CREATED');
+    if (notReady.length > 0) {
+      throw shipmentError(`Pickup can only be requested for new shipments (${notReady.map(shipment => shipment.awbNumber).join(', ')})`, 409);
+    }
+
+    const byProvider = new Map();
+    for (const shipment of shipments) {
+      if (!byProvider.has(shipment.provider)) {
+        byProvider.set(shipment.provider, []);
+      }
+      byProvider.get(shipment.provider).push(shipment);
+    }
+
+    const pickups = [];
+
+    for (const [providerName, providerShipments] of byProvider) {
+      const provider = getShipmentProvider(providerName);
+      const { pickupReference, pickupScheduledAt } = await provider.requestPickup(providerShipments, { pickupDate: date });
+
+      await prisma.shipment.updateMany({
+        where: { id: { in: providerShipments.map(shipment => shipment.id) } },
+        data: {
+          status: 'PICKUP_SCHEDULED',
+          pickupReference,
+          pickupScheduledAt: pickupScheduledAt || date
+        }
+      });
+
+      pickups.push({
+        provider: providerName,
+        pickupReference,
+        pickupScheduledAt: pickupScheduledAt || date,
+        shipments: providerShipments.length
+      });
+    }
+
+    logger.info(`Pickup requested for ${shipments.length} shipments`);
+
+    return pickups;
+  }
+
+  // Only before the courier has the parcel
+  async cancelShipment(shipmentId) {
+    const shipment = await this.getShipmentById(shipmentId);
+
+    if (!CANCELLABLE_STATUSES.includes(shipment.status)) {
+      throw shipmentError(`Cannot cancel a shipment in ${shipment.status} status`, 409);
+    }
+
+    await getShipmentProvider(shipment.provider).cancelShipment(shipment);
+
+    const cancelled = await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date()
+      }
+    });
+
+    await prisma.trackingHistory.create({
+      data: {
+        orderId: shipment.orderId,
+        shipmentId: shipment.id,
+        status: 'SHIPMENT_CANCELLED',
+        description: `Shipment ${shipment.awbNumber} cancelled`,
+        location: 'Warehouse'
+      }
+    });
+
+    return cancelled;
+  }
+
+  // ===== Carrier webhooks =====
+
+  async handleWebhook(providerName, { rawBody, headers, payload }) {
+    const provider = getShipmentProvider(providerName);
+
+    if (!provider.verifyWebhook({ rawBody, headers })) {
+      throw shipmentError('Invalid webhook signature');
+    }
+
+    const events = provider.parseWebhook(payload);
+    const results = [];
+    let failed = null;
+
+    for (const trackingEvent of events) {
+      const { event, duplicate } = await webhookEventService.recordEvent(
+        `shipment:${provider.name}`,
+        trackingEvent.eventId,
+        trackingEvent.status,
+        payload
+      );
+
+      if (duplicate) {
+        results.push({ eventId: trackingEvent.eventId, status: event.status, duplicate: true });
+        continue;
+      }
+
+      try {
+        const result = await this.applyTrackingEvent(provider.name, trackingEvent);
+        await webhookEventService.markHandled(event.id, result);
+        results.push({ eventId: trackingEvent.eventId, status: result.ignored ? 'IGNORED' : 'PROCESSED', duplicate: false });
+      } catch (error) {
+        await webhookEventService.markFailed(event.id, error);
+        logger.error(`Shipment webhook ${trackingEvent.status} for ${trackingEvent.awbNumber} failed:`, {
+          eventId: trackingEvent.eventId,
+          error: error.message
+        });
+        results.push({ eventId: trackingEvent.eventId, status: 'FAILED', duplicate: false });
+        failed = failed || error;
+      }
+    }
+
+    // Non-2xx makes the carrier retry; events already handled are skipped then
+    if (failed) {
+      throw failed;
+    }
+
+    return results;
+  }
+
+  async applyTrackingEvent(providerName, { awbNumber, status, description, location, occurredAt }) {
+    if (!(status in STATUS_RANK)) {
+      return { ignored: true, reason: `Unknown shipment status: ${status}` };
+    }
+
+    const shipment = awbNumber && await prisma.shipment.findUnique({
+      where: { provider_awbNumber: { provider: providerName, awbNumber } }
+    });
+
+    if (!shipment) {
+      return { ignored: true, reason: `No shipment with AWB ${awbNumber}` };
+    }
+
+    // Every scan goes in the shipment's own history
+    await prisma.trackingHistory.create({
+      data: {
+        orderId: shipment.orderId,
+        shipmentId: shipment.id,
+        status,
+        description: description || `Shipment ${awbNumber}: ${status.replace(/_/g, ' ').toLowerCase()}`,
+        location,
+        createdAt: occurredAt
+      }
+    });
+
+    const isNewer = !FINAL_STATUSES.includes(shipment.status)
+      && STATUS_RANK[status] >= STATUS_RANK[shipment.status];
+
+    if (!isNewer) {
+      return { orderId: shipment.orderId };
+    }
+
+    const handedOverNow = HANDED_OVER_STATUSES.includes(status) && !shipment.shippedAt;
+
+    const updated = await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        status,
+        lastEventAt: occurredAt,
+        ...(handedOverNow && { shippedAt: occurredAt }),
+        ...(status === 'DELIVERED' && { deliveredAt: occurredAt }),
+        ...(status === 'CANCELLED' && { cancelledAt: occurredAt })
+      },
+      include: SHIPMENT_INCLUDE
+    });
+
+    if (handedOverNow) {
+      await this.onHandedOver(updated, { location });
+    } else {
+      await this.syncOrderStatus(shipment.orderId, { shipment: updated, description, location });
+    }
+
+    return { orderId: shipment.orderId };
+  }
+
+  // ===== Order status from shipments =====
+
+  // Where the shipments put the order: PARTIALLY_SHIPPED until every unit is
+  // with a courier, then SHIPPED, then DELIVERED (or RETURNED_TO_ORIGIN when
+  // every parcel came back) once all parcels are done
+  deriveOrderStatus(order) {
+    const handedOver = order.shipments.filter(shipment => shipment.shippedAt && shipment.status !== 'CANCELLED');
+
+    if (handedOver.length === 0) {
+      return null;
+    }
+
+    const shippedQuantities = new Map();
+    for (const shipment of handedOver) {
+      for (const item of shipment.items) {
+        shippedQuantities.set(item.orderItemId, (shippedQuantities.get(item.orderItemId) || 0) + item.quantity);
+      }
+    }
+
+    const allShipped = order.orderItems
+      .filter(item => packableQuantity(item) > 0)
+      .every(item => (shippedQuantities.get(item.id) || 0) >= packableQuantity(item));
+
+    if (!allShipped) {
+      return 'PARTIALLY_SHIPPED';
+    }
+
+    if (!handedOver.every(shipment => FINAL_STATUSES.includes(shipment.status))) {
+      return 'SHIPPED';
+    }
+
+    return handedOver.some(shipment => shipment.status === 'DELIVERED') ? 'DELIVERED' : 'RETURNED_TO_ORIGIN';
+  }
+
+  // Move the order to the status its shipments add up to
+  async syncOrderStatus(orderId, { shipment, description, location } = {}) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true,
+        shipments: {
+          include: { items: true }
+        }
+      }
+    });
+
+    if (!order || CLOSED_ORDER_STATUSES.includes(order.status)) {
+      return [];
+    }
+
+    const target = this.deriveOrderStatus(order);
+    const steps = [];
+
+    if (target === 'PARTIALLY_SHIPPED') {
+      if (!['PARTIALLY_SHIPPED', 'SHIPPED'].includes(order.status)) {
+        steps.push('PARTIALLY_SHIPPED');
+      }
+    } else if (target) {
+      if (order.status !== 'SHIPPED') {
+        steps.push('SHIPPED');
+      }
+      if (target !== 'SHIPPED') {
+        steps.push(target);
+      }
+    }
+
+    // Order-level tracking fields follow the latest parcel for older clients
+    const latest = shipment?.shippedAt
+      ? shipment
+      : order.shipments.filter(item => item.shippedAt).sort((a, b) => b.shippedAt - a.shippedAt)[0];
+    const tracking = latest
+      ? { trackingNumber: latest.awbNumber, carrier: latest.carrier, trackingUrl: latest.trackingUrl }
+      : {};
+    const applied = [];
+
+    for (const status of steps) {
+      const current = await prisma.order.findUnique({ where: { id: orderId } });
+      const reason = orderStateMachine.getTransitionError({ ...current, ...tracking }, status);
+
+      // The carrier is reporting what happened; an order we can't move is flagged, not retried
+      if (reason) {
+        logger.warn(`Order ${order.orderNumber} not moved to ${status} from shipments: ${reason}`);
+        break;
+      }
+
+      const shipping = ['PARTIALLY_SHIPPED', 'SHIPPED'].includes(status);
+
+      await orderStateMachine.transition(orderId, status, {
+        data: tracking,
+        description: shipping ? undefined : description,
+        location,
+        // Shipment emails already told the customer what was sent
+        notify: !shipping
+      });
+      applied.push(status);
+    }
+
+    if (applied.length === 0 && latest && latest.awbNumber !== order.trackingNumber) {
+      await prisma.order.update({
+        where: { id: orderId },
+        data: tracking
+      });
+    }
+
+    return applied;
+  }
+
+  // A parcel reached the courier: update the order and tell the customer what's in it
+  async onHandedOver(shipment, { location } = {}) {
+    await this.syncOrderStatus(shipment.orderId, { shipment, location });
+
+    const order = await prisma.order.findUnique({
+      where: { id: shipment.orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: { select: { id: true, name: true } },
+            productVariant: { select: { id: true, color: true, size: true } }
+          }
+        },
+        shipments: {
+          where: { status: { not: 'CANCELLED' } },
+          orderBy: { createdAt: 'asc' },
+          include: { items: true }
+        }
+      }
+    });
+
+    try {
+      await emailNotificationService.sendShipmentUpdate(order, shipment);
+    } catch (error) {
+      logger.error(`Failed to send shipment email for ${shipment.awbNumber}:`, error);
+    }
+  }
+}
+
+export default new ShipmentService();
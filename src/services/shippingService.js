@@ -0,0 +1,457 @@
+// services/shippingService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import {
+  DEFAULT_SHIPPING_RATE,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  COD_HANDLING_FEE
+} from '../config/index.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const SHIPPING_METHODS = ['STANDARD', 'EXPRESS'];
+const RATE_BASES = ['QUANTITY', 'WEIGHT'];
+
+// Flat state rates charged before any shipping zone is set up
+const FALLBACK_STATE_RATES = {
+  'tamil nadu': 80,
+  'kerala': 100,
+  'karnataka': 100,
+  'andhra pradesh': 100,
+  'telangana': 100
+};
+
+const ZONE_INCLUDE = {
+  rates: {
+    orderBy: [
+      { method: 'asc' },
+      { minValue: 'asc' }
+    ]
+  }
+};
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+class ShippingService {
+
+  normalizePincode(pincode) {
+    const digits = String(pincode || '').replace(/\s/g, '');
+    return /^\d{6}$/.test(digits) ? digits : null;
+  }
+
+  matchesPincode(zone, pincode) {
+    if (!pincode || !Array.isArray(zone.pincodeRanges)) {
+      return false;
+    }
+    return zone.pincodeRanges.some(range => pincode >= range.from && pincode <= range.to);
+  }
+
+  // Most specific zone for the address: pincode range, then state, then the default zone
+  findZone(zones, state, pincode) {
+    const byPriority = [...zones].sort((a, b) => b.priority - a.priority);
+    const normalizedState = normalizeState(state);
+
+    return byPriority.find(zone => this.matchesPincode(zone, pincode))
+      || byPriority.find(zone => normalizedState && zone.states.some(s => normalizeState(s) === normalizedState))
+      || byPriority.find(zone => zone.isDefault)
+      || null;
+  }
+
+  // Weight is only looked up when a zone prices by weight
+  async getTotalWeight(items) {
+    const missing = items.filter(item => item.weightGrams === undefined).map(item => item.productId);
+    const products = missing.length > 0
+      ? await prisma.product.findMany({
+          where: { id: { in: missing } },
+          select: { id: true, weightGrams: true }
+        })
+      : [];
+    const weights = new Map(products.map(product => [product.id, product.weightGrams]));
+
+    return items.reduce((total, item) => {
+      const unitWeight = item.weightGrams !== undefined ? item.weightGrams : weights.get(item.productId);
+      return total + (unitWeight || DEFAULT_ITEM_WEIGHT_GRAMS) * item.quantity;
+    }, 0);
+  }
+
+  findSlab(rates, method, value) {
+    return rates.find(rate =>
+      rate.method === method &&
+      value >= rate.minValue &&
+      (rate.maxValue === null || value <= rate.maxValue)
+    ) || null;
+  }
+
+  /**
+   * Shipping charge and its breakdown for a cart.
+   *  - items: [{ productId, quantity, weightGrams? }]
+   *  - orderValue: merchandise value after discounts, for the free-shipping threshold
+   *  - method: STANDARD or EXPRESS
+   *  - paymentMethod: 'COD' adds the zone's COD surcharge as codCharge (not part of total)
+   */
+  async calculateShipping({ state, pincode = null, items = [], orderValue = 0, method = 'STANDARD', paymentMethod = null }) {
+    const shippingMethod = (method || 'STANDARD').toUpperCase();
+
+    if (!SHIPPING_METHODS.includes(shippingMethod)) {
+      throw new Error(`Invalid shipping method. Use one of: ${SHIPPING_METHODS.join(', ')}`);
+    }
+
+    const zones = await prisma.shippingZone.findMany({
+      where: { isActive: true },
+      include: ZONE_INCLUDE
+    });
+
+    const normalizedPincode = this.normalizePincode(pincode);
+    const zone = this.findZone(zones, state, normalizedPincode);
+
+    if (!zone) {
+      return this.calculateFallbackShipping(state, shippingMethod, paymentMethod);
+    }
+
+    const quantity = items.reduce((total, item) => total + item.quantity, 0);
+    const slabValue = zone.rateBasis === 'WEIGHT' ? await this.getTotalWeight(items) : quantity;
+
+    const standardSlab = this.findSlab(zone.rates, 'STANDARD', slabValue);
+    const slab = shippingMethod === 'STANDARD' ? standardSlab : this.findSlab(zone.rates, shippingMethod, slabValue);
+
+    if (!slab) {
+      const error = new Error(shippingMethod === 'EXPRESS'
+        ? 'Express delivery is not available for this address'
+        : 'We cannot ship this order to the selected address');
+      error.statusCode = 400;
+      error.code = 'SHIPPING_UNAVAILABLE';
+      throw error;
+    }
+
+    // The threshold waives the standard rate; express customers pay only the difference
+    const freeShippingApplied = zone.freeShippingThreshold !== null && orderValue >= zone.freeShippingThreshold;
+    let baseRate = slab.rate;
+
+    if (freeShippingApplied) {
+      baseRate = shippingMethod === 'STANDARD' ? 0 : Math.max(0, slab.rate - (standardSlab?.rate || 0));
+    }
+
+    const codSurcharge = zone.codSurcharge ?? COD_HANDLING_FEE;
+    const codCharge = paymentMethod === 'COD' ? codSurcharge : 0;
+
+    return {
+      zoneId: zone.id,
+      zoneName: zone.name,
+      method: shippingMethod,
+      rateBasis: zone.rateBasis,
+      slabValue,
+      slab: {
+        minValue: slab.minValue,
+        maxValue: slab.maxValue,
+        rate: slab.rate
+      },
+      baseRate: round2(baseRate),
+      freeShippingThreshold: zone.freeShippingThreshold,
+      freeShippingApplied,
+      codSurcharge,
+      codCharge: round2(codCharge),
+      expressAvailable: !!this.findSlab(zone.rates, 'EXPRESS', slabValue),
+      total: round2(baseRate)
+    };
+  }
+
+  calculateFallbackShipping(state, method, paymentMethod) {
+    if (method !== 'STANDARD') {
+      const error = new Error('Express delivery is not available for this address');
+      error.statusCode = 400;
+      error.code = 'SHIPPING_UNAVAILABLE';
+      throw error;
+    }
+
+    const rate = FALLBACK_STATE_RATES[normalizeState(state)] ?? DEFAULT_SHIPPING_RATE;
+
+    return {
+      zoneId: null,
+      zoneName: null,
+      method,
+      rateBasis: null,
+      slabValue: null,
+      slab: null,
+      baseRate: rate,
+      freeShippingThreshold: null,
+      freeShippingApplied: false,
+      codSurcharge: COD_HANDLING_FEE,
+      codCharge: paymentMethod === 'COD' ? COD_HANDLING_FEE : 0,
+      expressAvailable: false,
+      total: rate
+    };
+  }
+
+  // ===== Admin zone management =====
+
+  parseAmount(value, label, { allowNull = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+      if (allowNull) return null;
+      throw new Error(`${label} is required`);
+    }
+
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0) {
+      throw new Error(`${label} must be a non-negative number`);
+    }
+    return amount;
+  }
+
+  parsePincodeRanges(ranges) {
+    if (ranges === undefined || ranges === null || ranges === '') {
+      return [];
+    }
+
+    if (!Array.isArray(ranges)) {
+      throw new Error('Pincode ranges must be a list of { from, to }');
+    }
+
+    return ranges.map(range => {
+      const from = this.normalizePincode(range.from);
+      const to = this.normalizePincode(range.to ?? range.from);
+
+      if (!from || !to || from > to) {
+        throw new Error(`Invalid pincode range: ${range.from} - ${range.to}`);
+      }
+      return { from, to };
+    });
+  }
+
+  // Slabs of one method must not overlap, or the charge would depend on row order,
+  // and must leave no gaps, or some carts couldn't be shipped at all. Bounds are
+  // whole item counts or grams: each method starts at 0, every slab begins right
+  // after the previous one ends, and the last one is open-ended.
+  parseRates(rates) {
+    if (!Array.isArray(rates) || rates.length === 0) {
+      throw new Error('At least one shipping rate is required');
+    }
+
+    const parsed = rates.map(rate => {
+      const method = (rate.method || 'STANDARD').toUpperCase();
+
+      if (!SHIPPING_METHODS.includes(method)) {
+        throw new Error(`Invalid shipping method: ${rate.method}`);
+      }
+
+      const minValue = this.parseAmount(rate.minValue ?? 0, 'Slab minimum');
+      const maxValue = this.parseAmount(rate.maxValue, 'Slab maximum', { allowNull: true });
+
+      if (!Number.isInteger(minValue) || (maxValue !== null && !Number.isInteger(maxValue))) {
+        throw new Error('Slab limits must be whole numbers');
+      }
+
+      if (maxValue !== null && maxValue < minValue) {
+        throw new Error('Slab maximum must not be less than its minimum');
+      }
+
+      return {
+        method,
+        minValue,
+        maxValue,
+        rate: this.parseAmount(rate.rate, 'Shipping rate')
+      };
+    });
+
+    for (const method of SHIPPING_METHODS) {
+      const slabs = parsed
+        .filter(rate => rate.method === method)
+        .sort((a, b) => a.minValue - b.minValue);
+
+      if (slabs.length === 0) {
+        continue;
+      }
+
+      if (slabs[0].minValue !== 0) {
+        throw new Error(`${method} rate slabs must start at 0`);
+      }
+
+      for (let i = 1; i < slabs.length; i++) {
+        const previousMax = slabs[i - 1].maxValue;
+        if (previousMax === null || slabs[i].minValue <= previousMax) {
+          throw new Error(`${method} rate slabs overlap`);
+        }
+        if (slabs[i].minValue !== previousMax + 1) {
+          throw new Error(`${method} rate slabs leave a gap between ${previousMax} and ${slabs[i].minValue}`);
+        }
+      }
+
+      if (slabs[slabs.length - 1].maxValue !== null) {
+        throw new Error(`The last ${method} rate slab must have no maximum`);
+      }
+    }
+
+    if (!parsed.some(rate => rate.method === 'STANDARD')) {
+      throw new Error('A zone needs at least one STANDARD rate');
+    }
+
+    return parsed;
+  }
+
+  buildZoneData(zoneData, { partial = false } = {}) {
+    const data = {};
+
+    if (!partial || zoneData.name !== undefined) {
+      if (!zoneData.name || !zoneData.name.trim()) {
+        throw new Error('Zone name is required');
+      }
+      data.name = zoneData.name.trim();
+    }
+
+    if (!partial || zoneData.states !== undefined) {
+      const states = Array.isArray(zoneData.states) ? zoneData.states : [];
+      data.states = states.map(state => state.trim()).filter(Boolean);
+    }
+
+    if (!partial || zoneData.pincodeRanges !== undefined) {
+      data.pincodeRanges = this.parsePincodeRanges(zoneData.pincodeRanges);
+    }
+
+    if (!partial || zoneData.rateBasis !== undefined) {
+      const rateBasis = (zoneData.rateBasis || 'QUANTITY').toUpperCase();
+      if (!RATE_BASES.includes(rateBasis)) {
+        throw new Error(`Rate basis must be one of: ${RATE_BASES.join(', ')}`);
+      }
+      data.rateBasis = rateBasis;
+    }
+
+    if (zoneData.priority !== undefined) data.priority = parseInt(zoneData.priority) || 0;
+    if (zoneData.isDefault !== undefined) data.isDefault = zoneData.isDefault === true || zoneData.isDefault === 'true';
+    if (zoneData.isActive !== undefined) data.isActive = zoneData.isActive !== false && zoneData.isActive !== 'false';
+
+    if (zoneData.freeShippingThreshold !== undefined) {
+      data.freeShippingThreshold = this.parseAmount(zoneData.freeShippingThreshold, 'Free shipping threshold', { allowNull: true });
+    }
+
+    if (zoneData.codSurcharge !== undefined) {
+      data.codSurcharge = this.parseAmount(zoneData.codSurcharge, 'COD surcharge', { allowNull: true });
+    }
+
+    return data;
+  }
+
+  assertZoneTargets(zone) {
+    if (!zone.isDefault && zone.states.length === 0 && zone.pincodeRanges.length === 0) {
+      throw new Error('A zone needs states, pincode ranges or to be the default zone');
+    }
+  }
+
+  async getZones({ includeInactive = false } = {}) {
+    return await prisma.shippingZone.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      include: ZONE_INCLUDE,
+      orderBy: [
+        { priority: 'desc' },
+        { name: 'asc' }
+      ]
+    });
+  }
+
+  async getZoneById(zoneId) {
+    const zone = await prisma.shippingZone.findUnique({
+      where: { id: zoneId },
+      include: ZONE_INCLUDE
+    });
+
+    if (!zone) {
+      throw new Error('Shipping zone not found');
+    }
+
+    return zone;
+  }
+
+  async createZone(zoneData) {
+    const data = this.buildZoneData(zoneData);
+    const rates = this.parseRates(zoneData.rates);
+    this.assertZoneTargets({ isDefault: false, ...data });
+
+    const existing = await prisma.shippingZone.findUnique({
+      where: { name: data.name }
+    });
+
+    if (existing) {
+      throw new Error('A shipping zone with this name already exists');
+    }
+
+    const zone = await prisma.$transaction(async (tx) => {
+      // Only one catch-all zone
+      if (data.isDefault) {
+        await tx.shippingZone.updateMany({
+          where: { isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return await tx.shippingZone.create({
+        data: {
+          ...data,
+          rates: { create: rates }
+        },
+        include: ZONE_INCLUDE
+      });
+    });
+
+    logger.info(`Shipping zone created: ${zone.name}`, {
+      States: zone.states.length,
+      PincodeRanges: zone.pincodeRanges.length,
+      Rates: zone.rates.length
+    });
+
+    return zone;
+  }
+
+  // Sending rates replaces the whole rate table
+  async updateZone(zoneId, updateData) {
+    const zone = await this.getZoneById(zoneId);
+    const data = this.buildZoneData(updateData, { partial: true });
+    const rates = updateData.rates !== undefined ? this.parseRates(updateData.rates) : null;
+
+    this.assertZoneTargets({ ...zone, ...data });
+
+    if (data.name && data.name !== zone.name) {
+      const existing = await prisma.shippingZone.findUnique({
+        where: { name: data.name }
+      });
+
+      if (existing) {
+        throw new Error('A shipping zone with this name already exists');
+      }
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      if (data.isDefault) {
+        await tx.shippingZone.updateMany({
+          where: { isDefault: true, id: { not: zoneId } },
+          data: { isDefault: false }
+        });
+      }
+
+      if (rates) {
+        await tx.shippingRate.deleteMany({
+          where: { zoneId }
+        });
+      }
+
+      return await tx.shippingZone.update({
+        where: { id: zoneId },
+        data: {
+          ...data,
+          ...(rates && { rates: { create: rates } })
+        },
+        include: ZONE_INCLUDE
+      });
+    });
+  }
+
+  async deleteZone(zoneId) {
+    const zone = await this.getZoneById(zoneId);
+
+    await prisma.shippingZone.delete({
+      where: { id: zoneId }
+    });
+
+    logger.info(`Shipping zone deleted: ${zone.name}`);
+    return zone;
+  }
+}
+
+export default new ShippingService();
@@ -0,0 +1,264 @@
+// services/stockReservationService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import inventoryService from './inventoryService.js';
+import { STOCK_RESERVATION_TTL_MINUTES } from '../config/index.js';
+
+class StockReservationService {
+
+  // Hold stock for every variant line of a quote while the customer pays
+  async reserveForQuote(quote, { userId = null } = {}) {
+    const activeReservations = await prisma.stockReservation.findMany({
+      where: { quoteId: quote.id, status: 'ACTIVE' }
+    });
+
+    // Payment retried on the same quote - keep the existing hold alive
+    if (activeReservations.length > 0) {
+      const expiresAt = new Date(Date.now() + STOCK_RESERVATION_TTL_MINUTES * 60 * 1000);
+      await prisma.stockReservation.updateMany({
+        where: { quoteId: quote.id, status: 'ACTIVE' },
+        data: { expiresAt }
+      });
+      return activeReservations;
+    }
+
+    if (inventoryService.aggregateVariantLines(quote.items).length === 0) {
+      return [];
+    }
+
+    const expiresAt = new Date(Date.now() + STOCK_RESERVATION_TTL_MINUTES * 60 * 1000);
+
+    const reservations = await prisma.$transaction(async (tx) => {
+      // Throws an OUT_OF_STOCK error (and rolls back) if any line can't be held
+      const lines = await inventoryService.decrementStock(tx, quote.items);
+
+      const created = [];
+      for (const line of lines) {
+        created.push(await tx.stockReservation.create({
+          data: {
+            productVariantId: line.productVariantId,
+            quantity: line.quantity,
+            quoteId: quote.id,
+            userId,
+            expiresAt
+          }
+        }));
+      }
+
+      return created;
+    });
+
+    logger.info(`Stock reserved for quote ${quote.id}`, {
+      Lines: reservations.length,
+      ExpiresAt: expiresAt.toISOString()
+    });
+
+    return reservations;
+  }
+
+  async attachRazorpayOrder(quoteId, razorpayOrderId) {
+    await prisma.stockReservation.updateMany({
+      where: { quoteId, status: 'ACTIVE' },
+      data: { razorpayOrderId }
+    });
+  }
+
+  // Turn the quote's active holds into sold stock inside the order transaction.
+  // Each hold is claimed on its own, so one released by the expiry sweep or a
+  // payment failure in the meantime counts as lapsed. Lapsed lines are returned
+  // so the caller can take the stock again.
+  async commitForQuote(tx, quote, orderId) {
+    const activeReservations = await tx.stockReservation.findMany({
+      where: { quoteId: quote.id, status: 'ACTIVE' }
+    });
+
+    const committed = [];
+
+    for (const reservation of activeReservations) {
+      const result = await tx.stockReservation.updateMany({
+        where: { id: reservation.id, status: 'ACTIVE' },
+        data: {
+          status: 'COMMITTED',
+          orderId
+        }
+      });
+
+      if (result.count > 0) {
+        committed.push(reservation);
+      }
+    }
+
+    const heldQuantities = new Map();
+    for (const reservation of committed) {
+      heldQuantities.set(
+        reservation.productVariantId,
+        (heldQuantities.get(reservation.productVariantId) || 0) + reservation.quantity
+      );
+    }
+
+    const unheldLines = inventoryService.aggregateVariantLines(quote.items)
+      .map(line => ({ ...line, quantity: line.quantity - (heldQuantities.get(line.productVariantId) || 0) }))
+      .filter(line => line.quantity > 0);
+
+    if (unheldLines.length > 0 && activeReservations.length > 0) {
+      logger.warn(`Reservation lapsed before order ${orderId} was created`, {
+        Quote: quote.id,
+        Variants: unheldLines.map(line => line.productVariantId)
+      });
+    }
+
+    return { committed, unheldLines };
+  }
+
+  // Give held stock back and close the reservations
+  async releaseReservations(where, status, reason) {
+    const reservations = await prisma.stockReservation.findMany({
+      where: { ...where, status: 'ACTIVE' }
+    });
+
+    let releasedCount = 0;
+
+    for (const reservation of reservations) {
+      const released = await prisma.$transaction(async (tx) => {
+        // Guard against a concurrent commit/release of the same row
+        const result = await tx.stockReservation.updateMany({
+          where: { id: reservation.id, status: 'ACTIVE' },
+          data: {
+            status,
+            releasedAt: new Date(),
+            releaseReason: reason
+          }
+        });
+
+        if (result.count === 0) {
+          return false;
+        }
+
+        await tx.productVariant.update({
+          where: { id: reservation.productVariantId },
+          data: {
+            stock: { increment: reservation.quantity }
+          }
+        });
+
+        return true;
+      });
+
+      if (released) {
+        releasedCount++;
+      }
+    }
+
+    return releasedCount;
+  }
+
+  async releaseForRazorpayOrder(razorpayOrderId, reason = 'Payment failed') {
+    const releasedCount = await this.releaseReservations(
+      { razorpayOrderId },
+      'RELEASED',
+      reason
+    );
+
+    if (releasedCount > 0) {
+      logger.info(`Released ${releasedCount} reservation(s) for payment order ${razorpayOrderId}: ${reason}`);
+    }
+
+    return { releasedCount };
+  }
+
+  async releaseForQuote(quoteId, reason) {
+    const releasedCount = await this.releaseReservations({ quoteId }, 'RELEASED', reason);
+    return { releasedCount };
+  }
+
+  async releaseReservation(reservationId, reason = 'Released by admin') {
+    const reservation = await prisma.stockReservation.findUnique({
+      where: { id: reservationId }
+    });
+
+    if (!reservation) {
+      throw new Error('Reservation not found');
+    }
+
+    if (reservation.status !== 'ACTIVE') {
+      throw new Error(`Cannot release reservation with status: ${reservation.status}`);
+    }
+
+    await this.releaseReservations({ id: reservationId }, 'RELEASED', reason);
+
+    return await prisma.stockReservation.findUnique({
+      where: { id: reservationId }
+    });
+  }
+
+  // Background sweep: return stock held by abandoned payments
+  async expireStaleReservations() {
+    const releasedCount = await this.releaseReservations(
+      { expiresAt: { lt: new Date() } },
+      'EXPIRED',
+      'Reservation expired'
+    );
+
+    if (releasedCount > 0) {
+      logger.info(`Expired ${releasedCount} stale stock reservation(s)`);
+    }
+
+    return { expiredCount: releasedCount };
+  }
+
+  async getReservations({ page, limit, status, productVariantId }) {
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (productVariantId) {
+      where.productVariantId = productVariantId;
+    }
+
+    const [reservations, total] = await Promise.all([
+      prisma.stockReservation.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          productVariant: {
+            select: {
+              id: true,
+              color: true,
+              size: true,
+              sku: true,
+              stock: true,
+              product: {
+                select: {
+                  id: true,
+                  name: true,
+                  productCode: true
+                }
+              }
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.stockReservation.count({ where })
+    ]);
+
+    return {
+      reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default new StockReservationService();
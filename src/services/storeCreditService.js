@@ -0,0 +1,86 @@
+// services/storeCreditService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+class StoreCreditService {
+
+  async getBalance(userId, tx = prisma) {
+    if (!userId) {
+      return 0;
+    }
+
+    const aggregate = await tx.storeCredit.aggregate({
+      where: { userId },
+      _sum: { amount: true }
+    });
+
+    return parseFloat((aggregate._sum.amount || 0).toFixed(2));
+  }
+
+  storeCreditUsedUpError() {
+    const error = new Error('Your store credit balance has changed. Please recalculate totals');
+    error.statusCode = 409;
+    error.code = 'STORE_CREDIT_USED_UP';
+    return error;
+  }
+
+  // Checked before anything is charged; the order transaction checks again
+  async assertAvailable(userId, amount) {
+    if (amount > 0 && await this.getBalance(userId) < amount - 0.005) {
+      throw this.storeCreditUsedUpError();
+    }
+  }
+
+  // Spend credit on an order inside its transaction. The user row lock stops two
+  // orders from spending the same balance.
+  async redeemForOrder(tx, { userId, orderId, orderNumber, amount }) {
+    if (!amount || amount <= 0) {
+      return;
+    }
+
+    await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+
+    if (await this.getBalance(userId, tx) < amount - 0.005) {
+      logger.warn(`Store credit for user ${userId} ran out before order ${orderNumber} could be placed`);
+      throw this.storeCreditUsedUpError();
+    }
+
+    await tx.storeCredit.create({
+      data: {
+        userId,
+        amount: -parseFloat(amount.toFixed(2)),
+        reason: `Spent on order ${orderNumber}`,
+        orderId
+      }
+    });
+  }
+
+  // Give back whatever a cancelled order still holds of the credit it spent.
+  // Working from the order's own entries makes a second call a no-op.
+  async restoreForOrder(tx, order) {
+    if (!order.userId) {
+      return;
+    }
+
+    const aggregate = await tx.storeCredit.aggregate({
+      where: { orderId: order.id, returnRequestId: null },
+      _sum: { amount: true }
+    });
+    const outstanding = -parseFloat((aggregate._sum.amount || 0).toFixed(2));
+
+    if (outstanding <= 0) {
+      return;
+    }
+
+    await tx.storeCredit.create({
+      data: {
+        userId: order.userId,
+        amount: outstanding,
+        reason: `Order ${order.orderNumber} cancelled`,
+        orderId: order.id
+      }
+    });
+  }
+}
+
+export default new StoreCreditService();
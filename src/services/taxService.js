@@ -0,0 +1,362 @@
+// services/taxService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import {
+  SELLER_STATE,
+  DEFAULT_HSN_CODE,
+  DEFAULT_TAX_CATEGORY,
+  PRICES_INCLUDE_GST,
+  GST_APPAREL_THRESHOLD,
+  GST_RATE_LOW,
+  GST_RATE_HIGH
+} from '../config/index.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class TaxService {
+
+  isSameState(state) {
+    return (state || '').trim().toLowerCase() === SELLER_STATE.trim().toLowerCase();
+  }
+
+  // Product setting wins, then its category, then the store default
+  resolveProductTaxInfo(product) {
+    return {
+      hsnCode: product?.hsnCode || product?.category?.hsnCode || DEFAULT_HSN_CODE,
+      taxCategory: product?.taxCategory || product?.category?.taxCategory || DEFAULT_TAX_CATEGORY
+    };
+  }
+
+  // Rules in force on a date, narrowest slab first
+  async getEffectiveRules(date = new Date()) {
+    return await prisma.taxRule.findMany({
+      where: {
+        isActive: true,
+        effectiveFrom: { lte: date },
+        OR: [
+          { effectiveTo: null },
+          { effectiveTo: { gt: date } }
+        ]
+      },
+      orderBy: {
+        upToUnitPrice: { sort: 'asc', nulls: 'last' }
+      }
+    });
+  }
+
+  // GST rate for one unit of a category at the given per-unit sale price
+  resolveRate(rules, taxCategory, unitPrice) {
+    const rule = rules.find(candidate =>
+      candidate.taxCategory === taxCategory &&
+      (candidate.upToUnitPrice === null || unitPrice <= candidate.upToUnitPrice)
+    );
+
+    if (rule) {
+      return rule.gstRate;
+    }
+
+    // No rule configured - fall back to the apparel slabs from config
+    return unitPrice <= GST_APPAREL_THRESHOLD ? GST_RATE_LOW : GST_RATE_HIGH;
+  }
+
+  // Taxable value and tax for an amount at a rate, honouring whether prices include GST
+  splitAmount(amount, gstRate) {
+    if (PRICES_INCLUDE_GST) {
+      const taxableValue = round2(amount / (1 + gstRate / 100));
+      return { taxableValue, taxAmount: round2(amount - taxableValue) };
+    }
+
+    return {
+      taxableValue: round2(amount),
+      taxAmount: round2(amount * gstRate / 100)
+    };
+  }
+
+  // CGST/SGST for supplies within our state, IGST otherwise
+  splitByPlaceOfSupply(taxAmount, isInterState) {
+    const cgst = isInterState ? 0 : round2(taxAmount / 2);
+    return {
+      cgst,
+      sgst: isInterState ? 0 : round2(taxAmount - cgst),
+      igst: isInterState ? round2(taxAmount) : 0
+    };
+  }
+
+  // Spread the cart discount over lines: product discounts to their product,
+  // the rest in proportion to line value. The last line absorbs rounding.
+  allocateDiscounts(items, appliedDiscounts = [], discountAmount = 0) {
+    const allocations = items.map(() => 0);
+
+    let productSpecificTotal = 0;
+    for (const applied of appliedDiscounts) {
+      const productId = applied.productId;
+      if (!productId) continue;
+
+      const indexes = items
+        .map((item, index) => (item.productId === productId ? index : -1))
+        .filter(index => index !== -1);
+      const productTotal = indexes.reduce((sum, index) => sum + items[index].itemTotal, 0);
+
+      for (const index of indexes) {
+        const share = productTotal > 0 ? applied.amount * items[index].itemTotal / productTotal : 0;
+        allocations[index] += share;
+        productSpecificTotal += share;
+      }
+    }
+
+    const remaining = Math.max(0, discountAmount - productSpecificTotal);
+    const cartTotal = items.reduce((sum, item) => sum + item.itemTotal, 0);
+
+    if (remaining > 0 && cartTotal > 0) {
+      items.forEach((item, index) => {
+        allocations[index] += remaining * item.itemTotal / cartTotal;
+      });
+    }
+
+    const rounded = allocations.map((amount, index) => Math.min(round2(amount), round2(items[index].itemTotal)));
+    const drift = round2(Math.min(discountAmount, cartTotal) - rounded.reduce((sum, amount) => sum + amount, 0));
+    if (rounded.length > 0 && drift !== 0) {
+      const last = rounded.length - 1;
+      rounded[last] = Math.max(0, round2(rounded[last] + drift));
+    }
+
+    return rounded;
+  }
+
+  /**
+   * Per-line GST after quantity pricing and discounts.
+   * items: [{ productId, quantity, itemTotal, hsnCode, taxCategory }]
+   * Shipping is part of a composite supply and is taxed at the highest line rate.
+   */
+  async calculateTax({ items, appliedDiscounts = [], discountAmount = 0, shippingCost = 0, shippingState = null, date = new Date() }) {
+    const rules = await this.getEffectiveRules(date);
+    const discounts = this.allocateDiscounts(items, appliedDiscounts, discountAmount);
+
+    const lines = items.map((item, index) => {
+      const netAmount = round2(item.itemTotal - discounts[index]);
+      const gstRate = this.resolveRate(rules, item.taxCategory, netAmount / item.quantity);
+
+      return {
+        hsnCode: item.hsnCode,
+        taxCategory: item.taxCategory,
+        gstRate,
+        discountAmount: discounts[index],
+        ...this.splitAmount(netAmount, gstRate)
+      };
+    });
+
+    const shippingRate = Math.max(GST_RATE_LOW, ...lines.map(line => line.gstRate));
+    const shipping = shippingCost > 0
+      ? { gstRate: shippingRate, ...this.splitAmount(shippingCost, shippingRate) }
+      : { gstRate: shippingRate, taxableValue: 0, taxAmount: 0 };
+
+    const taxAmount = round2(lines.reduce((sum, line) => sum + line.taxAmount, 0) + shipping.taxAmount);
+    const taxableValue = round2(lines.reduce((sum, line) => sum + line.taxableValue, 0) + shipping.taxableValue);
+    const isInterState = shippingState ? !this.isSameState(shippingState) : null;
+
+    return {
+      lines,
+      shipping,
+      taxAmount,
+      taxableValue,
+      pricesIncludeTax: PRICES_INCLUDE_GST,
+      isInterState,
+      ...(isInterState !== null && this.splitByPlaceOfSupply(taxAmount, isInterState))
+    };
+  }
+
+  // ===== Admin rule management =====
+
+  validateRuleInput({ taxCategory, gstRate, upToUnitPrice, effectiveFrom, effectiveTo }, { partial = false } = {}) {
+    if (!partial || taxCategory !== undefined) {
+      if (!taxCategory || !/^[A-Z0-9_]+$/.test(taxCategory.trim().toUpperCase())) {
+        throw new Error('Tax category is required (letters, numbers and underscores)');
+      }
+    }
+
+    if (!partial || gstRate !== undefined) {
+      const rate = parseFloat(gstRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new Error('GST rate must be between 0 and 100');
+      }
+    }
+
+    if (upToUnitPrice !== undefined && upToUnitPrice !== null && upToUnitPrice !== '') {
+      const limit = parseFloat(upToUnitPrice);
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('Slab upper limit must be a positive amount');
+      }
+    }
+
+    if (!partial || effectiveFrom !== undefined) {
+      if (!effectiveFrom || isNaN(new Date(effectiveFrom).getTime())) {
+        throw new Error('Valid effective from date is required');
+      }
+    }
+
+    if (effectiveTo && effectiveFrom && new Date(effectiveTo) <= new Date(effectiveFrom)) {
+      throw new Error('Effective to date must be after effective from date');
+    }
+  }
+
+  parseUpToUnitPrice(value) {
+    return value === undefined || value === null || value === '' ? null : parseFloat(value);
+  }
+
+  async getTaxRules({ taxCategory, activeOn, includeInactive = false }) {
+    const where = {};
+
+    if (taxCategory) {
+      where.taxCategory = taxCategory.toUpperCase();
+    }
+
+    if (!includeInactive) {
+      where.isActive = true;
+    }
+
+    if (activeOn) {
+      const date = new Date(activeOn);
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid activeOn date');
+      }
+      where.effectiveFrom = { lte: date };
+      where.OR = [
+        { effectiveTo: null },
+        { effectiveTo: { gt: date } }
+      ];
+    }
+
+    return await prisma.taxRule.findMany({
+      where,
+      orderBy: [
+        { taxCategory: 'asc' },
+        { effectiveFrom: 'desc' },
+        { upToUnitPrice: { sort: 'asc', nulls: 'last' } }
+      ]
+    });
+  }
+
+  async getTaxRuleById(ruleId) {
+    const rule = await prisma.taxRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!rule) {
+      throw new Error('Tax rule not found');
+    }
+
+    return rule;
+  }
+
+  // A new rule for an existing slab takes over from the current one on its start date
+  async createTaxRule(ruleData) {
+    this.validateRuleInput(ruleData);
+
+    const taxCategory = ruleData.taxCategory.trim().toUpperCase();
+    const upToUnitPrice = this.parseUpToUnitPrice(ruleData.upToUnitPrice);
+    const effectiveFrom = new Date(ruleData.effectiveFrom);
+
+    return await prisma.$transaction(async (tx) => {
+      const laterRule = await tx.taxRule.findFirst({
+        where: {
+          taxCategory,
+          upToUnitPrice,
+          isActive: true,
+          effectiveFrom: { gte: effectiveFrom }
+        }
+      });
+
+      if (laterRule) {
+        throw new Error(`A rule for this slab already starts on ${laterRule.effectiveFrom.toISOString().split('T')[0]}. Edit or delete it instead`);
+      }
+
+      const superseded = await tx.taxRule.updateMany({
+        where: {
+          taxCategory,
+          upToUnitPrice,
+          isActive: true,
+          effectiveFrom: { lt: effectiveFrom },
+          OR: [
+            { effectiveTo: null },
+            { effectiveTo: { gt: effectiveFrom } }
+          ]
+        },
+        data: {
+          effectiveTo: effectiveFrom
+        }
+      });
+
+      const rule = await tx.taxRule.create({
+        data: {
+          name: ruleData.name || `${taxCategory} ${ruleData.gstRate}%`,
+          taxCategory,
+          upToUnitPrice,
+          gstRate: parseFloat(ruleData.gstRate),
+          effectiveFrom,
+          effectiveTo: ruleData.effectiveTo ? new Date(ruleData.effectiveTo) : null,
+          isActive: ruleData.isActive !== undefined ? ruleData.isActive !== false && ruleData.isActive !== 'false' : true
+        }
+      });
+
+      logger.info(`Tax rule created: ${rule.name}`, {
+        Category: taxCategory,
+        Rate: `${rule.gstRate}%`,
+        EffectiveFrom: effectiveFrom.toISOString(),
+        Superseded: superseded.count
+      });
+
+      return rule;
+    });
+  }
+
+  // Rules already in force can only be renamed, switched off or given an end date
+  async updateTaxRule(ruleId, updateData) {
+    const rule = await this.getTaxRuleById(ruleId);
+
+    this.validateRuleInput({
+      ...updateData,
+      effectiveFrom: updateData.effectiveFrom ?? rule.effectiveFrom
+    }, { partial: true });
+
+    const hasStarted = rule.effectiveFrom <= new Date();
+    const rateFields = ['taxCategory', 'gstRate', 'upToUnitPrice', 'effectiveFrom'];
+
+    if (hasStarted && rateFields.some(field => updateData[field] !== undefined)) {
+      throw new Error('This rule is already in effect. Add a new rule with a later effective date to change the rate');
+    }
+
+    const data = {};
+
+    if (updateData.name !== undefined) data.name = updateData.name;
+    if (updateData.isActive !== undefined) data.isActive = updateData.isActive !== false && updateData.isActive !== 'false';
+    if (updateData.effectiveTo !== undefined) data.effectiveTo = updateData.effectiveTo ? new Date(updateData.effectiveTo) : null;
+
+    if (!hasStarted) {
+      if (updateData.taxCategory !== undefined) data.taxCategory = updateData.taxCategory.trim().toUpperCase();
+      if (updateData.gstRate !== undefined) data.gstRate = parseFloat(updateData.gstRate);
+      if (updateData.upToUnitPrice !== undefined) data.upToUnitPrice = this.parseUpToUnitPrice(updateData.upToUnitPrice);
+      if (updateData.effectiveFrom !== undefined) data.effectiveFrom = new Date(updateData.effectiveFrom);
+    }
+
+    return await prisma.taxRule.update({
+      where: { id: ruleId },
+      data
+    });
+  }
+
+  async deleteTaxRule(ruleId) {
+    const rule = await this.getTaxRuleById(ruleId);
+
+    if (rule.effectiveFrom <= new Date()) {
+      throw new Error('Rules that have been in effect cannot be deleted. Deactivate it or set an end date instead');
+    }
+
+    await prisma.taxRule.delete({
+      where: { id: ruleId }
+    });
+
+    return rule;
+  }
+}
+
+export default new TaxService();
@@ -0,0 +1,596 @@
+// services/warehouseService.js
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import sharp from 'sharp';
+import PDFDocument from 'pdfkit';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { s3Client, S3_BUCKET_NAME } from '../config/s3.js';
+import orderStateMachine from './orderStateMachine.js';
+import { SELLER_NAME, SELLER_ADDRESS, AWS_REGION } from '../config/index.js';
+
+// Orders the warehouse can pick: confirmed and not yet handed to a courier
+const PICKABLE_STATUSES = ['CONFIRMED', 'PROCESSING', 'PARTIALLY_SHIPPED', 'PARTIALLY_REFUNDED'];
+const MAX_BATCH_SIZE = 200;
+const THUMBNAIL_SIZE = 160;
+const MAX_THUMBNAIL_SOURCE_BYTES = 10 * 1024 * 1024;
+
+const BUCKET_URL_PREFIX = `https://${S3_BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/`;
+
+// Key of an image in our bucket, or null for anything hosted elsewhere
+const bucketKeyFromUrl = (url) => url?.startsWith(BUCKET_URL_PREFIX)
+  ? decodeURIComponent(url.slice(BUCKET_URL_PREFIX.length))
+  : null;
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Refunded units and units already in a shipment don't go in the box
+const packQuantity = (item) => item.quantity
+  - (item.refundedQuantity || 0)
+  - (item.shipmentItems || []).reduce((sum, shipmentItem) => sum + shipmentItem.quantity, 0);
+
+const batchError = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.code = 'ORDERS_NOT_PICKABLE';
+  error.details = details;
+  return error;
+};
+
+class WarehouseService {
+
+  async getBatchOrders(orderIds) {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      throw new Error('Select at least one order');
+    }
+
+    const ids = [...new Set(orderIds)];
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw new Error(`A batch can have at most ${MAX_BATCH_SIZE} orders`);
+    }
+
+    const orders = await prisma.order.findMany({
+      where: { id: { in: ids } },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: {
+                id: true,
+                name: true,
+                productCode: true,
+                images: {
+                  take: 1,
+                  select: { imageUrl: true }
+                }
+              }
+            },
+            productVariant: {
+              select: {
+                id: true,
+                color: true,
+                size: true,
+                sku: true,
+                variantCodes: true
+              }
+            },
+            customDesign: {
+              select: {
+                id: true,
+                thumbnailImage: true,
+                previewImage: true
+              }
+            },
+            shipmentItems: {
+              where: { shipment: { status: { not: 'CANCELLED' } } },
+              select: { quantity: true }
+            }
+          }
+        },
+        customImages: true
+      }
+    });
+
+    if (orders.length !== ids.length) {
+      const found = new Set(orders.map(order => order.id));
+      throw new Error(`Order not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+    }
+
+    const blocked = orders.filter(order => !PICKABLE_STATUSES.includes(order.status)
+      || order.paymentStatus === 'REFUNDED'
+      || (order.shippedAt && order.status !== 'PARTIALLY_SHIPPED'));
+
+    if (blocked.length > 0) {
+      throw batchError(
+        `Only confirmed orders that have not shipped can be picked (${blocked.map(order => `${order.orderNumber}: ${order.status}`).join(', ')})`,
+        blocked.map(order => ({ orderId: order.id, orderNumber: order.orderNumber, status: order.status }))
+      );
+    }
+
+    return orders;
+  }
+
+  // One line per SKU/variant across the batch, sorted by product. Custom
+  // designs are one-offs, so each stays on its own line.
+  buildPickList(orders) {
+    const lines = new Map();
+
+    for (const order of orders) {
+      for (const item of order.orderItems) {
+        const quantity = packQuantity(item);
+        if (quantity <= 0) continue;
+
+        const key = item.customDesignId
+          ? `design:${item.customDesignId}`
+          : `${item.productId}:${item.productVariantId || ''}`;
+
+        if (!lines.has(key)) {
+          lines.set(key, {
+            productId: item.productId,
+            productName: item.product.name,
+            productCode: item.product.productCode,
+            productVariantId: item.productVariantId,
+            sku: item.productVariant?.sku || null,
+            color: item.productVariant?.color || null,
+            size: item.productVariant?.size || null,
+            variantCodes: item.productVariant?.variantCodes || [],
+            customDesign: !!item.customDesignId,
+            quantity: 0,
+            orders: []
+          });
+        }
+
+        const line = lines.get(key);
+        line.quantity += quantity;
+        line.orders.push({ orderNumber: order.orderNumber, quantity });
+      }
+    }
+
+    const sorted = [...lines.values()].sort((a, b) =>
+      a.productName.localeCompare(b.productName)
+      || (a.color || '').localeCompare(b.color || '')
+      || (a.size || '').localeCompare(b.size || '', undefined, { numeric: true })
+    );
+
+    return {
+      generatedAt: new Date(),
+      orderCount: orders.length,
+      orderNumbers: orders.map(order => order.orderNumber),
+      totalUnits: sorted.reduce((sum, line) => sum + line.quantity, 0),
+      lines: sorted
+    };
+  }
+
+  // Confirmed orders in the batch move to PROCESSING; others are left as they are
+  async markProcessing(orders) {
+    const moved = [];
+    const failed = [];
+
+    for (const order of orders) {
+      if (!['CONFIRMED', 'PARTIALLY_REFUNDED'].includes(order.status) || order.shippedAt) continue;
+
+      try {
+        await orderStateMachine.transition(order.id, 'PROCESSING', {
+          description: 'Order is being picked and packed',
+          location: 'Warehouse'
+        });
+        moved.push(order.orderNumber);
+      } catch (error) {
+        failed.push({ orderNumber: order.orderNumber, error: error.message });
+      }
+    }
+
+    if (moved.length > 0) {
+      logger.info(`${moved.length} orders moved to PROCESSING for picking`);
+    }
+
+    return { moved, failed };
+  }
+
+  // ===== Pick list rendering =====
+
+  renderPickListHtml(pickList) {
+    const rows = pickList.lines.map(line => `
+      <tr>
+        <td class="check"></td>
+        <td>${escapeHtml(line.productName)}${line.customDesign ? ' <em>(custom design)</em>' : ''}</td>
+        <td>${escapeHtml(line.sku || line.productCode || '')}</td>
+        <td>${escapeHtml(line.color || '-')}</td>
+        <td>${escapeHtml(line.size || '-')}</td>
+        <td>${escapeHtml(line.variantCodes.join(', '))}</td>
+        <td class="qty">${line.quantity}</td>
+        <td class="orders">${line.orders.map(entry => `${escapeHtml(entry.orderNumber)} &times; ${entry.quantity}`).join('<br>')}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Pick list ${formatDate(pickList.generatedAt)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  .check { width: 18px; }
+  .qty { text-align: right; font-weight: bold; }
+  .orders { font-size: 10px; color: #555; }
+</style>
+</head>
+<body>
+  <h2>${escapeHtml(SELLER_NAME)} - Pick list</h2>
+  <p>${formatDate(pickList.generatedAt)} &middot; ${pickList.orderCount} orders &middot; ${pickList.totalUnits} units</p>
+  <table>
+    <thead>
+      <tr><th></th><th>Product</th><th>SKU / Code</th><th>Color</th><th>Size</th><th>Variant codes</th><th>Qty</th><th>Orders</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+  }
+
+  renderPickListPdf(pickList) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 36 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const columns = [['', 18], ['Product', 135], ['SKU / Code', 70], ['Color', 50], ['Size', 35], ['Variant codes', 70], ['Qty', 30], ['Orders', 115]];
+
+      doc.font('Helvetica-Bold').fontSize(14).text(`${SELLER_NAME} - Pick list`, left, 36);
+      doc.font('Helvetica').fontSize(9)
+        .text(`${formatDate(pickList.generatedAt)}  |  ${pickList.orderCount} orders  |  ${pickList.totalUnits} units`);
+
+      let y = doc.y + 12;
+
+      const drawRow = (cells, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i][1] - 4 }));
+        const rowHeight = Math.max(...heights, 10) + 6;
+
+        if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+
+        let x = left;
+        cells.forEach((cell, i) => {
+          doc.text(String(cell), x + 2, y + 3, { width: columns[i][1] - 4, align: columns[i][0] === 'Qty' ? 'right' : 'left' });
+          x += columns[i][1];
+        });
+
+        // Tick box for the picker
+        if (!bold) {
+          doc.rect(left + 3, y + 3, 10, 10).strokeColor('#888888').stroke();
+        }
+
+        doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#cccccc').stroke();
+        y += rowHeight;
+      };
+
+      doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+      drawRow(columns.map(([title]) => title), true);
+
+      for (const line of pickList.lines) {
+        drawRow([
+          '',
+          line.customDesign ? `${line.productName} (custom design)` : line.productName,
+          line.sku || line.productCode || '',
+          line.color || '-',
+          line.size || '-',
+          line.variantCodes.join(', '),
+          line.quantity,
+          line.orders.map(entry => `${entry.orderNumber} x ${entry.quantity}`).join('\n')
+        ]);
+      }
+
+      doc.end();
+    });
+  }
+
+  // ===== Packing slips =====
+
+  // Images shown on a slip: product photo or design preview per item, plus
+  // customer uploads. Each is looked up by its key in our bucket; customer
+  // uploads carry their key, other images are only used if they live there.
+  getSlipImages(order) {
+    return [
+      ...order.orderItems.map(item => {
+        const url = item.customDesign?.thumbnailImage || item.product.images[0]?.imageUrl;
+        return { url, key: bucketKeyFromUrl(url) };
+      }),
+      ...order.customImages.map(image => ({ url: image.imageUrl, key: image.imageKey }))
+    ].filter(image => image.url && image.key);
+  }
+
+  // Read an object from our bucket, refusing anything over the size cap
+  async readBucketImage(key) {
+    const { Body, ContentLength } = await s3Client.send(new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }));
+
+    if (ContentLength > MAX_THUMBNAIL_SOURCE_BYTES) {
+      Body.destroy?.();
+      throw new Error(`Image is ${ContentLength} bytes, over the ${MAX_THUMBNAIL_SOURCE_BYTES} byte limit`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of Body) {
+      size += chunk.length;
+      if (size > MAX_THUMBNAIL_SOURCE_BYTES) {
+        Body.destroy?.();
+        throw new Error(`Image is over the ${MAX_THUMBNAIL_SOURCE_BYTES} byte limit`);
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  // Small JPEG thumbnails for the PDF, keyed by image URL; an image that can't
+  // be read is left out
+  async loadThumbnails(images) {
+    const thumbnails = new Map();
+    const unique = [...new Map(images.map(image => [image.url, image])).values()];
+
+    for (let i = 0; i < unique.length; i += 8) {
+      await Promise.all(unique.slice(i, i + 8).map(async ({ url, key }) => {
+        try {
+          const buffer = await sharp(await this.readBucketImage(key))
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+          thumbnails.set(url, buffer);
+        } catch (error) {
+          logger.warn(`Packing slip image skipped (${key}): ${error.message}`);
+        }
+      }));
+    }
+
+    return thumbnails;
+  }
+
+  renderPackingSlipsHtml(orders) {
+    const slips = orders.map(order => {
+      const items = order.orderItems.filter(item => packQuantity(item) > 0).map(item => {
+        const image = item.customDesign?.thumbnailImage || item.product.images[0]?.imageUrl;
+        const variant = [item.productVariant?.color, item.productVariant?.size].filter(Boolean).join(' / ');
+
+        return `
+          <tr>
+            <td class="thumb">${image ? `<img src="${escapeHtml(image)}" alt="">` : ''}</td>
+            <td>${escapeHtml(item.product.name)}${item.customDesignId ? ' <em>(custom design)</em>' : ''}</td>
+            <td>${escapeHtml(variant || '-')}</td>
+            <td>${escapeHtml(item.productVariant?.sku || item.product.productCode || '')}</td>
+            <td class="qty">${packQuantity(item)}</td>
+          </tr>`;
+      }).join('');
+
+      const customImages = order.customImages.length > 0
+        ? `<h4>Customer images</h4>
+          <div class="custom-images">${order.customImages.map(image => `
+            <figure><img src="${escapeHtml(image.imageUrl)}" alt=""><figcaption>${escapeHtml(image.description || image.filename)}</figcaption></figure>`).join('')}
+          </div>`
+        : '';
+
+      const giftNote = order.giftNote
+        ? `<div class="gift-note"><strong>Gift note</strong><p>${escapeHtml(order.giftNote)}</p></div>`
+        : '';
+
+      return `
+  <section class="slip">
+    <header>
+      <div><h2>${escapeHtml(SELLER_NAME)}</h2><div class="muted">${escapeHtml(SELLER_ADDRESS)}</div></div>
+      <div class="right"><h3>PACKING SLIP</h3>
+        <div>Order: ${escapeHtml(order.orderNumber)}</div>
+        <div>Date: ${formatDate(order.createdAt)}</div>
+        <div>${escapeHtml(order.shippingMethod)} &middot; ${order.paymentMethod === 'COD' ? 'COD' : 'PREPAID'}</div>
+      </div>
+    </header>
+    <div class="address"><strong>Ship to</strong><br>
+      ${escapeHtml(order.name)}<br>${escapeHtml(order.address)}<br>
+      ${escapeHtml(order.city)}, ${escapeHtml(order.state)} - ${escapeHtml(order.pincode)}<br>Phone: ${escapeHtml(order.phone)}
+    </div>
+    <table>
+      <thead><tr><th></th><th>Item</th><th>Variant</th><th>SKU</th><th>Qty</th></tr></thead>
+      <tbody>${items}
+      </tbody>
+    </table>
+    ${customImages}
+    ${giftNote}
+  </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Packing slips</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; }
+  .slip { padding: 24px; page-break-after: always; }
+  .slip:last-child { page-break-after: auto; }
+  header { display: flex; justify-content: space-between; }
+  .right { text-align: right; }
+  .muted { color: #666; font-size: 11px; }
+  .address { margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: middle; }
+  th { background: #f3f3f3; }
+  .thumb { width: 60px; }
+  .thumb img { max-width: 56px; max-height: 56px; }
+  .qty { text-align: right; font-weight: bold; }
+  .custom-images { display: flex; flex-wrap: wrap; gap: 8px; }
+  .custom-images figure { margin: 0; width: 90px; font-size: 10px; }
+  .custom-images img { max-width: 90px; max-height: 90px; }
+  .gift-note { margin-top: 16px; padding: 10px; border: 1px dashed #999; }
+</style>
+</head>
+<body>${slips}
+</body>
+</html>`;
+  }
+
+  async renderPackingSlipsPdf(orders) {
+    const thumbnails = await this.loadThumbnails(orders.flatMap(order => this.getSlipImages(order)));
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 36, autoFirstPage: false });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      for (const order of orders) {
+        doc.addPage();
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const bottom = doc.page.height - doc.page.margins.bottom;
+
+        doc.font('Helvetica-Bold').fontSize(14).text(SELLER_NAME, left, 36);
+        doc.font('Helvetica').fontSize(8).text(SELLER_ADDRESS || '', { width: width / 2 });
+
+        doc.font('Helvetica-Bold').fontSize(13).text('PACKING SLIP', left, 36, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(9)
+          .text(`Order: ${order.orderNumber}`, { width, align: 'right' })
+          .text(`Date: ${formatDate(order.createdAt)}`, { width, align: 'right' })
+          .text(`${order.shippingMethod} | ${order.paymentMethod === 'COD' ? 'COD' : 'PREPAID'}`, { width, align: 'right' });
+
+        doc.font('Helvetica-Bold').fontSize(10).text('Ship to', left, 110);
+        doc.font('Helvetica').fontSize(9)
+          .text(order.name)
+          .text(order.address, { width: width / 2 })
+          .text(`${order.city}, ${order.state} - ${order.pincode}`)
+          .text(`Phone: ${order.phone}`);
+
+        let y = doc.y + 14;
+        doc.font('Helvetica-Bold').fontSize(8)
+          .text('Item', left + 50, y)
+          .text('Variant', left + 260, y)
+          .text('SKU', left + 360, y)
+          .text('Qty', left + width - 40, y, { width: 40, align: 'right' });
+        y += 14;
+        doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+
+        for (const item of order.orderItems) {
+          const quantity = packQuantity(item);
+          if (quantity <= 0) continue;
+
+          if (y + 50 > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+          }
+
+          const image = thumbnails.get(item.customDesign?.thumbnailImage || item.product.images[0]?.imageUrl);
+          if (image) {
+            doc.image(image, left, y + 4, { fit: [40, 40] });
+          }
+
+          doc.font('Helvetica').fontSize(9)
+            .text(item.customDesignId ? `${item.product.name} (custom design)` : item.product.name, left + 50, y + 6, { width: 200 })
+            .text([item.productVariant?.color, item.productVariant?.size].filter(Boolean).join(' / ') || '-', left + 260, y + 6, { width: 95 })
+            .text(item.productVariant?.sku || item.product.productCode || '', left + 360, y + 6, { width: 100 });
+          doc.font('Helvetica-Bold').text(String(quantity), left + width - 40, y + 6, { width: 40, align: 'right' });
+
+          y += 48;
+          doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+        }
+
+        if (order.customImages.length > 0) {
+          if (y + 100 > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+          }
+
+          doc.font('Helvetica-Bold').fontSize(10).text('Customer images', left, y + 12);
+          y += 28;
+
+          let x = left;
+          for (const customImage of order.customImages) {
+            if (x + 70 > left + width) {
+              x = left;
+              y += 84;
+            }
+            const image = thumbnails.get(customImage.imageUrl);
+            if (image) {
+              doc.image(image, x, y, { fit: [64, 64] });
+            }
+            doc.font('Helvetica').fontSize(6).text(customImage.description || customImage.filename, x, y + 66, { width: 64, height: 14, ellipsis: true });
+            x += 74;
+          }
+          y += 84;
+        }
+
+        if (order.giftNote) {
+          const noteHeight = doc.font('Helvetica').fontSize(10).heightOfString(order.giftNote, { width: width - 20 }) + 30;
+
+          if (y + noteHeight + 12 > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+          }
+
+          y += 12;
+          doc.rect(left, y, width, noteHeight).dash(3, { space: 3 }).strokeColor('#999999').stroke().undash();
+          doc.font('Helvetica-Bold').fontSize(10).text('Gift note', left + 10, y + 8);
+          doc.font('Helvetica').fontSize(10).text(order.giftNote, left + 10, y + 22, { width: width - 20 });
+        }
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Pick list or packing slips for a batch of orders.
+   * document: 'pick-list' | 'packing-slips'; format: 'json' (pick list only), 'pdf' or 'html'.
+   * markProcessing moves the confirmed orders in the batch to PROCESSING.
+   */
+  async generateBatch(orderIds, { document = 'pick-list', format = 'pdf', markProcessing = false } = {}) {
+    if (!['pick-list', 'packing-slips'].includes(document)) {
+      throw new Error('Document must be pick-list or packing-slips');
+    }
+
+    const formats = document === 'pick-list' ? ['json', 'pdf', 'html'] : ['pdf', 'html'];
+    if (!formats.includes(format)) {
+      throw new Error(`Format must be one of: ${formats.join(', ')}`);
+    }
+
+    const orders = await this.getBatchOrders(orderIds);
+    const processing = markProcessing ? await this.markProcessing(orders) : null;
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (document === 'pick-list') {
+      const pickList = this.buildPickList(orders);
+
+      if (format === 'json') {
+        return { data: pickList, processing };
+      }
+
+      return format === 'pdf'
+        ? { body: await this.renderPickListPdf(pickList), contentType: 'application/pdf', fileName: `pick-list-${stamp}.pdf`, processing }
+        : { body: this.renderPickListHtml(pickList), contentType: 'text/html; charset=utf-8', fileName: `pick-list-${stamp}.html`, processing };
+    }
+
+    return format === 'pdf'
+      ? { body: await this.renderPackingSlipsPdf(orders), contentType: 'application/pdf', fileName: `packing-slips-${stamp}.pdf`, processing }
+      : { body: this.renderPackingSlipsHtml(orders), contentType: 'text/html; charset=utf-8', fileName: `packing-slips-${stamp}.html`, processing };
+  }
+}
+
+export default new WarehouseService();
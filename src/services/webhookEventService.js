@@ -0,0 +1,71 @@
+// services/webhookEventService.js
+import prisma from '../config/database.js';
+
+// Inbound webhook log shared by payment and carrier webhooks, so retried
+// deliveries of the same event are only handled once
+class WebhookEventService {
+
+  // Store the event, or pick up the stored one if the sender is retrying it
+  async recordEvent(provider, eventId, eventType, payload) {
+    const existing = await prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider, eventId } }
+    });
+
+    if (existing) {
+      if (['PROCESSED', 'IGNORED'].includes(existing.status)) {
+        return { event: existing, duplicate: true };
+      }
+
+      const event = await prisma.webhookEvent.update({
+        where: { id: existing.id },
+        data: { attempts: { increment: 1 } }
+      });
+      return { event, duplicate: false };
+    }
+
+    try {
+      const event = await prisma.webhookEvent.create({
+        data: {
+          provider,
+          eventId,
+          eventType,
+          payload
+        }
+      });
+      return { event, duplicate: false };
+    } catch (error) {
+      // Two deliveries of the same event raced - let the first one handle it
+      if (error.code === 'P2002') {
+        const event = await prisma.webhookEvent.findUnique({
+          where: { provider_eventId: { provider, eventId } }
+        });
+        return { event, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  async markHandled(eventId, result = {}) {
+    return await prisma.webhookEvent.update({
+      where: { id: eventId },
+      data: {
+        status: result.ignored ? 'IGNORED' : 'PROCESSED',
+        orderId: result.orderId || null,
+        error: result.ignored ? result.reason : null,
+        processedAt: new Date()
+      }
+    });
+  }
+
+  async markFailed(eventId, error) {
+    return await prisma.webhookEvent.update({
+      where: { id: eventId },
+      data: {
+        status: 'FAILED',
+        error: error.message
+      }
+    });
+  }
+}
+
+export default new WebhookEventService();
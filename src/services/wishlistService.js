@@ -0,0 +1,341 @@
+// services/wishlistService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { productLineKey } from '../utils/helpers.js';
+import cartService from './cartService.js';
+import emailNotificationService from './emailNotificationService.js';
+import { CLIENT_URL } from '../config/index.js';
+
+const ALERT_BATCH_SIZE = 500;
+
+const WISHLIST_INCLUDE = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      productCode: true,
+      status: true,
+      normalPrice: true,
+      offerPrice: true,
+      images: {
+        where: { isPrimary: true },
+        take: 1,
+        select: { imageUrl: true }
+      },
+      variants: {
+        select: { id: true, stock: true }
+      }
+    }
+  },
+  productVariant: {
+    select: {
+      id: true,
+      color: true,
+      size: true,
+      sku: true,
+      stock: true,
+      price: true
+    }
+  }
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+class WishlistService {
+
+  // A saved variant needs its own stock; a saved product needs any variant in stock
+  getStock(product, variant) {
+    if (product.status !== 'ACTIVE') {
+      return { inStock: false, stock: 0 };
+    }
+
+    if (variant) {
+      return { inStock: variant.stock > 0, stock: variant.stock };
+    }
+
+    if (product.variants.length === 0) {
+      return { inStock: true, stock: null };
+    }
+
+    const stock = product.variants.reduce((sum, item) => sum + Math.max(item.stock, 0), 0);
+
+    return { inStock: stock > 0, stock };
+  }
+
+  toWishlistItem(item) {
+    const { product, productVariant: variant } = item;
+    const currentPrice = cartService.getUnitPrice(product, variant);
+    const { inStock, stock } = this.getStock(product, variant);
+
+    return {
+      id: item.id,
+      productId: item.productId,
+      productVariantId: item.productVariantId,
+      product: {
+        id: product.id,
+        name: product.name,
+        productCode: product.productCode,
+        image: product.images[0]?.imageUrl || null,
+        normalPrice: product.normalPrice,
+        offerPrice: product.offerPrice,
+        available: product.status === 'ACTIVE'
+      },
+      variant: variant
+        ? { id: variant.id, color: variant.color, size: variant.size, sku: variant.sku }
+        : null,
+      currentPrice,
+      priceAtSave: item.priceAtSave,
+      priceDrop: currentPrice < item.priceAtSave ? round(item.priceAtSave - currentPrice) : 0,
+      inStock,
+      stock,
+      priceDropAlert: item.priceDropAlert,
+      backInStockAlert: item.backInStockAlert,
+      createdAt: item.createdAt
+    };
+  }
+
+  async getWishlist(userId) {
+    const [items, user] = await Promise.all([
+      prisma.wishlistItem.findMany({
+        where: { userId },
+        include: WISHLIST_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { wishlistAlerts: true }
+      })
+    ]);
+
+    return {
+      items: items.map(item => this.toWishlistItem(item)),
+      alertsEnabled: user?.wishlistAlerts ?? true
+    };
+  }
+
+  // Saving the same product or variant twice returns the existing entry
+  async addItem(userId, { productId, productVariantId = null }) {
+    if (!productId) {
+      throw new Error('Product ID is required');
+    }
+
+    const existing = await prisma.wishlistItem.findFirst({
+      where: { userId, productId, productVariantId: productVariantId || null },
+      include: WISHLIST_INCLUDE
+    });
+
+    if (existing) {
+      return this.toWishlistItem(existing);
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: WISHLIST_INCLUDE.product.select
+    });
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    let variant = null;
+
+    if (productVariantId) {
+      variant = await prisma.productVariant.findFirst({
+        where: { id: productVariantId, productId },
+        select: WISHLIST_INCLUDE.productVariant.select
+      });
+
+      if (!variant) {
+        throw new Error('Product variant not found');
+      }
+    }
+
+    // A save racing this one leaves the entry it created as it is
+    const lineKey = productLineKey({ productId, productVariantId });
+    const item = await prisma.wishlistItem.upsert({
+      where: { userId_lineKey: { userId, lineKey } },
+      create: {
+        userId,
+        productId,
+        productVariantId: productVariantId || null,
+        lineKey,
+        priceAtSave: cartService.getUnitPrice(product, variant),
+        inStock: this.getStock(product, variant).inStock
+      },
+      update: {},
+      include: WISHLIST_INCLUDE
+    });
+
+    return this.toWishlistItem(item);
+  }
+
+  async getOwnItem(userId, itemId) {
+    const item = await prisma.wishlistItem.findFirst({
+      where: { id: itemId, userId }
+    });
+
+    if (!item) {
+      throw new Error('Wishlist item not found');
+    }
+
+    return item;
+  }
+
+  async removeItem(userId, itemId) {
+    const item = await this.getOwnItem(userId, itemId);
+
+    await prisma.wishlistItem.delete({ where: { id: item.id } });
+  }
+
+  // Body: { priceDropAlert, backInStockAlert }
+  async updateItemAlerts(userId, itemId, { priceDropAlert, backInStockAlert }) {
+    const item = await this.getOwnItem(userId, itemId);
+    const data = {};
+
+    if (typeof priceDropAlert === 'boolean') {
+      data.priceDropAlert = priceDropAlert;
+    }
+
+    if (typeof backInStockAlert === 'boolean') {
+      data.backInStockAlert = backInStockAlert;
+    }
+
+    const updated = await prisma.wishlistItem.update({
+      where: { id: item.id },
+      data,
+      include: WISHLIST_INCLUDE
+    });
+
+    return this.toWishlistItem(updated);
+  }
+
+  // The account-wide switch, on top of the per-item ones
+  async setAlertsEnabled(userId, enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { wishlistAlerts: enabled }
+    });
+
+    return { alertsEnabled: enabled };
+  }
+
+  // What has changed for one saved item since it was saved or last alerted
+  checkItem(item) {
+    const { product, productVariant: variant } = item;
+    const currentPrice = cartService.getUnitPrice(product, variant);
+    const { inStock } = this.getStock(product, variant);
+    const referencePrice = Math.min(item.priceAtSave, item.lastAlertedPrice ?? item.priceAtSave);
+
+    return {
+      currentPrice,
+      inStock,
+      // Price drops only count while the item can be bought
+      priceDropped: inStock && currentPrice < referencePrice - 0.005,
+      backInStock: inStock && !item.inStock
+    };
+  }
+
+  // Scheduled: email users whose wishlist items dropped in price or came back
+  // in stock, one email per user. Stock is tracked even while alerts are off,
+  // so turning them back on doesn't replay old restocks. An item's alert state
+  // is only saved once its email went out, so a failed send is retried next run.
+  async sendWishlistAlerts() {
+    let cursor = null;
+    const alertsByUser = new Map();
+    let checked = 0;
+
+    while (true) {
+      const items = await prisma.wishlistItem.findMany({
+        take: ALERT_BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+        orderBy: { id: 'asc' },
+        include: {
+          ...WISHLIST_INCLUDE,
+          user: { select: { id: true, name: true, email: true, isActive: true, wishlistAlerts: true } }
+        }
+      });
+
+      if (items.length === 0) {
+        break;
+      }
+
+      for (const item of items) {
+        const check = this.checkItem(item);
+        const alertsOn = item.user.isActive && item.user.wishlistAlerts;
+        const sendPriceDrop = alertsOn && item.priceDropAlert && check.priceDropped;
+        const sendBackInStock = alertsOn && item.backInStockAlert && check.backInStock;
+        const data = {};
+
+        if (check.inStock !== item.inStock) {
+          data.inStock = check.inStock;
+        }
+
+        if (sendPriceDrop) {
+          data.lastAlertedPrice = check.currentPrice;
+          data.priceAlertedAt = new Date();
+        }
+
+        if (sendBackInStock) {
+          data.stockAlertedAt = new Date();
+        }
+
+        if (!sendPriceDrop && !sendBackInStock && Object.keys(data).length > 0) {
+          await prisma.wishlistItem.update({ where: { id: item.id }, data });
+        }
+
+        if (sendPriceDrop || sendBackInStock) {
+          const alerts = alertsByUser.get(item.userId) || { user: item.user, priceDrops: [], backInStock: [], updates: [] };
+          const entry = this.toWishlistItem(item);
+
+          alerts.updates.push({ id: item.id, data });
+
+          if (sendPriceDrop) {
+            alerts.priceDrops.push(entry);
+          }
+
+          if (sendBackInStock) {
+            alerts.backInStock.push(entry);
+          }
+
+          alertsByUser.set(item.userId, alerts);
+        }
+      }
+
+      checked += items.length;
+      cursor = items[items.length - 1].id;
+    }
+
+    let notified = 0;
+
+    for (const { user, priceDrops, backInStock, updates } of alertsByUser.values()) {
+      const sent = await emailNotificationService.sendWishlistAlerts(user, {
+        priceDrops,
+        backInStock,
+        wishlistUrl: `${CLIENT_URL}/account/wishlist`
+      });
+
+      // Returns null when the email failed
+      if (!sent) {
+        logger.warn(`Wishlist alert email to user ${user.id} failed; will retry next run`);
+        continue;
+      }
+
+      await prisma.$transaction(updates.map(({ id, data }) =>
+        prisma.wishlistItem.update({ where: { id }, data })
+      ));
+      notified++;
+    }
+
+    if (alertsByUser.size > 0) {
+      logger.info('Wishlist alerts sent', { Checked: checked, Users: notified, Failed: alertsByUser.size - notified });
+    }
+
+    return { checked, notified };
+  }
+}
+
+export default new WishlistService();
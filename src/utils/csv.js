@@ -0,0 +1,101 @@
+// utils/csv.js
+
+// Parse CSV text (RFC 4180 quoting) into row arrays
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by header (lowercased, spaces as underscores).
+// Each record carries its row number as `_line` (header is row 1, blank lines skipped).
+export const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim().toLowerCase().replace(/\s+/g, '_'));
+
+  return rows.map((cells, index) => {
+    const record = { _line: index + 2 };
+    keys.forEach((key, column) => {
+      record[key] = (cells[column] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output. Text that would open as a formula gets a
+// leading apostrophe, since customer-entered fields end up in these files.
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a header list and row arrays
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+};
+
+// Read yes/no style CSV cells; empty cells give the fallback
+export const parseCsvBoolean = (value, fallback = null) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+
+  if (normalized === '') return fallback;
+  if (['y', 'yes', 'true', '1'].includes(normalized)) return true;
+  if (['n', 'no', 'false', '0'].includes(normalized)) return false;
+  return null;
+};
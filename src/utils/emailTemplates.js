@@ -1424,7 +1424,7 @@ Nourishing Lives Naturally
 
         const domain = process.env.DOMAIN_NAME || 'Kachidham Fashions.com';
         const supportEmail = process.env.SUPPORT_EMAIL || `support@${domain}`;
-        const trackingUrl = orderData.trackingUrl || '#';
+        const trackingUrl = orderData.trackingUrl || orderData.orderAccessUrl || '#';
 
         // Enhanced helper function to get product image with all options
             const getProductImage = (item, orderCustomImages = []) => {
@@ -2140,6 +2140,7 @@ Nourishing Lives Naturally
     Carrier: ${orderData.carrier}
     ${orderData.trackingUrl ? `Track Your Order: ${trackingUrl}\n` : ''}${orderData.estimatedDelivery ? `Estimated Delivery: ${new Date(orderData.estimatedDelivery).toLocaleDateString()}\n` : ''}
     ` : ''}
+    ${orderData.orderAccessUrl ? `View Your Order: ${orderData.orderAccessUrl}\n` : ''}
 
     NEED HELP?
     ----------
@@ -2760,6 +2761,32 @@ Nourishing Lives Naturally
     });
 
      const subject = `Order ${newStatus} - #${orderData.orderNumber} - Kachidham Fashions`;
+
+    // Orders sent in more than one parcel list each one
+    const shipments = orderData.shipments || [];
+    const itemNames = new Map((orderData.orderItems || []).map(item => [item.id, item.product?.name || 'Item']));
+    const shipmentItemsText = (shipment) => shipment.items
+        .map(item => `${itemNames.get(item.orderItemId)} x ${item.quantity}`)
+        .join(', ');
+
+    const shipmentsHtml = shipments.length > 1 ? `
+        <div class="tracking-info">
+        <h3 style="color: #1565c0; margin-bottom: 15px;">🚚 Your Parcels</h3>
+        ${shipments.map((shipment, index) => `
+            <p style="margin-bottom: 10px;"><strong>Parcel ${index + 1}</strong> (${shipment.status.replace(/_/g, ' ')})<br>
+            ${shipment.carrier || ''} ${shipment.awbNumber ? `- ${shipment.awbNumber}` : ''}
+            ${shipment.trackingUrl ? `<a href="${shipment.trackingUrl}" style="color: #1565c0;">Track</a>` : ''}<br>
+            <span style="color: #555;">${shipmentItemsText(shipment)}</span></p>
+        `).join('')}
+        </div>
+    ` : '';
+
+    const shipmentsText = shipments.length > 1 ? `
+        YOUR PARCELS:
+        -------------
+        ${shipments.map((shipment, index) => `Parcel ${index + 1} (${shipment.status.replace(/_/g, ' ')}): ${shipment.carrier || ''} ${shipment.awbNumber || ''}${shipment.trackingUrl ? ` - ${shipment.trackingUrl}` : ''}
+        ${shipmentItemsText(shipment)}`).join('\n        ')}
+    ` : '';
     // ✅ Check if adminNotes is being used in the template
     const adminNotesSection = adminNotes ? `
         <div class="admin-notes">
@@ -2774,18 +2801,697 @@ Nourishing Lives Naturally
         <head>
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Order Status Update - Kachidham Fashions</title>
+            <title>Order Status Update - Kachidham Fashions</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .status-badge { display: inline-block; padding: 8px 16px; background: #28a745; color: white; border-radius: 20px; font-size: 14px; font-weight: bold; margin: 10px 0; }
+                .order-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+                .tracking-info { background: #e3f2fd; border-radius: 8px; padding: 20px; margin: 20px 0; }
+                .admin-notes { background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px; padding: 15px; margin: 20px 0; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📦 Order Status Updated</h1>
+                    <p>Your order #${orderData.orderNumber} has been updated</p>
+                </div>
+                
+                <div class="content">
+                    <p>Hello <strong>${orderData.name}</strong>,</p>
+                    
+                    <p>Your order status has been updated from <strong>${oldStatus}</strong> to <strong>${newStatus}</strong>.</p>
+                    
+                    ${adminNotesSection}  <!-- ✅ This should render the admin notes -->
+                    
+                    <div class="order-info">
+                        <h3 style="color: #2c5aa0; margin-bottom: 15px;">Order Details</h3>
+                        <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+                        <p><strong>Order Date:</strong> ${orderDate}</p>
+                        <p><strong>Current Status:</strong> <span class="status-badge">${newStatus}</span></p>
+                        <p><strong>Total Amount:</strong> ₹${orderData.totalAmount.toFixed(2)}</p>
+                    </div>
+
+                    ${orderData.trackingNumber ? `
+                    <div class="tracking-info">
+                        <h3 style="color: #1565c0; margin-bottom: 15px;">🚚 Tracking Information</h3>
+                        <p><strong>Tracking Number:</strong> ${orderData.trackingNumber}</p>
+                        <p><strong>Carrier:</strong> ${orderData.carrier}</p>
+                        ${orderData.trackingUrl ? `<p><strong>Track Your Order:</strong> <a href="${orderData.trackingUrl}" style="color: #1565c0;">Click here to track</a></p>` : ''}
+                        ${orderData.estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(orderData.estimatedDelivery).toLocaleDateString()}</p>` : ''}
+                    </div>
+                    ` : ''}
+
+                    ${shipmentsHtml}
+
+                    ${newStatus === 'SHIPPED' ? `
+                    <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                        <h4 style="color: #155724; margin-bottom: 10px;">🎉 Your Order is on the Way!</h4>
+                        <p style="margin: 0; color: #155724;">We've shipped your order. You can track its progress using the tracking information above.</p>
+                    </div>
+                    ` : ''}
+
+                    ${newStatus === 'DELIVERED' ? `
+                    <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                        <h4 style="color: #155724; margin-bottom: 10px;">🎊 Order Delivered Successfully!</h4>
+                        <p style="margin: 0; color: #155724;">Your order has been delivered. We hope you love your purchase!</p>
+                    </div>
+                    ` : ''}
+
+                    <div style="margin-top: 20px;">
+                        <p>Thank you for shopping with Kachidham Fashions!</p>
+                    </div>
+                </div>
+                
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated status update email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        ORDER STATUS UPDATE - Kachidham Fashions
+
+        Hello ${orderData.name},
+
+        Your order status has been updated from ${oldStatus} to ${newStatus}.
+
+        ${adminNotes ? `
+        📝 ADMIN NOTES:
+        "${adminNotes}"
+
+        ` : ''}
+
+        ORDER DETAILS:
+        --------------
+        Order Number: ${orderData.orderNumber}
+        Order Date: ${orderDate}
+        Current Status: ${newStatus}
+        Total Amount: ₹${orderData.totalAmount.toFixed(2)}
+
+        ${orderData.trackingNumber ? `
+        TRACKING INFORMATION:
+        ---------------------
+        Tracking Number: ${orderData.trackingNumber}
+        Carrier: ${orderData.carrier}
+        ${orderData.trackingUrl ? `Track Your Order: ${orderData.trackingUrl}\n` : ''}${orderData.estimatedDelivery ? `Estimated Delivery: ${new Date(orderData.estimatedDelivery).toLocaleDateString()}\n` : ''}
+        ` : ''}
+
+        ${shipmentsText}
+
+        ${newStatus === 'SHIPPED' ? `
+        🎉 Your Order is on the Way!
+        We've shipped your order. You can track its progress using the tracking information above.
+        ` : ''}
+
+        ${newStatus === 'DELIVERED' ? `
+        🎊 Order Delivered Successfully!
+        Your order has been delivered. We hope you love your purchase!
+        ` : ''}
+
+        Thank you for shopping with Kachidham Fashions!
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    shipmentUpdate: (orderData, shipment) => {
+    const itemsById = new Map((orderData.orderItems || []).map(item => [item.id, item]));
+    const describeItem = (shipmentItem) => {
+        const item = itemsById.get(shipmentItem.orderItemId);
+        const variant = [item?.productVariant?.color, item?.productVariant?.size].filter(Boolean).join(' / ');
+        return `${item?.product?.name || 'Item'}${variant ? ` (${variant})` : ''} x ${shipmentItem.quantity}`;
+    };
+
+    const shipments = orderData.shipments || [];
+    const parcelNumber = shipments.findIndex(item => item.id === shipment.id) + 1;
+    const shippedUnits = new Map();
+    for (const parcel of shipments.filter(item => item.shippedAt || item.id === shipment.id)) {
+        for (const item of parcel.items) {
+            shippedUnits.set(item.orderItemId, (shippedUnits.get(item.orderItemId) || 0) + item.quantity);
+        }
+    }
+    const pending = (orderData.orderItems || [])
+        .map(item => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) - (shippedUnits.get(item.id) || 0) }))
+        .filter(({ quantity }) => quantity > 0);
+
+    const subject = `${pending.length > 0 ? 'Part of your order' : 'Your order'} has shipped - #${orderData.orderNumber} - Kachidham Fashions`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Shipment Update - Kachidham Fashions</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .tracking-info { background: #e3f2fd; border-radius: 8px; padding: 20px; margin: 20px 0; }
+                .order-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🚚 ${pending.length > 0 ? 'Part of Your Order Has Shipped' : 'Your Order Has Shipped'}</h1>
+                    <p>Order #${orderData.orderNumber}${shipments.length > 1 ? ` - parcel ${parcelNumber} of ${shipments.length}` : ''}</p>
+                </div>
+
+                <div class="content">
+                    <p>Hello <strong>${orderData.name}</strong>,</p>
+
+                    <div class="tracking-info">
+                        <h3 style="color: #1565c0; margin-bottom: 15px;">Tracking Information</h3>
+                        <p><strong>Carrier:</strong> ${shipment.carrier}</p>
+                        <p><strong>Tracking Number:</strong> ${shipment.awbNumber}</p>
+                        ${shipment.trackingUrl ? `<p><strong>Track Your Parcel:</strong> <a href="${shipment.trackingUrl}" style="color: #1565c0;">Click here to track</a></p>` : ''}
+                        ${orderData.estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(orderData.estimatedDelivery).toLocaleDateString()}</p>` : ''}
+                    </div>
+
+                    <div class="order-info">
+                        <h3 style="color: #2c5aa0; margin-bottom: 15px;">In This Parcel</h3>
+                        ${shipment.items.map(item => `<p>${describeItem(item)}</p>`).join('')}
+                    </div>
+
+                    ${pending.length > 0 ? `
+                    <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                        <h4 style="color: #856404; margin-bottom: 10px;">Still to Come</h4>
+                        ${pending.map(({ item, quantity }) => `<p style="margin: 0; color: #856404;">${describeItem({ orderItemId: item.id, quantity })}</p>`).join('')}
+                        <p style="margin-top: 10px; color: #856404;">We'll email you again when these are on their way.</p>
+                    </div>
+                    ` : ''}
+
+                    <div style="margin-top: 20px;">
+                        <p>Thank you for shopping with Kachidham Fashions!</p>
+                    </div>
+                </div>
+
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated shipment update email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        SHIPMENT UPDATE - Kachidham Fashions
+
+        Hello ${orderData.name},
+
+        ${pending.length > 0 ? 'Part of your order' : 'Your order'} #${orderData.orderNumber} has shipped${shipments.length > 1 ? ` (parcel ${parcelNumber} of ${shipments.length})` : ''}.
+
+        TRACKING INFORMATION:
+        ---------------------
+        Carrier: ${shipment.carrier}
+        Tracking Number: ${shipment.awbNumber}
+        ${shipment.trackingUrl ? `Track Your Parcel: ${shipment.trackingUrl}\n` : ''}${orderData.estimatedDelivery ? `Estimated Delivery: ${new Date(orderData.estimatedDelivery).toLocaleDateString()}\n` : ''}
+
+        IN THIS PARCEL:
+        ---------------
+        ${shipment.items.map(describeItem).join('\n        ')}
+
+        ${pending.length > 0 ? `STILL TO COME:
+        --------------
+        ${pending.map(({ item, quantity }) => describeItem({ orderItemId: item.id, quantity })).join('\n        ')}
+        We'll email you again when these are on their way.
+        ` : ''}
+
+        Thank you for shopping with Kachidham Fashions!
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    orderUpdated: (orderData, { changes = [], settlement = {} }) => {
+    const addressChanged = changes.some(change => ['name', 'phone', 'address', 'city', 'state', 'pincode'].includes(change.field));
+    const describeItem = (item) => {
+        const variant = [item.productVariant?.color, item.productVariant?.size].filter(Boolean).join(' / ');
+        return `${item.product?.name || 'Item'}${variant ? ` (${variant})` : ''} x ${item.quantity} - ₹${(item.price * item.quantity).toFixed(2)}`;
+    };
+    const items = orderData.orderItems || [];
+
+    let settlementHtml = '';
+    let settlementText = '';
+    if (settlement.type === 'PAYMENT_LINK' && settlement.paymentLinkUrl) {
+        settlementHtml = `
+                    <div style="background: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+                        <p style="color: #856404; margin-bottom: 15px;">Your updated order costs <strong>₹${settlement.amount.toFixed(2)}</strong> more than you paid.</p>
+                        <a href="${settlement.paymentLinkUrl}" style="display: inline-block; background: #2c5aa0; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">Pay ₹${settlement.amount.toFixed(2)}</a>
+                    </div>`;
+        settlementText = `Your updated order costs ₹${settlement.amount.toFixed(2)} more than you paid. Pay the balance here: ${settlement.paymentLinkUrl}`;
+    } else if (settlement.type === 'REFUND' && !settlement.error) {
+        settlementHtml = `
+                    <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                        <p style="color: #155724; margin: 0;">Your updated order costs less. We have refunded <strong>₹${settlement.amount.toFixed(2)}</strong> to your original payment method. It will reflect within 5-7 business days.</p>
+                    </div>`;
+        settlementText = `Your updated order costs less. We have refunded ₹${settlement.amount.toFixed(2)} to your original payment method. It will reflect within 5-7 business days.`;
+    } else if (settlement.type === 'COLLECT_ON_DELIVERY') {
+        settlementHtml = `
+                    <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                        <p style="color: #1565c0; margin: 0;">Amount to pay on delivery: <strong>₹${orderData.totalAmount.toFixed(2)}</strong></p>
+                    </div>`;
+        settlementText = `Amount to pay on delivery: ₹${orderData.totalAmount.toFixed(2)}`;
+    }
+
+    const subject = `Your order has been updated - #${orderData.orderNumber} - Kachidham Fashions`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Order Updated - Kachidham Fashions</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .order-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>✏️ Your Order Has Been Updated</h1>
+                    <p>Order #${orderData.orderNumber}</p>
+                </div>
+
+                <div class="content">
+                    <p>Hello <strong>${orderData.name}</strong>,</p>
+                    <p>As requested, we have made changes to your order <strong>#${orderData.orderNumber}</strong>. Here is how it looks now.</p>
+
+                    <div class="order-info">
+                        <h3 style="color: #2c5aa0; margin-bottom: 15px;">Items</h3>
+                        ${items.map(item => `<p>${describeItem(item)}</p>`).join('')}
+                        <p style="margin-top: 15px;"><strong>Order Total:</strong> ₹${orderData.totalAmount.toFixed(2)}</p>
+                    </div>
+
+                    ${addressChanged ? `
+                    <div class="order-info">
+                        <h3 style="color: #2c5aa0; margin-bottom: 15px;">Delivery Address</h3>
+                        <p>${orderData.name}, ${orderData.phone}</p>
+                        <p>${orderData.address}, ${orderData.city}, ${orderData.state} - ${orderData.pincode}</p>
+                    </div>
+                    ` : ''}
+                    ${settlementHtml}
+
+                    <div style="margin-top: 20px;">
+                        <p>If you did not ask for these changes, please contact our support team.</p>
+                        <p>Thank you for shopping with Kachidham Fashions!</p>
+                    </div>
+                </div>
+
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated order update email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        ORDER UPDATED - Kachidham Fashions
+
+        Hello ${orderData.name},
+
+        As requested, we have made changes to your order #${orderData.orderNumber}. Here is how it looks now.
+
+        ITEMS:
+        ------
+        ${items.map(describeItem).join('\n        ')}
+
+        Order Total: ₹${orderData.totalAmount.toFixed(2)}
+        ${addressChanged ? `
+        DELIVERY ADDRESS:
+        -----------------
+        ${orderData.name}, ${orderData.phone}
+        ${orderData.address}, ${orderData.city}, ${orderData.state} - ${orderData.pincode}
+        ` : ''}
+        ${settlementText}
+
+        If you did not ask for these changes, please contact our support team.
+
+        Thank you for shopping with Kachidham Fashions!
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    orderAccessLink: (orderData, accessUrl) => {
+    const subject = `View your order #${orderData.orderNumber} - Kachidham Fashions`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Your Order Link - Kachidham Fashions</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📦 Your Order Link</h1>
+                    <p>Order #${orderData.orderNumber}</p>
+                </div>
+
+                <div class="content">
+                    <p>Hello <strong>${orderData.name}</strong>,</p>
+                    <p>Use the button below to see the status and details of your order <strong>#${orderData.orderNumber}</strong>.</p>
+
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${accessUrl}" style="display: inline-block; background: #2c5aa0; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">View Your Order</a>
+                    </div>
+
+                    <p style="color: #6c757d; font-size: 14px;">Anyone with this link can see your order, so please don't share it. If you didn't ask for it, you can ignore this email.</p>
+                </div>
+
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        YOUR ORDER LINK - Kachidham Fashions
+
+        Hello ${orderData.name},
+
+        Open this link to see the status and details of your order #${orderData.orderNumber}:
+        ${accessUrl}
+
+        Anyone with this link can see your order, so please don't share it. If you didn't ask for it, you can ignore this email.
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    guestOrdersClaim: (userData, { count, claimUrl }) => {
+    const orders = count === 1 ? '1 order' : `${count} orders`;
+    const subject = `Add your past ${count === 1 ? 'order' : 'orders'} to your account - Kachidham Fashions`;
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Add Your Orders - Kachidham Fashions</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🛍️ Add Your Orders to Your Account</h1>
+                </div>
+
+                <div class="content">
+                    <p>Hello <strong>${userData.name}</strong>,</p>
+                    <p>Welcome to Kachidham Fashions! We found ${orders} you placed as a guest with <strong>${userData.email}</strong>.</p>
+                    <p>Add ${count === 1 ? 'it' : 'them'} to your account to track deliveries, download invoices and request returns in one place.</p>
+
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${claimUrl}" style="display: inline-block; background: #2c5aa0; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">Add ${count === 1 ? 'Order' : 'Orders'} to My Account</a>
+                    </div>
+
+                    <p style="color: #6c757d; font-size: 14px;">This link works for 7 days while you are signed in. If you didn't create this account, you can ignore this email.</p>
+                </div>
+
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        ADD YOUR ORDERS TO YOUR ACCOUNT - Kachidham Fashions
+
+        Hello ${userData.name},
+
+        Welcome to Kachidham Fashions! We found ${orders} you placed as a guest with ${userData.email}.
+        Add ${count === 1 ? 'it' : 'them'} to your account to track deliveries, download invoices and request returns in one place:
+        ${claimUrl}
+
+        This link works for 7 days while you are signed in. If you didn't create this account, you can ignore this email.
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    cartRecovery: (customer, { subject, heading, message, buttonText, items = [], cartValue, coupon, recoveryUrl }) => {
+    const paragraphs = message.split(/\n+/).filter(Boolean);
+
+    const itemRows = items.map(item => `
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef; width: 80px;">
+                ${item.image ? `<img src="${item.image}" alt="${item.name}" width="70" style="display: block; border-radius: 6px;">` : ''}
+            </td>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef;">
+                <strong>${item.name}</strong>
+                ${item.variant ? `<br><span style="color: #6c757d; font-size: 13px;">${item.variant}</span>` : ''}
+                <br><span style="color: #6c757d; font-size: 13px;">Qty: ${item.quantity}</span>
+            </td>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef; text-align: right;">₹${(item.price * item.quantity).toFixed(2)}</td>
+        </tr>
+    `).join('');
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${subject}</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+                .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+                .content { padding: 30px; }
+                .content p { margin-bottom: 12px; }
+                table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+                .coupon { background: #f0f7ff; border: 2px dashed #2c5aa0; border-radius: 8px; padding: 15px; text-align: center; margin: 20px 0; }
+                .coupon-code { font-size: 22px; font-weight: 700; letter-spacing: 2px; color: #2c5aa0; }
+                .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+                @media (max-width: 600px) {
+                    .container { border-radius: 0; }
+                    .content { padding: 20px; }
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>${heading || '🛒 You Left Something Behind'}</h1>
+                </div>
+
+                <div class="content">
+                    <p>Hello <strong>${customer.name}</strong>,</p>
+                    ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('')}
+
+                    <table>${itemRows}</table>
+
+                    <p style="text-align: right;"><strong>Total: ₹${Number(cartValue).toFixed(2)}</strong></p>
+
+                    ${coupon ? `
+                    <div class="coupon">
+                        <p style="margin-bottom: 6px;">Take ${coupon.value} off with this code:</p>
+                        <div class="coupon-code">${coupon.code}</div>
+                        <p style="margin: 6px 0 0; color: #6c757d; font-size: 13px;">Single use, valid until ${coupon.expiresAt}</p>
+                    </div>
+                    ` : ''}
+
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${recoveryUrl}" style="display: inline-block; background: #2c5aa0; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">${buttonText}</a>
+                    </div>
+
+                    <p style="color: #6c757d; font-size: 14px;">Prices and stock may change until you complete your order.</p>
+                </div>
+
+                <div class="footer">
+                    <p><strong>Kachidham Fashions</strong></p>
+                    <p>Nourishing Lives Naturally</p>
+                    <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                        This is an automated email. Please do not reply to this message.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    const text = `
+        ${(heading || 'You left something behind').toUpperCase()} - Kachidham Fashions
+
+        Hello ${customer.name},
+
+${paragraphs.map(paragraph => `        ${paragraph}`).join('\n\n')}
+
+${items.map(item => `        - ${item.name}${item.variant ? ` (${item.variant})` : ''} x ${item.quantity}: ₹${(item.price * item.quantity).toFixed(2)}`).join('\n')}
+
+        Total: ₹${Number(cartValue).toFixed(2)}
+${coupon ? `
+        Take ${coupon.value} off with code ${coupon.code} (single use, valid until ${coupon.expiresAt}).
+` : ''}
+        ${buttonText}: ${recoveryUrl}
+
+        Prices and stock may change until you complete your order.
+
+        --
+        Kachidham Fashions
+        Nourishing Lives Naturally
+    `.trim();
+
+    return { subject, html, text };
+    },
+
+    wishlistAlerts: (userData, { priceDrops = [], backInStock = [], wishlistUrl }) => {
+    let subject = 'Price drops and restocks in your wishlist - Kachidham Fashions';
+
+    if (backInStock.length === 0) {
+        subject = `Price drop on ${priceDrops.length === 1 ? priceDrops[0].product.name : `${priceDrops.length} items`} in your wishlist - Kachidham Fashions`;
+    } else if (priceDrops.length === 0) {
+        subject = `${backInStock.length === 1 ? `${backInStock[0].product.name} is` : `${backInStock.length} wishlist items are`} back in stock - Kachidham Fashions`;
+    }
+
+    const describe = (item) => item.variant
+        ? `${item.product.name} (${item.variant.color}, ${item.variant.size})`
+        : item.product.name;
+
+    const priceDropRows = priceDrops.map(item => `
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef;">${describe(item)}</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef; text-align: right;">
+                <span style="text-decoration: line-through; color: #999;">₹${item.priceAtSave.toFixed(2)}</span>
+                <strong style="color: #28a745;">₹${item.currentPrice.toFixed(2)}</strong>
+            </td>
+        </tr>
+    `).join('');
+
+    const backInStockRows = backInStock.map(item => `
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef;">${describe(item)}</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e9ecef; text-align: right;"><strong>₹${item.currentPrice.toFixed(2)}</strong></td>
+        </tr>
+    `).join('');
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Wishlist Update - Kachidham Fashions</title>
             <style>
                 * { margin: 0; padding: 0; box-sizing: border-box; }
                 body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
                 .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
-                .header { background: linear(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+                .header { background: linear-gradient(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
                 .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
                 .content { padding: 30px; }
-                .status-badge { display: inline-block; padding: 8px 16px; background: #28a745; color: white; border-radius: 20px; font-size: 14px; font-weight: bold; margin: 10px 0; }
-                .order-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
-                .tracking-info { background: #e3f2fd; border-radius: 8px; padding: 20px; margin: 20px 0; }
-                .admin-notes { background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px; padding: 15px; margin: 20px 0; }
+                .content h3 { margin: 20px 0 10px; color: #2c5aa0; }
+                table { width: 100%; border-collapse: collapse; }
                 .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
                 @media (max-width: 600px) {
                     .container { border-radius: 0; }
@@ -2796,59 +3502,35 @@ Nourishing Lives Naturally
         <body>
             <div class="container">
                 <div class="header">
-                    <h1>📦 Order Status Updated</h1>
-                    <p>Your order #${orderData.orderNumber} has been updated</p>
+                    <h1>💝 Good News From Your Wishlist</h1>
                 </div>
-                
+
                 <div class="content">
-                    <p>Hello <strong>${orderData.name}</strong>,</p>
-                    
-                    <p>Your order status has been updated from <strong>${oldStatus}</strong> to <strong>${newStatus}</strong>.</p>
-                    
-                    ${adminNotesSection}  <!-- ✅ This should render the admin notes -->
-                    
-                    <div class="order-info">
-                        <h3 style="color: #2c5aa0; margin-bottom: 15px;">Order Details</h3>
-                        <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
-                        <p><strong>Order Date:</strong> ${orderDate}</p>
-                        <p><strong>Current Status:</strong> <span class="status-badge">${newStatus}</span></p>
-                        <p><strong>Total Amount:</strong> ₹${orderData.totalAmount.toFixed(2)}</p>
-                    </div>
+                    <p>Hello <strong>${userData.name}</strong>,</p>
+                    <p>Some of the items you saved have changed.</p>
 
-                    ${orderData.trackingNumber ? `
-                    <div class="tracking-info">
-                        <h3 style="color: #1565c0; margin-bottom: 15px;">🚚 Tracking Information</h3>
-                        <p><strong>Tracking Number:</strong> ${orderData.trackingNumber}</p>
-                        <p><strong>Carrier:</strong> ${orderData.carrier}</p>
-                        ${orderData.trackingUrl ? `<p><strong>Track Your Order:</strong> <a href="${orderData.trackingUrl}" style="color: #1565c0;">Click here to track</a></p>` : ''}
-                        ${orderData.estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(orderData.estimatedDelivery).toLocaleDateString()}</p>` : ''}
-                    </div>
+                    ${priceDrops.length > 0 ? `
+                    <h3>Price Drops</h3>
+                    <table>${priceDropRows}</table>
                     ` : ''}
 
-                    ${newStatus === 'SHIPPED' ? `
-                    <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                        <h4 style="color: #155724; margin-bottom: 10px;">🎉 Your Order is on the Way!</h4>
-                        <p style="margin: 0; color: #155724;">We've shipped your order. You can track its progress using the tracking information above.</p>
-                    </div>
+                    ${backInStock.length > 0 ? `
+                    <h3>Back in Stock</h3>
+                    <table>${backInStockRows}</table>
                     ` : ''}
 
-                    ${newStatus === 'DELIVERED' ? `
-                    <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                        <h4 style="color: #155724; margin-bottom: 10px;">🎊 Order Delivered Successfully!</h4>
-                        <p style="margin: 0; color: #155724;">Your order has been delivered. We hope you love your purchase!</p>
+                    <div style="text-align: center; margin: 25px 0;">
+                        <a href="${wishlistUrl}" style="display: inline-block; background: #2c5aa0; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">View My Wishlist</a>
                     </div>
-                    ` : ''}
 
-                    <div style="margin-top: 20px;">
-                        <p>Thank you for shopping with Kachidham Fashions!</p>
-                    </div>
+                    <p style="color: #6c757d; font-size: 14px;">Stock is limited and prices may change. You can turn these alerts off from your wishlist.</p>
                 </div>
-                
+
                 <div class="footer">
                     <p><strong>Kachidham Fashions</strong></p>
                     <p>Nourishing Lives Naturally</p>
                     <p style="margin-top: 15px; font-size: 11px; color: #999;">
-                        This is an automated status update email. Please do not reply to this message.
+                        This is an automated email. Please do not reply to this message.
                     </p>
                 </div>
             </div>
@@ -2857,44 +3539,21 @@ Nourishing Lives Naturally
     `;
 
     const text = `
-        ORDER STATUS UPDATE - Kachidham Fashions
-
-        Hello ${orderData.name},
-
-        Your order status has been updated from ${oldStatus} to ${newStatus}.
+        WISHLIST UPDATE - Kachidham Fashions
 
-        ${adminNotes ? `
-        📝 ADMIN NOTES:
-        "${adminNotes}"
-
-        ` : ''}
-
-        ORDER DETAILS:
-        --------------
-        Order Number: ${orderData.orderNumber}
-        Order Date: ${orderDate}
-        Current Status: ${newStatus}
-        Total Amount: ₹${orderData.totalAmount.toFixed(2)}
-
-        ${orderData.trackingNumber ? `
-        TRACKING INFORMATION:
-        ---------------------
-        Tracking Number: ${orderData.trackingNumber}
-        Carrier: ${orderData.carrier}
-        ${orderData.trackingUrl ? `Track Your Order: ${orderData.trackingUrl}\n` : ''}${orderData.estimatedDelivery ? `Estimated Delivery: ${new Date(orderData.estimatedDelivery).toLocaleDateString()}\n` : ''}
-        ` : ''}
-
-        ${newStatus === 'SHIPPED' ? `
-        🎉 Your Order is on the Way!
-        We've shipped your order. You can track its progress using the tracking information above.
-        ` : ''}
+        Hello ${userData.name},
 
-        ${newStatus === 'DELIVERED' ? `
-        🎊 Order Delivered Successfully!
-        Your order has been delivered. We hope you love your purchase!
-        ` : ''}
+        Some of the items you saved have changed.
+${priceDrops.length > 0 ? `
+        PRICE DROPS
+${priceDrops.map(item => `        - ${describe(item)}: ₹${item.priceAtSave.toFixed(2)} → ₹${item.currentPrice.toFixed(2)}`).join('\n')}
+` : ''}${backInStock.length > 0 ? `
+        BACK IN STOCK
+${backInStock.map(item => `        - ${describe(item)}: ₹${item.currentPrice.toFixed(2)}`).join('\n')}
+` : ''}
+        View your wishlist: ${wishlistUrl}
 
-        Thank you for shopping with Kachidham Fashions!
+        Stock is limited and prices may change. You can turn these alerts off from your wishlist.
 
         --
         Kachidham Fashions
@@ -3012,6 +3671,299 @@ Nourishing Lives Naturally
     Nourishing Lives Naturally
         `.trim()
     };
+    },
+
+    orderCancellationCustomer: (orderData, cancellationData) => {
+    const { reason, refund } = cancellationData;
+
+    const itemsHtml = orderData.orderItems.map(item => `
+                    <p>• ${item.product.name}${item.productVariant ? ` (${item.productVariant.size}/${item.productVariant.color})` : ''} × ${item.quantity}</p>`).join('');
+
+    const refundHtml = refund ? `
+                <div class="refund-info">
+                    <h3 style="color: #155724; margin-bottom: 15px;">Refund Details</h3>
+                    <p><strong>Refund Amount:</strong> ₹${refund.amount.toFixed(2)}</p>
+                    ${refund.gatewayRefundId ? `<p><strong>Refund ID:</strong> ${refund.gatewayRefundId}</p>` : ''}
+                    <p style="margin-top: 15px; color: #155724;"><strong>Note:</strong> The refund will reflect in your original payment method within 5-7 business days.</p>
+                </div>` : orderData.paymentStatus === 'PAID' ? `
+                <div class="refund-info">
+                    <p>Your refund is being processed by our team. We will email you once it is complete.</p>
+                </div>` : '';
+
+    return {
+        subject: `Order Cancelled - #${orderData.orderNumber} - Kachidham Fashions`,
+        html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Order Cancelled - Kachidham Fashions</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear(135deg, #dc3545 0%, #e4606d 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+            .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+            .content { padding: 30px; }
+            .refund-info { background: #d4edda; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .order-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+            @media (max-width: 600px) {
+                .container { border-radius: 0; }
+                .content { padding: 20px; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>❌ Order Cancelled</h1>
+                <p>Your order #${orderData.orderNumber} has been cancelled</p>
+            </div>
+
+            <div class="content">
+                <p>Hello <strong>${orderData.name}</strong>,</p>
+
+                <p>As requested, we have cancelled your order <strong>#${orderData.orderNumber}</strong>.</p>
+
+                <div class="order-info">
+                    <h3 style="color: #495057; margin-bottom: 15px;">Order Details</h3>
+                    <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+                    <p><strong>Order Amount:</strong> ₹${orderData.totalAmount.toFixed(2)}</p>
+                    <p><strong>Reason:</strong> ${reason}</p>
+                    <p style="margin-top: 10px;"><strong>Items:</strong></p>
+                    ${itemsHtml}
+                </div>
+                ${refundHtml}
+
+                <div style="margin-top: 20px;">
+                    <p>If you have any questions, please contact our support team.</p>
+                    <p>We hope to serve you again soon.</p>
+                </div>
+            </div>
+
+            <div class="footer">
+                <p><strong>Kachidham Fashions</strong></p>
+                <p>Nourishing Lives Naturally</p>
+                <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                    This is an automated email. Please do not reply to this message.
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+        `,
+        text: `
+    ORDER CANCELLED - Kachidham Fashions
+
+    Hello ${orderData.name},
+
+    As requested, we have cancelled your order #${orderData.orderNumber}.
+
+    Order Amount: ₹${orderData.totalAmount.toFixed(2)}
+    Reason: ${reason}
+    ${refund ? `\n    Refund Amount: ₹${refund.amount.toFixed(2)}\n    The refund will reflect in your original payment method within 5-7 business days.\n` : ''}
+    If you have any questions, please contact our support team.
+
+    --
+    Kachidham Fashions
+    Nourishing Lives Naturally
+        `.trim()
+    };
+    },
+
+    orderCancellationAdmin: (orderData, cancellationData) => {
+    const { reason, refund, refundError } = cancellationData;
+
+    const itemsText = orderData.orderItems.map(item =>
+        `- ${item.product.name}${item.productVariant ? ` (${item.productVariant.size}/${item.productVariant.color})` : ''} x ${item.quantity}`
+    ).join('\n');
+
+    const refundText = refund
+        ? `Refunded ₹${refund.amount.toFixed(2)} via ${refund.gateway}${refund.gatewayRefundId ? ` (${refund.gatewayRefundId})` : ''}`
+        : refundError
+            ? `AUTOMATIC REFUND FAILED: ${refundError}. Please refund manually.`
+            : 'No refund needed (order was not paid)';
+
+    return {
+        subject: `${refundError ? '⚠️ ' : ''}Order Cancelled by Customer - #${orderData.orderNumber}`,
+        html: `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px;">
+        <h2 style="color: #dc3545;">❌ Order Cancelled by Customer</h2>
+        <p><strong>Order:</strong> ${orderData.orderNumber}</p>
+        <p><strong>Customer:</strong> ${orderData.name} (${orderData.email}, ${orderData.phone})</p>
+        <p><strong>Amount:</strong> ₹${orderData.totalAmount.toFixed(2)} (${orderData.paymentMethod})</p>
+        <p><strong>Reason:</strong> ${reason}</p>
+        <p><strong>Refund:</strong> <span style="color: ${refundError ? '#dc3545' : '#333'};">${refundText}</span></p>
+        <p><strong>Items (restocked):</strong></p>
+        <pre style="font-family: inherit;">${itemsText}</pre>
+    </div>
+        `,
+        text: `
+    ORDER CANCELLED BY CUSTOMER
+
+    Order: ${orderData.orderNumber}
+    Customer: ${orderData.name} (${orderData.email}, ${orderData.phone})
+    Amount: ₹${orderData.totalAmount.toFixed(2)} (${orderData.paymentMethod})
+    Reason: ${reason}
+    Refund: ${refundText}
+
+    Items (restocked):
+    ${itemsText}
+        `.trim()
+    };
+    },
+
+    returnStatusUpdate: (returnData) => {
+    const typeLabel = returnData.type === 'EXCHANGE' ? 'Exchange' : 'Return';
+
+    const statusMessages = {
+        REQUESTED: `We have received your ${typeLabel.toLowerCase()} request. Our team will review it within 48 hours.`,
+        APPROVED: `Your ${typeLabel.toLowerCase()} request has been approved. We will schedule a pickup shortly.`,
+        REJECTED: `Unfortunately your ${typeLabel.toLowerCase()} request could not be approved.${returnData.rejectionReason ? ` Reason: ${returnData.rejectionReason}` : ''}`,
+        PICKUP_SCHEDULED: `A pickup has been scheduled for ${returnData.pickupScheduledAt ? new Date(returnData.pickupScheduledAt).toLocaleDateString('en-IN') : 'the coming days'}. Please keep the items packed with their original tags.`,
+        RECEIVED: 'We have received the returned items at our warehouse and are processing your request.',
+        COMPLETED: {
+            REFUND: 'Your return is complete and a refund has been issued to your original payment method.',
+            STORE_CREDIT: 'Your return is complete and store credit has been added to your account.',
+            REPLACEMENT: `Your exchange is complete. Your replacement${returnData.replacementOrder ? ` (order #${returnData.replacementOrder.orderNumber})` : ''} will be shipped soon.`
+        }[returnData.resolution] || `Your ${typeLabel.toLowerCase()} request is complete.`,
+        CANCELLED: `Your ${typeLabel.toLowerCase()} request has been cancelled.`
+    };
+
+    const message = statusMessages[returnData.status] || `Your ${typeLabel.toLowerCase()} request status is now ${returnData.status}.`;
+
+    const itemsHtml = returnData.items.map(item => `
+                    <p>• ${item.orderItem.product.name}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.size}/${item.orderItem.productVariant.color})` : ''} × ${item.quantity}${item.exchangeVariant ? ` → ${item.exchangeVariant.size}/${item.exchangeVariant.color}` : ''}</p>`).join('');
+
+    const itemsText = returnData.items.map(item =>
+        `- ${item.orderItem.product.name}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.size}/${item.orderItem.productVariant.color})` : ''} x ${item.quantity}${item.exchangeVariant ? ` -> ${item.exchangeVariant.size}/${item.exchangeVariant.color}` : ''}`
+    ).join('\n    ');
+
+    return {
+        subject: `${typeLabel} ${returnData.status.replace(/_/g, ' ')} - #${returnData.returnNumber} - Kachidham Fashions`,
+        html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${typeLabel} Update - Kachidham Fashions</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: linear(135deg, #2c5aa0 0%, #3a7bd5 100%); padding: 30px 20px; text-align: center; color: #ffffff; }
+            .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+            .content { padding: 30px; }
+            .return-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+            @media (max-width: 600px) {
+                .container { border-radius: 0; }
+                .content { padding: 20px; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🔄 ${typeLabel} Update</h1>
+                <p>Request #${returnData.returnNumber} for order #${returnData.order.orderNumber}</p>
+            </div>
+
+            <div class="content">
+                <p>Hello <strong>${returnData.order.name}</strong>,</p>
+
+                <p style="margin-top: 15px;">${message}</p>
+
+                <div class="return-info">
+                    <h3 style="color: #495057; margin-bottom: 15px;">${typeLabel} Details</h3>
+                    <p><strong>Request Number:</strong> ${returnData.returnNumber}</p>
+                    <p><strong>Order Number:</strong> ${returnData.order.orderNumber}</p>
+                    <p><strong>Reason:</strong> ${returnData.reason}</p>
+                    <p style="margin-top: 10px;"><strong>Items:</strong></p>
+                    ${itemsHtml}
+                </div>
+
+                <div style="margin-top: 20px;">
+                    <p>If you have any questions, please contact our support team.</p>
+                </div>
+            </div>
+
+            <div class="footer">
+                <p><strong>Kachidham Fashions</strong></p>
+                <p>Nourishing Lives Naturally</p>
+                <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                    This is an automated email. Please do not reply to this message.
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+        `,
+        text: `
+    ${typeLabel.toUpperCase()} UPDATE - Kachidham Fashions
+
+    Hello ${returnData.order.name},
+
+    ${message}
+
+    ${typeLabel.toUpperCase()} DETAILS:
+    ---------------
+    Request Number: ${returnData.returnNumber}
+    Order Number: ${returnData.order.orderNumber}
+    Reason: ${returnData.reason}
+    Items:
+    ${itemsText}
+
+    If you have any questions, please contact our support team.
+
+    --
+    Kachidham Fashions
+    Nourishing Lives Naturally
+        `.trim()
+    };
+    },
+
+    returnRequestAdmin: (returnData) => {
+    const typeLabel = returnData.type === 'EXCHANGE' ? 'Exchange' : 'Return';
+
+    const itemsText = returnData.items.map(item =>
+        `- ${item.orderItem.product.name}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.size}/${item.orderItem.productVariant.color})` : ''} x ${item.quantity}${item.exchangeVariant ? ` -> ${item.exchangeVariant.size}/${item.exchangeVariant.color}` : ''}`
+    ).join('\n');
+
+    const photosHtml = (returnData.photos || []).map(photo =>
+        `<a href="${photo.url}" style="margin-right: 10px;">View photo</a>`
+    ).join('');
+
+    return {
+        subject: `New ${typeLabel} Request #${returnData.returnNumber} - Order #${returnData.order.orderNumber}`,
+        html: `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px;">
+        <h2 style="color: #2c5aa0;">🔄 New ${typeLabel} Request</h2>
+        <p><strong>Request:</strong> ${returnData.returnNumber}</p>
+        <p><strong>Order:</strong> ${returnData.order.orderNumber}</p>
+        <p><strong>Customer:</strong> ${returnData.order.name} (${returnData.order.email}, ${returnData.order.phone})</p>
+        <p><strong>Reason:</strong> ${returnData.reason}</p>
+        ${returnData.customerNotes ? `<p><strong>Notes:</strong> ${returnData.customerNotes}</p>` : ''}
+        <p><strong>Items:</strong></p>
+        <pre style="font-family: inherit;">${itemsText}</pre>
+        ${photosHtml ? `<p><strong>Photos:</strong> ${photosHtml}</p>` : ''}
+    </div>
+        `,
+        text: `
+    NEW ${typeLabel.toUpperCase()} REQUEST
+
+    Request: ${returnData.returnNumber}
+    Order: ${returnData.order.orderNumber}
+    Customer: ${returnData.order.name} (${returnData.order.email}, ${returnData.order.phone})
+    Reason: ${returnData.reason}
+    ${returnData.customerNotes ? `Notes: ${returnData.customerNotes}\n` : ''}
+    Items:
+    ${itemsText}
+        `.trim()
+    };
     }
 
 };
\ No newline at end of file
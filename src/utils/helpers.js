@@ -2,6 +2,13 @@ export const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Indian mobile number as its last 10 digits, ignoring +91, spaces and dashes
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Identifies a product-or-variant line (cart, wishlist); unlike a nullable
+// variant id it can be part of a unique key
+export const productLineKey = ({ productId, productVariantId }) => `${productId}:${productVariantId || ''}`;
+
 export const generateOrderNumber = () => {
   const timestamp = Date.now().toString();
   const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
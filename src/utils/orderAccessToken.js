@@ -0,0 +1,34 @@
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, CLIENT_URL, ORDER_ACCESS_TOKEN_TTL_DAYS } from '../config/index.js';
+
+// Signed links that open one order without an account (guest checkout).
+// They carry a purpose claim, which the auth middleware refuses, and no userId.
+const ORDER_ACCESS_PURPOSE = 'order-access';
+
+export const createOrderAccessToken = (order) => jwt.sign(
+  {
+    purpose: ORDER_ACCESS_PURPOSE,
+    orderId: order.id,
+    orderNumber: order.orderNumber
+  },
+  JWT_SECRET,
+  { expiresIn: `${ORDER_ACCESS_TOKEN_TTL_DAYS}d` }
+);
+
+// Decoded token when it is valid for this order, otherwise null
+export const verifyOrderAccessToken = (token, order) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (decoded.purpose !== ORDER_ACCESS_PURPOSE || decoded.orderId !== order.id) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getOrderAccessUrl = (order) =>
+  `${CLIENT_URL}/orders/track/${encodeURIComponent(order.orderNumber)}?token=${createOrderAccessToken(order)}`;